@@ -12,11 +12,18 @@
 const {
   Client,
   GatewayIntentBits,
+  Partials,
   EmbedBuilder,
   SlashCommandBuilder,
   ActionRowBuilder,
   ButtonBuilder,
   ButtonStyle,
+  AttachmentBuilder,
+  StringSelectMenuBuilder,
+  ChannelSelectMenuBuilder,
+  ChannelType,
+  ThreadAutoArchiveDuration,
+  PermissionFlagsBits,
   REST,
   Routes,
 } = require('discord.js');
@@ -28,108 +35,2336 @@ const path = require('path');
 // Load environment variables from .env file
 require('dotenv').config();
 
+// Import local modules
+const AcknowledgementManager = require('./src/AcknowledgementManager');
+const AuditLog = require('./src/AuditLog');
+const CampaignStore = require('./src/CampaignStore');
+const DeliveryQueue = require('./src/DeliveryQueue');
+const GuildConfigManager = require('./src/GuildConfigManager');
+const InteractionManager = require('./src/InteractionManager');
+const LanguageManager = require('./src/LanguageManager');
+const MetricsRegistry = require('./src/MetricsRegistry');
+const MonitoringServer = require('./src/MonitoringServer');
+const PermissionManager = require('./src/PermissionManager');
+const RelayManager = require('./src/RelayManager');
+const ScheduleManager = require('./src/ScheduleManager');
+const SubscriptionManager = require('./src/SubscriptionManager');
+const TemplateManager = require('./src/TemplateManager');
+const {
+  PLACEHOLDER_NAMES,
+  renderMessage,
+  renderChannelMessage,
+  findUnknownPlaceholders,
+  findMemberPlaceholders,
+} = require('./src/placeholders');
+const { DEFAULT_STYLE, formatColor } = require('./src/messageStyle');
+const { MemoryStateStore, FileStateStore } = require('./src/stateStores');
+const { deleteAttachments } = require('./src/attachments');
+const {
+  getFailureReason,
+  countFailureReasons,
+  isRetryable,
+  buildReportCsv,
+  buildReportJson,
+} = require('./src/deliveryReport');
+const {
+  getAudienceRoleIds,
+  resolveAudience,
+  describeAudience,
+  findMissingRoles,
+} = require('./src/audience');
+const {
+  getDelivery,
+  getMaxChannels,
+  needsChannels,
+  isDmsClosed,
+  countReachedVia,
+} = require('./src/deliveryTargets');
+const { parseList, parseDomainList, checkContent } = require('./src/contentSafety');
+const { summarizeCampaign, hasQuotas, checkQuotas } = require('./src/quotas');
+const { logger } = require('./src/logger');
+const { DEFAULT_LANGUAGE, LANGUAGES, LANGUAGE_NAMES, getLanguage, t, localizeCommand } = require('./src/i18n');
+const { formatSafetyIssues, areWarningsAcknowledged } = require('./src/handlers/replies');
+const { handleHelpCommand } = require('./src/handlers/help');
+const { createMessageHandlers } = require('./src/handlers/message');
+const { createTemplateHandlers } = require('./src/handlers/templates');
+const { createScheduleHandlers } = require('./src/handlers/schedules');
+const { createPermissionHandlers } = require('./src/handlers/permissions');
+const { createConfigHandlers } = require('./src/handlers/config');
+const { createHistoryHandlers } = require('./src/handlers/history');
+const { createApprovalHandlers } = require('./src/handlers/approvals');
+const { createCampaignHandlers } = require('./src/handlers/campaigns');
+const { createRelayHandlers } = require('./src/handlers/relay');
+const { createSubscriptionHandlers } = require('./src/handlers/subscriptions');
+const { createAcknowledgementHandlers } = require('./src/handlers/acknowledgements');
+const { createBroadcastHandlers } = require('./src/handlers/broadcasts');
+
 /**
- * InteractionManager Class
+ * Initialize Discord client with required intents
  * 
- * Manages the state of ongoing interactions between users and the bot.
- * Uses a Map to store user-specific interaction states, allowing multiple
- * users to have concurrent interactions without conflicts.
+ * Intents explanation:
+ * - Guilds: Required to receive guild events
+ * - GuildMembers: Required to access guild member information
+ * - DirectMessages: Required to relay the replies of members to the staff
+ *   (DM channels are not cached, hence the Channel partial)
+ * - GuildPresences: Only with PRESENCE_INTENT=true, required by the presence filter
+ *   of audiences. It is a privileged intent, enabled in the Developer Portal
+ *
+ * Messages are edited through modals and staff answer relayed replies through
+ * modals too, so the privileged MessageContent intent is not needed: the
+ * content of DMs sent to the bot is always available.
+ */
+const PRESENCE_INTENT = process.env.PRESENCE_INTENT === 'true';
+
+const client = new Client({
+  intents: [
+    GatewayIntentBits.Guilds,
+    GatewayIntentBits.GuildMembers,
+    GatewayIntentBits.DirectMessages,
+    ...(PRESENCE_INTENT ? [GatewayIntentBits.GuildPresences] : []),
+  ],
+  partials: [Partials.Channel],
+});
+
+// Load configuration from environment variables
+const TOKEN2 = process.env.TOKEN2;               // Discord bot token
+const GUILD_ID = process.env.GUILD_ID;           // Optional: only serve this Discord server
+const CARGO_SUPORTE_ID = process.env.CARGO_SUPORTE_ID; // Staff role of servers that did not configure one with /config
+const DATA_DIR = process.env.DATA_DIR || path.join(__dirname, 'data'); // Directory for persisted bot data
+
+/**
+ * Per-server settings, managed at runtime with /config
+ * The environment variables provide the defaults of servers that did not change a setting.
+ */
+const guildConfigManager = new GuildConfigManager(path.join(DATA_DIR, 'guild-config.json'), {
+  staffRoleIds: CARGO_SUPORTE_ID ? [CARGO_SUPORTE_ID] : [],
+  reportChannelId: null,
+  // Channel where the DM replies of members are relayed, one thread per member
+  relayChannelId: null,
+  rateLimits: {
+    concurrency: Number(process.env.DM_CONCURRENCY) || 2,
+    delayMs: Number(process.env.DM_DELAY_MS ?? 1000),
+  },
+  // Campaigns reaching more than `threshold` members must be approved in `channelId` (0 disables approvals)
+  approval: {
+    threshold: Number(process.env.APPROVAL_THRESHOLD ?? 0),
+    channelId: process.env.APPROVAL_CHANNEL_ID ?? null,
+  },
+  branding: { ...DEFAULT_STYLE },
+  // Language of the messages posted outside of an interaction, and of the main message of broadcasts
+  language: LANGUAGES.includes(getLanguage(process.env.DEFAULT_LANGUAGE)) ? getLanguage(process.env.DEFAULT_LANGUAGE) : DEFAULT_LANGUAGE,
+  // Roles telling which language their members read, for members whose locale is unknown
+  languageRoles: [],
+  // Words that cannot be sent, and domains links may point to (any domain when empty)
+  safety: {
+    blockedWords: parseList(process.env.BLOCKED_WORDS),
+    allowedLinks: parseDomainList(process.env.ALLOWED_LINK_DOMAINS),
+  },
+  // Members messaged by DM per hour and per day, by each author and by the whole server,
+  // and minutes between two broadcasts to the same role (0 disables a limit)
+  quotas: {
+    authorHourly: Number(process.env.QUOTA_AUTHOR_HOURLY ?? 0),
+    authorDaily: Number(process.env.QUOTA_AUTHOR_DAILY ?? 0),
+    guildHourly: Number(process.env.QUOTA_SERVER_HOURLY ?? 0),
+    guildDaily: Number(process.env.QUOTA_SERVER_DAILY ?? 0),
+    roleCooldownMinutes: Number(process.env.ROLE_COOLDOWN_MINUTES ?? 0),
+  },
+});
+
+/**
+ * Get the language of a server
+ * @param {string} guildId - Discord guild ID
+ * @returns {string} The language code, e.g. "pt"
+ */
+const getGuildLanguage = (guildId) => guildConfigManager.get(guildId).language;
+
+/**
+ * Drafts of the users interacting with the bot
+ * - STATE_STORE: "file" (default) keeps drafts across restarts, "memory" loses them on restart
+ * - DRAFT_TIMEOUT_MINUTES: drafts left idle for longer expire and their preview is removed
+ */
+const interactionManager = new InteractionManager({
+  store: process.env.STATE_STORE === 'memory'
+    ? new MemoryStateStore()
+    : new FileStateStore(path.join(DATA_DIR, 'interactions.json')),
+  idleTimeoutMs: Number(process.env.DRAFT_TIMEOUT_MINUTES ?? 30) * 60 * 1000,
+});
+
+// Who may use each feature, managed at runtime with /admin permissions
+const permissionManager = new PermissionManager(path.join(DATA_DIR, 'permissions.json'), {
+  getFallbackRoleIds: (guildId) => guildConfigManager.get(guildId).staffRoleIds,
+});
+
+// Persistent campaign history and audit trail of staff actions
+const campaignStore = new CampaignStore(path.join(DATA_DIR, 'campaigns'));
+const auditLog = new AuditLog(path.join(DATA_DIR, 'audit.jsonl'));
+
+// Number of campaigns listed per page by the /history command
+const HISTORY_PAGE_SIZE = 10;
+
+// Minimum time between two updates of the progress of a running campaign
+const PROGRESS_INTERVAL_MS = 5000;
+
+// Time the quota usage of a server is cached for the previews, indexed by guild ID
+const QUOTA_USAGE_TTL_MS = 60 * 1000;
+const quotaUsageCache = new Map();
+
+// Relay threads being opened, indexed by guild and user ID, so quick replies share one thread
+const relayThreadsOpening = new Map();
+
+// Broadcasts scheduled for later delivery
+const scheduleManager = new ScheduleManager(path.join(DATA_DIR, 'schedules.json'));
+const DEFAULT_TIMEZONE = process.env.DEFAULT_TIMEZONE || 'UTC'; // Timezone used when /schedule is given none
+
+// Members who opted out of broadcasts, managed with the unsubscribe button and /subscriptions
+const subscriptionManager = new SubscriptionManager(path.join(DATA_DIR, 'subscriptions.json'));
+
+// Staff threads of the members replying to broadcasts
+const relayManager = new RelayManager(path.join(DATA_DIR, 'relays.json'));
+
+// Last known locale of every user, used to pick the language variant of a broadcast
+const languageManager = new LanguageManager(path.join(DATA_DIR, 'locales.json'));
+
+// Saved message templates, managed with the /template command
+const templateManager = new TemplateManager(path.join(DATA_DIR, 'templates.json'));
+
+// Members who confirmed they read the broadcasts asking for it, and the reminders sent to the others
+const acknowledgementManager = new AcknowledgementManager(path.join(DATA_DIR, 'acknowledgements.json'));
+
+/**
+ * Role picker settings
+ * - ROLE_MIN_MEMBERS: roles with fewer members are not offered
+ * - HIDE_MANAGED_ROLES: hide roles managed by integrations (bot roles, boosters...)
  */
-class InteractionManager {
-  constructor() {
-    // Initialize a Map to store user interaction states
-    this.interactionState = new Map();
+const ROLE_MIN_MEMBERS = Number(process.env.ROLE_MIN_MEMBERS ?? 2);
+const HIDE_MANAGED_ROLES = process.env.HIDE_MANAGED_ROLES !== 'false';
+
+// Discord limit: 25 options per select menu
+const ROLES_PER_PAGE = 25;
+
+// Counters and gauges served on /metrics
+const metrics = new MetricsRegistry();
+
+/**
+ * Delivery queue used to send broadcasts
+ *
+ * Pacing can be tuned per server with /config to stay below
+ * Discord's DM rate limits on large roles.
+ */
+const deliveryQueue = new DeliveryQueue({
+  store: campaignStore,
+  maxRetries: Number(process.env.DM_MAX_RETRIES ?? 3),
+  backoffMs: Number(process.env.DM_BACKOFF_MS ?? 2000),
+  metrics,
+});
+
+/**
+ * Edits and recalls of delivered broadcasts, made with /broadcast
+ * They are stored and resumed like campaigns, and go through their own queue
+ * so edited and deleted messages are not counted as DMs sent.
+ */
+const revisionStore = new CampaignStore(path.join(DATA_DIR, 'revisions'));
+const revisionQueue = new DeliveryQueue({
+  store: revisionStore,
+  maxRetries: Number(process.env.DM_MAX_RETRIES ?? 3),
+  backoffMs: Number(process.env.DM_BACKOFF_MS ?? 2000),
+});
+
+// Connection state of the Discord gateway, reported by the readiness probe
+const gateway = { connected: false, since: null };
+
+metrics.gauge('privmsg_active_drafts', 'Messages being prepared with /message', () => interactionManager.count());
+metrics.gauge('privmsg_gateway_connected', 'Whether the bot is connected to the Discord gateway', () => (gateway.connected ? 1 : 0));
+const interactionErrors = metrics.counter('privmsg_interaction_errors_total', 'Interactions whose handler threw an error');
+const acknowledgementsReceived = metrics.counter('privmsg_acknowledgements_total', 'Broadcasts members confirmed they read');
+const remindersSent = metrics.counter('privmsg_ack_reminders_sent_total', 'Reminders sent to members who did not acknowledge a broadcast');
+const quotaRefusals = metrics.counter('privmsg_quota_refusals_total', 'Broadcasts refused because they exceeded a sending quota');
+
+/**
+ * Check whether the bot can serve interactions
+ * @returns {{ready: boolean, gateway: string, since: string|null, pingMs: number, guilds: number}} State reported by /readyz
+ */
+function getReadiness() {
+  return {
+    ready: gateway.connected && client.isReady(),
+    gateway: gateway.connected ? 'connected' : 'disconnected',
+    since: gateway.since,
+    pingMs: client.ws.ping,
+    guilds: client.guilds.cache.size,
+  };
+}
+
+/**
+ * Monitoring endpoint, disabled unless METRICS_PORT is set
+ * Serves Prometheus metrics on /metrics and the liveness and readiness probes
+ * on /healthz and /readyz, so the bot can run under a supervisor.
+ */
+const METRICS_PORT = process.env.METRICS_PORT ? Number(process.env.METRICS_PORT) : null;
+const monitoringServer = METRICS_PORT === null ? null : new MonitoringServer({
+  metrics,
+  getReadiness,
+  port: METRICS_PORT,
+  host: process.env.METRICS_HOST || '127.0.0.1',
+});
+
+/**
+ * Build the embed delivered to a recipient of a broadcast
+ * @param {string|null} userId - Discord user ID of the recipient, null for a post read by a whole channel
+ * @param {string} content - The message content
+ * @param {string} authorName - Display name of the staff member who sent it
+ * @param {Object} [style] - Title, colour, images and footer chosen by the author
+ * @param {string} [language] - Language of the recipient
+ * @returns {EmbedBuilder} The embed to send
+ */
+function buildBroadcastEmbed(userId, content, authorName, style = DEFAULT_STYLE, language = DEFAULT_LANGUAGE) {
+  // The author's name is always shown so recipients know who contacted them
+  const sentBy = t(language, 'broadcast.sentBy', { name: authorName });
+
+  // Channel posts greet nobody in particular
+  const greeting = userId ? `${t(language, 'broadcast.greeting', { user: `<@${userId}>` })}\n\n` : '';
+
+  const embed = new EmbedBuilder()
+    .setColor(style.color)
+    .setTitle(style.title)
+    .setDescription(`${greeting}${content}`)
+    .setFooter({ text: style.footer ? `${style.footer} • ${sentBy}` : sentBy });
+
+  if (style.imageUrl) embed.setImage(style.imageUrl);
+  if (style.thumbnailUrl) embed.setThumbnail(style.thumbnailUrl);
+
+  return embed;
+}
+
+/**
+ * Get the language a member receives a broadcast in
+ * Members get the variant of their language when the broadcast has one, the main message otherwise.
+ *
+ * @param {GuildMember} member - The recipient
+ * @param {Object} broadcast - The broadcast, with its language and language variants
+ * @returns {string} The language code
+ */
+function getRecipientLanguage(member, broadcast) {
+  const { languageRoles } = guildConfigManager.get(member.guild.id);
+
+  return languageManager.resolveLanguage(member, languageRoles, Object.keys(broadcast.variants ?? {}))
+    ?? broadcast.language
+    ?? getGuildLanguage(member.guild.id);
+}
+
+/**
+ * Build the DM delivered to a recipient, in their language and with placeholders resolved for them
+ * Every DM carries unsubscribe buttons, for the topic of the broadcast and for every broadcast of the server,
+ * and the acknowledgement button when the broadcast asks for it. Mentions written in the message notify nobody.
+ *
+ * @param {GuildMember} member - The recipient
+ * @param {Object} broadcast - Content, language variants, audience, topic, author name, style and attachments of the broadcast
+ * @returns {{embeds: EmbedBuilder[], files: Object[], components: ActionRowBuilder[], allowedMentions: Object}} The message payload
+ */
+function buildBroadcastPayload(member, broadcast) {
+  const language = getRecipientLanguage(member, broadcast);
+  const content = renderMessage(broadcast.variants?.[language] ?? broadcast.content, member, broadcast.audience);
+
+  return {
+    embeds: [buildBroadcastEmbed(member.user.id, content, broadcast.authorName, broadcast.style, language)],
+    files: (broadcast.attachments ?? []).map((file) => ({ attachment: file.path, name: file.name })),
+    components: buildBroadcastButtons(member.guild, broadcast, language),
+    allowedMentions: { parse: [] },
+  };
+}
+
+/**
+ * Build the message posted in a target channel of a broadcast
+ * The post is read by many members, so it greets nobody, is written in the
+ * main language and leaves the placeholders about the recipient empty.
+ * @everyone, @here and role mentions written in the message are shown but notify nobody.
+ *
+ * @param {Guild} guild - The guild of the channel
+ * @param {Object} broadcast - Content, language, topic, author name, style and attachments of the broadcast
+ * @returns {{embeds: EmbedBuilder[], files: Object[], components: ActionRowBuilder[], allowedMentions: Object}} The message payload
+ */
+function buildChannelPayload(guild, broadcast) {
+  const language = broadcast.language ?? getGuildLanguage(guild.id);
+  const content = renderChannelMessage(broadcast.content, guild);
+
+  return {
+    embeds: [buildBroadcastEmbed(null, content, broadcast.authorName, broadcast.style, language)],
+    files: (broadcast.attachments ?? []).map((file) => ({ attachment: file.path, name: file.name })),
+    components: buildBroadcastButtons(guild, broadcast, language),
+    allowedMentions: { parse: [] },
+  };
+}
+
+/**
+ * Build the button rows of a broadcast: the acknowledgement button when it asks for one, and the unsubscribe buttons
+ * Drafts have no campaign yet, so the acknowledgement button of previews and test sends is disabled.
+ *
+ * @param {Guild} guild - The guild of the broadcast
+ * @param {Object} broadcast - The draft or campaign
+ * @param {string} language - Language of the labels
+ * @returns {ActionRowBuilder[]} The rows
+ */
+function buildBroadcastButtons(guild, broadcast, language) {
+  const rows = [buildUnsubscribeButtons(guild, broadcast.topic, language)];
+  if (!broadcast.acknowledgement) return rows;
+
+  const acknowledgeButton = new ButtonBuilder()
+    .setCustomId(`ack_${broadcast.id ?? 'draft'}`)
+    .setLabel(t(language, 'acknowledgement.button'))
+    .setStyle(ButtonStyle.Success)
+    .setDisabled(!broadcast.id);
+  return [new ActionRowBuilder().addComponents(acknowledgeButton), ...rows];
+}
+
+/**
+ * Build the unsubscribe buttons of a broadcast, for its topic and for every broadcast of the server
+ * The buttons unsubscribe whoever clicks them, so they also work in channel posts.
+ *
+ * @param {Guild} guild - The guild of the broadcast
+ * @param {string|null} topic - Topic of the broadcast, if any
+ * @param {string} language - Language of the labels
+ * @returns {ActionRowBuilder} A row holding the buttons
+ */
+function buildUnsubscribeButtons(guild, topic, language) {
+  const unsubscribeButtons = new ActionRowBuilder();
+  if (topic) {
+    unsubscribeButtons.addComponents(
+      new ButtonBuilder()
+        .setCustomId(`unsubscribe_${guild.id}_${topic}`)
+        .setLabel(t(language, 'broadcast.unsubscribeTopic', { topic }))
+        .setStyle(ButtonStyle.Secondary)
+    );
   }
+  unsubscribeButtons.addComponents(
+    new ButtonBuilder()
+      .setCustomId(`unsubscribe_${guild.id}_${SubscriptionManager.ALL_TOPICS}`)
+      .setLabel(t(language, 'broadcast.unsubscribeServer', { server: guild.name }).slice(0, 80))
+      .setStyle(ButtonStyle.Secondary)
+  );
+  return unsubscribeButtons;
+}
 
-  /**
-   * Set the state for a specific user
-   * @param {string} userId - Discord user ID
-   * @param {Object} state - The state object to store
-   */
-  setState(userId, state) {
-    this.interactionState.set(userId, state);
+/**
+ * Describe how a broadcast reaches its audience
+ * @param {Object} delivery - The delivery settings of the broadcast
+ * @param {string} locale - Locale of the reader
+ * @returns {string} e.g. "Posted in #announcements, #news"
+ */
+function describeDelivery(delivery, locale) {
+  const channels = delivery.channelIds.length > 0
+    ? delivery.channelIds.map((channelId) => `<#${channelId}>`).join(', ')
+    : t(locale, 'delivery.noChannelSelected');
+  return t(locale, `delivery.modes.${delivery.mode}`, { channels });
+}
+
+/**
+ * Describe the reminders of a broadcast asking for acknowledgement
+ * @param {{reminderHours: number|null}} acknowledgement - The acknowledgement settings of the broadcast
+ * @param {string} locale - Locale of the reader
+ * @returns {string} e.g. "reminders every 24h, up to 3 times"
+ */
+function describeReminders(acknowledgement, locale) {
+  if (!acknowledgement.reminderHours) return t(locale, 'acknowledgement.noReminders');
+  return t(locale, 'acknowledgement.reminders', { hours: acknowledgement.reminderHours, count: AcknowledgementManager.MAX_REMINDERS });
+}
+
+/**
+ * Resolve who receives a broadcast, leaving out the members who opted out of it
+ * @param {Guild} guild - The guild
+ * @param {Object} audience - The audience
+ * @param {string|null} [topic] - Topic of the broadcast, if any
+ * @returns {{members: Collection<string, GuildMember>, optedOut: number}} The recipients and the number of excluded members
+ */
+function resolveRecipients(guild, audience, topic = null) {
+  const matching = resolveAudience(guild, audience);
+  const members = matching.filter((member) => !subscriptionManager.isOptedOut(guild.id, member.id, topic));
+
+  return { members, optedOut: matching.size - members.size };
+}
+
+/**
+ * Check whether the author of a draft may pick a role in the current picker mode
+ * Targeting rules only limit the roles receiving the message, any role can be excluded.
+ *
+ * @param {Object} state - The author's interaction state
+ * @param {string} roleId - The role to check
+ * @returns {boolean} True if the role may be picked
+ */
+function isTargetAllowed(state, roleId) {
+  return state.pickerMode === 'noneOf' || !state.targetableRoleIds || state.targetableRoleIds.includes(roleId);
+}
+
+/**
+ * Get the roles that can be picked for an audience
+ * Applies the role picker settings and the author's search, sorted like the server's role list.
+ *
+ * @param {Guild} guild - The guild
+ * @param {Object} state - The author's interaction state
+ * @returns {Role[]} The eligible roles
+ */
+function getPickableRoles(guild, state) {
+  const usedRoleIds = getAudienceRoleIds(state.audience);
+  const search = state.roleSearch.toLowerCase();
+
+  return [...guild.roles.cache.values()]
+    .filter((role) => role.members.size >= ROLE_MIN_MEMBERS)
+    .filter((role) => !(HIDE_MANAGED_ROLES && role.managed))
+    .filter((role) => !usedRoleIds.includes(role.id))
+    .filter((role) => isTargetAllowed(state, role.id))
+    .filter((role) => !search || role.name.toLowerCase().includes(search))
+    .sort((a, b) => b.position - a.position);
+}
+
+/**
+ * Build the role picker of the /message flow
+ * Roles are offered in a select menu, 25 per page, with buttons to browse
+ * the pages and search roles by name. Roles already part of the audience
+ * are not offered again.
+ *
+ * @param {Guild} guild - The guild
+ * @param {Object} state - The author's interaction state
+ * @param {string} authorId - Discord user ID of the author
+ * @returns {{content: string, embeds: EmbedBuilder[], components: ActionRowBuilder[]}|null} The message payload, or null if no role can be picked
+ */
+function buildRolePicker(guild, state, authorId) {
+  const roles = getPickableRoles(guild, state);
+
+  // Without a search, an empty list means there is nothing to pick at all
+  if (roles.length === 0 && !state.roleSearch) return null;
+
+  const pageCount = Math.max(1, Math.ceil(roles.length / ROLES_PER_PAGE));
+  state.rolePage = Math.min(Math.max(state.rolePage, 0), pageCount - 1);
+  const pageRoles = roles.slice(state.rolePage * ROLES_PER_PAGE, (state.rolePage + 1) * ROLES_PER_PAGE);
+
+  const { locale } = state;
+  const filters = [t(locale, 'picker.minMembers', { count: ROLE_MIN_MEMBERS })];
+  if (state.targetableRoleIds && state.pickerMode !== 'noneOf') {
+    filters.push(t(locale, 'picker.restricted'));
+  }
+  if (state.roleSearch) {
+    filters.push(t(locale, roles.length > 0 ? 'picker.searchResults' : 'picker.noSearchResults', { search: state.roleSearch }));
   }
 
-  /**
-   * Get the current state for a specific user
-   * @param {string} userId - Discord user ID
-   * @returns {Object|undefined} The user's state or undefined if not found
-   */
-  getState(userId) {
-    return this.interactionState.get(userId);
+  const embed = new EmbedBuilder()
+    .setColor(0x00ff00)
+    .setTitle(t(locale, 'picker.title'))
+    .setDescription(`${t(locale, `picker.instructions.${state.pickerMode}`)}\n${filters.join('\n')}`)
+    .setFooter({ text: `${t(locale, 'common.page', { page: state.rolePage + 1, count: pageCount })} • 🔧 Developed by @felipecaldass` });
+
+  const components = [];
+
+  if (pageRoles.length > 0) {
+    const menu = new StringSelectMenuBuilder()
+      .setCustomId(`select_role_${authorId}`)
+      .setPlaceholder(t(locale, 'picker.placeholder'))
+      .setMinValues(1)
+      .setMaxValues(pageRoles.length)
+      .addOptions(pageRoles.map((role) => ({
+        label: role.name.slice(0, 100),
+        description: t(locale, 'common.members', { count: role.members.size }),
+        value: role.id,
+      })));
+
+    components.push(new ActionRowBuilder().addComponents(menu));
   }
 
-  /**
-   * Delete the state for a specific user
-   * @param {string} userId - Discord user ID
-   */
-  deleteState(userId) {
-    this.interactionState.delete(userId);
+  const navigation = new ActionRowBuilder().addComponents(
+    new ButtonBuilder()
+      .setCustomId(`role_page_prev_${authorId}`)
+      .setLabel(t(locale, 'common.previous'))
+      .setStyle(ButtonStyle.Secondary)
+      .setDisabled(state.rolePage === 0),
+    new ButtonBuilder()
+      .setCustomId(`role_page_next_${authorId}`)
+      .setLabel(t(locale, 'common.next'))
+      .setStyle(ButtonStyle.Secondary)
+      .setDisabled(state.rolePage >= pageCount - 1),
+    new ButtonBuilder()
+      .setCustomId(`role_search_${authorId}`)
+      .setLabel(t(locale, 'picker.search'))
+      .setStyle(ButtonStyle.Primary)
+  );
+
+  if (state.roleSearch) {
+    navigation.addComponents(
+      new ButtonBuilder()
+        .setCustomId(`role_search_clear_${authorId}`)
+        .setLabel(t(locale, 'picker.clearSearch'))
+        .setStyle(ButtonStyle.Secondary)
+    );
   }
 
+  components.push(navigation);
+
+  return { content: '', embeds: [embed], components };
+}
+
+/**
+ * Describe the invalid values of the style modal or of the branding settings
+ * @param {{type: string, value: string}[]} errors - Errors returned by parseStyleInput
+ * @param {string} locale - Locale of the author
+ * @returns {string} One line per invalid value
+ */
+function formatStyleErrors(errors, locale) {
+  return errors
+    .map(({ type, value }) => t(locale, type === 'color' ? 'style.invalidColor' : 'style.invalidUrl', { value }))
+    .join('\n');
+}
+
+/**
+ * Build an embed field warning about placeholders that will not be replaced
+ * @param {string} content - The message content
+ * @param {string} locale - Locale of the author
+ * @returns {{name: string, value: string}|null} The warning field, or null if every placeholder is known
+ */
+function buildUnknownPlaceholdersField(content, locale) {
+  const unknownPlaceholders = findUnknownPlaceholders(content);
+  if (unknownPlaceholders.length === 0) return null;
+
+  return {
+    name: t(locale, 'placeholders.unknownTitle'),
+    value: t(locale, 'placeholders.unknown', {
+      placeholders: unknownPlaceholders.join(', '),
+      available: PLACEHOLDER_NAMES.map((name) => `{${name}}`).join(', '),
+    }),
+  };
+}
+
+/**
+ * Check the message of a draft, in every language, against the safety settings of its server
+ * @param {Guild} guild - The guild
+ * @param {Object} state - The author's interaction state
+ * @returns {{errors: Object[], warnings: Object[]}} The issues found
+ */
+function checkDraftContent(guild, state) {
+  return checkContent(
+    { [state.language]: state.currentMessage, ...state.variants },
+    guildConfigManager.get(guild.id).safety
+  );
+}
+
+/**
+ * Get the quota usage of a server
+ * Previews use the usage cached for QUOTA_USAGE_TTL_MS, so rebuilding them does
+ * not read every campaign file. New campaigns clear the cache of their server.
+ *
+ * @param {string} guildId - Discord guild ID
+ * @param {boolean} [fresh=false] - Read the campaigns again, as done right before sending
+ * @returns {Object[]} Summaries of the campaigns of the server
+ */
+function getQuotaUsage(guildId, fresh = false) {
+  const cached = quotaUsageCache.get(guildId);
+  if (!fresh && cached && Date.now() - cached.readAt < QUOTA_USAGE_TTL_MS) return cached.campaigns;
+
+  const campaigns = campaignStore.list((campaign) => campaign.guildId === guildId).map(summarizeCampaign);
+  quotaUsageCache.set(guildId, { campaigns, readAt: Date.now() });
+  return campaigns;
+}
+
+/**
+ * Check a broadcast against the sending quotas of its server
+ * @param {Guild} guild - The guild
+ * @param {Object} broadcast - The broadcast, as described to checkQuotas
+ * @param {boolean} [fresh=false] - Read the campaigns again rather than the usage cached for the previews
+ * @returns {{usage: Object[], exceeded: Object[]}} The usage of each quota and the exceeded limits
+ */
+function checkBroadcastQuotas(guild, broadcast, fresh = false) {
+  const { quotas } = guildConfigManager.get(guild.id);
+  if (!hasQuotas(quotas)) return { usage: [], exceeded: [] };
+
+  return checkQuotas(getQuotaUsage(guild.id, fresh), broadcast, quotas);
+}
+
+/**
+ * Count the members a broadcast messages by DM
+ * Bots are never messaged and channel posts send no DM, so neither counts against the quotas.
+ *
+ * @param {Collection<string, GuildMember>} members - The members of its audience
+ * @param {Object} delivery - Its delivery target
+ * @returns {number} The number of DMs
+ */
+function countQuotaDms(members, delivery) {
+  return delivery.mode === 'channels' ? 0 : members.filter((member) => !member.user.bot).size;
+}
+
+/**
+ * Check a draft against the sending quotas of its server
+ * @param {Guild} guild - The guild
+ * @param {Object} state - The author's interaction state
+ * @param {string} authorId - Discord user ID of the author
+ * @param {Object} [options]
+ * @param {Collection<string, GuildMember>} [options.members] - Recipients of the draft, resolved again if omitted
+ * @param {boolean} [options.fresh=false] - Read the campaigns again rather than the usage cached for the previews
+ * @returns {{usage: Object[], exceeded: Object[]}} The usage of each quota and the exceeded limits
+ */
+function checkDraftQuotas(guild, state, authorId, { members = null, fresh = false } = {}) {
+  // Servers without quotas do not resolve the audience again
+  if (!hasQuotas(guildConfigManager.get(guild.id).quotas)) return { usage: [], exceeded: [] };
+
+  const recipients = countQuotaDms(members ?? resolveRecipients(guild, state.audience, state.topic).members, getDelivery(state));
+  return checkBroadcastQuotas(guild, { authorId, audience: state.audience, recipients }, fresh);
+}
+
+/**
+ * Describe the quota limits a draft exceeds
+ * @param {Guild} guild - The guild
+ * @param {{key: string, params: Object}[]} exceeded - Limits returned by checkQuotas
+ * @param {string} locale - Locale of the author
+ * @returns {string} One line per exceeded limit, within Discord's 1024 characters field limit
+ */
+function formatQuotaIssues(guild, exceeded, locale) {
+  return exceeded.map(({ key, params }) => {
+    if (key === 'roleCooldown') {
+      return `• ${t(locale, 'quotas.roleCooldown', {
+        role: guild.roles.cache.get(params.roleId)?.name ?? params.roleId,
+        date: `<t:${Math.floor(params.lastSentAt / 1000)}:R>`,
+        available: `<t:${Math.ceil(params.availableAt / 1000)}:R>`,
+      })}`;
+    }
+    return `• ${t(locale, `quotas.exceeded.${key}`, params)}`;
+  }).join('\n').slice(0, 1024);
+}
+
+/**
+ * Check whether an administrator lifted the quotas of a draft
+ * The override is checked again when sending, in case the author lost the permission.
+ *
+ * @param {Object} state - The author's interaction state
+ * @param {GuildMember} member - The author
+ * @returns {boolean} True if the draft may exceed the quotas
+ */
+function isQuotaOverridden(state, member) {
+  return Boolean(state.quotaOverride) && permissionManager.can(member, 'admin');
+}
+
+/**
+ * Build the message preview with the audience and its live recipient count
+ * @param {Guild} guild - The guild
+ * @param {Object} state - The author's interaction state
+ * @param {string} authorId - Discord user ID of the author
+ * @param {string} [title] - Title of the preview embed
+ * @returns {{content: string, embeds: EmbedBuilder[], components: ActionRowBuilder[]}} The message payload
+ */
+function buildMessagePreview(guild, state, authorId, title = t(state.locale, 'preview.title')) {
+  const { locale } = state;
+  const { members: recipients, optedOut } = resolveRecipients(guild, state.audience, state.topic);
+  const recipientCount = recipients.size;
+  // Drafts saved before delivery targets existed are sent by DM
+  const delivery = getDelivery(state);
+  // Show the message as a real recipient will see it, so placeholder and style mistakes are caught before sending
+  const sampleMember = recipients.find((member) => !member.user.bot) ?? guild.members.cache.get(authorId);
+
+  const details = [
+    t(locale, 'preview.audience', { audience: describeAudience(guild, state.audience, locale) }),
+    t(locale, 'preview.recipients', { count: recipientCount }),
+    t(locale, 'preview.style', { title: state.style.title, color: formatColor(state.style.color) }),
+  ];
+  if (state.topic) {
+    details.splice(1, 0, t(locale, 'preview.topic', { topic: state.topic }));
+  }
+  if (delivery.mode !== 'dm') {
+    details.push(t(locale, 'preview.delivery', { delivery: describeDelivery(delivery, locale) }));
+  }
+  if (state.acknowledgement) {
+    details.push(t(locale, 'preview.acknowledgement', { reminders: describeReminders(state.acknowledgement, locale) }));
+  }
+  // Channel posts are read by many members, so they cannot be personalised
+  const memberPlaceholders = delivery.mode === 'channels' ? findMemberPlaceholders(state.currentMessage) : [];
+  if (memberPlaceholders.length > 0) {
+    details.push(t(locale, 'delivery.memberPlaceholders', { placeholders: memberPlaceholders.join(', ') }));
+  }
+  if (optedOut > 0) {
+    details.push(t(locale, 'preview.optedOut', { count: optedOut }));
+  }
+  const listedUserIds = state.audience.filters?.userIds ?? [];
+  const notMembers = listedUserIds.filter((userId) => !guild.members.cache.has(userId)).length;
+  if (notMembers > 0) {
+    details.push(t(locale, 'preview.notMembers', { count: notMembers }));
+  }
+  // Drafts saved before variants existed have none
+  const variants = state.variants ?? {};
+  if (Object.keys(variants).length > 0) {
+    // Members are counted in the language they will actually receive
+    const languageCounts = {};
+    recipients.forEach((member) => {
+      const language = getRecipientLanguage(member, state);
+      languageCounts[language] = (languageCounts[language] ?? 0) + 1;
+    });
+
+    const languages = [
+      t(locale, 'preview.mainLanguage', { language: state.language, count: languageCounts[state.language] ?? 0 }),
+      ...Object.keys(variants).map((language) => t(locale, 'preview.variantLanguage', { language, count: languageCounts[language] ?? 0 })),
+    ];
+    details.push(t(locale, 'preview.languages', { languages: languages.join(' • ') }));
+  }
+  if (state.attachments.length > 0) {
+    details.push(t(locale, 'preview.attachments', { files: state.attachments.map((file) => file.name).join(', ') }));
+  }
+  if (sampleMember) {
+    details.push(`\n${t(locale, 'preview.sample', { name: sampleMember.displayName })}`);
+  }
+
+  const embed = new EmbedBuilder()
+    .setColor(0x00ff00)
+    .setTitle(title)
+    .setDescription(details.join('\n'))
+    .setFooter({ text: '🔧 Developed by @felipecaldass' });
+
+  const unknownPlaceholdersField = buildUnknownPlaceholdersField([state.currentMessage, ...Object.values(variants)].join('\n'), locale);
+  if (unknownPlaceholdersField) embed.addFields(unknownPlaceholdersField);
+
+  const safety = checkDraftContent(guild, state);
+  const warningsAcknowledged = areWarningsAcknowledged(state, safety.warnings);
+  if (safety.errors.length > 0) {
+    embed.addFields({ name: t(locale, 'safety.errorsTitle'), value: formatSafetyIssues(safety.errors, locale) });
+  }
+  if (safety.warnings.length > 0) {
+    embed.addFields({
+      name: t(locale, warningsAcknowledged ? 'safety.acknowledgedTitle' : 'safety.warningsTitle'),
+      value: formatSafetyIssues(safety.warnings, locale),
+    });
+  }
+
+  const quotas = checkDraftQuotas(guild, state, authorId, { members: recipients });
+  const author = guild.members.cache.get(authorId);
+  const quotaOverridden = author ? isQuotaOverridden(state, author) : false;
+  if (quotas.usage.length > 0) {
+    embed.addFields({
+      name: t(locale, 'quotas.usageTitle'),
+      value: quotas.usage.map(({ quota, remaining, limit }) => t(locale, `quotas.usage.${quota}`, { remaining, limit })).join('\n'),
+    });
+  }
+  if (quotas.exceeded.length > 0) {
+    embed.addFields({
+      name: t(locale, quotaOverridden ? 'quotas.overriddenTitle' : 'quotas.exceededTitle'),
+      value: formatQuotaIssues(guild, quotas.exceeded, locale),
+    });
+  }
+  const quotaBlocked = quotas.exceeded.length > 0 && !quotaOverridden;
+  const canOverride = Boolean(author) && permissionManager.can(author, 'admin');
+  // The approval flow does not lift the quotas, only an administrator sending it does
+  if (quotaBlocked && !canOverride) {
+    embed.addFields({ name: t(locale, 'quotas.adminOnlyTitle'), value: t(locale, 'quotas.adminOnly') });
+  }
+
+  const embeds = [embed];
+  // A message too long for an embed cannot be shown, the errors field tells why
+  if (sampleMember && !safety.errors.some(({ key }) => key === 'tooLong')) {
+    const broadcast = {
+      content: state.currentMessage,
+      language: state.language,
+      variants,
+      audience: state.audience,
+      topic: state.topic,
+      authorName: guild.members.cache.get(authorId)?.displayName ?? '',
+      style: state.style,
+      acknowledgement: state.acknowledgement,
+    };
+    const sample = delivery.mode === 'channels' ? buildChannelPayload(guild, broadcast) : buildBroadcastPayload(sampleMember, broadcast);
+    embeds.push(...sample.embeds);
+  }
+
+  const buttons = new ActionRowBuilder().addComponents(
+    new ButtonBuilder()
+      .setCustomId(`confirm_send_${authorId}`)
+      .setLabel(t(locale, 'preview.confirm', { count: recipientCount }))
+      .setStyle(ButtonStyle.Success)
+      .setDisabled(recipientCount === 0 || needsChannels(delivery) || safety.errors.length > 0 || !warningsAcknowledged || quotaBlocked)
+  );
+  if (!warningsAcknowledged) {
+    buttons.addComponents(
+      new ButtonBuilder()
+        .setCustomId(`safety_ack_${authorId}`)
+        .setLabel(t(locale, 'safety.acknowledge'))
+        .setStyle(ButtonStyle.Primary)
+    );
+  }
+  buttons.addComponents(
+    new ButtonBuilder()
+      .setCustomId(`edit_message_${authorId}`)
+      .setLabel(t(locale, 'preview.editMessage'))
+      .setStyle(ButtonStyle.Primary),
+    new ButtonBuilder()
+      .setCustomId(`edit_style_${authorId}`)
+      .setLabel(t(locale, 'preview.editStyle'))
+      .setStyle(ButtonStyle.Primary),
+    new ButtonBuilder()
+      .setCustomId(`cancel_send_${authorId}`)
+      .setLabel(t(locale, 'common.cancel'))
+      .setStyle(ButtonStyle.Danger)
+  );
+
+  const audienceButtons = new ActionRowBuilder().addComponents(
+    new ButtonBuilder()
+      .setCustomId(`audience_add_any_${authorId}`)
+      .setLabel(t(locale, 'preview.addRole'))
+      .setStyle(ButtonStyle.Secondary),
+    new ButtonBuilder()
+      .setCustomId(`audience_add_all_${authorId}`)
+      .setLabel(t(locale, 'preview.requireRole'))
+      .setStyle(ButtonStyle.Secondary),
+    new ButtonBuilder()
+      .setCustomId(`audience_add_none_${authorId}`)
+      .setLabel(t(locale, 'preview.excludeRole'))
+      .setStyle(ButtonStyle.Secondary),
+    new ButtonBuilder()
+      .setCustomId(`edit_filters_${authorId}`)
+      .setLabel(t(locale, 'preview.editFilters'))
+      .setStyle(ButtonStyle.Secondary),
+    new ButtonBuilder()
+      .setCustomId(`audience_reset_${authorId}`)
+      .setLabel(t(locale, 'preview.resetAudience'))
+      .setStyle(ButtonStyle.Secondary)
+  );
+
+  const checkButtons = new ActionRowBuilder().addComponents(
+    new ButtonBuilder()
+      .setCustomId(`edit_languages_${authorId}`)
+      .setLabel(t(locale, 'preview.editLanguages'))
+      .setStyle(ButtonStyle.Secondary),
+    new ButtonBuilder()
+      .setCustomId(`test_send_${authorId}`)
+      .setLabel(t(locale, 'preview.testSend'))
+      .setStyle(ButtonStyle.Secondary),
+    new ButtonBuilder()
+      .setCustomId(`dry_run_${authorId}`)
+      .setLabel(t(locale, 'preview.dryRun'))
+      .setStyle(ButtonStyle.Secondary)
+  );
+
+  // Only administrators may send beyond the quotas
+  if (quotaBlocked && canOverride) {
+    checkButtons.addComponents(
+      new ButtonBuilder()
+        .setCustomId(`quota_override_${authorId}`)
+        .setLabel(t(locale, 'quotas.override'))
+        .setStyle(ButtonStyle.Danger)
+    );
+  }
+
+  const components = [buttons, audienceButtons, checkButtons];
+
+  const maxChannels = getMaxChannels(delivery.mode);
+  if (maxChannels > 0) {
+    const channelPicker = new ChannelSelectMenuBuilder()
+      .setCustomId(`select_channels_${authorId}`)
+      .setPlaceholder(t(locale, delivery.mode === 'channels' ? 'delivery.pickChannels' : 'delivery.pickFallback'))
+      .addChannelTypes(ChannelType.GuildText, ChannelType.GuildAnnouncement)
+      .setMinValues(1)
+      .setMaxValues(maxChannels);
+    if (delivery.channelIds.length > 0) channelPicker.setDefaultChannels(delivery.channelIds);
+    components.push(new ActionRowBuilder().addComponents(channelPicker));
+  }
+
+  return { content: '', embeds, components };
+}
+
+/**
+ * Build the report of a dry run
+ * Resolves the audience exactly like a real send, without messaging anyone.
+ *
+ * @param {Guild} guild - The guild
+ * @param {Object} state - The author's interaction state
+ * @returns {EmbedBuilder} The dry run report
+ */
+function buildDryRunEmbed(guild, state) {
+  const { locale } = state;
+  const { members: recipients, optedOut } = resolveRecipients(guild, state.audience, state.topic);
+  const unreachableUserIds = campaignStore.findUnreachableUsers(guild.id);
+
+  const bots = recipients.filter((member) => member.user.bot);
+  const closedDms = recipients.filter((member) => !member.user.bot && unreachableUserIds.has(member.id));
+  const deliverable = recipients.size - bots.size - closedDms.size;
+
   /**
-   * Check if a state exists for a specific user
-   * @param {string} userId - Discord user ID
-   * @returns {boolean} True if the user has a state, false otherwise
+   * List members in an embed field, within Discord's 1024 characters limit
+   * @param {Collection<string, GuildMember>} members - The members to list
+   * @returns {string} The field value
    */
-  hasState(userId) {
-    return this.interactionState.has(userId);
+  const listMembers = (members) => {
+    const tags = members.map((member) => `• ${member.user.tag}`);
+    const shown = [];
+    for (const tag of tags) {
+      if (shown.join('\n').length + tag.length + 30 > 1024) {
+        shown.push(t(locale, 'common.andMore', { count: tags.length - shown.length }));
+        break;
+      }
+      shown.push(tag);
+    }
+    return shown.join('\n');
+  };
+
+  const embed = new EmbedBuilder()
+    .setColor(0x3498db)
+    .setTitle(t(locale, 'dryRun.title'))
+    .setDescription(t(locale, 'dryRun.description', {
+      audience: describeAudience(guild, state.audience, locale),
+      matching: recipients.size,
+      deliverable,
+      bots: bots.size,
+      closedDms: closedDms.size,
+      optedOut,
+    }))
+    .setFooter({ text: t(locale, 'dryRun.footer') });
+
+  if (bots.size > 0) embed.addFields({ name: t(locale, 'dryRun.bots'), value: listMembers(bots) });
+  if (closedDms.size > 0) embed.addFields({ name: t(locale, 'dryRun.closedDms'), value: listMembers(closedDms) });
+
+  return embed;
+}
+
+/**
+ * Build the delivery report of a finished campaign
+ * Failed members are summarized by reason; the full list is attached as a file by buildReportMessage.
+ *
+ * @param {Object} campaign - The delivered campaign
+ * @param {string} [locale] - Locale of the report, the one of the campaign author by default
+ * @returns {EmbedBuilder} The report embed
+ */
+function buildReportEmbed(campaign, locale = campaign.locale) {
+  const { sent, failed, pending } = countRecipients(campaign);
+  const aborted = campaign.status === 'aborted';
+  const failedLine = failed > 0 ? `\n${t(locale, 'report.failed', { count: failed })}` : '';
+
+  let description = failed > 0
+    ? `${t(locale, 'report.sent', { count: sent, audience: campaign.audienceName })}${failedLine}`
+    : t(locale, 'report.allSent');
+  if (aborted) {
+    description = `${t(locale, 'report.sentBeforeAbort', { count: sent, audience: campaign.audienceName })}
+${t(locale, 'report.notMessaged', { count: pending })}${failedLine}`;
   }
+
+  const resultEmbed = new EmbedBuilder()
+    .setColor(aborted ? 0xffa500 : 0x00ff00)
+    .setTitle(t(locale, aborted ? 'report.abortedTitle' : 'report.title'))
+    .setDescription(description)
+    .addFields({ name: t(locale, 'report.message'), value: campaign.content.slice(0, 1024) })
+    .setFooter({ text: `${t(locale, 'common.campaign', { id: campaign.id })} • 🔧 Developed by @felipecaldass` });
+
+  if (getDelivery(campaign).mode !== 'dm' && sent > 0) {
+    const routes = Object.entries(countReachedVia(campaign))
+      .map(([via, count]) => `• ${via === 'dm' ? t(locale, 'delivery.viaDm') : `<#${via}>`}: **${count}**`);
+    resultEmbed.addFields({ name: t(locale, 'report.reachedVia'), value: routes.join('\n') });
+  }
+
+  if (failed > 0) {
+    const reasons = Object.entries(countFailureReasons(campaign))
+      .map(([reason, count]) => `• ${t(locale, `reasons.${reason}`)}: **${count}**`);
+    resultEmbed.addFields({ name: t(locale, 'report.reasons'), value: reasons.join('\n') });
+  }
+
+  return resultEmbed;
 }
 
-// Create an instance of the InteractionManager
-const interactionManager = new InteractionManager();
+/**
+ * Build the report message of a finished campaign
+ * The outcome of every member is attached as CSV and JSON, and failed members
+ * can be messaged again with the retry button.
+ *
+ * @param {Object} campaign - The delivered campaign
+ * @param {string} [locale] - Locale of the report, the one of the campaign author by default
+ * @returns {{content: string, embeds: EmbedBuilder[], files: AttachmentBuilder[], components: ActionRowBuilder[]}} The message payload
+ */
+function buildReportMessage(campaign, locale = campaign.locale) {
+  const acknowledgements = acknowledgementManager.get(campaign.id)?.acknowledged ?? {};
+  const files = [
+    new AttachmentBuilder(Buffer.from(buildReportCsv(campaign, acknowledgements)), { name: `report-${campaign.id}.csv` }),
+    new AttachmentBuilder(Buffer.from(buildReportJson(campaign, acknowledgements)), { name: `report-${campaign.id}.json` }),
+  ];
+
+  // Every copy of the report shows the button, until one of them was used
+  const retryableCount = campaign.retriedAt ? 0 : campaign.recipients.filter(isRetryable).length;
+  const components = retryableCount > 0
+    ? [new ActionRowBuilder().addComponents(
+      new ButtonBuilder()
+        .setCustomId(`retry_failed_${campaign.id}`)
+        .setLabel(t(locale, 'report.retry', { count: retryableCount }))
+        .setStyle(ButtonStyle.Primary)
+    )]
+    : [];
+
+  return { content: '', embeds: [buildReportEmbed(campaign, locale)], files, components };
+}
 
 /**
- * Initialize Discord client with required intents
- * 
- * Intents explanation:
- * - Guilds: Required to receive guild events
- * - GuildMembers: Required to access guild member information
- * - GuildMessages: Required to receive message events
- * - MessageContent: Required to access message content
+ * Check whether a campaign is large enough to need the approval of a second staff member
+ * @param {string} guildId - Discord guild ID
+ * @param {Object[]} recipients - Recipients of the campaign
+ * @returns {boolean} True if the campaign must be approved before delivery
  */
-const client = new Client({
-  intents: [
-    GatewayIntentBits.Guilds,
-    GatewayIntentBits.GuildMembers,
-    GatewayIntentBits.GuildMessages,
-    GatewayIntentBits.MessageContent,
-  ],
-});
+function requiresApproval(guildId, recipients) {
+  const { threshold, channelId } = guildConfigManager.get(guildId).approval;
+  if (threshold <= 0 || !channelId) return false;
 
-// Load configuration from environment variables
-const TOKEN2 = process.env.TOKEN2;               // Discord bot token
-const GUILD_ID = process.env.GUILD_ID;           // Discord server ID
-const CARGO_SUPORTE_ID = process.env.CARGO_SUPORTE_ID; // Support role ID required to send private messages
+  const deliverable = recipients.filter((recipient) => recipient.status !== 'failed').length;
+  return deliverable > threshold;
+}
 
+/**
+ * Create a campaign targeting every member of an audience
+ * Each member is listed once, even when several of the audience roles match.
+ * Campaigns above the approval threshold are created in the "pending_approval" status.
+ *
+ * @param {Guild} guild - The guild the campaign belongs to
+ * @param {Object} audience - The roles whose members receive the message
+ * @param {Object} details - Campaign ID, author, content and the message where the report is shown
+ * @returns {Object} The stored campaign, ready to be delivered
+ */
+function createCampaign(guild, audience, details) {
+  const { members, optedOut } = resolveRecipients(guild, audience, details.topic);
+  const recipients = members.map((member) => ({
+    id: member.user.id,
+    tag: member.user.tag,
+    // Bots cannot receive DMs, so they are reported as failed right away
+    ...(member.user.bot && { status: 'failed', error: 'Recipient is a bot', errorCode: 'BOT' }),
+  }));
+
+  quotaUsageCache.delete(guild.id);
+  const campaign = campaignStore.create({
+    // Scheduled broadcasts have no style of their own and use the server branding
+    style: guildConfigManager.get(guild.id).branding,
+    ...details,
+    guildId: guild.id,
+    audience,
+    audienceName: describeAudience(guild, audience, details.locale),
+    // Large campaigns are stored as waiting for approval, so a restart never sends them unapproved
+    status: requiresApproval(guild.id, recipients) ? 'pending_approval' : 'running',
+    optedOut,
+    recipients,
+  });
+  if (campaign.topic) subscriptionManager.addTopic(guild.id, campaign.topic);
+
+  auditLog.record('campaign.started', {
+    campaignId: campaign.id,
+    guildId: guild.id,
+    authorId: campaign.authorId,
+    roleIds: getAudienceRoleIds(audience),
+    recipients: campaign.recipients.length,
+    optedOut,
+    scheduleId: campaign.scheduleId,
+  });
+  logger.info('Campaign created', {
+    campaignId: campaign.id,
+    guildId: guild.id,
+    authorId: campaign.authorId,
+    recipients: campaign.recipients.length,
+    status: campaign.status,
+  });
+
+  return campaign;
+}
+
+/**
+ * Deliver a campaign through the delivery queue
+ *
+ * Members are fetched one at a time from their stored IDs, so the same
+ * function is used for new campaigns and for campaigns resumed after a restart.
+ * Each recipient records the route it was reached through: "dm", or the ID
+ * of the target channel or fallback thread. The messages sent to a recipient,
+ * in DM or in the fallback thread, are recorded too, so they can be edited or
+ * recalled with /broadcast.
+ *
+ * @param {Guild} guild - The guild the campaign belongs to
+ * @param {Object} campaign - The campaign to deliver
+ * @param {Function} [onProgress] - Called with the campaign after every recipient
+ * @returns {Promise<Object>} The campaign with the outcome of every recipient
+ */
+async function deliverCampaign(guild, campaign, onProgress) {
+  const { mode } = getDelivery(campaign);
+  const reachInChannels = mode === 'channels' ? createChannelPoster(guild, campaign) : null;
+  const mentionInFallback = mode === 'dm_fallback' ? createFallbackPoster(guild, campaign) : null;
+
+  return deliveryQueue.run(campaign, async (recipient) => {
+    const member = await guild.members.fetch(recipient.id);
+
+    if (reachInChannels) {
+      recipient.via = await reachInChannels(member);
+      return;
+    }
+
+    let message;
+    try {
+      message = await member.send(buildBroadcastPayload(member, campaign));
+      recipient.via = 'dm';
+    } catch (error) {
+      if (!mentionInFallback || !isDmsClosed(error)) throw error;
+      message = await mentionInFallback(member);
+      recipient.via = message.channelId;
+    }
+    recipient.messageId = message.id;
+    recipient.messageChannelId = message.channelId;
+
+    // The DM was delivered, an error here must not report it failed and have it retried
+    if (recipient.via === 'dm') {
+      try {
+        relayManager.recordDelivery(recipient.id, campaign);
+      } catch (error) {
+        logger.error('Error recording the delivery for the reply relay', { campaignId: campaign.id, userId: recipient.id, error });
+      }
+    }
+  }, {
+    ...guildConfigManager.get(guild.id).rateLimits,
+    // Members are only checked against the posts, which are sent once, so they need no pacing
+    ...(reachInChannels && { delayMs: 0 }),
+    onProgress,
+  });
+}
+
+/**
+ * Post a campaign in its target channels
+ * Each channel is posted in once, when the first member who can see it is
+ * reached. The posts are stored on the campaign, so a resumed campaign or its
+ * retry does not post them again.
+ *
+ * @param {Guild} guild - The guild the campaign belongs to
+ * @param {Object} campaign - The campaign, in the "channels" delivery mode
+ * @returns {Function} Async function receiving a member and returning the ID of the channel reaching them
+ */
+function createChannelPoster(guild, campaign) {
+  const delivery = getDelivery(campaign);
+  // Pending fetches and posts, shared by the workers of the delivery queue
+  const channels = new Map();
+  const posts = new Map();
+
+  const fetchChannel = (channelId) => {
+    if (!channels.has(channelId)) channels.set(channelId, client.channels.fetch(channelId));
+    return channels.get(channelId);
+  };
+
+  const post = (channel) => {
+    if (!posts.has(channel.id)) {
+      posts.set(channel.id, (async () => {
+        if (delivery.posts[channel.id]) return;
+        const message = await channel.send(buildChannelPayload(guild, campaign));
+        delivery.posts[channel.id] = message.id;
+        campaignStore.save(campaign);
+        logger.info('Campaign posted in a channel', { campaignId: campaign.id, channelId: channel.id });
+      })());
+    }
+    return posts.get(channel.id);
+  };
+
+  return async (member) => {
+    // Reported when the member can see no target channel whose post succeeded
+    let lastError = null;
+
+    for (const channelId of delivery.channelIds) {
+      try {
+        const channel = await fetchChannel(channelId);
+        if (!channel.permissionsFor(member)?.has(PermissionFlagsBits.ViewChannel)) continue;
+        await post(channel);
+        return channelId;
+      } catch (error) {
+        lastError = error;
+      }
+    }
+
+    throw lastError ?? Object.assign(new Error('Cannot see any target channel'), { code: 'NO_CHANNEL_ACCESS' });
+  };
+}
+
+/**
+ * Prepare the fallback of a campaign, for members whose DMs are closed
+ * Members are mentioned with their personalised message in a private thread of
+ * the fallback channel, created on the first fallback and stored on the
+ * campaign. Announcement channels cannot hold private threads, so members are
+ * mentioned in the channel itself, as they are when the thread cannot be created.
+ *
+ * @param {Guild} guild - The guild the campaign belongs to
+ * @param {Object} campaign - The campaign, in the "dm_fallback" delivery mode
+ * @returns {Function} Async function receiving a member and returning the message mentioning them
+ */
+function createFallbackPoster(guild, campaign) {
+  const delivery = getDelivery(campaign);
+  let target = null;
+
+  const getTarget = async () => {
+    const channel = await client.channels.fetch(delivery.channelIds[0]);
+
+    if (delivery.fallbackThreadId) {
+      const thread = await client.channels.fetch(delivery.fallbackThreadId).catch(() => null);
+      if (thread) return { channel, thread };
+    }
+    if (channel.type !== ChannelType.GuildText) return { channel, thread: channel };
+
+    try {
+      const thread = await channel.threads.create({
+        name: t(getGuildLanguage(guild.id), 'delivery.threadName', { id: campaign.id }).slice(0, 100),
+        type: ChannelType.PrivateThread,
+        invitable: false,
+        autoArchiveDuration: ThreadAutoArchiveDuration.OneWeek,
+      });
+      delivery.fallbackThreadId = thread.id;
+      campaignStore.save(campaign);
+      return { channel, thread };
+    } catch (error) {
+      logger.warn('Cannot create the fallback thread, members are mentioned in the channel', { campaignId: campaign.id, channelId: channel.id, error });
+      return { channel, thread: channel };
+    }
+  };
+
+  return async (member) => {
+    target ??= getTarget();
+    const { channel, thread } = await target;
+
+    // Mentions add members to a private thread only if they can see its channel
+    if (!channel.permissionsFor(member)?.has(PermissionFlagsBits.ViewChannel)) {
+      throw Object.assign(new Error('Cannot see the fallback channel'), { code: 'NO_CHANNEL_ACCESS' });
+    }
+
+    return thread.send({
+      content: `<@${member.id}>`,
+      ...buildBroadcastPayload(member, campaign),
+      allowedMentions: { users: [member.id] },
+    });
+  };
+}
+
+/**
+ * Format a duration in a short human readable way
+ * @param {number} ms - The duration in milliseconds
+ * @returns {string} The duration, e.g. "1h 5m", "3m 20s" or "45s"
+ */
+function formatDuration(ms) {
+  const seconds = Math.max(1, Math.round(ms / 1000));
+  const hours = Math.floor(seconds / 3600);
+  const minutes = Math.floor((seconds % 3600) / 60);
+
+  if (hours > 0) return `${hours}h ${minutes}m`;
+  if (minutes > 0) return `${minutes}m ${seconds % 60}s`;
+  return `${seconds}s`;
+}
+
+/**
+ * Build a 20 characters wide progress bar followed by the percentage done
+ * @param {number} done - Recipients handled
+ * @param {number} total - Recipients to handle
+ * @returns {string} e.g. "▰▰▰▰▰▱▱▱▱▱▱▱▱▱▱▱▱▱▱▱ 25%"
+ */
+function buildProgressBar(done, total) {
+  const filled = total > 0 ? Math.round((done / total) * 20) : 20;
+  return `${'▰'.repeat(filled)}${'▱'.repeat(20 - filled)} ${Math.floor((done / Math.max(1, total)) * 100)}%`;
+}
+
+/**
+ * Build the message showing the progress of a running campaign
+ * @param {Object} campaign - The campaign being delivered
+ * @param {number|null} [etaMs] - Estimated time until the campaign completes, if known
+ * @returns {{content: string, embeds: EmbedBuilder[], components: ActionRowBuilder[]}} The message payload
+ */
+function buildProgressMessage(campaign, etaMs = null) {
+  const { locale } = campaign;
+  const { sent, failed, pending } = countRecipients(campaign);
+  const total = campaign.recipients.length;
+  const paused = campaign.status === 'paused';
+
+  const embed = new EmbedBuilder()
+    .setColor(paused ? 0xffa500 : 0x3498db)
+    .setTitle(t(locale, paused ? 'progress.pausedTitle' : 'progress.title'))
+    .setDescription(`${t(locale, 'progress.description', { count: total, audience: campaign.audienceName })}\n\n${buildProgressBar(sent + failed, total)}`)
+    .addFields(
+      { name: t(locale, 'progress.sent'), value: String(sent), inline: true },
+      { name: t(locale, 'progress.failed'), value: String(failed), inline: true },
+      { name: t(locale, 'progress.remaining'), value: String(pending), inline: true },
+      {
+        name: t(locale, 'progress.eta'),
+        value: paused ? t(locale, 'progress.paused') : (etaMs !== null ? `~${formatDuration(etaMs)}` : t(locale, 'progress.estimating')),
+        inline: true,
+      }
+    )
+    .setFooter({ text: `${t(locale, 'common.campaign', { id: campaign.id })} • 🔧 Developed by @felipecaldass` });
+
+  const buttons = new ActionRowBuilder().addComponents(
+    paused
+      ? new ButtonBuilder()
+        .setCustomId(`delivery_resume_${campaign.id}`)
+        .setLabel(t(locale, 'progress.resume'))
+        .setStyle(ButtonStyle.Success)
+      : new ButtonBuilder()
+        .setCustomId(`delivery_pause_${campaign.id}`)
+        .setLabel(t(locale, 'progress.pause'))
+        .setStyle(ButtonStyle.Secondary),
+    new ButtonBuilder()
+      .setCustomId(`delivery_abort_${campaign.id}`)
+      .setLabel(t(locale, 'progress.abort'))
+      .setStyle(ButtonStyle.Danger)
+  );
+
+  return { content: '', embeds: [embed], components: [buttons] };
+}
+
+/**
+ * Count the recipients of a campaign by delivery status
+ * @param {Object} campaign - The campaign to summarize
+ * @returns {{sent: number, failed: number, pending: number}} Number of recipients per status
+ */
+function countRecipients(campaign) {
+  const counts = { sent: 0, failed: 0, pending: 0 };
+  campaign.recipients.forEach((recipient) => {
+    counts[recipient.status]++;
+  });
+  return counts;
+}
+
+/**
+ * Record the outcome of a finished campaign in the audit log and the logs
+ * @param {Object} campaign - The delivered campaign
+ */
+function recordCampaignCompleted(campaign) {
+  const { sent, failed, pending } = countRecipients(campaign);
+  // "campaign.completed" or "campaign.aborted"
+  auditLog.record(`campaign.${campaign.status}`, { campaignId: campaign.id, guildId: campaign.guildId, sent, failed, pending });
+  logger.info(campaign.status === 'aborted' ? 'Campaign aborted' : 'Campaign completed', {
+    campaignId: campaign.id,
+    guildId: campaign.guildId,
+    sent,
+    failed,
+    pending,
+  });
+}
+
+/**
+ * Format an ISO date as a Discord timestamp shown in the reader's timezone
+ * @param {string} isoDate - The date to format
+ * @returns {string} Discord timestamp markup
+ */
+const formatTimestamp = (isoDate) => `<t:${Math.floor(new Date(isoDate).getTime() / 1000)}:f>`;
+
+/**
+ * Build one page of the campaign history
+ * @param {Object[]} campaigns - All campaigns of the guild, newest first
+ * @param {number} page - Zero-based page index
+ * @param {string} authorId - ID of the user browsing the history
+ * @param {string} locale - Locale of the user browsing the history
+ * @returns {{embeds: EmbedBuilder[], components: ActionRowBuilder[]}} The message payload
+ */
+function buildHistoryPage(campaigns, page, authorId, locale) {
+  const pageCount = Math.max(1, Math.ceil(campaigns.length / HISTORY_PAGE_SIZE));
+  const currentPage = Math.min(Math.max(page, 0), pageCount - 1);
+  const pageCampaigns = campaigns.slice(currentPage * HISTORY_PAGE_SIZE, (currentPage + 1) * HISTORY_PAGE_SIZE);
+
+  const embed = new EmbedBuilder()
+    .setColor(0x3498db)
+    .setTitle(t(locale, 'history.title'))
+    .setFooter({ text: `${t(locale, 'common.page', { page: currentPage + 1, count: pageCount })} • ${t(locale, 'history.footer')}` });
+
+  if (pageCampaigns.length === 0) {
+    embed.setDescription(t(locale, 'history.empty'));
+  } else {
+    embed.setDescription(t(locale, 'history.description'));
+    pageCampaigns.forEach((campaign) => {
+      const { sent, failed, pending } = countRecipients(campaign);
+      const outcome = [t(locale, 'history.sent', { count: sent }), t(locale, 'history.failed', { count: failed })];
+      if (pending > 0) outcome.push(t(locale, 'history.pending', { count: pending }));
+
+      embed.addFields({
+        name: `📨 ${campaign.id}`,
+        value: `${t(locale, 'history.entry', { date: formatTimestamp(campaign.createdAt), author: `<@${campaign.authorId}>`, audience: campaign.audienceName })}
+${outcome.join(' • ')}`,
+        inline: false,
+      });
+    });
+  }
+
+  const buttons = new ActionRowBuilder().addComponents(
+    new ButtonBuilder()
+      .setCustomId(`history_page_${currentPage - 1}_${authorId}`)
+      .setLabel(t(locale, 'common.previous'))
+      .setStyle(ButtonStyle.Secondary)
+      .setDisabled(currentPage === 0),
+    new ButtonBuilder()
+      .setCustomId(`history_page_${currentPage + 1}_${authorId}`)
+      .setLabel(t(locale, 'common.next'))
+      .setStyle(ButtonStyle.Secondary)
+      .setDisabled(currentPage >= pageCount - 1)
+  );
+
+  return { embeds: [embed], components: [buttons] };
+}
+
+/**
+ * Build the detail view of a campaign
+ * @param {Object} campaign - The campaign to describe
+ * @param {string} locale - Locale of the user viewing it
+ * @returns {EmbedBuilder} The detail embed
+ */
+function buildCampaignDetailEmbed(campaign, locale) {
+  const { sent, failed, pending } = countRecipients(campaign);
+  const failedRecipients = campaign.recipients.filter((recipient) => recipient.status === 'failed');
+  const outcome = [
+    t(locale, 'history.sent', { count: sent }),
+    t(locale, 'history.failed', { count: failed }),
+    t(locale, 'history.pending', { count: pending }),
+  ];
+
+  const embed = new EmbedBuilder()
+    .setColor(0x3498db)
+    .setTitle(`📨 ${t(locale, 'common.campaign', { id: campaign.id })}`)
+    .addFields(
+      { name: t(locale, 'campaign.author'), value: `<@${campaign.authorId}> (${campaign.authorName})`, inline: true },
+      { name: t(locale, 'campaign.audience'), value: campaign.audienceName, inline: true },
+      { name: t(locale, 'campaign.status'), value: t(locale, `statuses.${campaign.status}`), inline: true },
+      { name: t(locale, 'campaign.started'), value: formatTimestamp(campaign.createdAt), inline: true },
+      { name: t(locale, 'campaign.completed'), value: campaign.completedAt ? formatTimestamp(campaign.completedAt) : '—', inline: true },
+      { name: t(locale, 'campaign.outcome'), value: outcome.join('\n'), inline: true },
+      { name: t(locale, 'campaign.message'), value: campaign.content.slice(0, 1024) }
+    )
+    .setFooter({ text: '🔧 Developed by @felipecaldass' });
+
+  if (campaign.variants && Object.keys(campaign.variants).length > 0) {
+    embed.addFields({ name: t(locale, 'campaign.languages'), value: [campaign.language, ...Object.keys(campaign.variants)].join(', '), inline: true });
+  }
+  if (getDelivery(campaign).mode !== 'dm') {
+    embed.addFields({ name: t(locale, 'campaign.delivery'), value: describeDelivery(getDelivery(campaign), locale), inline: true });
+  }
+
+  if (campaign.editedAt) {
+    embed.addFields({ name: t(locale, 'campaign.edited'), value: formatTimestamp(campaign.editedAt), inline: true });
+  }
+  if (campaign.recalledAt) {
+    embed.addFields({ name: t(locale, 'campaign.recalled'), value: formatTimestamp(campaign.recalledAt), inline: true });
+  }
+
+  const acknowledgements = campaign.acknowledgement && acknowledgementManager.get(campaign.id);
+  if (acknowledgements) {
+    const acknowledged = campaign.recipients
+      .filter((recipient) => recipient.status === 'sent' && acknowledgements.acknowledged[recipient.id]).length;
+    const lines = [t(locale, 'campaign.acknowledged', { count: acknowledged, total: sent, rate: sent > 0 ? Math.round((acknowledged / sent) * 100) : 0 })];
+    if (acknowledgements.nextReminderAt) {
+      lines.push(t(locale, 'campaign.nextReminder', { count: acknowledgements.reminders.length, date: formatTimestamp(acknowledgements.nextReminderAt) }));
+    } else if (campaign.acknowledgement.reminderHours) {
+      lines.push(t(locale, 'campaign.remindersSent', { count: acknowledgements.reminders.length }));
+    }
+    embed.addFields({ name: t(locale, 'campaign.acknowledgement'), value: lines.join('\n') });
+  }
+
+  if (campaign.approval?.reviewerId) {
+    const decision = t(locale, campaign.approval.status === 'approved' ? 'campaign.approvedBy' : 'campaign.rejectedBy', {
+      reviewer: `<@${campaign.approval.reviewerId}>`,
+      date: formatTimestamp(campaign.approval.reviewedAt),
+    });
+    const reason = campaign.approval.reason ? `\n${campaign.approval.reason.slice(0, 900)}` : '';
+    embed.addFields({ name: t(locale, 'campaign.approval'), value: `${decision}${reason}` });
+  }
+
+  if (failedRecipients.length > 0) {
+    // Keep the field below Discord's 1024 characters limit
+    const lines = [];
+    let length = 0;
+    for (const recipient of failedRecipients) {
+      const line = `• ${recipient.tag} (${t(locale, `reasons.${getFailureReason(recipient)}`)})`;
+      if (length + line.length + 30 > 1024) {
+        lines.push(t(locale, 'common.andMore', { count: failedRecipients.length - lines.length }));
+        break;
+      }
+      lines.push(line);
+      length += line.length + 1;
+    }
+    embed.addFields({ name: t(locale, 'campaign.failedRecipients'), value: lines.join('\n') });
+  }
+
+  return embed;
+}
+
+/**
+ * Edit the message where a campaign shows its status and report
+ * @param {Object} campaign - The campaign
+ * @param {Object} payload - The new message content
+ */
+async function updateCampaignMessage(campaign, payload) {
+  if (!campaign.messageId) return;
+
+  try {
+    const channel = await client.channels.fetch(campaign.channelId);
+    const message = await channel.messages.fetch(campaign.messageId);
+    await message.edit(payload);
+  } catch (error) {
+    logger.warn('Error updating the campaign message', { campaignId: campaign.id, error });
+  }
+}
+
+/**
+ * Deliver a campaign and replace its status message with the delivery report
+ * @param {Guild} guild - The guild the campaign belongs to
+ * @param {Object} campaign - The campaign to deliver
+ * @returns {Promise<Object>} The delivered campaign
+ */
+async function executeCampaign(guild, campaign) {
+  // Replace the preview buttons with the progress so the campaign cannot be started twice
+  await updateCampaignMessage(campaign, buildProgressMessage(campaign));
+  // Members may acknowledge the message as soon as they receive it
+  if (campaign.acknowledgement) acknowledgementManager.track(campaign);
+
+  // The ETA is based on the pace of this run, so it adapts to rate limits and pauses
+  const startedAt = Date.now();
+  const pendingAtStart = countRecipients(campaign).pending;
+  let lastUpdateAt = startedAt;
+  // Progress edits are chained so none of them can overwrite the final report
+  let progressUpdates = Promise.resolve();
+
+  await deliverCampaign(guild, campaign, () => {
+    if (Date.now() - lastUpdateAt < PROGRESS_INTERVAL_MS || campaign.status !== 'running') return;
+    lastUpdateAt = Date.now();
+
+    const { pending } = countRecipients(campaign);
+    const done = pendingAtStart - pending;
+    const etaMs = done > 0 ? ((Date.now() - startedAt) / done) * pending : null;
+    progressUpdates = progressUpdates.then(() => updateCampaignMessage(campaign, buildProgressMessage(campaign, etaMs)));
+  });
+  await progressUpdates;
+  recordCampaignCompleted(campaign);
+  if (campaign.acknowledgement && campaign.status === 'completed') acknowledgementManager.scheduleReminders(campaign.id);
+
+  await updateCampaignMessage(campaign, buildReportMessage(campaign));
+
+  // Keep a copy of every report in the report channel of the server
+  const { reportChannelId } = guildConfigManager.get(guild.id);
+  if (reportChannelId && reportChannelId !== campaign.channelId) {
+    try {
+      const reportChannel = await client.channels.fetch(reportChannelId);
+      const language = getGuildLanguage(guild.id);
+      await reportChannel.send({
+        ...buildReportMessage(campaign, language),
+        content: t(language, 'report.copy', { id: campaign.id, author: `<@${campaign.authorId}>`, audience: campaign.audienceName }),
+        allowedMentions: { parse: [] },
+      });
+    } catch (error) {
+      logger.warn('Error posting the campaign report', { campaignId: campaign.id, channelId: reportChannelId, error });
+    }
+  }
+
+  return campaign;
+}
+
+/**
+ * Check whether the messages of a campaign can be edited or recalled
+ * @param {Object} campaign - The campaign
+ * @returns {string|null} Catalog key of the reason they cannot, or null if they can
+ */
+function getRevisionError(campaign) {
+  if (!['completed', 'aborted'].includes(campaign.status)) return 'revision.notDelivered';
+  if (campaign.recalledAt) return 'revision.alreadyRecalled';
+  // An edit waiting for approval must be reviewed before the broadcast is changed again
+  const pending = revisionStore.list((revision) => revision.campaignId === campaign.id && ['running', 'pending_approval'].includes(revision.status));
+  if (pending.length > 0) return 'revision.inProgress';
+
+  // Campaigns sent before message IDs were recorded cannot be changed
+  const hasMessages = campaign.recipients.some((recipient) => recipient.messageId)
+    || Object.keys(getDelivery(campaign).posts).length > 0;
+  return hasMessages ? null : 'revision.noMessages';
+}
+
+/**
+ * Store the edit or the recall of the messages of a campaign
+ * @param {Object} campaign - The campaign
+ * @param {string} action - "edit" or "recall"
+ * @param {Object} details - ID, author, locale, status message and new content of the revision
+ * @returns {Object} The stored revision, with one recipient per message sent to a member
+ */
+function createRevision(campaign, action, details) {
+  return revisionStore.create({
+    ...details,
+    campaignId: campaign.id,
+    guildId: campaign.guildId,
+    action,
+    posts: Object.entries(getDelivery(campaign).posts).map(([channelId, messageId]) => ({ channelId, messageId, status: 'pending' })),
+    recipients: campaign.recipients
+      .filter((recipient) => recipient.messageId)
+      .map(({ id, tag, via, messageId, messageChannelId }) => ({ id, tag, via, messageId, messageChannelId })),
+  });
+}
+
+/**
+ * Build the message showing the progress of an edit or a recall
+ * @param {Object} revision - The revision being applied
+ * @returns {{content: string, embeds: EmbedBuilder[], components: ActionRowBuilder[]}} The message payload
+ */
+function buildRevisionProgress(revision) {
+  const { locale, action } = revision;
+  const { sent, failed, pending } = countRecipients(revision);
+  const total = revision.recipients.length;
+
+  const embed = new EmbedBuilder()
+    .setColor(0x3498db)
+    .setTitle(t(locale, `revision.${action}ProgressTitle`))
+    .setDescription(`${t(locale, `revision.${action}Progress`, { count: total })}\n\n${buildProgressBar(sent + failed, total)}`)
+    .addFields(
+      { name: t(locale, `revision.${action}Done`), value: String(sent), inline: true },
+      { name: t(locale, 'progress.failed'), value: String(failed), inline: true },
+      { name: t(locale, 'progress.remaining'), value: String(pending), inline: true }
+    )
+    .setFooter({ text: `${t(locale, 'common.campaign', { id: revision.campaignId })} • 🔧 Developed by @felipecaldass` });
+
+  return { content: '', embeds: [embed], components: [] };
+}
+
+/**
+ * Build the report of a finished edit or recall
+ * The outcome of every message is attached as CSV.
+ *
+ * @param {Object} revision - The applied revision
+ * @returns {{content: string, embeds: EmbedBuilder[], files: AttachmentBuilder[], components: ActionRowBuilder[]}} The message payload
+ */
+function buildRevisionReport(revision) {
+  const { locale, action } = revision;
+  const { sent, failed } = countRecipients(revision);
+
+  const lines = [t(locale, `revision.${action}Report`, { count: sent })];
+  if (failed > 0) lines.push(t(locale, 'revision.failed', { count: failed }));
+
+  const embed = new EmbedBuilder()
+    .setColor(failed > 0 ? 0xffa500 : 0x00ff00)
+    .setTitle(t(locale, `revision.${action}ReportTitle`))
+    .setDescription(lines.join('\n'))
+    .setFooter({ text: `${t(locale, 'common.campaign', { id: revision.campaignId })} • 🔧 Developed by @felipecaldass` });
+
+  if (revision.posts.length > 0) {
+    const posts = revision.posts.map((post) => `• <#${post.channelId}>: ${t(locale, post.status === 'sent' ? `revision.${action}Done` : 'revision.postFailed')}`);
+    embed.addFields({ name: t(locale, 'revision.posts'), value: posts.join('\n') });
+  }
+  if (failed > 0) {
+    const reasons = Object.entries(countFailureReasons(revision))
+      .map(([reason, count]) => `• ${t(locale, `reasons.${reason}`)}: **${count}**`);
+    embed.addFields({ name: t(locale, 'report.reasons'), value: reasons.join('\n') });
+  }
+  if (action === 'edit') {
+    embed.addFields({ name: t(locale, 'report.message'), value: revision.content.slice(0, 1024) });
+  }
+
+  const files = [new AttachmentBuilder(Buffer.from(buildReportCsv(revision)), { name: `revision-${revision.id}.csv` })];
+  return { content: '', embeds: [embed], files, components: [] };
+}
+
+/**
+ * Apply an edit or a recall to the messages of a campaign
+ * The posts in target channels are handled first, then the messages sent to
+ * each member go through the revision queue, paced like the campaign. The
+ * campaign already holds the new content, so the edited messages are built
+ * from it, in each member's language.
+ *
+ * @param {Guild} guild - The guild the campaign belongs to
+ * @param {Object} revision - The revision to apply
+ * @returns {Promise<Object>} The revision with the outcome of every message
+ */
+async function executeRevision(guild, revision) {
+  const campaign = campaignStore.get(revision.campaignId);
+  const recall = revision.action === 'recall';
+  await updateCampaignMessage(revision, buildRevisionProgress(revision));
+
+  for (const post of revision.posts.filter((entry) => entry.status === 'pending')) {
+    try {
+      const channel = await client.channels.fetch(post.channelId);
+      const message = await channel.messages.fetch(post.messageId);
+      if (recall) {
+        await message.delete();
+      } else {
+        const { embeds, components } = buildChannelPayload(guild, campaign);
+        await message.edit({ embeds, components });
+      }
+      post.status = 'sent';
+    } catch (error) {
+      post.status = 'failed';
+      post.error = error.message;
+      logger.warn('Channel post not revised', { campaignId: campaign.id, revisionId: revision.id, channelId: post.channelId, error });
+    }
+    revisionStore.save(revision);
+  }
+
+  let lastUpdateAt = Date.now();
+  // Progress edits are chained so none of them can overwrite the final report
+  let progressUpdates = Promise.resolve();
+
+  await revisionQueue.run(revision, async (recipient) => {
+    const channel = await client.channels.fetch(recipient.messageChannelId);
+    const message = await channel.messages.fetch(recipient.messageId);
+    if (recall) {
+      await message.delete();
+      return;
+    }
+
+    // Attachments are left as they are, only the embed and the buttons change
+    const member = await guild.members.fetch(recipient.id);
+    const { embeds, components } = buildBroadcastPayload(member, campaign);
+    await message.edit({ embeds, components });
+  }, {
+    ...guildConfigManager.get(guild.id).rateLimits,
+    onProgress: () => {
+      if (Date.now() - lastUpdateAt < PROGRESS_INTERVAL_MS) return;
+      lastUpdateAt = Date.now();
+      progressUpdates = progressUpdates.then(() => updateCampaignMessage(revision, buildRevisionProgress(revision)));
+    },
+  });
+  await progressUpdates;
+
+  const { sent, failed } = countRecipients(revision);
+  logger.info(recall ? 'Campaign recalled' : 'Campaign edited', { campaignId: campaign.id, revisionId: revision.id, revised: sent, failed });
+  await updateCampaignMessage(revision, buildRevisionReport(revision));
+  return revision;
+}
+
+/**
+ * Build the embed posted in the review channel for a campaign waiting for approval
+ * The review channel is shared by the staff, so the embed uses the language of the server.
+ *
+ * @param {Object} campaign - The campaign to review
+ * @param {Object|null} [revision] - The edit to review, whose new text replaces the one of the campaign
+ * @returns {EmbedBuilder} The review embed
+ */
+function buildApprovalEmbed(campaign, revision = null) {
+  const language = getGuildLanguage(campaign.guildId);
+  const { content, variants } = revision ?? campaign;
+  const description = revision
+    ? t(language, 'approval.editDescription', { author: `<@${revision.authorId}>`, count: revision.recipients.length + revision.posts.length })
+    : t(language, 'approval.description', {
+      author: `<@${campaign.authorId}>`,
+      count: campaign.recipients.filter((recipient) => recipient.status === 'pending').length,
+    });
+  const embed = new EmbedBuilder()
+    .setColor(0xf1c40f)
+    .setTitle(t(language, revision ? 'approval.editTitle' : 'approval.title'))
+    .setDescription(description)
+    .addFields(
+      { name: t(language, 'approval.campaign'), value: campaign.id, inline: true },
+      { name: t(language, 'campaign.audience'), value: campaign.audienceName, inline: true },
+      { name: t(language, 'campaign.message'), value: content.slice(0, 1024) }
+    )
+    .setFooter({ text: '🔧 Developed by @felipecaldass' });
+
+  if (getDelivery(campaign).mode !== 'dm') {
+    embed.addFields({ name: t(language, 'campaign.delivery'), value: describeDelivery(getDelivery(campaign), language), inline: true });
+  }
+
+  Object.entries(variants ?? {}).forEach(([variantLanguage, content]) => {
+    embed.addFields({ name: `🌐 ${variantLanguage}`, value: content.slice(0, 1024) });
+  });
+  if (campaign.attachments?.length > 0) {
+    embed.addFields({ name: t(language, 'approval.attachments'), value: campaign.attachments.map((file) => file.name).join(', ') });
+  }
+  if (campaign.scheduleId) {
+    embed.addFields({ name: t(language, 'approval.schedule'), value: campaign.scheduleId, inline: true });
+  }
+
+  return embed;
+}
+
+/**
+ * Post a campaign in the review channel and wait for another staff member to approve it
+ * An edit of a delivered campaign is reviewed the same way, before its text reaches the members.
+ *
+ * @param {Object} campaign - The campaign waiting for approval
+ * @param {Object|null} [revision] - The edit waiting for approval, stored as "pending_approval"
+ */
+async function requestApproval(campaign, revision = null) {
+  const { threshold, channelId } = guildConfigManager.get(campaign.guildId).approval;
+  const language = getGuildLanguage(campaign.guildId);
+  const channel = await client.channels.fetch(channelId);
+  // Edits are reviewed by the ID of their revision, so the buttons tell them from the campaign
+  const reviewed = revision ?? campaign;
+  const buttons = new ActionRowBuilder().addComponents(
+    new ButtonBuilder()
+      .setCustomId(`approval_approve_${reviewed.id}`)
+      .setLabel(t(language, 'approval.approve'))
+      .setStyle(ButtonStyle.Success),
+    new ButtonBuilder()
+      .setCustomId(`approval_reject_${reviewed.id}`)
+      .setLabel(t(language, 'approval.reject'))
+      .setStyle(ButtonStyle.Danger)
+  );
+
+  const reviewMessage = await channel.send({ embeds: [buildApprovalEmbed(campaign, revision)], components: [buttons] });
+
+  reviewed.approval = {
+    status: 'pending',
+    requestedAt: new Date().toISOString(),
+    reviewChannelId: channel.id,
+    reviewMessageId: reviewMessage.id,
+  };
+  (revision ? revisionStore : campaignStore).save(reviewed);
+  auditLog.record('campaign.approval_requested', {
+    campaignId: campaign.id,
+    guildId: campaign.guildId,
+    authorId: reviewed.authorId,
+    ...(revision && { revisionId: revision.id }),
+  });
+
+  await updateCampaignMessage(reviewed, {
+    content: revision
+      ? t(revision.locale, 'approval.editPending', { channel: `<#${channel.id}>` })
+      : t(campaign.locale, 'approval.pending', { threshold, channel: `<#${channel.id}>` }),
+    embeds: [],
+    components: [],
+  });
+}
+
+/**
+ * Check whether an edit of a delivered campaign must be approved before it is applied
+ * Campaigns that were approved before being sent, or that would need approval now, are reviewed again.
+ *
+ * @param {Object} campaign - The delivered campaign
+ * @returns {boolean} True if the edit must be approved
+ */
+function requiresEditApproval(campaign) {
+  const { threshold, channelId } = guildConfigManager.get(campaign.guildId).approval;
+  if (threshold <= 0 || !channelId) return false;
+  return Boolean(campaign.approval) || requiresApproval(campaign.guildId, campaign.recipients);
+}
+
+/**
+ * Let the author of a campaign know about a decision on it
+ * @param {Object} campaign - The reviewed campaign
+ * @param {EmbedBuilder} embed - The notification
+ */
+async function notifyCampaignAuthor(campaign, embed) {
+  try {
+    const author = await client.users.fetch(campaign.authorId);
+    await author.send({ embeds: [embed] });
+  } catch (error) {
+    logger.warn('Error notifying the campaign author', { campaignId: campaign.id, userId: campaign.authorId, error });
+  }
+}
+
+/**
+ * Get the staff thread of a member, opening it in the relay channel if needed
+ * Replies sent while the thread is being opened wait for it instead of opening another one.
+ *
+ * @param {Guild} guild - The guild of the relay channel
+ * @param {string} relayChannelId - The relay channel
+ * @param {User} user - The member replying
+ * @returns {Promise<ThreadChannel>} The thread of the member
+ */
+async function getRelayThread(guild, relayChannelId, user) {
+  const key = `${guild.id}:${user.id}`;
+  if (!relayThreadsOpening.has(key)) {
+    const opening = openRelayThread(guild, relayChannelId, user)
+      .finally(() => relayThreadsOpening.delete(key));
+    relayThreadsOpening.set(key, opening);
+  }
+  return relayThreadsOpening.get(key);
+}
+
+/**
+ * Fetch the staff thread of a member, or open it in the relay channel
+ * Only called by getRelayThread, which shares the pending lookup between the replies of a member.
+ *
+ * @param {Guild} guild - The guild of the relay channel
+ * @param {string} relayChannelId - The relay channel
+ * @param {User} user - The member replying
+ * @returns {Promise<ThreadChannel>} The thread of the member
+ */
+async function openRelayThread(guild, relayChannelId, user) {
+  const threadId = relayManager.getThreadId(guild.id, user.id);
+  const existing = threadId && await client.channels.fetch(threadId).catch(() => null);
+
+  if (existing) {
+    if (existing.archived) await existing.setArchived(false);
+    return existing;
+  }
+
+  const channel = await client.channels.fetch(relayChannelId);
+  const thread = await channel.threads.create({
+    name: `📨 ${user.tag}`.slice(0, 100),
+    autoArchiveDuration: ThreadAutoArchiveDuration.OneWeek,
+    reason: t(getGuildLanguage(guild.id), 'relay.threadReason', { user: user.tag }),
+  });
+
+  relayManager.setThreadId(guild.id, user.id, thread.id);
+  return thread;
+}
+
+/**
+ * Relay a DM sent to the bot to the staff thread of the member
+ * Only replies of members who received a broadcast are relayed, tagged with the last
+ * campaign they received, and only if their server configured a relay channel.
+ *
+ * @param {Message} message - The DM
+ */
+async function relayMemberReply(message) {
+  const lastCampaign = relayManager.getLastCampaign(message.author.id);
+  if (!lastCampaign) return;
+
+  const guild = client.guilds.cache.get(lastCampaign.guildId);
+  const { relayChannelId } = guild ? guildConfigManager.get(guild.id) : {};
+  if (!relayChannelId) return;
+
+  const thread = await getRelayThread(guild, relayChannelId, message.author);
+  const language = getGuildLanguage(guild.id);
+
+  const embed = new EmbedBuilder()
+    .setColor(0x3498db)
+    .setAuthor({ name: message.author.tag, iconURL: message.author.displayAvatarURL() })
+    .setDescription(message.content || t(language, 'relay.noText'))
+    .addFields({ name: t(language, 'relay.campaign'), value: lastCampaign.campaignId, inline: true })
+    .setFooter({ text: t(language, 'relay.userId', { id: message.author.id }) })
+    .setTimestamp(message.createdAt);
+
+  if (message.attachments.size > 0) {
+    embed.addFields({
+      name: t(language, 'relay.attachments'),
+      value: message.attachments.map((attachment) => `[${attachment.name}](${attachment.url})`).join('\n').slice(0, 1024),
+    });
+  }
+
+  const replyButton = new ActionRowBuilder().addComponents(
+    new ButtonBuilder()
+      .setCustomId(`relay_reply_${message.author.id}`)
+      .setLabel(t(language, 'relay.reply'))
+      .setStyle(ButtonStyle.Primary)
+  );
+
+  await thread.send({ embeds: [embed], components: [replyButton] });
+  auditLog.record('relay.received', { guildId: guild.id, userId: message.author.id, campaignId: lastCampaign.campaignId, threadId: thread.id });
+
+  // Let the member know their reply reached the staff
+  await message.react('📨').catch(() => null);
+  logger.info('Member reply relayed', { guildId: guild.id, userId: message.author.id, campaignId: lastCampaign.campaignId });
+}
+
+/**
+ * Build an embed describing a scheduled broadcast
+ * @param {Object} schedule - The schedule to describe
+ * @param {string} titleKey - Catalog key of the title of the embed
+ * @param {string} locale - Locale of the reader
+ * @returns {EmbedBuilder} The schedule embed
+ */
+function buildScheduleEmbed(schedule, titleKey, locale) {
+  return new EmbedBuilder()
+    .setColor(0x9b59b6)
+    .setTitle(t(locale, titleKey))
+    .addFields(
+      { name: t(locale, 'schedule.id'), value: schedule.id ?? '—', inline: true },
+      { name: t(locale, 'campaign.audience'), value: schedule.audienceName, inline: true },
+      { name: t(locale, 'schedule.repeat'), value: t(locale, `schedule.repeats.${schedule.repeat}`), inline: true },
+      { name: t(locale, 'schedule.topic'), value: schedule.topic ?? t(locale, 'common.none'), inline: true },
+      { name: t(locale, 'schedule.nextDelivery'), value: `${formatTimestamp(schedule.nextRunAt)} (${schedule.timeZone})`, inline: false },
+      { name: t(locale, 'campaign.message'), value: schedule.content.slice(0, 1024) }
+    )
+    .setFooter({ text: '🔧 Developed by @felipecaldass' });
+}
+
+/**
+ * Deliver a scheduled broadcast when it is due
+ * Goes through the same campaign and delivery queue path as the confirm button,
+ * posting the report in the channel where the broadcast was scheduled.
+ *
+ * @param {Object} schedule - The due schedule
+ */
+async function runScheduledBroadcast(schedule) {
+  const guild = client.guilds.cache.get(schedule.guildId);
+  if (!guild) {
+    logger.error('Cannot run schedule: server not found', { scheduleId: schedule.id, guildId: schedule.guildId });
+    return;
+  }
+
+  await guild.members.fetch();
+  const channel = await client.channels.fetch(schedule.channelId).catch(() => null);
+  // Schedules created before localisation have no locale and use the language of the server
+  const locale = schedule.locale ?? getGuildLanguage(guild.id);
+
+  if (findMissingRoles(guild, schedule.audience).length > 0) {
+    logger.error('Cannot run schedule: role not found', { scheduleId: schedule.id, guildId: guild.id });
+    await channel?.send(t(locale, 'schedule.roleMissing', { id: schedule.id }));
+    return;
+  }
+
+  // The safety rules may have been tightened since the schedule was created.
+  // Warnings were acknowledged when it was confirmed, errors still block it
+  const config = guildConfigManager.get(guild.id);
+  const safety = checkContent({ [config.language]: schedule.content }, config.safety);
+  if (safety.errors.length > 0) {
+    const issues = safety.errors.map(({ key }) => key);
+    logger.warn('Scheduled broadcast skipped by the content safety checks', { scheduleId: schedule.id, guildId: guild.id, issues });
+    auditLog.record('schedule.skipped', { scheduleId: schedule.id, guildId: guild.id, userId: schedule.authorId, safety: issues });
+    await channel?.send({
+      content: t(locale, 'schedule.safetyBlocked', {
+        user: `<@${schedule.authorId}>`,
+        id: schedule.id,
+        issues: formatSafetyIssues(safety.errors, locale),
+      }),
+      allowedMentions: { users: [schedule.authorId] },
+    });
+    return;
+  }
+
+  // The quotas are checked when the schedule fires, as no one confirms the send.
+  // A skipped run is not retried, recurring schedules try again at their next run
+  const recipients = countQuotaDms(resolveRecipients(guild, schedule.audience, schedule.topic ?? null).members, getDelivery(schedule));
+  const quotas = checkBroadcastQuotas(guild, { authorId: schedule.authorId, audience: schedule.audience, recipients }, true);
+  if (quotas.exceeded.length > 0) {
+    const exceeded = quotas.exceeded.map(({ key }) => key);
+    quotaRefusals.inc();
+    logger.warn('Scheduled broadcast skipped by the sending quotas', { scheduleId: schedule.id, guildId: guild.id, exceeded });
+    auditLog.record('schedule.skipped', { scheduleId: schedule.id, guildId: guild.id, userId: schedule.authorId, exceeded });
+    await channel?.send({
+      content: t(locale, 'schedule.quotaExceeded', {
+        user: `<@${schedule.authorId}>`,
+        id: schedule.id,
+        issues: formatQuotaIssues(guild, quotas.exceeded, locale),
+      }),
+      allowedMentions: { users: [schedule.authorId] },
+    });
+    return;
+  }
+
+  const statusMessage = await channel?.send(t(locale, 'schedule.sending', { id: schedule.id, audience: schedule.audienceName }));
+
+  const campaign = createCampaign(guild, schedule.audience, {
+    id: `${schedule.id}-${Date.now()}`,
+    authorId: schedule.authorId,
+    authorName: schedule.authorName,
+    content: schedule.content,
+    language: getGuildLanguage(guild.id),
+    locale,
+    topic: schedule.topic ?? null,
+    channelId: schedule.channelId,
+    messageId: statusMessage?.id ?? null,
+    scheduleId: schedule.id,
+    // Delivered the way its quotas were counted, schedules without delivery settings send DMs
+    delivery: getDelivery(schedule),
+  });
+  scheduleManager.update(schedule.id, { campaignIds: [...schedule.campaignIds, campaign.id] });
+
+  if (campaign.status === 'pending_approval') {
+    await requestApproval(campaign);
+    logger.info('Scheduled broadcast waiting for approval', { scheduleId: schedule.id, campaignId: campaign.id });
+    return;
+  }
+
+  await executeCampaign(guild, campaign);
+  logger.info('Scheduled broadcast delivered', { scheduleId: schedule.id, campaignId: campaign.id });
+}
+
+/**
+ * List the recipients of a campaign who can be reminded to acknowledge it
+ * Members reached in a channel or a fallback thread were not sent a DM, so
+ * they are not reminded by DM either.
+ *
+ * @param {Object} campaign - The campaign, asking for acknowledgement
+ * @returns {Object[]} The recipients reached by DM who did not acknowledge it yet
+ */
+function listUnacknowledged(campaign) {
+  return campaign.recipients.filter((recipient) => recipient.status === 'sent'
+    && (recipient.via ?? 'dm') === 'dm'
+    && !acknowledgementManager.getAcknowledgedAt(campaign.id, recipient.id));
+}
+
+/**
+ * Remind the members who did not acknowledge a campaign yet
+ * The broadcast is sent again with its acknowledgement button, paced like the campaign.
+ * Members who unsubscribed since are left alone.
+ *
+ * @param {string} campaignId - Campaign ID
+ */
+async function sendAcknowledgementReminders(campaignId) {
+  const campaign = campaignStore.get(campaignId);
+  const guild = campaign && client.guilds.cache.get(campaign.guildId);
+  if (!guild) {
+    logger.error('Cannot send acknowledgement reminders: campaign or server not found', { campaignId });
+    acknowledgementManager.stopReminders(campaignId);
+    return;
+  }
+
+  const pending = listUnacknowledged(campaign)
+    .filter((recipient) => !subscriptionManager.isOptedOut(guild.id, recipient.id, campaign.topic));
+  if (pending.length === 0) {
+    acknowledgementManager.stopReminders(campaignId);
+    return;
+  }
+
+  const { delayMs } = guildConfigManager.get(guild.id).rateLimits;
+  let reminded = 0;
+  for (const recipient of pending) {
+    try {
+      const member = await guild.members.fetch(recipient.id);
+      await member.send({
+        ...buildBroadcastPayload(member, campaign),
+        content: t(getRecipientLanguage(member, campaign), 'acknowledgement.reminder', { server: guild.name }),
+        // The files came with the broadcast itself
+        files: [],
+      });
+      reminded++;
+      remindersSent.inc();
+    } catch (error) {
+      logger.debug('Acknowledgement reminder not delivered', { campaignId, userId: recipient.id, error });
+    }
+    if (delayMs > 0) await new Promise((resolve) => setTimeout(resolve, delayMs));
+  }
+
+  logger.info('Acknowledgement reminders sent', { campaignId, reminded, pending: pending.length });
+}
+
+/**
+ * Resume campaigns that were interrupted by a restart
+ * Recipients already reached are skipped, and the original preview message
+ * is updated with the report once the campaign finishes.
+ * Campaigns are resumed one after the other, each read again when its turn
+ * comes, so one paused or aborted while waiting is not delivered.
+ */
+async function resumeUnfinishedCampaigns() {
+  for (const { id } of campaignStore.listUnfinished()) {
+    const campaign = campaignStore.get(id);
+    if (campaign?.status !== 'running') {
+      logger.info('Campaign not resumed, it was stopped while waiting', { campaignId: id, status: campaign?.status });
+      continue;
+    }
+
+    const guild = client.guilds.cache.get(campaign.guildId);
+    if (!guild) {
+      logger.error('Cannot resume campaign: server not found', { campaignId: campaign.id, guildId: campaign.guildId });
+      continue;
+    }
+
+    // A campaign that cannot be resumed must not keep the next ones from resuming
+    try {
+      const remaining = campaign.recipients.filter((recipient) => recipient.status === 'pending').length;
+      logger.info('Resuming campaign', { campaignId: campaign.id, remaining });
+      auditLog.record('campaign.resumed', { campaignId: campaign.id, guildId: campaign.guildId, remaining });
+
+      await executeCampaign(guild, campaign);
+    } catch (error) {
+      logger.error('Error resuming campaign', { campaignId: campaign.id, guildId: campaign.guildId, error });
+    }
+  }
+}
+
+
+/**
+ * Resume the edits and recalls that were interrupted by a restart
+ * Revisions of a deleted campaign are stopped, as there is nothing to apply.
+ */
+async function resumeUnfinishedRevisions() {
+  for (const revision of revisionStore.listUnfinished()) {
+    const guild = client.guilds.cache.get(revision.guildId);
+    if (!guild) {
+      logger.error('Cannot resume revision: server not found', { revisionId: revision.id, guildId: revision.guildId });
+      continue;
+    }
+
+    // A revision that cannot be resumed must not keep the next ones from resuming
+    try {
+      if (!campaignStore.get(revision.campaignId)) {
+        logger.error('Cannot resume revision: campaign not found', { revisionId: revision.id, campaignId: revision.campaignId });
+        revision.status = 'aborted';
+        revision.completedAt = new Date().toISOString();
+        revisionStore.save(revision);
+        continue;
+      }
 
+      logger.info('Resuming revision', { revisionId: revision.id, campaignId: revision.campaignId });
+      await executeRevision(guild, revision);
+    } catch (error) {
+      logger.error('Error resuming revision', { revisionId: revision.id, campaignId: revision.campaignId, error });
+    }
+  }
+}
 
 /**
- * Event handler for when the bot is ready and connected to Discord
- * Initializes slash commands and verifies the bot can access the specified guild
+ * Get the roles a staff member may send messages to
+ * @param {GuildMember} member - The staff member
+ * @returns {string[]|null} The allowed role IDs, or null if any role may be targeted
  */
-client.once('ready', async () => {
-  console.log(`✅ Bot connected as ${client.user.tag}!`);
+function getTargetableRoleIds(member) {
+  const roleIds = permissionManager.getTargetableRoleIds(member);
+  return roleIds && [...roleIds];
+}
 
-  // Verify the bot can access the specified guild
-  const guild = client.guilds.cache.get(GUILD_ID);
-  if (!guild) {
-    console.error('❌ Server not found. Check the GUILD_ID.');
-    return;
+/**
+ * Fetch a preview message from its stored reference
+ * @param {{channelId: string, id: string}} reference - Channel and ID of the message
+ * @returns {Promise<Message|null>} The message, or null if it was deleted
+ */
+async function fetchPreviewMessage(reference) {
+  try {
+    const channel = await client.channels.fetch(reference.channelId);
+    return await channel.messages.fetch(reference.id);
+  } catch (error) {
+    return null;
   }
+}
 
-  // Define slash commands for the bot
-  const commands = [
+/**
+ * Clean up a draft that cannot be restored after a restart
+ * @param {string} userId - Discord user ID of the author
+ * @param {Object} state - The discarded draft
+ */
+function discardDraft(userId, state) {
+  if (state.attachmentDir) deleteAttachments(state.attachmentDir);
+  logger.info('Draft discarded: its preview message no longer exists', { userId });
+}
+
+/**
+ * Close a draft left idle for too long
+ * The preview is replaced with a notice, then deleted like a cancelled interaction.
+ *
+ * @param {string} userId - Discord user ID of the author
+ * @param {Object} state - The expired draft
+ */
+async function expireDraft(userId, state) {
+  if (state.attachmentDir) deleteAttachments(state.attachmentDir);
+  logger.info('Draft expired', { userId });
+  if (!state.previewMessage) return;
+
+  await state.previewMessage.edit({
+    content: t(state.locale, 'drafts.expired', { minutes: Math.round(interactionManager.idleTimeoutMs / 60000) }),
+    embeds: [],
+    components: [],
+  });
+
+  setTimeout(() => {
+    state.previewMessage.delete().catch((error) => logger.warn('Error deleting message', { error }));
+  }, 15000);
+}
+
+/**
+ * Define the slash commands of the bot
+ * @returns {SlashCommandBuilder[]} The commands registered in every served guild
+ */
+function buildCommands() {
+  return [
     // /message command - Initiates the process of sending a message to a role
     new SlashCommandBuilder()
       .setName('message')
-      .setDescription('📜 Prepares a message to send to a specific role.')
+      .setDescription('📜 Prepares a message to send to one or more roles.')
       .addStringOption((option) =>
         option
           .setName('content')
           .setDescription('✉️ The message you want to send.')
           .setRequired(true)
+      )
+      .addAttachmentOption((option) =>
+        option.setName('attachment').setDescription('📎 A file to send with the message.').setRequired(false)
+      )
+      .addAttachmentOption((option) =>
+        option.setName('attachment2').setDescription('📎 Another file to send with the message.').setRequired(false)
+      )
+      .addAttachmentOption((option) =>
+        option.setName('attachment3').setDescription('📎 Another file to send with the message.').setRequired(false)
+      )
+      .addStringOption((option) =>
+        option.setName('topic').setDescription('🏷️ Topic of the message, members can unsubscribe from it.').setMaxLength(32).setRequired(false)
+      )
+      .addAttachmentOption((option) =>
+        option.setName('user-list').setDescription('👥 CSV or text file of user IDs to message, instead of or with roles.').setRequired(false)
+      )
+      .addStringOption((option) =>
+        option
+          .setName('delivery')
+          .setDescription('📮 How the message reaches the members, by DM if omitted.')
+          .setRequired(false)
+          .addChoices(
+            { name: '📬 Direct messages', value: 'dm' },
+            { name: '📢 Post in channels', value: 'channels' },
+            { name: '🧵 DMs, mention in a channel when DMs are closed', value: 'dm_fallback' }
+          )
+      )
+      .addBooleanOption((option) =>
+        option.setName('acknowledgement').setDescription('✅ Ask members to confirm they read the message.').setRequired(false)
+      )
+      .addIntegerOption((option) =>
+        option
+          .setName('ack-reminder')
+          .setDescription('🔔 Remind members who did not confirm after this many hours.')
+          .setMinValue(1)
+          .setMaxValue(168)
+          .setRequired(false)
       ),
     
     // /cancel command - Cancels an active interaction
@@ -137,511 +2372,840 @@ client.once('ready', async () => {
       .setName('cancel')
       .setDescription('❌ Cancels the active interaction if you have lost control of it.'),
     
-    // /help command - Shows available commands
+    // /history command - Lists past campaigns or shows the details of one
     new SlashCommandBuilder()
-      .setName('help')
-      .setDescription('❓ Shows the list of available commands and their functionalities.'),
-  ];
+      .setName('history')
+      .setDescription('🗂️ Shows the history of sent campaigns.')
+      .addStringOption((option) =>
+        option
+          .setName('campaign')
+          .setDescription('🔎 ID of a campaign to show in detail.')
+          .setRequired(false)
+      )
+      .addIntegerOption((option) =>
+        option
+          .setName('page')
+          .setDescription('📄 Page of the history to show.')
+          .setMinValue(1)
+          .setRequired(false)
+      ),
 
-  // Register the commands with Discord
-  await guild.commands.set(commands);
-  console.log('✅ Commands registered successfully!');
-});
+    // /broadcast command - Edits or recalls the messages of a delivered broadcast
+    new SlashCommandBuilder()
+      .setName('broadcast')
+      .setDescription('📨 Changes a broadcast that was already delivered.')
+      .addSubcommand((subcommand) =>
+        subcommand
+          .setName('edit')
+          .setDescription('✏️ Edits the delivered messages of a broadcast.')
+          .addStringOption((option) =>
+            option.setName('campaign').setDescription('🔎 ID of the campaign to edit.').setRequired(true)
+          )
+      )
+      .addSubcommand((subcommand) =>
+        subcommand
+          .setName('recall')
+          .setDescription('🗑️ Deletes the delivered messages of a broadcast.')
+          .addStringOption((option) =>
+            option.setName('campaign').setDescription('🔎 ID of the campaign to recall.').setRequired(true)
+          )
+      ),
 
-/**
- * Main interaction handler for all Discord interactions
- * This event fires whenever a user interacts with the bot through commands or buttons
- */
-client.on('interactionCreate', async (interaction) => {
-  try {
-    const guild = interaction.guild;
-    const authorId = interaction.user.id;
-
-    /**
-     * Handler for the /help command
-     * Displays an embed with information about all available commands
-     */
-    if (interaction.isCommand() && interaction.commandName === 'help') {
-      const helpEmbed = new EmbedBuilder()
-        .setColor(0x2ecc71)
-        .setTitle('📚 **Command List**')
-        .setDescription('Here are all the commands available in the bot:')
-        .addFields(
-
-          {
-            name: '📝 **/message**',
-            value: 'Sends a message to a specific role (staff only)',
-            inline: false
-          },
-          {
-            name: '❌ **/cancel**',
-            value: 'Cancels an active mass message interaction (staff only)',
-            inline: false
-          }
-        )
-        .setFooter({ text: '🔧 Developed by @felipecaldass | Use commands wisely!' })
-        .setTimestamp();
-
-      await interaction.reply({ embeds: [helpEmbed], ephemeral: true });
-      return;
-    }
+    // /schedule command - Manages broadcasts delivered at a later date
+    new SlashCommandBuilder()
+      .setName('schedule')
+      .setDescription('⏰ Schedules a message to one or more roles for a later date.')
+      .addSubcommand((subcommand) =>
+        subcommand
+          .setName('create')
+          .setDescription('⏰ Schedules a new message.')
+          .addRoleOption((option) =>
+            option.setName('role').setDescription('👥 The role that will receive the message.').setRequired(true)
+          )
+          .addStringOption((option) =>
+            option.setName('content').setDescription('✉️ The message you want to send.').setRequired(true)
+          )
+          .addStringOption((option) =>
+            option.setName('at').setDescription('📅 Delivery date and time, as YYYY-MM-DD HH:mm.').setRequired(true)
+          )
+          .addStringOption((option) =>
+            option.setName('timezone').setDescription('🌍 Timezone of the date, e.g. America/Sao_Paulo.').setRequired(false)
+          )
+          .addStringOption((option) =>
+            option
+              .setName('repeat')
+              .setDescription('🔁 Repeat the message on a regular basis.')
+              .setRequired(false)
+              .addChoices(...ScheduleManager.REPEAT_OPTIONS.map((value) => ({ name: value, value })))
+          )
+          .addStringOption((option) =>
+            option.setName('topic').setDescription('🏷️ Topic of the message, members can unsubscribe from it.').setMaxLength(32).setRequired(false)
+          )
+          .addRoleOption((option) =>
+            option.setName('also-role').setDescription('➕ Members of this role receive the message too.').setRequired(false)
+          )
+          .addRoleOption((option) =>
+            option.setName('require-role').setDescription('🔗 Only members who also have this role receive the message.').setRequired(false)
+          )
+          .addRoleOption((option) =>
+            option.setName('exclude-role').setDescription('🚫 Members of this role do not receive the message.').setRequired(false)
+          )
+      )
+      .addSubcommand((subcommand) =>
+        subcommand.setName('list').setDescription('📋 Lists the scheduled messages of the server.')
+      )
+      .addSubcommand((subcommand) =>
+        subcommand
+          .setName('cancel')
+          .setDescription('❌ Cancels a scheduled message.')
+          .addStringOption((option) =>
+            option.setName('id').setDescription('🆔 ID of the schedule.').setRequired(true)
+          )
+      )
+      .addSubcommand((subcommand) =>
+        subcommand
+          .setName('edit')
+          .setDescription('✏️ Edits a scheduled message.')
+          .addStringOption((option) =>
+            option.setName('id').setDescription('🆔 ID of the schedule.').setRequired(true)
+          )
+          .addStringOption((option) =>
+            option.setName('content').setDescription('✉️ The new message.').setRequired(false)
+          )
+          .addStringOption((option) =>
+            option.setName('at').setDescription('📅 New delivery date and time, as YYYY-MM-DD HH:mm.').setRequired(false)
+          )
+          .addStringOption((option) =>
+            option.setName('timezone').setDescription('🌍 Timezone of the new date.').setRequired(false)
+          )
+          .addStringOption((option) =>
+            option
+              .setName('repeat')
+              .setDescription('🔁 New recurrence.')
+              .setRequired(false)
+              .addChoices(...ScheduleManager.REPEAT_OPTIONS.map((value) => ({ name: value, value })))
+          )
+      ),
 
-    /**
-     * Handler for the /message command
-     * Initiates the process of sending a message to a role
-     * Only users with the support role can use this command
-     */
-    if (interaction.isCommand() && interaction.commandName === 'message') {
-      if (interactionManager.hasState(authorId)) {
-        const embed = new EmbedBuilder()
-          .setColor(0xff0000)
-          .setTitle('⚠️ Active Interaction')
-          .setDescription('You already have an active interaction. Please finish the current interaction before starting another. You can end the interaction manually with the **/cancel** command')
-          .setFooter({ text: 'This message will be deleted in 15 seconds.' });
+    // /template command - Manages saved message templates
+    new SlashCommandBuilder()
+      .setName('template')
+      .setDescription('🧩 Manages saved message templates.')
+      .addSubcommand((subcommand) =>
+        subcommand
+          .setName('save')
+          .setDescription('💾 Saves a template, replacing any template with the same name.')
+          .addStringOption((option) =>
+            option.setName('name').setDescription('🏷️ Name of the template.').setMaxLength(50).setRequired(true)
+          )
+          .addStringOption((option) =>
+            option
+              .setName('content')
+              .setDescription('✉️ Template content. Supports {username}, {displayName}, {server}, {role}, {joinDate}.')
+              .setRequired(true)
+          )
+      )
+      .addSubcommand((subcommand) =>
+        subcommand.setName('list').setDescription('📋 Lists the saved templates of the server.')
+      )
+      .addSubcommand((subcommand) =>
+        subcommand
+          .setName('delete')
+          .setDescription('🗑️ Deletes a template.')
+          .addStringOption((option) =>
+            option.setName('name').setDescription('🏷️ Name of the template.').setAutocomplete(true).setRequired(true)
+          )
+      )
+      .addSubcommand((subcommand) =>
+        subcommand
+          .setName('use')
+          .setDescription('📜 Prepares a message from a template.')
+          .addStringOption((option) =>
+            option.setName('name').setDescription('🏷️ Name of the template.').setAutocomplete(true).setRequired(true)
+          )
+          .addStringOption((option) =>
+            option.setName('topic').setDescription('🏷️ Topic of the message, members can unsubscribe from it.').setMaxLength(32).setRequired(false)
+          )
+      ),
 
-        await interaction.reply({
-          embeds: [embed],
-          ephemeral: true,
-        });
-        return;
-      }
+    // /admin command - Manages the bot settings
+    new SlashCommandBuilder()
+      .setName('admin')
+      .setDescription('🛡️ Manages the bot settings.')
+      .addSubcommandGroup((group) =>
+        group
+          .setName('permissions')
+          .setDescription('🔐 Manages who can use the bot.')
+          .addSubcommand((subcommand) =>
+            subcommand
+              .setName('grant')
+              .setDescription('✅ Grants a permission to a role or user.')
+              .addStringOption((option) =>
+                option
+                  .setName('permission')
+                  .setDescription('🔐 The permission to grant.')
+                  .setRequired(true)
+                  .addChoices(...PermissionManager.PERMISSIONS.map((value) => ({ name: value, value })))
+              )
+              .addMentionableOption((option) =>
+                option.setName('target').setDescription('👤 The role or user.').setRequired(true)
+              )
+          )
+          .addSubcommand((subcommand) =>
+            subcommand
+              .setName('revoke')
+              .setDescription('❌ Revokes a permission from a role or user.')
+              .addStringOption((option) =>
+                option
+                  .setName('permission')
+                  .setDescription('🔐 The permission to revoke.')
+                  .setRequired(true)
+                  .addChoices(...PermissionManager.PERMISSIONS.map((value) => ({ name: value, value })))
+              )
+              .addMentionableOption((option) =>
+                option.setName('target').setDescription('👤 The role or user.').setRequired(true)
+              )
+          )
+          .addSubcommand((subcommand) =>
+            subcommand
+              .setName('restrict')
+              .setDescription('🎯 Allows a role or user to target a role. Once restricted, only listed roles can be targeted.')
+              .addMentionableOption((option) =>
+                option.setName('target').setDescription('👤 The role or user sending messages.').setRequired(true)
+              )
+              .addRoleOption((option) =>
+                option.setName('role').setDescription('👥 The role they may send messages to.').setRequired(true)
+              )
+          )
+          .addSubcommand((subcommand) =>
+            subcommand
+              .setName('unrestrict')
+              .setDescription('♻️ Removes a targeting rule.')
+              .addMentionableOption((option) =>
+                option.setName('target').setDescription('👤 The role or user sending messages.').setRequired(true)
+              )
+              .addRoleOption((option) =>
+                option.setName('role').setDescription('👥 The role of the rule.').setRequired(true)
+              )
+          )
+          .addSubcommand((subcommand) =>
+            subcommand.setName('list').setDescription('📋 Lists the permissions and targeting rules.')
+          )
+      ),
 
-      if (!interaction.member.roles.cache.has(CARGO_SUPORTE_ID)) {
-        const embed = new EmbedBuilder()
-          .setColor(0xff0000)
-          .setTitle('❌ Permission Denied')
-          .setDescription('You do not have permission to use this command. Only support staff can use it.')
-          .setFooter({ text: 'This message will be deleted in 15 seconds.' });
+    // /config command - Manages the settings of the server
+    new SlashCommandBuilder()
+      .setName('config')
+      .setDescription('⚙️ Manages the bot settings of this server.')
+      .addSubcommand((subcommand) =>
+        subcommand.setName('show').setDescription('📋 Shows the current settings.')
+      )
+      .addSubcommand((subcommand) =>
+        subcommand
+          .setName('staff-add')
+          .setDescription('👮 Adds a staff role, allowed to use every feature not granted with /admin permissions.')
+          .addRoleOption((option) =>
+            option.setName('role').setDescription('👥 The staff role.').setRequired(true)
+          )
+      )
+      .addSubcommand((subcommand) =>
+        subcommand
+          .setName('staff-remove')
+          .setDescription('🚫 Removes a staff role.')
+          .addRoleOption((option) =>
+            option.setName('role').setDescription('👥 The staff role.').setRequired(true)
+          )
+      )
+      .addSubcommand((subcommand) =>
+        subcommand
+          .setName('report-channel')
+          .setDescription('📊 Sets the channel where a copy of every delivery report is posted.')
+          .addChannelOption((option) =>
+            option
+              .setName('channel')
+              .setDescription('📢 The report channel. Leave empty to stop posting reports.')
+              .addChannelTypes(ChannelType.GuildText)
+              .setRequired(false)
+          )
+      )
+      .addSubcommand((subcommand) =>
+        subcommand
+          .setName('relay-channel')
+          .setDescription('📨 Sets the channel where the DM replies of members are relayed, one thread per member.')
+          .addChannelOption((option) =>
+            option
+              .setName('channel')
+              .setDescription('📢 The relay channel. Leave empty to stop relaying replies.')
+              .addChannelTypes(ChannelType.GuildText)
+              .setRequired(false)
+          )
+      )
+      .addSubcommand((subcommand) =>
+        subcommand
+          .setName('language')
+          .setDescription('🌐 Sets the language of the bot messages posted in channels, and of the main message of broadcasts.')
+          .addStringOption((option) =>
+            option
+              .setName('language')
+              .setDescription('🌐 The language.')
+              .setRequired(true)
+              .addChoices(...LANGUAGES.map((value) => ({ name: LANGUAGE_NAMES[value], value })))
+          )
+      )
+      .addSubcommand((subcommand) =>
+        subcommand
+          .setName('language-role')
+          .setDescription('🗣️ Tells which language the members of a role read, for members whose language is unknown.')
+          .addRoleOption((option) =>
+            option.setName('role').setDescription('👥 The language role.').setRequired(true)
+          )
+          .addStringOption((option) =>
+            option.setName('language').setDescription('🌐 Language code, e.g. pt or es. Leave empty to remove the role.').setMaxLength(5).setRequired(false)
+          )
+      )
+      .addSubcommand((subcommand) =>
+        subcommand
+          .setName('rate-limits')
+          .setDescription('⏱️ Sets how fast DMs are sent.')
+          .addIntegerOption((option) =>
+            option.setName('concurrency').setDescription('🔀 DMs sent in parallel.').setMinValue(1).setMaxValue(10).setRequired(false)
+          )
+          .addIntegerOption((option) =>
+            option.setName('delay').setDescription('⏳ Pause between two DMs of a sender, in milliseconds.').setMinValue(0).setMaxValue(60000).setRequired(false)
+          )
+      )
+      .addSubcommand((subcommand) =>
+        subcommand
+          .setName('approval')
+          .setDescription('🛂 Sets when broadcasts must be approved by a second staff member.')
+          .addIntegerOption((option) =>
+            option.setName('threshold').setDescription('👥 Broadcasts to more members need approval (0 disables approvals).').setMinValue(0).setRequired(false)
+          )
+          .addChannelOption((option) =>
+            option
+              .setName('channel')
+              .setDescription('📢 The channel where broadcasts are reviewed.')
+              .addChannelTypes(ChannelType.GuildText)
+              .setRequired(false)
+          )
+      )
+      .addSubcommand((subcommand) =>
+        subcommand
+          .setName('branding')
+          .setDescription('🎨 Sets the default look of the messages sent by the bot.')
+          .addStringOption((option) =>
+            option.setName('title').setDescription('🏷️ Embed title.').setMaxLength(256).setRequired(false)
+          )
+          .addStringOption((option) =>
+            option.setName('color').setDescription('🎨 Embed colour (hex, e.g. #ff8800).').setMaxLength(7).setRequired(false)
+          )
+          .addStringOption((option) =>
+            option.setName('footer').setDescription('📝 Embed footer.').setMaxLength(200).setRequired(false)
+          )
+          .addStringOption((option) =>
+            option.setName('thumbnail').setDescription('🖼️ Thumbnail URL.').setRequired(false)
+          )
+          .addStringOption((option) =>
+            option.setName('image').setDescription('🖼️ Image URL.').setRequired(false)
+          )
+      )
+      .addSubcommand((subcommand) =>
+        subcommand
+          .setName('safety')
+          .setDescription('🛡️ Sets the words and links broadcasts cannot contain.')
+          .addStringOption((option) =>
+            option.setName('blocked-words').setDescription('🚫 Comma separated words that cannot be sent, "none" to clear the list.').setMaxLength(1000).setRequired(false)
+          )
+          .addStringOption((option) =>
+            option.setName('allowed-links').setDescription('🔗 Comma separated domains links may point to, "none" to allow any.').setMaxLength(1000).setRequired(false)
+          )
+      )
+      .addSubcommand((subcommand) =>
+        subcommand
+          .setName('quotas')
+          .setDescription('⏳ Sets how many members can be messaged per hour and per day (0 disables a limit).')
+          .addIntegerOption((option) =>
+            option.setName('author-hour').setDescription('👤 Members each staff member can message per hour.').setMinValue(0).setRequired(false)
+          )
+          .addIntegerOption((option) =>
+            option.setName('author-day').setDescription('👤 Members each staff member can message per day.').setMinValue(0).setRequired(false)
+          )
+          .addIntegerOption((option) =>
+            option.setName('server-hour').setDescription('🏠 Members the whole server can message per hour.').setMinValue(0).setRequired(false)
+          )
+          .addIntegerOption((option) =>
+            option.setName('server-day').setDescription('🏠 Members the whole server can message per day.').setMinValue(0).setRequired(false)
+          )
+          .addIntegerOption((option) =>
+            option.setName('role-cooldown').setDescription('👥 Minutes between two broadcasts to the same role.').setMinValue(0).setMaxValue(10080).setRequired(false)
+          )
+      )
+      .addSubcommand((subcommand) =>
+        subcommand
+          .setName('reset')
+          .setDescription('♻️ Restores the default value of a setting.')
+          .addStringOption((option) =>
+            option
+              .setName('setting')
+              .setDescription('⚙️ The setting to reset.')
+              .setRequired(true)
+              .addChoices(...Object.entries(GuildConfigManager.SETTINGS).map(([value, name]) => ({ name, value })))
+          )
+      ),
 
-        await interaction.reply({
-          embeds: [embed],
-          ephemeral: true,
-        });
-        return;
-      }
+    // /subscriptions command - Lets members choose which broadcasts they receive
+    new SlashCommandBuilder()
+      .setName('subscriptions')
+      .setDescription('🔔 Chooses which broadcasts of this server you receive.')
+      .addSubcommand((subcommand) =>
+        subcommand.setName('show').setDescription('📋 Shows the broadcasts you unsubscribed from.')
+      )
+      .addSubcommand((subcommand) =>
+        subcommand
+          .setName('unsubscribe')
+          .setDescription('🔕 Stops receiving broadcasts.')
+          .addStringOption((option) =>
+            option.setName('topic').setDescription('🏷️ Topic to unsubscribe from, every broadcast if omitted.').setAutocomplete(true).setRequired(false)
+          )
+      )
+      .addSubcommand((subcommand) =>
+        subcommand
+          .setName('resubscribe')
+          .setDescription('🔔 Receives broadcasts again.')
+          .addStringOption((option) =>
+            option.setName('topic').setDescription('🏷️ Topic to receive again, every broadcast if omitted.').setAutocomplete(true).setRequired(false)
+          )
+      ),
 
-      const content = interaction.options.getString('content');
+    // /help command - Shows available commands
+    new SlashCommandBuilder()
+      .setName('help')
+      .setDescription('❓ Shows the list of available commands and their functionalities.'),
+  ];
+}
 
-      interactionManager.setState(authorId, {
-        currentMessage: content,
-        previewMessage: null,
-        selectedRole: null,
-        failedUsers: [],
-        successfulUsers: [],
-      });
+/**
+ * Check whether the bot should operate in a guild
+ * When GUILD_ID is set, the bot only serves that guild.
+ *
+ * @param {Guild} guild - The guild
+ * @returns {boolean} True if commands should be registered in the guild
+ */
+function isServedGuild(guild) {
+  return !GUILD_ID || guild.id === GUILD_ID;
+}
 
-      await guild.members.fetch();
-      // Filter roles to only include those with at least 2 members
-      const roles = guild.roles.cache.filter((role) => role.members.size >= 2);
+/**
+ * Register the slash commands in a guild
+ * Guild commands are available immediately, unlike global commands.
+ *
+ * @param {Guild} guild - The guild
+ */
+async function registerGuildCommands(guild) {
+  try {
+    await guild.commands.set(buildCommands().map((command) => localizeCommand(command.toJSON())));
+    logger.info('Commands registered', { guildId: guild.id });
+  } catch (error) {
+    logger.error('Error registering commands', { guildId: guild.id, error });
+  }
+}
 
-      if (roles.size === 0) {
-        const embed = new EmbedBuilder()
-          .setColor(0xff0000)
-          .setTitle('⚠️ No Roles Found')
-          .setDescription('There are no roles with at least 2 members on the server.')
-          .setFooter({ text: 'This message will be deleted in 15 seconds.' });
+/**
+ * Event handler for when the bot is ready and connected to Discord
+ * Registers the slash commands in every served guild
+ */
+client.once('ready', async () => {
+  logger.info('Bot connected', { tag: client.user.tag });
 
-        await interaction.reply({
-          embeds: [embed],
-          ephemeral: true,
-        });
-        interactionManager.deleteState(authorId);
-        return;
-      }
+  const guilds = client.guilds.cache.filter(isServedGuild);
+  if (guilds.size === 0) {
+    logger.error(GUILD_ID ? 'Server not found, check the GUILD_ID' : 'The bot is not in any server yet', { guildId: GUILD_ID });
+  }
 
-      const buttons = new ActionRowBuilder();
-      roles.forEach((role) => {
-        buttons.addComponents(
-          new ButtonBuilder()
-            .setCustomId(`select_role_${role.id}_${authorId}`)
-            .setLabel(role.name)
-            .setStyle(ButtonStyle.Primary)
-        );
-      });
+  for (const guild of guilds.values()) {
+    await registerGuildCommands(guild);
+  }
 
-      const embed = new EmbedBuilder()
-        .setColor(0x00ff00)
-        .setTitle('📜 Select a Role')
-        .setDescription('Choose the role you want to send the message to. Only roles with at least 2 members are listed.')
-        .setFooter({ text: '🔧 Developed by @felipecaldass' });
+  relayManager.indexCampaigns(campaignStore.list());
 
-      await interaction.deferReply();
-      const preview = await interaction.editReply({
-        embeds: [embed],
-        components: [buttons],
-      });
+  // The drafts are lost rather than the bot, which still has schedules and campaigns to resume
+  try {
+    const restored = await interactionManager.restore(fetchPreviewMessage, discardDraft);
+    if (restored > 0) logger.info('Drafts restored', { count: restored });
+  } catch (error) {
+    logger.error('Error restoring drafts', { error });
+  }
+  interactionManager.startExpiry(expireDraft);
 
-      interactionManager.getState(authorId).previewMessage = preview;
-      console.log('📩 Initial preview sent.');
-    }
+  scheduleManager.start(runScheduledBroadcast);
+  acknowledgementManager.start(sendAcknowledgementReminders);
 
-    /**
-     * Handler for the /cancel command
-     * Cancels an active interaction and cleans up resources
-     * Only users with the support role can use this command
-     */
-    if (interaction.isCommand() && interaction.commandName === 'cancel') {
-      if (!interaction.member.roles.cache.has(CARGO_SUPORTE_ID)) {
-        const noPermissionEmbed = new EmbedBuilder()
-          .setColor(0xFF0000)
-          .setTitle('❌ No Permission')
-          .setDescription('You do not have permission to use this command. Only support team members can use it.')
-          .setFooter({ text: 'This message will be deleted in 10 seconds' });
-
-        const reply = await interaction.reply({ embeds: [noPermissionEmbed], ephemeral: true });
-        setTimeout(() => {
-          interaction.deleteReply().catch(console.error);
-        }, 10000);
-        return;
-      }
+  // Campaigns can take hours to deliver, so revisions do not wait for them
+  resumeUnfinishedCampaigns().catch((error) => logger.error('Error resuming campaigns', { error }));
+  resumeUnfinishedRevisions().catch((error) => logger.error('Error resuming revisions', { error }));
+});
 
-      if (!interactionManager.hasState(authorId)) {
-        const embed = new EmbedBuilder()
-          .setColor(0xff0000)
-          .setTitle('⚠️ No Active Interaction')
-          .setDescription('You do not have any active interactions to cancel.')
-          .setFooter({ text: 'This message will be deleted in 15 seconds.' });
+/**
+ * Track the gateway connection for the readiness probe
+ * discord.js reconnects on its own, these events only record the current state.
+ * @param {boolean} connected - Whether the gateway is connected
+ */
+function setGatewayConnected(connected) {
+  if (gateway.connected === connected) return;
+  gateway.connected = connected;
+  gateway.since = new Date().toISOString();
+}
 
-        await interaction.reply({
-          embeds: [embed],
-          ephemeral: true,
-        });
-        return;
-      }
+client.on('shardReady', () => setGatewayConnected(true));
+client.on('shardResume', () => setGatewayConnected(true));
+client.on('shardReconnecting', () => {
+  logger.warn('Gateway connection lost, reconnecting');
+  setGatewayConnected(false);
+});
+client.on('shardDisconnect', (event) => {
+  logger.error('Gateway disconnected', { code: event.code });
+  setGatewayConnected(false);
+});
+client.on('shardError', (error) => logger.error('Gateway error', { error }));
 
-      const state = interactionManager.getState(authorId);
+/**
+ * Event handler for when the bot joins a guild
+ * Registers the slash commands so the new guild can use the bot right away
+ */
+client.on('guildCreate', async (guild) => {
+  if (!isServedGuild(guild)) return;
 
-      if (state.previewMessage) {
-        await state.previewMessage.edit({
-          content: '❌ Interaction manually cancelled with success.',
-          embeds: [],
-          components: [],
-        });
+  logger.info('Joined a server', { guildId: guild.id });
+  await registerGuildCommands(guild);
+});
 
-        setTimeout(() => {
-          state.previewMessage.delete().catch((error) => console.error('Error deleting message:', error));
-        }, 15000);
-      }
+/**
+ * Event handler for messages received by the bot
+ * Only DMs are handled: they are relayed to the staff of the member's server
+ */
+client.on('messageCreate', async (message) => {
+  if (message.author.bot || message.guildId) return;
 
-      interactionManager.deleteState(authorId);
+  try {
+    await relayMemberReply(message);
+  } catch (error) {
+    logger.error('Error relaying a member reply', { userId: message.author.id, error });
+  }
+});
 
-      const embed = new EmbedBuilder()
-        .setColor(0xff0000)
-        .setTitle('✅ Interaction Cancelled')
-        .setDescription('The interaction was cancelled with success. This message will be deleted in 15 seconds.')
-        .setFooter({ text: 'This message will be removed soon.' });
+/**
+ * Interaction handlers
+ *
+ * Every slash command, autocomplete, button, select menu and modal is handled
+ * by its own function in src/handlers. Each module is created with the services
+ * and helpers its handlers use, so tests can create them without the rest of the bot.
+ * handleInteraction() routes each interaction to its handler.
+ */
 
-      await interaction.deferReply();
-      const confirmationMessage = await interaction.editReply({
-        embeds: [embed],
-        fetchReply: true,
-      });
+const {
+  startMessageFlow,
+  handleMessageCommand,
+  handleCancelCommand,
+  handleAudienceButton,
+  handleRolePage,
+  handleRoleSearchButton,
+  handleRoleSearchModal,
+  handleRoleSelect,
+  handleChannelSelect,
+  handleConfirmSend,
+  handleSafetyAcknowledge,
+  handleQuotaOverride,
+  handleEditMessageModal,
+  handleEditStyleModal,
+  handleEditLanguageModal,
+  handleEditFiltersModal,
+  handleEditMessageButton,
+  handleEditStyleButton,
+  handleEditLanguagesButton,
+  handleEditFiltersButton,
+  handleTestSend,
+  handleDryRun,
+  handleCancelSend,
+} = createMessageHandlers({
+  auditLog,
+  deliveryQueue,
+  guildConfigManager,
+  interactionManager,
+  permissionManager,
+  quotaRefusals,
+  buildBroadcastPayload,
+  buildDryRunEmbed,
+  buildMessagePreview,
+  buildRolePicker,
+  checkDraftContent,
+  checkDraftQuotas,
+  createCampaign,
+  executeCampaign,
+  formatQuotaIssues,
+  formatStyleErrors,
+  getGuildLanguage,
+  getTargetableRoleIds,
+  isQuotaOverridden,
+  isTargetAllowed,
+  requestApproval,
+  DATA_DIR,
+  PRESENCE_INTENT,
+  ROLE_MIN_MEMBERS,
+});
 
-      setTimeout(() => {
-        confirmationMessage.delete().catch((error) => console.error('Error deleting message:', error));
-      }, 15000);
-    }
+const {
+  handleTemplateAutocomplete,
+  handleTemplateCommand,
+} = createTemplateHandlers({
+  auditLog,
+  permissionManager,
+  templateManager,
+  buildUnknownPlaceholdersField,
+  startMessageFlow,
+});
 
+const {
+  handleScheduleCommand,
+  handleScheduleConfirm,
+  handleScheduleDiscard,
+} = createScheduleHandlers({
+  auditLog,
+  guildConfigManager,
+  interactionManager,
+  permissionManager,
+  scheduleManager,
+  buildScheduleEmbed,
+  formatTimestamp,
+  getTargetableRoleIds,
+  DEFAULT_TIMEZONE,
+});
 
+const { handlePermissionsCommand } = createPermissionHandlers({
+  auditLog,
+  guildConfigManager,
+  permissionManager,
+});
 
-    /**
-     * Handler for button interactions
-     * Processes various button clicks based on their custom IDs
-     */
-    if (interaction.isButton()) {
-      const authorIdFromCustomId = interaction.customId.split('_').pop();
+const { handleConfigCommand } = createConfigHandlers({
+  auditLog,
+  guildConfigManager,
+  permissionManager,
+  formatStyleErrors,
+});
 
-      // Ignore interactions that are not related to the current user
-      if (authorId !== authorIdFromCustomId) {
-        return;
-      }
+const {
+  handleHistoryCommand,
+  handleHistoryPage,
+} = createHistoryHandlers({
+  campaignStore,
+  permissionManager,
+  buildCampaignDetailEmbed,
+  buildHistoryPage,
+  buildReportMessage,
+});
 
-      const state = interactionManager.getState(authorId);
-      if (!state) {
-        const embed = new EmbedBuilder()
-          .setColor(0xff0000)
-          .setTitle('⚠️ Interaction Not Found')
-          .setDescription('Unable to process your interaction. Please try again.')
-          .setFooter({ text: 'This message will be deleted in 15 seconds.' });
+const { handleApprovalInteraction } = createApprovalHandlers({
+  auditLog,
+  campaignStore,
+  permissionManager,
+  revisionStore,
+  buildApprovalEmbed,
+  executeCampaign,
+  executeRevision,
+  getGuildLanguage,
+  notifyCampaignAuthor,
+  updateCampaignMessage,
+});
 
-        await interaction.reply({
-          embeds: [embed],
-          ephemeral: true,
-        });
-        return;
-      }
+const {
+  handleDeliveryButton,
+  handleRetryFailedButton,
+} = createCampaignHandlers({
+  auditLog,
+  campaignStore,
+  deliveryQueue,
+  guildConfigManager,
+  permissionManager,
+  quotaRefusals,
+  quotaUsageCache,
+  subscriptionManager,
+  buildProgressMessage,
+  buildReportMessage,
+  checkBroadcastQuotas,
+  executeCampaign,
+  formatQuotaIssues,
+  getGuildLanguage,
+  recordCampaignCompleted,
+  updateCampaignMessage,
+});
 
-      /**
-       * Handler for role selection buttons
-       * Triggered when a user selects a role to send a message to
-       */
-      if (interaction.customId.startsWith('select_role_')) {
-        const roleId = interaction.customId.split('_')[2];
-        const role = await guild.roles.fetch(roleId);
-
-        if (!role) {
-          await state.previewMessage.edit({
-            content: '⚠️ The selected role was not found. Please try again.',
-            embeds: [],
-            components: [],
-          });
-          interactionManager.deleteState(authorId);
-          return;
-        }
-
-        state.selectedRole = role;
+const { handleRelayInteraction } = createRelayHandlers({
+  auditLog,
+  client,
+  guildConfigManager,
+  languageManager,
+  permissionManager,
+  getGuildLanguage,
+});
 
-        const embed = new EmbedBuilder()
-          .setColor(0x00ff00)
-          .setTitle('🛠 Message Preview')
-          .setDescription(`You selected the role: **${role.name}**
-
-📜 **Message**: ${state.currentMessage}`)
-          .setFooter({ text: '🔧 Developed by @felipecaldass' });
-
-        const buttons = new ActionRowBuilder().addComponents(
-          new ButtonBuilder()
-            .setCustomId(`confirm_send_${authorId}`)
-            .setLabel(`✅ Confirm Send (${role.members.size} members)`)
-            .setStyle(ButtonStyle.Success),
-          new ButtonBuilder()
-            .setCustomId(`edit_message_${authorId}`)
-            .setLabel('✏️ Edit Message')
-            .setStyle(ButtonStyle.Primary),
-          new ButtonBuilder()
-            .setCustomId(`cancel_send_${authorId}`)
-            .setLabel('❌ Cancel')
-            .setStyle(ButtonStyle.Danger)
-        );
-
-        await interaction.deferUpdate();
-        await state.previewMessage.edit({
-          embeds: [embed],
-          components: [buttons],
-        });
-        console.log('📌 Role selected and preview updated.');
-      }
+const {
+  handleSubscriptionsAutocomplete,
+  handleSubscriptionsCommand,
+  handleSubscriptionButton,
+} = createSubscriptionHandlers({
+  auditLog,
+  client,
+  subscriptionManager,
+});
 
-      /**
-       * Handler for message confirmation button
-       * Sends the message to all members of the selected role
-       * and provides a detailed delivery report
-       */
-      if (interaction.customId.startsWith('confirm_send_')) {
-        const { currentMessage, selectedRole } = state;
-
-        if (!selectedRole) {
-          await interaction.deferUpdate();
-          await state.previewMessage.edit({
-            content: '⚠️ No role was selected to send the message.',
-            embeds: [],
-            components: [],
-          });
-          interactionManager.deleteState(authorId);
-          return;
-        }
-
-        await interaction.deferUpdate();
-
-        const sendMessages = await Promise.all(
-          selectedRole.members.map(async (member) => {
-            if (member.user.bot) return { member, success: false };
-            try {
-              const embed = new EmbedBuilder()
-                .setColor(0x00ff00)
-                .setTitle('📢 Important Message')
-                .setDescription(`Hello, <@${member.user.id}>!
-
-${currentMessage}`)
-                .setFooter({ text: `Sent by: ${interaction.member.displayName}` });
-
-              await member.send({ embeds: [embed] });
-              return { member, success: true };
-            } catch (error) {
-              console.error(`Error sending message to ${member.user.tag}: ${error.message}`);
-              return { member, success: false };
-            }
-          })
-        );
-
-        let successCount = 0;
-        let failedUsers = [];
-        let successfulUsers = [];
-
-        sendMessages.forEach((result) => {
-          if (result.success) {
-            successCount++;
-            successfulUsers.push(result.member.user.tag);
-          } else {
-            failedUsers.push(result.member.user.tag);
-          }
-        });
+const { handleAcknowledgeButton } = createAcknowledgementHandlers({
+  acknowledgementManager,
+  acknowledgementsReceived,
+  campaignStore,
+  formatTimestamp,
+  listUnacknowledged,
+});
 
-        state.failedUsers = failedUsers;
-        state.successfulUsers = successfulUsers;
-
-        /**
-         * Helper function to split an array into chunks of a specific size
-         * Used to divide the list of users who didn't receive messages into manageable chunks
-         * that fit within Discord's embed field character limits
-         * 
-         * @param {Array} arr - The array to split
-         * @param {number} size - Maximum size of each chunk
-         * @returns {Array} Array of arrays, each containing at most 'size' elements
-         */
-        const chunkArray = (arr, size) => {
-          return Array.from({ length: Math.ceil(arr.length / size) }, (v, i) =>
-            arr.slice(i * size, i * size + size)
-          );
-        };
-
-        const resultEmbed = new EmbedBuilder()
-          .setColor(0x00ff00)
-          .setTitle('🚁 Message Sent')
-          .setDescription(
-            failedUsers.length > 0
-              ? `✅ The message was sent to **${successCount}** members of the **${selectedRole.name}** role.
-🚨 Unable to send to **${failedUsers.length}** members, as they have disabled private messages!`
-              : `✅ All messages were delivered successfully!`
-          )
-          .addFields({ name: '📜 Sent Message', value: currentMessage })
-          .setFooter({ text: '🔧 Developed by @felipecaldass' });
-
-        /**
-         * Add list of users who didn't receive the message to the embed
-         * Handles Discord's character limits by splitting users into multiple fields if needed
-         * 
-         * Discord embed limits:
-         * - 1024 characters per field
-         * - 25 fields per embed
-         * - 6000 characters total per embed
-         */
-        if (failedUsers.length > 0) {
-          // Discord limit: 1024 characters per embed field
-          // Assuming average username length of 30 characters (including formatting)
-          const usersPerField = 25; // About 750 characters per field
-          const failedUserChunks = chunkArray(failedUsers, usersPerField);
-
-          failedUserChunks.forEach((chunk, index) => {
-            const fieldName = failedUserChunks.length > 1
-              ? `🚨 Users who didn't receive the message (${index + 1}/${failedUserChunks.length})`
-              : '🚨 Users who didn\'t receive the message';
-            
-            resultEmbed.addFields({
-              name: fieldName,
-              value: chunk.map(user => `• ${user}`).join('\n'),
-              inline: false
-            });
-          });
-        }
-
-        await state.previewMessage.edit({
-          content: '',
-          embeds: [resultEmbed],
-          components: [],
-        });
+const {
+  handleBroadcastCommand,
+  handleBroadcastInteraction,
+} = createBroadcastHandlers({
+  acknowledgementManager,
+  auditLog,
+  campaignStore,
+  guildConfigManager,
+  permissionManager,
+  createRevision,
+  executeRevision,
+  getGuildLanguage,
+  getRevisionError,
+  requestApproval,
+  requiresEditApproval,
+});
 
-        console.log('✅ Users who received the message:', successfulUsers);
-        console.log('🚨 Users who did not receive the message:', failedUsers);
+/**
+ * Handlers of the components of a draft, matched in order on the prefix of their custom ID
+ * Handlers restricted to a type of component only match buttons or modal submissions.
+ */
+const componentRoutes = [
+  { prefix: 'schedule_confirm_', handle: handleScheduleConfirm },
+  { prefix: 'schedule_discard_', handle: handleScheduleDiscard },
+  { prefix: 'audience_', handle: handleAudienceButton },
+  { prefix: 'role_page_', handle: handleRolePage },
+  { prefix: 'role_search_', type: 'button', handle: handleRoleSearchButton },
+  { prefix: 'role_search_modal_', handle: handleRoleSearchModal },
+  { prefix: 'select_role_', handle: handleRoleSelect },
+  { prefix: 'select_channels_', handle: handleChannelSelect },
+  { prefix: 'confirm_send_', handle: handleConfirmSend },
+  { prefix: 'safety_ack_', handle: handleSafetyAcknowledge },
+  { prefix: 'quota_override_', handle: handleQuotaOverride },
+  { prefix: 'edit_message_modal_', type: 'modal', handle: handleEditMessageModal },
+  { prefix: 'edit_style_modal_', type: 'modal', handle: handleEditStyleModal },
+  { prefix: 'edit_language_modal_', type: 'modal', handle: handleEditLanguageModal },
+  { prefix: 'edit_filters_modal_', type: 'modal', handle: handleEditFiltersModal },
+  { prefix: 'edit_message_', handle: handleEditMessageButton },
+  { prefix: 'edit_style_', handle: handleEditStyleButton },
+  { prefix: 'edit_languages_', handle: handleEditLanguagesButton },
+  { prefix: 'edit_filters_', handle: handleEditFiltersButton },
+  { prefix: 'test_send_', handle: handleTestSend },
+  { prefix: 'dry_run_', handle: handleDryRun },
+  { prefix: 'cancel_send_', handle: handleCancelSend },
+];
 
-        interactionManager.deleteState(authorId);
-      }
+/**
+ * Handler for component interactions
+ * Processes button clicks, select menus and modal submissions based on their custom IDs.
+ * Their custom IDs end with the ID of the user who started the draft, and other
+ * users are ignored.
+ * @param {ButtonInteraction|StringSelectMenuInteraction|ChannelSelectMenuInteraction|ModalSubmitInteraction} interaction - The interaction
+ */
+async function handleComponent(interaction) {
+  const authorId = interaction.user.id;
+  const { locale } = interaction;
+  const authorIdFromCustomId = interaction.customId.split('_').pop();
 
-      /**
-       * Handler for message editing button
-       * Allows the user to edit their message before sending
-       */
-      if (interaction.customId.startsWith('edit_message_')) {
-        await interaction.deferUpdate();
-        const embed = new EmbedBuilder()
-          .setColor(0xffa500)
-          .setTitle('✏️ Editing Message')
-          .setDescription('Please enter the new message below.')
-          .setFooter({ text: '🔧 Developed by @felipecaldass' });
+  // Ignore interactions that are not related to the current user
+  if (authorId !== authorIdFromCustomId) {
+    return;
+  }
 
-        await state.previewMessage.edit({
-          embeds: [embed],
-          components: [],
-        });
+  // History browsing does not depend on an active message interaction
+  if (interaction.customId.startsWith('history_page_')) {
+    await handleHistoryPage(interaction);
+    return;
+  }
 
-        const filter = (msg) => msg.author.id === authorId;
-        const collector = interaction.channel.createMessageCollector({ filter, max: 1 });
-
-        collector.on('collect', async (msg) => {
-          state.currentMessage = msg.content;
-
-          const updatedEmbed = new EmbedBuilder()
-            .setColor(0x00ff00)
-            .setTitle('📚 Updated Preview')
-            .setDescription(
-              `📜 **Message**: ${msg.content}
-
-Please select one of the options below.
-
-This role has **${state.selectedRole.members.size} members**.`
-            )
-            .setFooter({ text: '🔧 Developed by @felipecaldass' });
-
-          const buttons = new ActionRowBuilder().addComponents(
-            new ButtonBuilder()
-              .setCustomId(`confirm_send_${authorId}`)
-              .setLabel(`✅ Confirm Send (${state.selectedRole.members.size} members)`)
-              .setStyle(ButtonStyle.Success),
-            new ButtonBuilder()
-              .setCustomId(`edit_message_${authorId}`)
-              .setLabel('✏️ Edit Message')
-              .setStyle(ButtonStyle.Primary),
-            new ButtonBuilder()
-              .setCustomId(`cancel_send_${authorId}`)
-              .setLabel('❌ Cancel')
-              .setStyle(ButtonStyle.Danger)
-          );
-
-          await msg.delete();
-
-          await state.previewMessage.edit({
-            embeds: [updatedEmbed],
-            components: [buttons],
-          });
-
-          collector.stop();
-        });
-      }
+  const state = interactionManager.getState(authorId);
+  if (!state) {
+    const embed = new EmbedBuilder()
+      .setColor(0xff0000)
+      .setTitle(t(locale, 'errors.interactionNotFoundTitle'))
+      .setDescription(t(locale, 'errors.interactionNotFound'))
+      .setFooter({ text: t(locale, 'common.deletedSoon') });
+
+    await interaction.reply({
+      embeds: [embed],
+      ephemeral: true,
+    });
+    return;
+  }
 
-      /**
-       * Handler for cancellation button
-       * Cancels the message sending process
-       */
-      if (interaction.customId.startsWith('cancel_send_')) {
-        await interaction.deferUpdate();
-        interactionManager.deleteState(authorId);
-        const embed = new EmbedBuilder()
-          .setColor(0xff0000)
-          .setTitle('✅ Interaction Cancelled')
-          .setDescription('The interaction was cancelled with success. This message will be deleted in 15 seconds.')
-          .setFooter({ text: 'This message will be removed soon.' });
+  const route = componentRoutes.find(({ prefix, type }) => interaction.customId.startsWith(prefix)
+    && (!type || (type === 'button' ? interaction.isButton() : interaction.isModalSubmit())));
+  if (route) await route.handle(interaction, state);
+}
 
-        const confirmationMessage = await state.previewMessage.edit({
-          content: '',
-          embeds: [embed],
-          components: [],
-          fetchReply: true,
-        });
+/**
+ * Handlers of every interaction, matched in order
+ * Components handled by other users than their author (approvals, relays...)
+ * and DM buttons come before the components restricted to their author.
+ */
+const interactionRoutes = [
+  { matches: (interaction) => interaction.isAutocomplete() && interaction.commandName === 'template', handle: handleTemplateAutocomplete },
+  { matches: (interaction) => interaction.isAutocomplete() && interaction.commandName === 'subscriptions', handle: handleSubscriptionsAutocomplete },
+  { matches: (interaction) => interaction.isCommand() && interaction.commandName === 'help', handle: handleHelpCommand },
+  { matches: (interaction) => interaction.isCommand() && interaction.commandName === 'message', handle: handleMessageCommand },
+  { matches: (interaction) => interaction.isCommand() && interaction.commandName === 'cancel', handle: handleCancelCommand },
+  { matches: (interaction) => interaction.isCommand() && interaction.commandName === 'template', handle: handleTemplateCommand },
+  { matches: (interaction) => interaction.isCommand() && interaction.commandName === 'schedule', handle: handleScheduleCommand },
+  { matches: (interaction) => interaction.isCommand() && interaction.commandName === 'admin' && interaction.options.getSubcommandGroup() === 'permissions', handle: handlePermissionsCommand },
+  { matches: (interaction) => interaction.isCommand() && interaction.commandName === 'config', handle: handleConfigCommand },
+  { matches: (interaction) => interaction.isCommand() && interaction.commandName === 'history', handle: handleHistoryCommand },
+  { matches: (interaction) => interaction.isCommand() && interaction.commandName === 'broadcast', handle: handleBroadcastCommand },
+  { matches: (interaction) => (interaction.isButton() || interaction.isModalSubmit()) && interaction.customId.startsWith('approval_'), handle: handleApprovalInteraction },
+  { matches: (interaction) => interaction.isButton() && interaction.customId.startsWith('delivery_'), handle: handleDeliveryButton },
+  { matches: (interaction) => interaction.isButton() && interaction.customId.startsWith('retry_failed_'), handle: handleRetryFailedButton },
+  { matches: (interaction) => (interaction.isButton() || interaction.isModalSubmit()) && interaction.customId.startsWith('relay_'), handle: handleRelayInteraction },
+  { matches: (interaction) => (interaction.isButton() || interaction.isModalSubmit()) && interaction.customId.startsWith('broadcast_'), handle: handleBroadcastInteraction },
+  { matches: (interaction) => interaction.isCommand() && interaction.commandName === 'subscriptions', handle: handleSubscriptionsCommand },
+  { matches: (interaction) => interaction.isButton() && /^(unsubscribe|resubscribe)_/.test(interaction.customId), handle: handleSubscriptionButton },
+  { matches: (interaction) => interaction.isButton() && interaction.customId.startsWith('ack_'), handle: handleAcknowledgeButton },
+  {
+    matches: (interaction) => interaction.isButton() || interaction.isStringSelectMenu() || interaction.isChannelSelectMenu() || interaction.isModalSubmit(),
+    handle: handleComponent,
+  },
+];
 
-        setTimeout(() => {
-          confirmationMessage.delete().catch((error) => console.error('Error deleting message:', error));
-        }, 15000);
-      }
-    }
+/**
+ * Main interaction handler for all Discord interactions
+ * This event fires whenever a user interacts with the bot through commands or buttons.
+ * Errors of the handlers are answered with an ephemeral error message.
+ * @param {Interaction} interaction - The interaction
+ */
+async function handleInteraction(interaction) {
+  try {
+    const route = interactionRoutes.find(({ matches }) => matches(interaction));
+    if (route) await route.handle(interaction);
   } catch (error) {
-    console.error('❌ Error during interaction:', error);
+    interactionErrors.inc();
+    logger.error('Error during interaction', { userId: interaction.user.id, interaction: interaction.commandName ?? interaction.customId, error });
     try {
       if (!interaction.deferred && !interaction.replied) {
         const embed = new EmbedBuilder()
           .setColor(0xff0000)
-          .setTitle('⚠️ Error Processing')
-          .setDescription('An error occurred while processing your request. Please try again later.')
-          .setFooter({ text: 'This message will be deleted in 15 seconds.' });
+          .setTitle(t(interaction.locale, 'errors.processingTitle'))
+          .setDescription(t(interaction.locale, 'errors.processing'))
+          .setFooter({ text: t(interaction.locale, 'common.deletedSoon') });
 
         const message = await interaction.reply({
           embeds: [embed],
@@ -650,17 +3214,35 @@ This role has **${state.selectedRole.members.size} members**.`
         });
 
         setTimeout(() => {
-          message.delete().catch((error) => console.error('Error deleting message:', error));
+          message.delete().catch((error) => logger.warn('Error deleting message', { error }));
         }, 15000);
       }
     } catch (replyError) {
-      console.error('❌ Error responding to interaction:', replyError);
+      logger.error('Error responding to interaction', { userId: interaction.user.id, error: replyError });
     }
+  } finally {
+    // Handlers update drafts in place, save them and reset their idle timer
+    await interactionManager.touch(interaction.user.id);
+    // Broadcasts are later sent to the user in the language of their Discord client
+    languageManager.recordLocale(interaction.user.id, interaction.locale);
   }
-});
+}
+
+client.on('interactionCreate', handleInteraction);
 
 // Connect the bot to Discord using the token from environment variables
-client.login(TOKEN2);
+// Requiring the file (e.g. from the tests) does not connect it
+if (require.main === module) {
+  client.login(TOKEN2).catch((error) => {
+    // Exit so a supervisor restarts the bot or reports the failure
+    logger.error('Error connecting to Discord', { error });
+    process.exit(1);
+  });
+
+  monitoringServer?.start()
+    .then((port) => logger.info('Monitoring endpoint listening', { host: monitoringServer.host, port }))
+    .catch((error) => logger.error('Error starting the monitoring endpoint', { error }));
+}
 
 /**
  * Centralized command registration function
@@ -680,7 +3262,7 @@ async function registerCommands() {
   ].map(command => command.toJSON());
 
   try {
-    console.log('🔄 Registering commands...');
+    logger.info('Registering commands');
     
     // Register the commands with Discord's API
     await rest.put(
@@ -688,8 +3270,27 @@ async function registerCommands() {
       { body: commands }
     );
     
-    console.log('✅ Commands registered in the guild successfully!');
+    logger.info('Commands registered', { guildId: GUILD_ID });
   } catch (error) {
-    console.error('❌ Error registering commands:', error);
+    logger.error('Error registering commands', { guildId: GUILD_ID, error });
   }
 }
+
+// Used by the tests, which drive the handlers with fake interactions instead of a gateway connection
+module.exports = {
+  client,
+  handleInteraction,
+  interactionManager,
+  permissionManager,
+  campaignStore,
+  deliveryQueue,
+  acknowledgementManager,
+  sendAcknowledgementReminders,
+  revisionStore,
+  scheduleManager,
+  runScheduledBroadcast,
+  resumeUnfinishedCampaigns,
+  resumeUnfinishedRevisions,
+  metrics,
+  getReadiness,
+};
@@ -0,0 +1,172 @@
+/**
+ * AcknowledgementManager Class
+ *
+ * Tracks the broadcasts asking members to confirm they read them: who
+ * acknowledged each campaign and when, and the reminders sent to the others.
+ * Campaign files are rewritten while a campaign is delivered, so
+ * acknowledgements are persisted apart, to a JSON file. A timer checks
+ * regularly for campaigns whose next reminder is due.
+ */
+
+const { readJson, writeJson } = require('./storage');
+const { logger } = require('./logger');
+
+// Reminders sent at most for a campaign, each one the reminder delay after the previous one
+const MAX_REMINDERS = 3;
+
+const HOUR_MS = 60 * 60 * 1000;
+
+class AcknowledgementManager {
+  /**
+   * @param {string} file - Path to the JSON file where acknowledgements are stored
+   */
+  constructor(file) {
+    this.file = file;
+    // Tracked campaigns indexed by ID: {guildId, reminderHours, acknowledged: {userId: date}, reminders: [date], nextReminderAt}
+    this.campaigns = readJson(file, {});
+    this.timer = null;
+  }
+
+  /**
+   * Write every tracked campaign to disk
+   */
+  save() {
+    writeJson(this.file, this.campaigns);
+  }
+
+  /**
+   * Start tracking the acknowledgements of a campaign
+   * Campaigns already tracked, e.g. resumed after a restart, are left unchanged.
+   *
+   * @param {Object} campaign - The campaign, with its acknowledgement settings
+   * @returns {Object} The tracking of the campaign
+   */
+  track(campaign) {
+    if (!this.campaigns[campaign.id]) {
+      this.campaigns[campaign.id] = {
+        guildId: campaign.guildId,
+        reminderHours: campaign.acknowledgement.reminderHours ?? null,
+        acknowledged: {},
+        reminders: [],
+        nextReminderAt: null,
+      };
+      this.save();
+    }
+    return this.campaigns[campaign.id];
+  }
+
+  /**
+   * Get the tracking of a campaign
+   * @param {string} campaignId - Campaign ID
+   * @returns {Object|undefined} The tracking, or undefined if the campaign asks for no acknowledgement
+   */
+  get(campaignId) {
+    return this.campaigns[campaignId];
+  }
+
+  /**
+   * Record that a member read a campaign
+   * @param {string} campaignId - Campaign ID
+   * @param {string} userId - Discord user ID
+   * @param {Date} [date] - When the member acknowledged it
+   * @returns {boolean} False if the campaign is not tracked or the member already acknowledged it
+   */
+  acknowledge(campaignId, userId, date = new Date()) {
+    const tracked = this.get(campaignId);
+    if (!tracked || tracked.acknowledged[userId]) return false;
+
+    tracked.acknowledged[userId] = date.toISOString();
+    this.save();
+    return true;
+  }
+
+  /**
+   * Get when a member acknowledged a campaign
+   * @param {string} campaignId - Campaign ID
+   * @param {string} userId - Discord user ID
+   * @returns {string|null} ISO date, or null if the member did not acknowledge it
+   */
+  getAcknowledgedAt(campaignId, userId) {
+    return this.get(campaignId)?.acknowledged[userId] ?? null;
+  }
+
+  /**
+   * Plan the first reminder of a campaign, once its delivery is over
+   * @param {string} campaignId - Campaign ID
+   * @param {Date} [from] - When the delivery finished
+   */
+  scheduleReminders(campaignId, from = new Date()) {
+    const tracked = this.get(campaignId);
+    if (!tracked?.reminderHours) return;
+
+    tracked.nextReminderAt = new Date(from.getTime() + tracked.reminderHours * HOUR_MS).toISOString();
+    this.save();
+  }
+
+  /**
+   * Record that the members who did not acknowledge a campaign were reminded, and plan the next reminder
+   * @param {string} campaignId - Campaign ID
+   * @param {Date} now - When the reminder was sent
+   */
+  recordReminder(campaignId, now) {
+    const tracked = this.get(campaignId);
+    tracked.reminders.push(now.toISOString());
+    tracked.nextReminderAt = tracked.reminders.length < MAX_REMINDERS
+      ? new Date(now.getTime() + tracked.reminderHours * HOUR_MS).toISOString()
+      : null;
+    this.save();
+  }
+
+  /**
+   * Stop reminding the members of a campaign, e.g. once every one of them acknowledged it
+   * @param {string} campaignId - Campaign ID
+   */
+  stopReminders(campaignId) {
+    const tracked = this.get(campaignId);
+    if (!tracked?.nextReminderAt) return;
+
+    tracked.nextReminderAt = null;
+    this.save();
+  }
+
+  /**
+   * Start checking for due reminders
+   * @param {Function} onDue - Async function called with the ID of each campaign whose reminder is due
+   * @param {number} [intervalMs=60000] - Time between two checks
+   */
+  start(onDue, intervalMs = 60000) {
+    this.stop();
+    const tick = () => {
+      const now = new Date();
+      const due = Object.keys(this.campaigns).filter((campaignId) => {
+        const { nextReminderAt } = this.campaigns[campaignId];
+        return nextReminderAt && new Date(nextReminderAt) <= now;
+      });
+
+      due.forEach((campaignId) => {
+        // Record the reminder first so a restart while sending it does not send it twice
+        this.recordReminder(campaignId, now);
+        Promise.resolve(onDue(campaignId)).catch((error) => {
+          logger.error('Error sending acknowledgement reminders', { campaignId, error });
+        });
+      });
+    };
+
+    tick();
+    this.timer = setInterval(tick, intervalMs);
+  }
+
+  /**
+   * Stop checking for due reminders
+   */
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+}
+
+AcknowledgementManager.MAX_REMINDERS = MAX_REMINDERS;
+
+module.exports = AcknowledgementManager;
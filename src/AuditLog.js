@@ -0,0 +1,39 @@
+/**
+ * AuditLog Class
+ *
+ * Append-only log of staff actions, stored as one JSON object per line.
+ * It keeps a trace of every campaign that was started or completed so
+ * moderators can reconstruct what happened during a dispute.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const { logger } = require('./logger');
+
+class AuditLog {
+  /**
+   * @param {string} file - Path to the log file
+   */
+  constructor(file) {
+    this.file = file;
+  }
+
+  /**
+   * Append an entry to the log
+   * @param {string} action - Name of the action (e.g. "campaign.started")
+   * @param {Object} details - Data describing the action
+   */
+  record(action, details = {}) {
+    const entry = { timestamp: new Date().toISOString(), action, ...details };
+
+    try {
+      fs.mkdirSync(path.dirname(this.file), { recursive: true });
+      fs.appendFileSync(this.file, `${JSON.stringify(entry)}\n`);
+    } catch (error) {
+      logger.error('Error writing to the audit log', { action, error });
+    }
+  }
+}
+
+module.exports = AuditLog;
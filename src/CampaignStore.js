@@ -0,0 +1,189 @@
+/**
+ * CampaignStore Class
+ *
+ * Persists broadcast campaigns as one JSON file per campaign. A campaign
+ * records who sent what to whom and when: author, target role, message
+ * content, timestamps and the outcome of every recipient (including the
+ * Discord error code of failed deliveries).
+ *
+ * While a campaign is delivered, the outcome of each recipient is appended to
+ * a progress log next to the campaign file, and replayed when the campaign is
+ * loaded. Every recipient is recorded before the next one is messaged, without
+ * rewriting the whole campaign each time. Saving the campaign clears its log.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { readJson, writeJson } = require('./storage');
+const { logger } = require('./logger');
+
+// Discord error code returned when a user does not accept DMs from the bot
+const CANNOT_MESSAGE_USER = 50007;
+
+class CampaignStore {
+  /**
+   * @param {string} directory - Directory where campaign files are stored
+   */
+  constructor(directory) {
+    this.directory = directory;
+  }
+
+  /**
+   * Get the file where a campaign is stored
+   * @param {string} campaignId - Campaign ID
+   * @returns {string} Path to the campaign file
+   */
+  getFile(campaignId) {
+    return path.join(this.directory, `${path.basename(campaignId)}.json`);
+  }
+
+  /**
+   * Get the progress log of a campaign
+   * @param {string} campaignId - Campaign ID
+   * @returns {string} Path to the progress log, one recipient outcome per line
+   */
+  getProgressFile(campaignId) {
+    return path.join(this.directory, `${path.basename(campaignId)}.progress.jsonl`);
+  }
+
+  /**
+   * Persist a new campaign with every recipient marked as pending
+   * @param {Object} campaign - Campaign data (author, role, content and recipients)
+   * @returns {Object} The stored campaign
+   */
+  create(campaign) {
+    campaign.status = campaign.status ?? 'running';
+    campaign.createdAt = campaign.createdAt ?? new Date().toISOString();
+    campaign.completedAt = null;
+    campaign.recipients = campaign.recipients.map((recipient) => ({
+      status: 'pending',
+      attempts: 0,
+      error: null,
+      errorCode: null,
+      ...recipient,
+    }));
+    this.save(campaign);
+    return campaign;
+  }
+
+  /**
+   * Write the current state of a campaign to disk
+   * @param {Object} campaign - The campaign to store
+   */
+  save(campaign) {
+    writeJson(this.getFile(campaign.id), campaign);
+    // The campaign file now holds every outcome of the log
+    fs.rmSync(this.getProgressFile(campaign.id), { force: true });
+  }
+
+  /**
+   * Record the outcome of a recipient without rewriting the whole campaign
+   * @param {Object} campaign - The campaign being delivered
+   * @param {Object} recipient - The recipient entry, once sent or failed
+   */
+  recordOutcome(campaign, recipient) {
+    fs.appendFileSync(this.getProgressFile(campaign.id), `${JSON.stringify(recipient)}\n`);
+  }
+
+  /**
+   * Read a campaign file and apply the outcomes of its progress log
+   * @param {string} file - Path to the campaign file
+   * @returns {Object|undefined} The campaign or undefined if not found
+   */
+  read(file) {
+    const campaign = readJson(file, undefined);
+    if (!campaign) return campaign;
+
+    let log;
+    try {
+      log = fs.readFileSync(this.getProgressFile(campaign.id), 'utf8');
+    } catch (error) {
+      if (error.code === 'ENOENT') return campaign;
+      throw error;
+    }
+
+    const indexes = new Map(campaign.recipients.map((recipient, index) => [recipient.id, index]));
+    log.split('\n').filter(Boolean).forEach((line) => {
+      let outcome;
+      try {
+        outcome = JSON.parse(line);
+      } catch {
+        // The last line is cut short when the bot stopped while writing it
+        return;
+      }
+      if (indexes.has(outcome.id)) campaign.recipients[indexes.get(outcome.id)] = outcome;
+    });
+    return campaign;
+  }
+
+  /**
+   * Load a campaign from disk
+   * @param {string} campaignId - Campaign ID
+   * @returns {Object|undefined} The campaign or undefined if not found
+   */
+  get(campaignId) {
+    return this.read(this.getFile(campaignId));
+  }
+
+  /**
+   * List stored campaigns, newest first
+   * Files that cannot be parsed are logged and skipped, so one corrupted campaign
+   * does not hide the others.
+   *
+   * @param {Function} [filter] - Optional predicate applied to each campaign
+   * @returns {Object[]} The matching campaigns
+   */
+  list(filter = () => true) {
+    if (!fs.existsSync(this.directory)) return [];
+
+    return fs.readdirSync(this.directory)
+      .filter((file) => file.endsWith('.json'))
+      .map((file) => {
+        try {
+          return this.read(path.join(this.directory, file));
+        } catch (error) {
+          logger.error('Error reading a campaign file', { file, error });
+          return undefined;
+        }
+      })
+      .filter((campaign) => campaign && filter(campaign))
+      .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+  }
+
+  /**
+   * Find the users of a guild known to have their DMs closed
+   * A user counts as unreachable when their most recent delivery failed
+   * because Discord refused to open a DM with them.
+   *
+   * @param {string} guildId - Discord guild ID
+   * @returns {Set<string>} IDs of the unreachable users
+   */
+  findUnreachableUsers(guildId) {
+    const lastOutcome = new Map();
+
+    // Oldest campaigns first, so later outcomes overwrite earlier ones
+    this.list((campaign) => campaign.guildId === guildId)
+      .reverse()
+      .forEach((campaign) => {
+        campaign.recipients
+          .filter((recipient) => recipient.status !== 'pending')
+          .forEach((recipient) => lastOutcome.set(recipient.id, recipient.errorCode));
+      });
+
+    return new Set(
+      [...lastOutcome].filter(([, errorCode]) => errorCode === CANNOT_MESSAGE_USER).map(([userId]) => userId)
+    );
+  }
+
+  /**
+   * List the campaigns that were interrupted before finishing
+   * @returns {Object[]} Campaigns still marked as running
+   */
+  listUnfinished() {
+    return this.list((campaign) => campaign.status === 'running');
+  }
+}
+
+CampaignStore.CANNOT_MESSAGE_USER = CANNOT_MESSAGE_USER;
+
+module.exports = CampaignStore;
@@ -0,0 +1,308 @@
+/**
+ * DeliveryQueue Class
+ *
+ * Delivers a campaign to its recipients with bounded concurrency and pacing.
+ * Discord rate limits (429 responses) pause every worker for the duration
+ * reported by Discord, and transient failures are retried with exponential
+ * backoff. The outcome of each recipient is recorded before its worker moves
+ * on, so a restarted bot resumes an unfinished campaign without messaging
+ * anyone it already reached. The whole campaign is saved every few recipients
+ * and every few seconds, and whenever it is paused or finishes.
+ *
+ * Running campaigns can be paused, resumed and aborted. Workers finish the DM
+ * they are sending and then wait or stop, so nobody is messaged twice.
+ *
+ * Sent and failed DMs, rate limits, retries and the number of DMs waiting to
+ * be sent are exposed as metrics.
+ */
+
+const MetricsRegistry = require('./MetricsRegistry');
+const { getFailureReason } = require('./deliveryReport');
+const { logger } = require('./logger');
+
+// Discord error code returned when the bot opens DM channels too quickly
+const OPENING_DMS_TOO_FAST = 40003;
+
+// Rate limits hit by a single recipient before it is reported as failed
+const MAX_RATE_LIMIT_RETRIES = 10;
+
+// Recipients handled, and time elapsed, before the whole campaign is saved again
+const SAVE_EVERY = 25;
+const SAVE_INTERVAL_MS = 5000;
+
+// Network error codes worth retrying
+const TRANSIENT_NETWORK_CODES = new Set(['ECONNRESET', 'ETIMEDOUT', 'EAI_AGAIN', 'ECONNREFUSED', 'UND_ERR_SOCKET']);
+
+/**
+ * Wait for the given number of milliseconds
+ * @param {number} ms - Time to wait
+ * @returns {Promise<void>}
+ */
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+/**
+ * Extract the retry delay from a rate limit error
+ * @param {Error} error - Error thrown by discord.js
+ * @returns {number|null} Delay in milliseconds, or null if the error is not a rate limit
+ */
+function getRetryAfter(error) {
+  // RateLimitError from @discordjs/rest reports the delay in milliseconds
+  if (error.name === 'RateLimitError' || typeof error.retryAfter === 'number') {
+    return error.retryAfter ?? 1000;
+  }
+  // Raw 429 responses report the delay in seconds
+  if (error.status === 429) {
+    const seconds = error.rawError?.retry_after;
+    return typeof seconds === 'number' ? Math.ceil(seconds * 1000) : 1000;
+  }
+  if (error.code === OPENING_DMS_TOO_FAST) {
+    return 5000;
+  }
+  return null;
+}
+
+/**
+ * Check whether an error is likely to succeed when retried
+ * @param {Error} error - Error thrown by discord.js
+ * @returns {boolean} True for server errors and network failures
+ */
+function isTransient(error) {
+  return error.status >= 500 || TRANSIENT_NETWORK_CODES.has(error.code);
+}
+
+class DeliveryQueue {
+  /**
+   * @param {Object} options
+   * @param {CampaignStore} options.store - Store where campaign progress is recorded
+   * @param {number} [options.concurrency=2] - Number of DMs sent in parallel
+   * @param {number} [options.delayMs=1000] - Pause of each worker between two DMs
+   * @param {number} [options.maxRetries=3] - Retries for a recipient after a transient failure
+   * @param {number} [options.backoffMs=2000] - Initial backoff, doubled after each retry
+   * @param {number} [options.saveEvery=25] - Recipients handled between two saves of the whole campaign
+   * @param {number} [options.saveIntervalMs=5000] - Longest time between two saves of the whole campaign
+   * @param {MetricsRegistry} [options.metrics] - Registry where the delivery metrics are registered
+   */
+  constructor(options) {
+    this.store = options.store;
+    this.concurrency = Math.max(1, options.concurrency ?? 2);
+    this.delayMs = Math.max(0, options.delayMs ?? 1000);
+    this.maxRetries = Math.max(0, options.maxRetries ?? 3);
+    this.backoffMs = Math.max(0, options.backoffMs ?? 2000);
+    this.saveEvery = Math.max(1, options.saveEvery ?? SAVE_EVERY);
+    this.saveIntervalMs = Math.max(0, options.saveIntervalMs ?? SAVE_INTERVAL_MS);
+    // Pause and abort state of the running campaigns, indexed by campaign ID
+    this.controls = new Map();
+
+    const metrics = options.metrics ?? new MetricsRegistry();
+    this.counters = {
+      sent: metrics.counter('privmsg_dms_sent_total', 'DMs delivered to recipients'),
+      failed: metrics.counter('privmsg_dms_failed_total', 'DMs that could not be delivered, by failure reason'),
+      rateLimits: metrics.counter('privmsg_rate_limit_hits_total', 'Rate limits hit while sending DMs'),
+      retries: metrics.counter('privmsg_dm_retries_total', 'DMs retried after a transient failure'),
+    };
+    metrics.gauge('privmsg_delivery_queue_depth', 'DMs waiting to be sent by running and paused campaigns', () => (
+      this.listActive().reduce((total, campaign) => total + campaign.recipients.filter((recipient) => recipient.status === 'pending').length, 0)
+    ));
+    metrics.gauge('privmsg_active_campaigns', 'Campaigns being delivered, by state', () => {
+      const controls = [...this.controls.values()];
+      return [
+        { labels: { state: 'running' }, value: controls.filter((control) => !control.paused).length },
+        { labels: { state: 'paused' }, value: controls.filter((control) => control.paused).length },
+      ];
+    });
+  }
+
+  /**
+   * Deliver a campaign to every recipient that has not been handled yet
+   * @param {Object} campaign - The campaign to deliver
+   * @param {Function} send - Async function receiving a recipient and sending the DM
+   * @param {Object} [options] - Overrides of the queue pacing for this campaign
+   * @param {number} [options.concurrency] - Number of DMs sent in parallel
+   * @param {number} [options.delayMs] - Pause of each worker between two DMs
+   * @param {Function} [options.onProgress] - Called with the campaign after every recipient
+   * @returns {Promise<Object>} The campaign, "completed" or "aborted", with the outcome of every recipient
+   */
+  async run(campaign, send, options = {}) {
+    const concurrency = Math.max(1, options.concurrency ?? this.concurrency);
+    const delayMs = Math.max(0, options.delayMs ?? this.delayMs);
+    const pending = campaign.recipients.filter((recipient) => recipient.status === 'pending');
+    // Shared between workers so that a rate limit pauses all of them
+    const limiter = { pausedUntil: 0 };
+    const control = { campaign, paused: false, aborted: false, waiters: [] };
+    this.controls.set(campaign.id, control);
+
+    // Writing the whole campaign after every recipient is too slow for large roles,
+    // each outcome is appended to the progress log and the campaign saved now and then
+    let unsaved = 0;
+    let savedAt = Date.now();
+    const saveProgress = (recipient) => {
+      unsaved++;
+      if (unsaved < this.saveEvery && Date.now() - savedAt < this.saveIntervalMs) {
+        this.store.recordOutcome(campaign, recipient);
+        return;
+      }
+
+      this.store.save(campaign);
+      unsaved = 0;
+      savedAt = Date.now();
+    };
+
+    const worker = async () => {
+      while (pending.length > 0 && !control.aborted) {
+        if (control.paused) {
+          await new Promise((resolve) => control.waiters.push(resolve));
+          continue;
+        }
+
+        const recipient = pending.shift();
+        await this.deliver(campaign, recipient, send, limiter);
+        saveProgress(recipient);
+        options.onProgress?.(campaign);
+
+        if (pending.length > 0 && delayMs > 0) {
+          await sleep(delayMs);
+        }
+      }
+    };
+
+    try {
+      const workerCount = Math.min(concurrency, pending.length);
+      await Promise.all(Array.from({ length: workerCount }, worker));
+    } finally {
+      this.controls.delete(campaign.id);
+    }
+
+    campaign.status = control.aborted ? 'aborted' : 'completed';
+    campaign.completedAt = new Date().toISOString();
+    this.store.save(campaign);
+    return campaign;
+  }
+
+  /**
+   * Check whether a campaign is being delivered by this queue
+   * @param {string} campaignId - Campaign ID
+   * @returns {boolean} True while the campaign is running or paused
+   */
+  isActive(campaignId) {
+    return this.controls.has(campaignId);
+  }
+
+  /**
+   * List the campaigns being delivered by this queue
+   * @returns {Object[]} The running and paused campaigns
+   */
+  listActive() {
+    return [...this.controls.values()].map((control) => control.campaign);
+  }
+
+  /**
+   * Pause a running campaign after the DMs being sent
+   * The paused status is saved, so a restarted bot does not resume the campaign on its own.
+   *
+   * @param {string} campaignId - Campaign ID
+   * @returns {boolean} False if the campaign is not running
+   */
+  pause(campaignId) {
+    const control = this.controls.get(campaignId);
+    if (!control || control.paused || control.aborted) return false;
+
+    control.paused = true;
+    control.campaign.status = 'paused';
+    this.store.save(control.campaign);
+    return true;
+  }
+
+  /**
+   * Resume a paused campaign
+   * @param {string} campaignId - Campaign ID
+   * @returns {boolean} False if the campaign is not paused
+   */
+  resume(campaignId) {
+    const control = this.controls.get(campaignId);
+    if (!control || !control.paused) return false;
+
+    control.paused = false;
+    control.campaign.status = 'running';
+    this.store.save(control.campaign);
+    control.waiters.splice(0).forEach((wake) => wake());
+    return true;
+  }
+
+  /**
+   * Stop a campaign after the DMs being sent, leaving the other recipients pending
+   * @param {string} campaignId - Campaign ID
+   * @returns {boolean} False if the campaign is not running or paused
+   */
+  abort(campaignId) {
+    const control = this.controls.get(campaignId);
+    if (!control || control.aborted) return false;
+
+    control.aborted = true;
+    control.paused = false;
+    control.waiters.splice(0).forEach((wake) => wake());
+    return true;
+  }
+
+  /**
+   * Send the message to a single recipient, retrying when possible
+   * @param {Object} campaign - The campaign being delivered
+   * @param {Object} recipient - Recipient entry of the campaign
+   * @param {Function} send - Async function sending the DM
+   * @param {Object} limiter - Rate limit state shared by the workers
+   */
+  async deliver(campaign, recipient, send, limiter) {
+    let retries = 0;
+    let rateLimits = 0;
+
+    while (true) {
+      const wait = limiter.pausedUntil - Date.now();
+      if (wait > 0) await sleep(wait);
+
+      recipient.attempts++;
+      try {
+        await send(recipient);
+        recipient.status = 'sent';
+        recipient.error = null;
+        recipient.errorCode = null;
+        this.counters.sent.inc();
+        return;
+      } catch (error) {
+        const retryAfter = getRetryAfter(error);
+
+        if (retryAfter !== null && rateLimits < MAX_RATE_LIMIT_RETRIES) {
+          // Rate limits do not count as failures, just wait until Discord allows us again
+          rateLimits++;
+          this.counters.rateLimits.inc();
+          logger.warn('Rate limited, pausing delivery', { campaignId: campaign.id, retryAfterMs: retryAfter });
+          limiter.pausedUntil = Math.max(limiter.pausedUntil, Date.now() + retryAfter);
+          continue;
+        }
+
+        if (isTransient(error) && retries < this.maxRetries) {
+          await sleep(this.backoffMs * 2 ** retries);
+          retries++;
+          this.counters.retries.inc();
+          continue;
+        }
+
+        recipient.status = 'failed';
+        recipient.error = error.message;
+        // Rate limit errors have no Discord code, tag them so reports can tell them apart
+        recipient.errorCode = error.code ?? (retryAfter !== null ? 'RATE_LIMITED' : null);
+
+        const reason = getFailureReason(recipient);
+        this.counters.failed.inc({ reason });
+        logger.warn('DM not delivered', {
+          campaignId: campaign.id,
+          userId: recipient.id,
+          reason,
+          attempts: recipient.attempts,
+          error,
+        });
+        return;
+      }
+    }
+  }
+}
+
+module.exports = DeliveryQueue;
@@ -0,0 +1,99 @@
+/**
+ * GuildConfigManager Class
+ *
+ * Stores the settings of every server the bot runs in: staff roles, report
+ * and reply relay channels, delivery pacing, approval rules, the default
+ * embed branding, the languages of the server, the content safety rules and
+ * the sending quotas.
+ * Settings are persisted to a JSON file and edited at runtime with /config.
+ * Anything a server did not configure falls back to the defaults built from
+ * the environment variables.
+ */
+
+const { readJson, writeJson } = require('./storage');
+
+// Settings that can be reset with /config reset, with a short description for the UI
+const SETTINGS = {
+  staffRoleIds: 'Staff roles',
+  reportChannelId: 'Report channel',
+  relayChannelId: 'Reply relay channel',
+  rateLimits: 'Delivery pacing',
+  approval: 'Approval rules',
+  branding: 'Embed branding',
+  language: 'Language',
+  languageRoles: 'Language roles',
+  safety: 'Content safety',
+  quotas: 'Sending quotas',
+};
+
+class GuildConfigManager {
+  /**
+   * @param {string} file - Path to the JSON file where settings are stored
+   * @param {Object} defaults - Settings used for anything a guild did not configure
+   */
+  constructor(file, defaults) {
+    this.file = file;
+    this.defaults = defaults;
+    // Settings indexed by guild ID
+    this.guilds = readJson(file, {});
+  }
+
+  /**
+   * Get the effective settings of a guild
+   * @param {string} guildId - Discord guild ID
+   * @returns {Object} The guild settings merged with the defaults
+   */
+  get(guildId) {
+    const stored = this.guilds[guildId] ?? {};
+
+    return {
+      ...this.defaults,
+      ...stored,
+      rateLimits: { ...this.defaults.rateLimits, ...stored.rateLimits },
+      approval: { ...this.defaults.approval, ...stored.approval },
+      branding: { ...this.defaults.branding, ...stored.branding },
+      safety: { ...this.defaults.safety, ...stored.safety },
+      quotas: { ...this.defaults.quotas, ...stored.quotas },
+    };
+  }
+
+  /**
+   * Overwrite some settings of a guild
+   * Nested settings (rateLimits, approval, branding, safety, quotas) are merged key by key,
+   * lists (staffRoleIds, languageRoles) are replaced.
+   *
+   * @param {string} guildId - Discord guild ID
+   * @param {Object} changes - Settings to overwrite
+   * @returns {Object} The effective settings of the guild
+   */
+  set(guildId, changes) {
+    const stored = this.guilds[guildId] ?? (this.guilds[guildId] = {});
+
+    for (const [key, value] of Object.entries(changes)) {
+      stored[key] = value !== null && typeof value === 'object' && !Array.isArray(value)
+        ? { ...stored[key], ...value }
+        : value;
+    }
+
+    writeJson(this.file, this.guilds);
+    return this.get(guildId);
+  }
+
+  /**
+   * Restore the default value of a setting
+   * @param {string} guildId - Discord guild ID
+   * @param {string} setting - One of the SETTINGS keys
+   * @returns {Object} The effective settings of the guild
+   */
+  reset(guildId, setting) {
+    if (this.guilds[guildId]) {
+      delete this.guilds[guildId][setting];
+      writeJson(this.file, this.guilds);
+    }
+    return this.get(guildId);
+  }
+}
+
+GuildConfigManager.SETTINGS = SETTINGS;
+
+module.exports = GuildConfigManager;
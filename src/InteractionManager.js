@@ -0,0 +1,179 @@
+/**
+ * InteractionManager Class
+ *
+ * Manages the state of ongoing interactions between users and the bot.
+ * Uses a Map to store user-specific interaction states, allowing multiple
+ * users to have concurrent interactions without conflicts.
+ *
+ * Every state is also written to a pluggable store (see stateStores.js), so
+ * drafts survive restarts: on startup they are restored and re-attached to
+ * their preview message, and the buttons of that message keep working.
+ * Drafts left idle for too long expire and their preview is cleaned up.
+ */
+
+// Prefix of the store keys holding interaction states
+const KEY_PREFIX = 'interaction:';
+
+const { logger } = require('./logger');
+
+class InteractionManager {
+  /**
+   * @param {Object} [options]
+   * @param {Object} [options.store] - Store where states are persisted, keeps them in memory only if omitted
+   * @param {number} [options.idleTimeoutMs=1800000] - Time without activity after which a state expires
+   */
+  constructor(options = {}) {
+    // Initialize a Map to store user interaction states
+    this.interactionState = new Map();
+    this.store = options.store ?? null;
+    this.idleTimeoutMs = options.idleTimeoutMs ?? 30 * 60 * 1000;
+    this.timer = null;
+  }
+
+  /**
+   * Set the state for a specific user
+   * @param {string} userId - Discord user ID
+   * @param {Object} state - The state object to store
+   */
+  setState(userId, state) {
+    state.lastActivityAt = Date.now();
+    this.interactionState.set(userId, state);
+    this.persist(userId);
+  }
+
+  /**
+   * Get the current state for a specific user
+   * @param {string} userId - Discord user ID
+   * @returns {Object|undefined} The user's state or undefined if not found
+   */
+  getState(userId) {
+    return this.interactionState.get(userId);
+  }
+
+  /**
+   * Delete the state for a specific user
+   * @param {string} userId - Discord user ID
+   */
+  deleteState(userId) {
+    this.interactionState.delete(userId);
+    this.store?.del(`${KEY_PREFIX}${userId}`).catch((error) => {
+      logger.error('Error deleting the interaction state', { userId, error });
+    });
+  }
+
+  /**
+   * Check if a state exists for a specific user
+   * @param {string} userId - Discord user ID
+   * @returns {boolean} True if the user has a state, false otherwise
+   */
+  hasState(userId) {
+    return this.interactionState.has(userId);
+  }
+
+  /**
+   * Count the ongoing interactions
+   * @returns {number} Number of users with a state
+   */
+  count() {
+    return this.interactionState.size;
+  }
+
+  /**
+   * Record activity on a user's state and save its changes
+   * Handlers update states in place, so this is called after each interaction.
+   *
+   * @param {string} userId - Discord user ID
+   */
+  async touch(userId) {
+    const state = this.interactionState.get(userId);
+    if (!state) return;
+
+    state.lastActivityAt = Date.now();
+    await this.persist(userId);
+  }
+
+  /**
+   * Write a user's state to the store
+   * The preview message is stored as a reference and fetched again on restore.
+   *
+   * @param {string} userId - Discord user ID
+   */
+  async persist(userId) {
+    const state = this.interactionState.get(userId);
+    if (!this.store || !state) return;
+
+    const { previewMessage, ...data } = state;
+    const serialized = JSON.stringify({
+      ...data,
+      previewMessage: previewMessage ? { channelId: previewMessage.channelId, id: previewMessage.id } : null,
+    });
+
+    try {
+      await this.store.set(`${KEY_PREFIX}${userId}`, serialized);
+    } catch (error) {
+      logger.error('Error saving the interaction state', { userId, error });
+    }
+  }
+
+  /**
+   * Load the states saved before a restart
+   * States whose preview message cannot be fetched anymore are discarded.
+   *
+   * @param {Function} fetchMessage - Async function returning the message of a {channelId, id} reference, or null
+   * @param {Function} [onDiscard] - Called with the user ID and state of every discarded state
+   * @returns {Promise<number>} Number of restored states
+   */
+  async restore(fetchMessage, onDiscard) {
+    if (!this.store) return 0;
+
+    let restored = 0;
+    for (const key of await this.store.keys(`${KEY_PREFIX}*`)) {
+      const userId = key.slice(KEY_PREFIX.length);
+      const state = JSON.parse(await this.store.get(key));
+
+      state.previewMessage = state.previewMessage && await fetchMessage(state.previewMessage);
+      if (!state.previewMessage) {
+        await this.store.del(key);
+        onDiscard?.(userId, state);
+        continue;
+      }
+
+      this.interactionState.set(userId, state);
+      restored++;
+    }
+
+    return restored;
+  }
+
+  /**
+   * Start expiring states left idle for longer than the idle timeout
+   * @param {Function} onExpire - Async function called with the user ID and state of every expired state
+   * @param {number} [intervalMs=60000] - Time between two checks
+   */
+  startExpiry(onExpire, intervalMs = 60000) {
+    this.stopExpiry();
+    this.timer = setInterval(() => {
+      const now = Date.now();
+      for (const [userId, state] of this.interactionState) {
+        if (now - state.lastActivityAt < this.idleTimeoutMs) continue;
+
+        this.deleteState(userId);
+        Promise.resolve(onExpire(userId, state)).catch((error) => {
+          logger.error('Error expiring the interaction', { userId, error });
+        });
+      }
+    }, intervalMs);
+  }
+
+  /**
+   * Stop expiring idle states
+   */
+  stopExpiry() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+}
+
+module.exports = InteractionManager;
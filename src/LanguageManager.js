@@ -0,0 +1,63 @@
+/**
+ * LanguageManager Class
+ *
+ * Works out the language each member should receive a broadcast in.
+ * Discord only tells bots the locale of a user when they interact with the
+ * bot, so the last locale seen for every user is remembered in a JSON file.
+ * Members who never interacted with the bot are matched through the language
+ * roles of their server instead.
+ */
+
+const { readJson, writeJson } = require('./storage');
+const { getLanguage } = require('./i18n');
+
+class LanguageManager {
+  /**
+   * @param {string} file - Path to the JSON file where user locales are stored
+   */
+  constructor(file) {
+    this.file = file;
+    // Discord locales indexed by user ID
+    this.locales = readJson(file, {});
+  }
+
+  /**
+   * Remember the locale of a user
+   * @param {string} userId - Discord user ID
+   * @param {string|null|undefined} locale - The locale of one of their interactions, e.g. "pt-BR"
+   */
+  recordLocale(userId, locale) {
+    if (!locale || this.locales[userId] === locale) return;
+
+    this.locales[userId] = locale;
+    writeJson(this.file, this.locales);
+  }
+
+  /**
+   * Get the last known locale of a user
+   * @param {string} userId - Discord user ID
+   * @returns {string|undefined} The locale, or undefined if the user never interacted with the bot
+   */
+  getLocale(userId) {
+    return this.locales[userId];
+  }
+
+  /**
+   * Pick the language of a member among the languages a broadcast is written in
+   * Their own locale comes first, then the language roles they hold.
+   *
+   * @param {GuildMember} member - The member
+   * @param {{roleId: string, language: string}[]} languageRoles - Language roles of the server
+   * @param {string[]} languages - Languages available for the broadcast
+   * @returns {string|null} One of the languages, or null if none matches the member
+   */
+  resolveLanguage(member, languageRoles, languages) {
+    const ownLanguage = getLanguage(this.getLocale(member.id));
+    if (ownLanguage && languages.includes(ownLanguage)) return ownLanguage;
+
+    const roleLanguage = languageRoles.find(({ roleId, language }) => languages.includes(language) && member.roles.cache.has(roleId));
+    return roleLanguage?.language ?? null;
+  }
+}
+
+module.exports = LanguageManager;
@@ -0,0 +1,106 @@
+/**
+ * MetricsRegistry Class
+ *
+ * Keeps the counters and gauges of the bot and renders them in the
+ * Prometheus text exposition format. Counters are incremented as events
+ * happen (DMs sent, rate limits hit...), gauges are read from the bot when
+ * the metrics are scraped (queue depth, active drafts...), so they never go
+ * stale.
+ */
+
+/**
+ * Escape a label value of the exposition format
+ * @param {*} value - The value
+ * @returns {string} The escaped value
+ */
+const escapeLabel = (value) => String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+
+/**
+ * Format the labels of a sample, e.g. {reason="dms_closed"}
+ * @param {Object} labels - Label values, indexed by name
+ * @returns {string} The labels, or an empty string without labels
+ */
+function formatLabels(labels) {
+  const entries = Object.entries(labels);
+  if (entries.length === 0) return '';
+  return `{${entries.map(([name, value]) => `${name}="${escapeLabel(value)}"`).join(',')}}`;
+}
+
+class MetricsRegistry {
+  constructor() {
+    // Registered metrics, in registration order
+    this.metrics = new Map();
+  }
+
+  /**
+   * Register a counter
+   * @param {string} name - Metric name, ending with _total
+   * @param {string} help - Description of the metric
+   * @returns {{inc: Function, get: Function}} The counter, incremented with inc(labels, amount)
+   */
+  counter(name, help) {
+    const values = new Map();
+    const metric = {
+      type: 'counter',
+      help,
+      samples: () => [...values.values()],
+    };
+    this.register(name, metric);
+
+    return {
+      inc(labels = {}, amount = 1) {
+        const key = formatLabels(labels);
+        const sample = values.get(key) ?? { labels, value: 0 };
+        sample.value += amount;
+        values.set(key, sample);
+      },
+      get(labels = {}) {
+        return values.get(formatLabels(labels))?.value ?? 0;
+      },
+    };
+  }
+
+  /**
+   * Register a gauge read when the metrics are rendered
+   * @param {string} name - Metric name
+   * @param {string} help - Description of the metric
+   * @param {Function} collect - Returns the current value, or {labels, value} samples
+   */
+  gauge(name, help, collect) {
+    this.register(name, {
+      type: 'gauge',
+      help,
+      samples: () => {
+        const value = collect();
+        return Array.isArray(value) ? value : [{ labels: {}, value }];
+      },
+    });
+  }
+
+  /**
+   * Add a metric to the registry
+   * @param {string} name - Metric name
+   * @param {Object} metric - Type, help and samples of the metric
+   */
+  register(name, metric) {
+    if (this.metrics.has(name)) {
+      throw new Error(`Metric ${name} is already registered`);
+    }
+    this.metrics.set(name, metric);
+  }
+
+  /**
+   * Render every metric in the Prometheus text exposition format
+   * @returns {string} The metrics
+   */
+  render() {
+    const lines = [];
+    this.metrics.forEach((metric, name) => {
+      lines.push(`# HELP ${name} ${metric.help}`, `# TYPE ${name} ${metric.type}`);
+      metric.samples().forEach(({ labels, value }) => lines.push(`${name}${formatLabels(labels)} ${Number(value)}`));
+    });
+    return `${lines.join('\n')}\n`;
+  }
+}
+
+module.exports = MetricsRegistry;
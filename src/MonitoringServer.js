@@ -0,0 +1,108 @@
+/**
+ * MonitoringServer Class
+ *
+ * Small HTTP server for supervisors and monitoring systems:
+ * - GET /metrics: Prometheus metrics of the bot
+ * - GET /healthz: liveness, answers 200 as long as the process responds
+ * - GET /readyz: readiness, answers 200 while the bot is connected to the
+ *   Discord gateway and 503 otherwise, with the details as JSON
+ *
+ * It listens on 127.0.0.1 by default, so the metrics are not exposed outside
+ * of the machine unless a host is configured.
+ */
+
+const http = require('http');
+
+class MonitoringServer {
+  /**
+   * @param {Object} options
+   * @param {MetricsRegistry} options.metrics - Metrics served on /metrics
+   * @param {Function} options.getReadiness - Returns {ready: boolean, ...details} for /readyz
+   * @param {number} options.port - Port to listen on, 0 picks a free one
+   * @param {string} [options.host="127.0.0.1"] - Address to listen on
+   */
+  constructor(options) {
+    this.metrics = options.metrics;
+    this.getReadiness = options.getReadiness;
+    this.port = options.port;
+    this.host = options.host ?? '127.0.0.1';
+    this.startedAt = Date.now();
+    this.server = http.createServer((request, response) => this.handle(request, response));
+  }
+
+  /**
+   * Start listening
+   * @returns {Promise<number>} The port the server listens on
+   */
+  start() {
+    return new Promise((resolve, reject) => {
+      this.server.once('error', reject);
+      this.server.listen(this.port, this.host, () => {
+        this.server.off('error', reject);
+        resolve(this.server.address().port);
+      });
+    });
+  }
+
+  /**
+   * Stop listening
+   * @returns {Promise<void>}
+   */
+  stop() {
+    return new Promise((resolve) => this.server.close(() => resolve()));
+  }
+
+  /**
+   * Answer a request
+   * @param {http.IncomingMessage} request - The request
+   * @param {http.ServerResponse} response - The response
+   */
+  handle(request, response) {
+    const { pathname } = new URL(request.url, 'http://localhost');
+
+    if (request.method !== 'GET') {
+      this.send(response, 405, 'text/plain', 'Method Not Allowed\n');
+      return;
+    }
+
+    switch (pathname) {
+      case '/metrics':
+        this.send(response, 200, 'text/plain; version=0.0.4', this.metrics.render());
+        break;
+      case '/healthz':
+        this.sendJson(response, 200, { status: 'ok', uptimeSeconds: Math.floor((Date.now() - this.startedAt) / 1000) });
+        break;
+      case '/readyz': {
+        const readiness = this.getReadiness();
+        this.sendJson(response, readiness.ready ? 200 : 503, { status: readiness.ready ? 'ready' : 'not_ready', ...readiness });
+        break;
+      }
+      default:
+        this.send(response, 404, 'text/plain', 'Not Found\n');
+    }
+  }
+
+  /**
+   * Send a JSON response
+   * @param {http.ServerResponse} response - The response
+   * @param {number} status - HTTP status
+   * @param {Object} body - The body
+   */
+  sendJson(response, status, body) {
+    this.send(response, status, 'application/json', `${JSON.stringify(body)}\n`);
+  }
+
+  /**
+   * Send a response
+   * @param {http.ServerResponse} response - The response
+   * @param {number} status - HTTP status
+   * @param {string} contentType - Content type of the body
+   * @param {string} body - The body
+   */
+  send(response, status, contentType, body) {
+    response.writeHead(status, { 'Content-Type': contentType, 'Cache-Control': 'no-store' });
+    response.end(body);
+  }
+}
+
+module.exports = MonitoringServer;
@@ -0,0 +1,164 @@
+/**
+ * PermissionManager Class
+ *
+ * Decides which staff members may use each feature of the bot. Permissions
+ * are granted per guild to roles or individual users and persisted to a JSON
+ * file, so they can be changed at runtime with /admin permissions.
+ *
+ * Two rules keep the bot usable before anything is configured:
+ * - Server administrators always have every permission
+ * - A permission nobody was granted falls back to the staff roles of the guild (see /config)
+ */
+
+const { PermissionFlagsBits } = require('discord.js');
+const { readJson, writeJson } = require('./storage');
+
+// Permissions that can be granted, described in the UI by the "permissions.descriptions" entries of the locale catalogs
+const PERMISSIONS = ['send', 'schedule', 'history', 'templates', 'approve', 'reply', 'admin'];
+
+class PermissionManager {
+  /**
+   * @param {string} file - Path to the JSON file where permissions are stored
+   * @param {Object} [options]
+   * @param {Function} [options.getFallbackRoleIds] - Returns the roles of a guild granted every permission but admin while none is configured
+   */
+  constructor(file, options = {}) {
+    this.file = file;
+    this.getFallbackRoleIds = options.getFallbackRoleIds ?? (() => []);
+    // Settings indexed by guild ID
+    this.guilds = readJson(file, {});
+  }
+
+  /**
+   * Get the permission settings of a guild
+   * @param {string} guildId - Discord guild ID
+   * @returns {{grants: Object[], targetRules: Object[]}} The guild settings
+   */
+  getGuild(guildId) {
+    if (!this.guilds[guildId]) {
+      this.guilds[guildId] = { grants: [], targetRules: [] };
+    }
+    return this.guilds[guildId];
+  }
+
+  /**
+   * Write every setting to disk
+   */
+  save() {
+    writeJson(this.file, this.guilds);
+  }
+
+  /**
+   * Check whether a role or user ID applies to a member
+   * @param {GuildMember} member - The member
+   * @param {{type: string, id: string}} subject - A role or a user
+   * @returns {boolean} True if the member is the user or has the role
+   */
+  static matches(member, subject) {
+    return subject.type === 'user' ? member.id === subject.id : member.roles.cache.has(subject.id);
+  }
+
+  /**
+   * Grant a permission to a role or user
+   * @param {string} guildId - Discord guild ID
+   * @param {string} permission - One of the PERMISSIONS
+   * @param {string} type - "role" or "user"
+   * @param {string} id - Role or user ID
+   * @returns {boolean} False if the permission was already granted
+   */
+  grant(guildId, permission, type, id) {
+    const { grants } = this.getGuild(guildId);
+    if (grants.some((grant) => grant.permission === permission && grant.id === id)) return false;
+
+    grants.push({ permission, type, id });
+    this.save();
+    return true;
+  }
+
+  /**
+   * Revoke a permission from a role or user
+   * @param {string} guildId - Discord guild ID
+   * @param {string} permission - One of the PERMISSIONS
+   * @param {string} id - Role or user ID
+   * @returns {boolean} False if the permission was not granted
+   */
+  revoke(guildId, permission, id) {
+    const settings = this.getGuild(guildId);
+    const remaining = settings.grants.filter((grant) => !(grant.permission === permission && grant.id === id));
+    if (remaining.length === settings.grants.length) return false;
+
+    settings.grants = remaining;
+    this.save();
+    return true;
+  }
+
+  /**
+   * Allow a role or user to target a role
+   * Once a subject has at least one rule, it may only target the roles listed in its rules.
+   *
+   * @param {string} guildId - Discord guild ID
+   * @param {string} type - "role" or "user"
+   * @param {string} id - Role or user ID of the subject
+   * @param {string} roleId - Role the subject may target
+   * @returns {boolean} False if the rule already existed
+   */
+  restrict(guildId, type, id, roleId) {
+    const { targetRules } = this.getGuild(guildId);
+    if (targetRules.some((rule) => rule.id === id && rule.roleId === roleId)) return false;
+
+    targetRules.push({ type, id, roleId });
+    this.save();
+    return true;
+  }
+
+  /**
+   * Remove a targeting rule
+   * @param {string} guildId - Discord guild ID
+   * @param {string} id - Role or user ID of the subject
+   * @param {string} roleId - Role of the rule
+   * @returns {boolean} False if the rule did not exist
+   */
+  unrestrict(guildId, id, roleId) {
+    const settings = this.getGuild(guildId);
+    const remaining = settings.targetRules.filter((rule) => !(rule.id === id && rule.roleId === roleId));
+    if (remaining.length === settings.targetRules.length) return false;
+
+    settings.targetRules = remaining;
+    this.save();
+    return true;
+  }
+
+  /**
+   * Check whether a member has a permission
+   * @param {GuildMember} member - The member
+   * @param {string} permission - One of the PERMISSIONS
+   * @returns {boolean} True if the member is allowed
+   */
+  can(member, permission) {
+    if (member.permissions.has(PermissionFlagsBits.Administrator)) return true;
+
+    const grants = this.getGuild(member.guild.id).grants.filter((grant) => grant.permission === permission);
+    if (grants.length === 0) {
+      return permission !== 'admin'
+        && this.getFallbackRoleIds(member.guild.id).some((roleId) => member.roles.cache.has(roleId));
+    }
+
+    return grants.some((grant) => PermissionManager.matches(member, grant));
+  }
+
+  /**
+   * Get the roles a member is allowed to target
+   * @param {GuildMember} member - The member
+   * @returns {Set<string>|null} The allowed role IDs, or null if the member may target any role
+   */
+  getTargetableRoleIds(member) {
+    if (member.permissions.has(PermissionFlagsBits.Administrator)) return null;
+
+    const rules = this.getGuild(member.guild.id).targetRules.filter((rule) => PermissionManager.matches(member, rule));
+    return rules.length === 0 ? null : new Set(rules.map((rule) => rule.roleId));
+  }
+}
+
+PermissionManager.PERMISSIONS = PERMISSIONS;
+
+module.exports = PermissionManager;
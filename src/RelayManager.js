@@ -0,0 +1,79 @@
+/**
+ * RelayManager Class
+ *
+ * Keeps what is needed to relay the DM replies of members to the staff:
+ * - The last campaign each member received, so a reply can be tagged with it
+ * - The staff thread opened for each member, so a conversation stays in one place
+ *
+ * Threads are persisted to a JSON file. The last campaigns are rebuilt from
+ * the campaign history on startup and kept up to date while delivering.
+ */
+
+const { readJson, writeJson } = require('./storage');
+
+class RelayManager {
+  /**
+   * @param {string} file - Path to the JSON file where relay threads are stored
+   */
+  constructor(file) {
+    this.file = file;
+    // Thread IDs indexed by guild ID, then by user ID
+    this.threads = readJson(file, {});
+    // Last campaign received by each user: { campaignId, guildId }
+    this.lastCampaigns = new Map();
+  }
+
+  /**
+   * Rebuild the last campaign received by each user from the campaign history
+   * @param {Object[]} campaigns - Every stored campaign, newest first
+   */
+  indexCampaigns(campaigns) {
+    for (const campaign of campaigns) {
+      campaign.recipients
+        .filter((recipient) => recipient.status === 'sent' && !this.lastCampaigns.has(recipient.id))
+        .forEach((recipient) => this.recordDelivery(recipient.id, campaign));
+    }
+  }
+
+  /**
+   * Remember that a user just received a campaign
+   * @param {string} userId - Discord user ID
+   * @param {Object} campaign - The campaign
+   */
+  recordDelivery(userId, campaign) {
+    this.lastCampaigns.set(userId, { campaignId: campaign.id, guildId: campaign.guildId });
+  }
+
+  /**
+   * Get the last campaign a user received
+   * @param {string} userId - Discord user ID
+   * @returns {{campaignId: string, guildId: string}|undefined} The campaign, or undefined if none
+   */
+  getLastCampaign(userId) {
+    return this.lastCampaigns.get(userId);
+  }
+
+  /**
+   * Get the staff thread of a user
+   * @param {string} guildId - Discord guild ID
+   * @param {string} userId - Discord user ID
+   * @returns {string|undefined} The thread ID, or undefined if none was opened
+   */
+  getThreadId(guildId, userId) {
+    return this.threads[guildId]?.[userId];
+  }
+
+  /**
+   * Store the staff thread of a user
+   * @param {string} guildId - Discord guild ID
+   * @param {string} userId - Discord user ID
+   * @param {string} threadId - The thread ID
+   */
+  setThreadId(guildId, userId, threadId) {
+    const guildThreads = this.threads[guildId] ?? (this.threads[guildId] = {});
+    guildThreads[userId] = threadId;
+    writeJson(this.file, this.threads);
+  }
+}
+
+module.exports = RelayManager;
@@ -0,0 +1,165 @@
+/**
+ * ScheduleManager Class
+ *
+ * Keeps track of broadcasts scheduled for a later date, optionally repeating
+ * daily, weekly or monthly. Schedules are persisted to a JSON file so they
+ * survive restarts, and a timer checks regularly for schedules that are due.
+ */
+
+const crypto = require('crypto');
+const { readJson, writeJson } = require('./storage');
+const { getZonedParts, addRecurrence } = require('./time');
+const { logger } = require('./logger');
+
+// Supported recurrences for scheduled broadcasts
+const REPEAT_OPTIONS = ['none', 'daily', 'weekly', 'monthly'];
+
+class ScheduleManager {
+  /**
+   * @param {string} file - Path to the JSON file where schedules are stored
+   */
+  constructor(file) {
+    this.file = file;
+    this.schedules = readJson(file, []);
+    this.timer = null;
+  }
+
+  /**
+   * Write every schedule to disk
+   */
+  save() {
+    writeJson(this.file, this.schedules);
+  }
+
+  /**
+   * Create a new active schedule
+   * The day of its first run is kept, so monthly runs clamped to a shorter month go back to it.
+   *
+   * @param {Object} schedule - Author, guild, role, content, timezone, recurrence and first run date
+   * @returns {Object} The stored schedule
+   */
+  create(schedule) {
+    const stored = {
+      id: crypto.randomBytes(4).toString('hex'),
+      status: 'active',
+      repeat: 'none',
+      createdAt: new Date().toISOString(),
+      lastRunAt: null,
+      campaignIds: [],
+      dayOfMonth: getZonedParts(new Date(schedule.nextRunAt), schedule.timeZone).day,
+      ...schedule,
+    };
+
+    this.schedules.push(stored);
+    this.save();
+    return stored;
+  }
+
+  /**
+   * Get a schedule by ID
+   * @param {string} scheduleId - Schedule ID
+   * @returns {Object|undefined} The schedule or undefined if not found
+   */
+  get(scheduleId) {
+    return this.schedules.find((schedule) => schedule.id === scheduleId);
+  }
+
+  /**
+   * List the active schedules of a guild, next run first
+   * @param {string} guildId - Discord guild ID
+   * @returns {Object[]} The active schedules
+   */
+  listActive(guildId) {
+    return this.schedules
+      .filter((schedule) => schedule.guildId === guildId && schedule.status === 'active')
+      .sort((a, b) => a.nextRunAt.localeCompare(b.nextRunAt));
+  }
+
+  /**
+   * Update the fields of a schedule
+   * @param {string} scheduleId - Schedule ID
+   * @param {Object} changes - Fields to overwrite
+   * @returns {Object|undefined} The updated schedule or undefined if not found
+   */
+  update(scheduleId, changes) {
+    const schedule = this.get(scheduleId);
+    if (!schedule) return undefined;
+
+    Object.assign(schedule, changes);
+    this.save();
+    return schedule;
+  }
+
+  /**
+   * Cancel a schedule so it never fires again
+   * @param {string} scheduleId - Schedule ID
+   * @returns {Object|undefined} The cancelled schedule or undefined if not found
+   */
+  cancel(scheduleId) {
+    return this.update(scheduleId, { status: 'cancelled' });
+  }
+
+  /**
+   * Record that a schedule fired and compute its next run
+   * Occurrences missed while the bot was offline are skipped rather than sent in a burst.
+   *
+   * @param {Object} schedule - The schedule that fired
+   * @param {Date} now - The current date
+   */
+  markRun(schedule, now) {
+    schedule.lastRunAt = now.toISOString();
+
+    if (schedule.repeat === 'none') {
+      schedule.status = 'completed';
+    } else {
+      let next = new Date(schedule.nextRunAt);
+      while (next <= now) {
+        // Schedules created before the day of month was kept follow their last run
+        next = addRecurrence(next, schedule.repeat, schedule.timeZone, schedule.dayOfMonth);
+      }
+      schedule.nextRunAt = next.toISOString();
+    }
+
+    this.save();
+  }
+
+  /**
+   * Start checking for due schedules
+   * @param {Function} onDue - Async function called with each schedule when it is due
+   * @param {number} [intervalMs=30000] - Time between two checks
+   */
+  start(onDue, intervalMs = 30000) {
+    this.stop();
+    const tick = () => {
+      const now = new Date();
+      const due = this.schedules.filter(
+        (schedule) => schedule.status === 'active' && new Date(schedule.nextRunAt) <= now
+      );
+
+      due.forEach((schedule) => {
+        // Mark the run first so a restart during delivery does not fire it twice
+        this.markRun(schedule, now);
+        Promise.resolve(onDue(schedule)).catch((error) => {
+          logger.error('Error running schedule', { scheduleId: schedule.id, error });
+        });
+      });
+    };
+
+    tick();
+    this.timer = setInterval(tick, intervalMs);
+  }
+
+  /**
+   * Stop checking for due schedules
+   */
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+}
+
+ScheduleManager.REPEAT_OPTIONS = REPEAT_OPTIONS;
+
+module.exports = ScheduleManager;
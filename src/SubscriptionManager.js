@@ -0,0 +1,138 @@
+/**
+ * SubscriptionManager Class
+ *
+ * Keeps track of the members who do not want to receive broadcasts anymore.
+ * Members can opt out of every broadcast of a server, or only of the
+ * broadcasts about a topic (e.g. "events"). Opt-outs are persisted to a JSON
+ * file and honoured whenever the recipients of a campaign are resolved.
+ */
+
+const { readJson, writeJson } = require('./storage');
+
+// Topic standing for every broadcast of a server
+const ALL_TOPICS = 'all';
+
+class SubscriptionManager {
+  /**
+   * @param {string} file - Path to the JSON file where opt-outs are stored
+   */
+  constructor(file) {
+    this.file = file;
+    // Opt-outs (topics indexed by user ID) and topics used by broadcasts, indexed by guild ID
+    this.guilds = readJson(file, {});
+  }
+
+  /**
+   * Normalize a topic name so it can be used in button IDs
+   * @param {string} topic - The topic typed by staff
+   * @returns {string} Lowercase letters, digits and dashes
+   */
+  static normalizeTopic(topic) {
+    return topic.trim().toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '').slice(0, 32);
+  }
+
+  /**
+   * Get the settings of a guild
+   * @param {string} guildId - Discord guild ID
+   * @returns {{optOuts: Object<string, string[]>, topics: string[]}} The guild settings
+   */
+  getGuild(guildId) {
+    if (!this.guilds[guildId]) {
+      this.guilds[guildId] = { optOuts: {}, topics: [] };
+    }
+    return this.guilds[guildId];
+  }
+
+  /**
+   * Write every opt-out to disk
+   */
+  save() {
+    writeJson(this.file, this.guilds);
+  }
+
+  /**
+   * Remember a topic used by a broadcast, so members can pick it in /subscriptions
+   * @param {string} guildId - Discord guild ID
+   * @param {string} topic - The normalized topic
+   */
+  addTopic(guildId, topic) {
+    const { topics } = this.getGuild(guildId);
+    if (topics.includes(topic)) return;
+
+    topics.push(topic);
+    this.save();
+  }
+
+  /**
+   * List the topics used by the broadcasts of a guild
+   * @param {string} guildId - Discord guild ID
+   * @returns {string[]} The known topics
+   */
+  listTopics(guildId) {
+    return this.getGuild(guildId).topics;
+  }
+
+  /**
+   * List the topics a member opted out of
+   * @param {string} guildId - Discord guild ID
+   * @param {string} userId - Discord user ID
+   * @returns {string[]} The opted out topics, "all" if the member opted out of every broadcast
+   */
+  getOptOuts(guildId, userId) {
+    return this.getGuild(guildId).optOuts[userId] ?? [];
+  }
+
+  /**
+   * Check whether a member opted out of a broadcast
+   * @param {string} guildId - Discord guild ID
+   * @param {string} userId - Discord user ID
+   * @param {string|null} [topic] - Topic of the broadcast, if any
+   * @returns {boolean} True if the member must not receive the broadcast
+   */
+  isOptedOut(guildId, userId, topic = null) {
+    const optOuts = this.getOptOuts(guildId, userId);
+    return optOuts.includes(ALL_TOPICS) || (Boolean(topic) && optOuts.includes(topic));
+  }
+
+  /**
+   * Opt a member out of a topic, or of every broadcast
+   * @param {string} guildId - Discord guild ID
+   * @param {string} userId - Discord user ID
+   * @param {string} [topic="all"] - The topic
+   * @returns {boolean} False if the member had already opted out
+   */
+  optOut(guildId, userId, topic = ALL_TOPICS) {
+    const { optOuts } = this.getGuild(guildId);
+    const topics = optOuts[userId] ?? [];
+    if (topics.includes(topic)) return false;
+
+    optOuts[userId] = [...topics, topic];
+    this.save();
+    return true;
+  }
+
+  /**
+   * Subscribe a member to a topic again, or to every broadcast
+   * Subscribing to "all" removes every opt-out of the member.
+   *
+   * @param {string} guildId - Discord guild ID
+   * @param {string} userId - Discord user ID
+   * @param {string} [topic="all"] - The topic
+   * @returns {boolean} False if the member had not opted out
+   */
+  optIn(guildId, userId, topic = ALL_TOPICS) {
+    const { optOuts } = this.getGuild(guildId);
+    const topics = optOuts[userId] ?? [];
+    const remaining = topic === ALL_TOPICS ? [] : topics.filter((optOut) => optOut !== topic);
+    if (remaining.length === topics.length) return false;
+
+    if (remaining.length > 0) optOuts[userId] = remaining;
+    else delete optOuts[userId];
+    this.save();
+    return true;
+  }
+}
+
+SubscriptionManager.ALL_TOPICS = ALL_TOPICS;
+
+module.exports = SubscriptionManager;
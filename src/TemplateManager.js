@@ -0,0 +1,87 @@
+/**
+ * TemplateManager Class
+ *
+ * Stores named message templates per guild, so frequently sent
+ * announcements do not have to be typed again. Templates are persisted
+ * to a JSON file and may contain placeholders such as {displayName}.
+ */
+
+const { readJson, writeJson } = require('./storage');
+
+class TemplateManager {
+  /**
+   * @param {string} file - Path to the JSON file where templates are stored
+   */
+  constructor(file) {
+    this.file = file;
+    // Templates indexed by guild ID, then by template name
+    this.templates = readJson(file, {});
+  }
+
+  /**
+   * Normalize a template name so lookups are case insensitive
+   * @param {string} name - The template name
+   * @returns {string} The normalized name
+   */
+  static normalizeName(name) {
+    return name.trim().toLowerCase();
+  }
+
+  /**
+   * Create or replace a template
+   * @param {string} guildId - Discord guild ID
+   * @param {string} name - The template name
+   * @param {string} content - The template content
+   * @param {string} authorId - Discord user ID of the author
+   * @returns {Object} The stored template
+   */
+  save(guildId, name, content, authorId) {
+    const guildTemplates = this.templates[guildId] ?? (this.templates[guildId] = {});
+    const template = {
+      name: TemplateManager.normalizeName(name),
+      content,
+      authorId,
+      updatedAt: new Date().toISOString(),
+    };
+
+    guildTemplates[template.name] = template;
+    writeJson(this.file, this.templates);
+    return template;
+  }
+
+  /**
+   * Get a template by name
+   * @param {string} guildId - Discord guild ID
+   * @param {string} name - The template name
+   * @returns {Object|undefined} The template or undefined if not found
+   */
+  get(guildId, name) {
+    return this.templates[guildId]?.[TemplateManager.normalizeName(name)];
+  }
+
+  /**
+   * List the templates of a guild, sorted by name
+   * @param {string} guildId - Discord guild ID
+   * @returns {Object[]} The templates
+   */
+  list(guildId) {
+    return Object.values(this.templates[guildId] ?? {}).sort((a, b) => a.name.localeCompare(b.name));
+  }
+
+  /**
+   * Delete a template
+   * @param {string} guildId - Discord guild ID
+   * @param {string} name - The template name
+   * @returns {boolean} True if a template was deleted
+   */
+  delete(guildId, name) {
+    const normalized = TemplateManager.normalizeName(name);
+    if (!this.templates[guildId]?.[normalized]) return false;
+
+    delete this.templates[guildId][normalized];
+    writeJson(this.file, this.templates);
+    return true;
+  }
+}
+
+module.exports = TemplateManager;
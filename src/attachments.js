@@ -0,0 +1,67 @@
+/**
+ * Attachment helpers
+ *
+ * Files attached to a broadcast are downloaded when the message is composed,
+ * because Discord attachment URLs expire. Keeping a local copy lets scheduled
+ * and resumed campaigns send the files long after the command was used.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+// Discord's default upload limit for bots
+const MAX_ATTACHMENT_SIZE = 10 * 1024 * 1024;
+
+// Uploaded lists of user IDs are read in memory, 1 MB holds about 50 000 IDs
+const MAX_USER_LIST_SIZE = 1024 * 1024;
+
+/**
+ * Download Discord attachments to a directory
+ * @param {Attachment[]} attachments - Attachments of the command
+ * @param {string} directory - Directory where the files are stored
+ * @returns {Promise<{name: string, path: string, size: number}[]>} The stored files
+ */
+async function downloadAttachments(attachments, directory) {
+  fs.mkdirSync(directory, { recursive: true });
+
+  return Promise.all(attachments.map(async (attachment, index) => {
+    const response = await fetch(attachment.url);
+    if (!response.ok) {
+      throw new Error(`Unable to download ${attachment.name}: HTTP ${response.status}`);
+    }
+
+    // Prefix with the index so two files with the same name do not overwrite each other
+    const file = path.join(directory, `${index}-${path.basename(attachment.name)}`);
+    fs.writeFileSync(file, Buffer.from(await response.arrayBuffer()));
+    return { name: attachment.name, path: file, size: attachment.size };
+  }));
+}
+
+/**
+ * Download a text attachment, such as a list of user IDs
+ * @param {Attachment} attachment - The attachment
+ * @returns {Promise<string>} The content of the file
+ */
+async function downloadText(attachment) {
+  const response = await fetch(attachment.url);
+  if (!response.ok) {
+    throw new Error(`Unable to download ${attachment.name}: HTTP ${response.status}`);
+  }
+  return response.text();
+}
+
+/**
+ * Delete the stored files of a discarded draft
+ * @param {string} directory - Directory where the files are stored
+ */
+function deleteAttachments(directory) {
+  fs.rmSync(directory, { recursive: true, force: true });
+}
+
+module.exports = {
+  MAX_ATTACHMENT_SIZE,
+  MAX_USER_LIST_SIZE,
+  downloadAttachments,
+  downloadText,
+  deleteAttachments,
+};
@@ -0,0 +1,235 @@
+/**
+ * Audience helpers
+ *
+ * An audience describes who receives a broadcast as a combination of roles:
+ * - anyOf: members with at least one of these roles (union)
+ * - allOf: members with every one of these roles (intersection)
+ * - noneOf: members with any of these roles are excluded
+ *
+ * Filters narrow the audience further, and are all optional:
+ * - joinedAfter / joinedBefore: members who joined the server on or after / before a date
+ * - minAccountAgeDays: members whose Discord account is at least this many days old
+ * - presence: members with one of these statuses (online, idle, dnd, offline)
+ * - userIds: members of an uploaded list of user IDs, which can replace the roles
+ *
+ * Resolving an audience yields each matching member once, so people holding
+ * several of the selected roles are only messaged a single time.
+ */
+
+const { t } = require('./i18n');
+
+// Maps the short mode names used in button IDs to audience keys
+const AUDIENCE_MODES = {
+  any: 'anyOf',
+  all: 'allOf',
+  none: 'noneOf',
+};
+
+// Statuses of the presence filter, members whose presence is unknown are offline
+const PRESENCE_STATUSES = ['online', 'idle', 'dnd', 'offline'];
+
+// Dates of the join date filters, e.g. 2026-01-31
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+// Discord user IDs found in an uploaded list
+const USER_ID_PATTERN = /\b\d{17,20}\b/g;
+
+// Milliseconds in a day, for the account age filter
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Create an empty audience
+ * @returns {{anyOf: string[], allOf: string[], noneOf: string[], filters: Object}} The audience
+ */
+function createAudience() {
+  return { anyOf: [], allOf: [], noneOf: [], filters: {} };
+}
+
+/**
+ * Check whether an audience has no role nor user list that includes members
+ * @param {Object} audience - The audience to check
+ * @returns {boolean} True if nobody can match the audience
+ */
+function isAudienceEmpty(audience) {
+  return audience.anyOf.length === 0 && audience.allOf.length === 0 && !audience.filters?.userIds;
+}
+
+/**
+ * Get every role ID used by an audience
+ * @param {Object} audience - The audience
+ * @returns {string[]} The role IDs
+ */
+function getAudienceRoleIds(audience) {
+  return [...audience.anyOf, ...audience.allOf, ...audience.noneOf];
+}
+
+/**
+ * Check whether a member belongs to an audience
+ * @param {GuildMember} member - The member to check
+ * @param {Object} audience - The audience
+ * @returns {boolean} True if the member matches the audience
+ */
+function matchesAudience(member, audience) {
+  if (isAudienceEmpty(audience)) return false;
+
+  const roles = member.roles.cache;
+  return (audience.anyOf.length === 0 || audience.anyOf.some((roleId) => roles.has(roleId)))
+    && audience.allOf.every((roleId) => roles.has(roleId))
+    && !audience.noneOf.some((roleId) => roles.has(roleId))
+    // Audiences saved before filters existed have none
+    && matchesFilters(member, audience.filters ?? {});
+}
+
+/**
+ * Check whether a member passes the filters of an audience
+ * @param {GuildMember} member - The member to check
+ * @param {Object} filters - The filters of the audience
+ * @param {number} [now=Date.now()] - Current time, used for the account age
+ * @returns {boolean} True if the member passes every filter
+ */
+function matchesFilters(member, filters, now = Date.now()) {
+  const joinedAt = member.joinedAt?.getTime();
+  if (filters.joinedAfter && !(joinedAt >= Date.parse(filters.joinedAfter))) return false;
+  if (filters.joinedBefore && !(joinedAt < Date.parse(filters.joinedBefore))) return false;
+
+  if (filters.minAccountAgeDays && now - member.user.createdAt.getTime() < filters.minAccountAgeDays * DAY_MS) {
+    return false;
+  }
+  if (filters.presence && !filters.presence.includes(member.presence?.status ?? 'offline')) return false;
+  if (filters.userIds && !filters.userIds.includes(member.id)) return false;
+
+  return true;
+}
+
+/**
+ * Check whether an audience has filters besides its roles
+ * @param {Object} audience - The audience
+ * @returns {boolean} True if at least one filter is set
+ */
+function hasFilters(audience) {
+  return Object.keys(audience.filters ?? {}).length > 0;
+}
+
+/**
+ * Parse the filters typed in the filters modal
+ * Empty fields remove the filter. The user list is not typed in the modal and is kept.
+ *
+ * @param {Object} input - Raw joinedAfter, joinedBefore, accountAge and presence strings
+ * @param {Object} [current] - Current filters of the audience
+ * @returns {{filters: Object, errors: {type: string, value: string}[]}} The parsed filters and the invalid values,
+ * whose type is "date", "days" or "presence"
+ */
+function parseFilterInput(input, current = {}) {
+  const filters = current.userIds ? { userIds: current.userIds } : {};
+  const errors = [];
+
+  for (const key of ['joinedAfter', 'joinedBefore']) {
+    if (!input[key]) continue;
+    if (DATE_PATTERN.test(input[key]) && !Number.isNaN(Date.parse(input[key]))) filters[key] = input[key];
+    else errors.push({ type: 'date', value: input[key] });
+  }
+
+  if (input.accountAge) {
+    const days = Number(input.accountAge);
+    if (Number.isInteger(days) && days > 0) filters.minAccountAgeDays = days;
+    else errors.push({ type: 'days', value: input.accountAge });
+  }
+
+  if (input.presence) {
+    const statuses = [...new Set(input.presence.toLowerCase().split(/[\s,]+/).filter(Boolean))];
+    const unknown = statuses.filter((status) => !PRESENCE_STATUSES.includes(status));
+    if (unknown.length === 0) filters.presence = statuses;
+    else unknown.forEach((status) => errors.push({ type: 'presence', value: status }));
+  }
+
+  return { filters, errors };
+}
+
+/**
+ * Extract the user IDs of an uploaded list
+ * Any CSV or text file works: every Discord ID found in it is kept, once.
+ *
+ * @param {string} text - Content of the file
+ * @returns {string[]} The user IDs, in the order of the file
+ */
+function parseUserIdList(text) {
+  return [...new Set(text.match(USER_ID_PATTERN) ?? [])];
+}
+
+/**
+ * Resolve the members of an audience
+ * Relies on the member cache, so guild.members.fetch() should be called first.
+ *
+ * @param {Guild} guild - The guild
+ * @param {Object} audience - The audience
+ * @returns {Collection<string, GuildMember>} The matching members, keyed by user ID
+ */
+function resolveAudience(guild, audience) {
+  return guild.members.cache.filter((member) => matchesAudience(member, audience));
+}
+
+/**
+ * Describe an audience in a human readable way
+ * e.g. "(Members OR Supporters) AND Event-2026 NOT Staff AND joined on or after 2026-01-01"
+ *
+ * @param {Guild} guild - The guild
+ * @param {Object} audience - The audience
+ * @param {string} locale - Locale of the reader, campaigns store the description in the locale of their author
+ * @returns {string} The description
+ */
+function describeAudience(guild, audience, locale) {
+  const name = (roleId) => guild.roles.cache.get(roleId)?.name ?? t(locale, 'audience.deletedRole');
+  const and = t(locale, 'audience.and');
+  const filters = audience.filters ?? {};
+  const parts = [];
+
+  if (filters.userIds) {
+    parts.push(t(locale, 'audience.listedUsers', { count: filters.userIds.length }));
+  }
+  if (audience.anyOf.length > 0) {
+    const union = audience.anyOf.map(name).join(` ${t(locale, 'audience.or')} `);
+    const grouped = audience.anyOf.length > 1 && (audience.allOf.length > 0 || parts.length > 0) ? `(${union})` : union;
+    parts.push(parts.length > 0 ? `${and} ${grouped}` : grouped);
+  }
+  audience.allOf.forEach((roleId) => {
+    parts.push(parts.length === 0 ? name(roleId) : `${and} ${name(roleId)}`);
+  });
+  audience.noneOf.forEach((roleId) => parts.push(`${t(locale, 'audience.not')} ${name(roleId)}`));
+
+  if (parts.length === 0) return t(locale, 'audience.nobody');
+
+  if (filters.joinedAfter) parts.push(`${and} ${t(locale, 'audience.joinedAfter', { date: filters.joinedAfter })}`);
+  if (filters.joinedBefore) parts.push(`${and} ${t(locale, 'audience.joinedBefore', { date: filters.joinedBefore })}`);
+  if (filters.minAccountAgeDays) parts.push(`${and} ${t(locale, 'audience.accountAge', { days: filters.minAccountAgeDays })}`);
+  if (filters.presence) {
+    parts.push(`${and} ${filters.presence.map((status) => t(locale, `audience.presence.${status}`)).join('/')}`);
+  }
+
+  return parts.join(' ');
+}
+
+/**
+ * List the roles of an audience that no longer exist in the guild
+ * @param {Guild} guild - The guild
+ * @param {Object} audience - The audience
+ * @returns {string[]} IDs of the missing roles
+ */
+function findMissingRoles(guild, audience) {
+  return getAudienceRoleIds(audience).filter((roleId) => !guild.roles.cache.has(roleId));
+}
+
+module.exports = {
+  AUDIENCE_MODES,
+  PRESENCE_STATUSES,
+  createAudience,
+  isAudienceEmpty,
+  getAudienceRoleIds,
+  matchesAudience,
+  matchesFilters,
+  hasFilters,
+  parseFilterInput,
+  parseUserIdList,
+  resolveAudience,
+  describeAudience,
+  findMissingRoles,
+};
@@ -0,0 +1,151 @@
+/**
+ * Content safety helpers
+ *
+ * Broadcasts are checked before they are sent. Each check returns issues,
+ * as {key, params} entries whose key names the catalog message under
+ * "safety." describing it:
+ * - errors block the send: a message too long for an embed, a word blocked
+ *   on the server, a link to a domain outside of the server's allow-list
+ * - warnings must be acknowledged by the author before the send is enabled:
+ *   @everyone and @here, role mentions and server invites
+ *
+ * Broadcasts are sent in embeds with no mention allowed, so mentions never
+ * notify anyone. The warnings tell the author before members see them.
+ */
+
+// Discord limit of the description of an embed, which holds the message
+const EMBED_DESCRIPTION_LIMIT = 4096;
+
+// Room kept in the description for the greeting and the placeholders, which grow once filled in
+const RESERVED_LENGTH = 200;
+
+// Longest message that always fits in the description of a broadcast embed
+const MAX_CONTENT_LENGTH = EMBED_DESCRIPTION_LIMIT - RESERVED_LENGTH;
+
+// Links, and server invites written without a scheme
+const LINK_PATTERN = /\bhttps?:\/\/[^\s<>()]+/gi;
+const INVITE_PATTERN = /(?:https?:\/\/)?(?:www\.)?(?:discord\.gg|discord(?:app)?\.com\/invite)\/[\w-]+/gi;
+const MASS_MENTION_PATTERN = /@(everyone|here)\b/g;
+const ROLE_MENTION_PATTERN = /<@&\d+>/;
+
+/**
+ * Parse a comma or line separated list typed in a command option
+ * @param {string|null|undefined} input - The list, e.g. "spam, scam"
+ * @returns {string[]} The lowercase entries, without blanks nor duplicates
+ */
+function parseList(input) {
+  const entries = (input ?? '')
+    .split(/[,\n]/)
+    .map((entry) => entry.trim().toLowerCase())
+    .filter(Boolean);
+  return [...new Set(entries)];
+}
+
+/**
+ * Parse a list of domains, accepting full URLs as well
+ * @param {string|null|undefined} input - The list, e.g. "example.com, https://www.youtube.com/"
+ * @returns {string[]} The domains, e.g. ["example.com", "youtube.com"]
+ */
+function parseDomainList(input) {
+  const domains = parseList(input).map((entry) => entry
+    .replace(/^https?:\/\//, '')
+    .replace(/^www\./, '')
+    .replace(/[/?#].*$/, ''));
+  return [...new Set(domains.filter(Boolean))];
+}
+
+/**
+ * Check whether a host belongs to one of the allowed domains, subdomains included
+ * @param {string} host - Host of a link, e.g. "docs.example.com"
+ * @param {string[]} allowedLinks - The allowed domains
+ * @returns {boolean} True if the link may be sent
+ */
+function isAllowedHost(host, allowedLinks) {
+  return allowedLinks.some((domain) => host === domain || host.endsWith(`.${domain}`));
+}
+
+/**
+ * Get the host of a link
+ * @param {string} link - The link, with or without scheme
+ * @returns {string|null} The lowercase host, or null if the link cannot be parsed
+ */
+function getHost(link) {
+  try {
+    return new URL(/^https?:\/\//i.test(link) ? link : `https://${link}`).hostname.toLowerCase();
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Find the blocked words used in a message
+ * Words are matched whole and case-insensitively, so blocking "ass" does not block "class".
+ *
+ * @param {string} content - The message
+ * @param {string[]} blockedWords - The lowercase blocked words or phrases
+ * @returns {string[]} The blocked words found
+ */
+function findBlockedWords(content, blockedWords) {
+  return blockedWords.filter((word) => {
+    const escaped = word.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    return new RegExp(`(?<![\\p{L}\\p{N}])${escaped}(?![\\p{L}\\p{N}])`, 'iu').test(content);
+  });
+}
+
+/**
+ * Check a broadcast against the safety settings of its server
+ * Titles and footers are limited where they are typed, so the embed as a whole
+ * always fits within Discord's 6000 characters once the message fits.
+ *
+ * @param {Object<string, string>} contents - The message in each of its languages, e.g. {en: "...", pt: "..."}
+ * @param {{blockedWords: string[], allowedLinks: string[]}} safety - The settings of the server
+ * @returns {{errors: Object[], warnings: Object[]}} The issues found, as {key, params} entries
+ */
+function checkContent(contents, safety) {
+  const errors = [];
+  const warnings = [];
+  // The same issue is reported once, even when every language has it
+  const add = (issues, key, params = {}) => {
+    if (!issues.some((issue) => issue.key === key && JSON.stringify(issue.params) === JSON.stringify(params))) {
+      issues.push({ key, params });
+    }
+  };
+
+  for (const [language, content] of Object.entries(contents)) {
+    if (content.length > MAX_CONTENT_LENGTH) {
+      add(errors, 'tooLong', { language, length: content.length, max: MAX_CONTENT_LENGTH });
+    }
+
+    findBlockedWords(content, safety.blockedWords).forEach((word) => add(errors, 'blockedWord', { word }));
+
+    const invites = content.match(INVITE_PATTERN) ?? [];
+    const links = [...(content.match(LINK_PATTERN) ?? []), ...invites];
+    for (const link of links) {
+      const host = getHost(link);
+      if (host && safety.allowedLinks.length > 0 && !isAllowedHost(host, safety.allowedLinks)) {
+        add(errors, 'blockedLink', { host });
+      }
+    }
+    // With an allow-list, invites are errors unless their domain was allowed on purpose
+    if (safety.allowedLinks.length === 0) {
+      invites.forEach((invite) => add(warnings, 'inviteLink', { link: invite.replace(/^https?:\/\//i, '') }));
+    }
+
+    for (const [, mention] of content.matchAll(MASS_MENTION_PATTERN)) {
+      add(warnings, 'massMention', { mention: `@${mention}` });
+    }
+    if (ROLE_MENTION_PATTERN.test(content)) add(warnings, 'roleMention');
+  }
+
+  return { errors, warnings };
+}
+
+module.exports = {
+  EMBED_DESCRIPTION_LIMIT,
+  MAX_CONTENT_LENGTH,
+  parseList,
+  parseDomainList,
+  isAllowedHost,
+  findBlockedWords,
+  checkContent,
+};
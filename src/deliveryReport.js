@@ -0,0 +1,163 @@
+/**
+ * Delivery report helpers
+ *
+ * Classifies why a recipient could not be messaged and exports the outcome
+ * of every recipient of a campaign as CSV or JSON, so large reports can be
+ * downloaded instead of being squeezed into embed fields.
+ */
+
+// Failure reasons, labelled in reports by the "reasons" entries of the locale catalogs
+const FAILURE_REASONS = [
+  'dms_closed',
+  'left_server',
+  'rate_limited',
+  'bot',
+  'no_channel_access',
+  'message_missing',
+  'other',
+];
+
+/**
+ * Discord error codes mapped to failure reasons
+ * Discord answers 50007 both when a member disabled DMs and when they blocked
+ * the bot, so the two cases cannot be told apart.
+ */
+const ERROR_CODE_REASONS = {
+  50007: 'dms_closed',
+  10007: 'left_server', // Unknown Member
+  10013: 'left_server', // Unknown User (deleted account)
+  40003: 'rate_limited', // Opening DMs too fast
+  10003: 'message_missing', // Unknown Channel, when editing or recalling a broadcast
+  10008: 'message_missing', // Unknown Message, already deleted by the member or a moderator
+  RATE_LIMITED: 'rate_limited',
+  BOT: 'bot',
+  NO_CHANNEL_ACCESS: 'no_channel_access',
+};
+
+/**
+ * Get the reason why a recipient was not messaged
+ * @param {Object} recipient - A failed recipient of a campaign
+ * @returns {string} One of the FAILURE_REASONS
+ */
+function getFailureReason(recipient) {
+  return ERROR_CODE_REASONS[recipient.errorCode] ?? 'other';
+}
+
+/**
+ * Count the failed recipients of a campaign by reason
+ * @param {Object} campaign - The campaign
+ * @returns {Object<string, number>} Number of failed recipients per reason, most frequent first
+ */
+function countFailureReasons(campaign) {
+  const counts = {};
+  campaign.recipients
+    .filter((recipient) => recipient.status === 'failed')
+    .forEach((recipient) => {
+      const reason = getFailureReason(recipient);
+      counts[reason] = (counts[reason] ?? 0) + 1;
+    });
+
+  return Object.fromEntries(Object.entries(counts).sort(([, a], [, b]) => b - a));
+}
+
+// Failures a retry would hit again: bots never receive DMs, members who left
+// cannot be messaged, and members who cannot see the channels still cannot
+const PERMANENT_FAILURE_REASONS = new Set(['bot', 'left_server', 'no_channel_access']);
+
+/**
+ * Check whether a failed recipient may succeed if messaged again
+ * Closed DMs, rate limits and other errors are worth retrying, permanent failures are not.
+ *
+ * @param {Object} recipient - A recipient of a campaign
+ * @returns {boolean} True if the recipient failed and can be retried
+ */
+function isRetryable(recipient) {
+  return recipient.status === 'failed' && !PERMANENT_FAILURE_REASONS.has(getFailureReason(recipient));
+}
+
+/**
+ * Get where a recipient was reached
+ * @param {Object} recipient - A recipient of a campaign
+ * @returns {string} "dm", the ID of a channel or thread, or an empty string if it was not reached
+ */
+function getReachedVia(recipient) {
+  if (recipient.status !== 'sent') return '';
+  // Campaigns sent before delivery targets existed only sent DMs
+  return recipient.via ?? 'dm';
+}
+
+/**
+ * Escape a value for a CSV cell
+ * @param {*} value - The value
+ * @returns {string} The escaped cell
+ */
+function toCsvCell(value) {
+  const text = value === null || value === undefined ? '' : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Export the outcome of every recipient of a campaign as CSV
+ * @param {Object} campaign - The campaign
+ * @param {Object<string, string>} [acknowledgements={}] - When each member acknowledged the campaign, indexed by user ID
+ * @returns {string} The CSV report, one recipient per line
+ */
+function buildReportCsv(campaign, acknowledgements = {}) {
+  const header = ['user_id', 'tag', 'status', 'reached_via', 'acknowledged_at', 'reason', 'error_code', 'error', 'attempts'];
+  const rows = campaign.recipients.map((recipient) => [
+    recipient.id,
+    recipient.tag,
+    recipient.status,
+    getReachedVia(recipient),
+    acknowledgements[recipient.id],
+    recipient.status === 'failed' ? getFailureReason(recipient) : '',
+    recipient.errorCode,
+    recipient.error,
+    recipient.attempts,
+  ]);
+
+  return [header, ...rows].map((row) => row.map(toCsvCell).join(',')).join('\n');
+}
+
+/**
+ * Export a campaign and the outcome of every recipient as JSON
+ * @param {Object} campaign - The campaign
+ * @param {Object<string, string>} [acknowledgements={}] - When each member acknowledged the campaign, indexed by user ID
+ * @returns {string} The JSON report
+ */
+function buildReportJson(campaign, acknowledgements = {}) {
+  const report = {
+    id: campaign.id,
+    guildId: campaign.guildId,
+    authorId: campaign.authorId,
+    audience: campaign.audienceName,
+    delivery: campaign.delivery?.mode ?? 'dm',
+    acknowledgement: campaign.acknowledgement ?? null,
+    status: campaign.status,
+    createdAt: campaign.createdAt,
+    completedAt: campaign.completedAt,
+    retryOf: campaign.retryOf ?? null,
+    recipients: campaign.recipients.map((recipient) => ({
+      id: recipient.id,
+      tag: recipient.tag,
+      status: recipient.status,
+      reachedVia: getReachedVia(recipient) || null,
+      acknowledgedAt: acknowledgements[recipient.id] ?? null,
+      reason: recipient.status === 'failed' ? getFailureReason(recipient) : null,
+      errorCode: recipient.errorCode,
+      error: recipient.error,
+      attempts: recipient.attempts,
+    })),
+  };
+
+  return JSON.stringify(report, null, 2);
+}
+
+module.exports = {
+  FAILURE_REASONS,
+  getFailureReason,
+  countFailureReasons,
+  isRetryable,
+  buildReportCsv,
+  buildReportJson,
+};
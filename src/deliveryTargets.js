@@ -0,0 +1,116 @@
+/**
+ * Delivery target helpers
+ *
+ * A broadcast reaches its audience in one of three ways:
+ * - dm: every member receives a DM
+ * - channels: the message is posted once in each selected channel, and each
+ *   member is reached through the first of them they can see
+ * - dm_fallback: every member receives a DM, and members whose DMs are closed
+ *   are mentioned in a private thread of the selected channel instead (or in
+ *   the channel itself when it cannot hold private threads)
+ *
+ * Each recipient records where it was reached in `via`: "dm", or the ID of
+ * the channel or thread, so reports can tell the routes apart.
+ */
+
+const DELIVERY_MODES = ['dm', 'channels', 'dm_fallback'];
+
+// Channels a broadcast can be posted in, the channel select menu shows at most this many
+const MAX_TARGET_CHANNELS = 5;
+
+// Discord error code returned when a member disabled DMs or blocked the bot
+const DMS_CLOSED = 50007;
+
+/**
+ * Create the delivery settings of a draft
+ * @param {string} [mode="dm"] - One of DELIVERY_MODES
+ * @returns {{mode: string, channelIds: string[], posts: Object<string, string>, fallbackThreadId: string|null}} The settings
+ */
+function createDelivery(mode = 'dm') {
+  return {
+    mode: DELIVERY_MODES.includes(mode) ? mode : 'dm',
+    channelIds: [],
+    // IDs of the messages posted in the target channels, so a resumed campaign does not post twice
+    posts: {},
+    fallbackThreadId: null,
+  };
+}
+
+/**
+ * Get the delivery settings of a draft or campaign
+ * @param {Object} broadcast - The draft or campaign
+ * @returns {Object} Its settings, DMs only for drafts and campaigns created before delivery targets existed
+ */
+function getDelivery(broadcast) {
+  return broadcast.delivery ?? createDelivery();
+}
+
+/**
+ * Copy the delivery settings of a campaign for its retry
+ * Posts and the fallback thread are kept, so the retry reuses them instead of posting again.
+ *
+ * @param {Object} campaign - The campaign
+ * @returns {Object} The settings of the retry
+ */
+function copyDelivery(campaign) {
+  const delivery = getDelivery(campaign);
+  return { ...delivery, channelIds: [...delivery.channelIds], posts: { ...delivery.posts } };
+}
+
+/**
+ * Get the number of channels that can be picked for a delivery mode
+ * @param {string} mode - One of DELIVERY_MODES
+ * @returns {number} 0 for DMs only, a single fallback channel, or up to MAX_TARGET_CHANNELS
+ */
+function getMaxChannels(mode) {
+  if (mode === 'channels') return MAX_TARGET_CHANNELS;
+  return mode === 'dm_fallback' ? 1 : 0;
+}
+
+/**
+ * Check whether a delivery is missing the channels its mode needs
+ * @param {Object} delivery - The delivery settings
+ * @returns {boolean} True if channels must be picked before sending
+ */
+function needsChannels(delivery) {
+  return getMaxChannels(delivery.mode) > 0 && delivery.channelIds.length === 0;
+}
+
+/**
+ * Check whether a DM failed because the member does not accept DMs from the bot
+ * @param {Error} error - Error thrown by discord.js
+ * @returns {boolean} True if the member can only be reached through the fallback
+ */
+function isDmsClosed(error) {
+  return error.code === DMS_CLOSED;
+}
+
+/**
+ * Count the recipients reached through each route
+ * @param {Object} campaign - The campaign
+ * @returns {Object<string, number>} Number of recipients per "dm" or channel ID, most frequent first
+ */
+function countReachedVia(campaign) {
+  const counts = {};
+  campaign.recipients
+    .filter((recipient) => recipient.status === 'sent')
+    .forEach((recipient) => {
+      // Recipients of campaigns sent before delivery targets existed were all messaged in DM
+      const via = recipient.via ?? 'dm';
+      counts[via] = (counts[via] ?? 0) + 1;
+    });
+
+  return Object.fromEntries(Object.entries(counts).sort(([, a], [, b]) => b - a));
+}
+
+module.exports = {
+  DELIVERY_MODES,
+  MAX_TARGET_CHANNELS,
+  createDelivery,
+  getDelivery,
+  copyDelivery,
+  getMaxChannels,
+  needsChannels,
+  isDmsClosed,
+  countReachedVia,
+};
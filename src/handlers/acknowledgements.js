@@ -0,0 +1,90 @@
+/**
+ * Handler of the "I've read this" button of broadcasts asking for acknowledgement
+ */
+
+const { EmbedBuilder, ActionRowBuilder } = require('discord.js');
+const { logger } = require('../logger');
+const { t } = require('../i18n');
+
+/**
+ * Create the acknowledgement handlers
+ * @param {Object} deps - Services and helpers of the bot used by the handlers
+ * @param {AcknowledgementManager} deps.acknowledgementManager - Acknowledgements of broadcasts and their reminders
+ * @param {Object} deps.acknowledgementsReceived - Counter of the acknowledgements received
+ * @param {CampaignStore} deps.campaignStore - Stored campaigns
+ * @param {Function} deps.formatTimestamp - Formats a date as a Discord timestamp
+ * @param {Function} deps.listUnacknowledged - Members who did not acknowledge a campaign
+ * @returns {Object} The handlers, by function name
+ */
+function createAcknowledgementHandlers({
+  acknowledgementManager,
+  acknowledgementsReceived,
+  campaignStore,
+  formatTimestamp,
+  listUnacknowledged,
+}) {
+  /**
+   * Handler for the acknowledgement button of broadcasts
+   * Records that the member read the broadcast. In DMs the button is replaced by
+   * a disabled one confirming it, while channel posts and fallback threads are
+   * shared with other members, so the member gets an ephemeral confirmation instead.
+   * @param {ButtonInteraction} interaction - The interaction
+   */
+  async function handleAcknowledgeButton(interaction) {
+    const userId = interaction.user.id;
+    const { locale } = interaction;
+
+    const campaignId = interaction.customId.slice('ack_'.length);
+    const campaign = campaignStore.get(campaignId);
+    const recipient = campaign?.recipients.find((entry) => entry.id === userId && entry.status === 'sent');
+
+    if (!recipient || !acknowledgementManager.get(campaignId)) {
+      const embed = new EmbedBuilder()
+        .setColor(0xff0000)
+        .setTitle(t(locale, 'acknowledgement.notRecipientTitle'))
+        .setDescription(t(locale, 'acknowledgement.notRecipient'));
+
+      await interaction.reply({ embeds: [embed], ephemeral: true });
+      return;
+    }
+
+    const acknowledgedAt = acknowledgementManager.getAcknowledgedAt(campaignId, userId);
+    if (acknowledgedAt) {
+      const embed = new EmbedBuilder()
+        .setColor(0x3498db)
+        .setTitle(t(locale, 'acknowledgement.alreadyTitle'))
+        .setDescription(t(locale, 'acknowledgement.already', { date: formatTimestamp(acknowledgedAt) }));
+
+      await interaction.reply({ embeds: [embed], ephemeral: true });
+      return;
+    }
+
+    acknowledgementManager.acknowledge(campaignId, userId);
+    acknowledgementsReceived.inc();
+    logger.debug('Broadcast acknowledged', { campaignId, userId });
+    if (listUnacknowledged(campaign).length === 0) acknowledgementManager.stopReminders(campaignId);
+
+    if (interaction.guild) {
+      const embed = new EmbedBuilder()
+        .setColor(0x00ff00)
+        .setTitle(t(locale, 'acknowledgement.doneTitle'))
+        .setDescription(t(locale, 'acknowledgement.done'));
+
+      await interaction.reply({ embeds: [embed], ephemeral: true });
+      return;
+    }
+
+    const components = interaction.message.components.map((row) => {
+      const updatedRow = ActionRowBuilder.from(row);
+      updatedRow.components
+        .filter((component) => component.data.custom_id === interaction.customId)
+        .forEach((button) => button.setLabel(t(locale, 'acknowledgement.doneButton')).setDisabled(true));
+      return updatedRow;
+    });
+    await interaction.update({ components });
+  }
+
+  return { handleAcknowledgeButton };
+}
+
+module.exports = { createAcknowledgementHandlers };
@@ -0,0 +1,249 @@
+/**
+ * Handlers of the review of broadcasts and edits waiting for approval
+ */
+
+const {
+  EmbedBuilder,
+  ActionRowBuilder,
+  ModalBuilder,
+  TextInputBuilder,
+  TextInputStyle,
+} = require('discord.js');
+const { logger } = require('../logger');
+const { t } = require('../i18n');
+const { replyPermissionDenied } = require('./replies');
+
+/**
+ * Create the approval handlers
+ * @param {Object} deps - Services and helpers of the bot used by the handlers
+ * @param {AuditLog} deps.auditLog - Audit trail of staff actions
+ * @param {CampaignStore} deps.campaignStore - Stored campaigns
+ * @param {PermissionManager} deps.permissionManager - Who may use each feature
+ * @param {CampaignStore} deps.revisionStore - Stored edits and recalls of delivered campaigns
+ * @param {Function} deps.buildApprovalEmbed - Builds the review of a campaign or an edit
+ * @param {Function} deps.executeCampaign - Delivers a campaign and reports it
+ * @param {Function} deps.executeRevision - Applies an edit or recall and reports it
+ * @param {Function} deps.getGuildLanguage - Language of a server
+ * @param {Function} deps.notifyCampaignAuthor - Sends a decision to the author of a campaign
+ * @param {Function} deps.updateCampaignMessage - Edits the status message of a campaign
+ * @returns {Object} The handlers, by function name
+ */
+function createApprovalHandlers({
+  auditLog,
+  campaignStore,
+  permissionManager,
+  revisionStore,
+  buildApprovalEmbed,
+  executeCampaign,
+  executeRevision,
+  getGuildLanguage,
+  notifyCampaignAuthor,
+  updateCampaignMessage,
+}) {
+  /**
+   * Apply or reject an edit of a delivered campaign, once reviewed
+   * Approved, the new text replaces the old one in every message. Rejected, the members keep the old one.
+   *
+   * @param {ButtonInteraction|ModalSubmitInteraction} interaction - The approve button or the rejection modal
+   * @param {string} action - "approve" or "reason"
+   * @param {Object} campaign - The delivered campaign
+   * @param {Object} revision - The edit waiting for approval
+   * @param {EmbedBuilder} reviewEmbed - The review embed, updated with the decision
+   */
+  async function reviewRevision(interaction, action, campaign, revision, reviewEmbed) {
+    const guild = interaction.guild;
+    const reviewerId = interaction.user.id;
+    const reviewedAt = new Date().toISOString();
+    const guildLanguage = getGuildLanguage(guild.id);
+    const footer = { text: t(revision.locale, 'common.campaign', { id: campaign.id }) };
+
+    if (action === 'approve') {
+      revision.status = 'running';
+      revision.approval = { ...revision.approval, status: 'approved', reviewerId, reviewedAt };
+      revisionStore.save(revision);
+      campaign.content = revision.content;
+      campaign.variants = revision.variants;
+      campaign.editedAt = reviewedAt;
+      campaignStore.save(campaign);
+      auditLog.record('campaign.approved', { campaignId: campaign.id, revisionId: revision.id, guildId: guild.id, reviewerId });
+      auditLog.record('campaign.edited', { campaignId: campaign.id, guildId: guild.id, userId: revision.authorId });
+
+      reviewEmbed
+        .setColor(0x00ff00)
+        .setTitle(t(guildLanguage, 'approval.approvedTitle'))
+        .addFields({ name: t(guildLanguage, 'approval.approvedBy'), value: `<@${reviewerId}>`, inline: true });
+      await interaction.update({ embeds: [reviewEmbed], components: [] });
+
+      await notifyCampaignAuthor(revision, new EmbedBuilder()
+        .setColor(0x00ff00)
+        .setTitle(t(revision.locale, 'approval.approvedTitle'))
+        .setDescription(t(revision.locale, 'approval.editApproved', { id: campaign.id, reviewer: interaction.member.displayName }))
+        .setFooter(footer));
+
+      logger.info('Campaign edit approved', { campaignId: campaign.id, revisionId: revision.id, reviewerId });
+      await executeRevision(guild, revision);
+      return;
+    }
+
+    if (action === 'reason' && interaction.isModalSubmit()) {
+      const reason = interaction.fields.getTextInputValue('reason').trim();
+
+      revision.status = 'rejected';
+      revision.completedAt = reviewedAt;
+      revision.approval = { ...revision.approval, status: 'rejected', reviewerId, reviewedAt, reason };
+      revisionStore.save(revision);
+      auditLog.record('campaign.rejected', { campaignId: campaign.id, revisionId: revision.id, guildId: guild.id, reviewerId, reason });
+
+      reviewEmbed
+        .setColor(0xff0000)
+        .setTitle(t(guildLanguage, 'approval.rejectedTitle'))
+        .addFields(
+          { name: t(guildLanguage, 'approval.rejectedBy'), value: `<@${reviewerId}>`, inline: true },
+          { name: t(guildLanguage, 'approval.reason'), value: reason }
+        );
+      await interaction.update({ embeds: [reviewEmbed], components: [] });
+
+      const rejection = new EmbedBuilder()
+        .setColor(0xff0000)
+        .setTitle(t(revision.locale, 'approval.rejectedTitle'))
+        .setDescription(t(revision.locale, 'approval.editRejected', { id: campaign.id, reviewer: interaction.member.displayName }))
+        .addFields({ name: t(revision.locale, 'approval.reason'), value: reason })
+        .setFooter(footer);
+
+      await updateCampaignMessage(revision, { content: '', embeds: [rejection], components: [] });
+      await notifyCampaignAuthor(revision, rejection);
+      logger.info('Campaign edit rejected', { campaignId: campaign.id, revisionId: revision.id, reviewerId });
+    }
+  }
+
+  /**
+   * Handler for the approval buttons and the rejection modal
+   * Any staff member with the approve permission can review a campaign, except its author,
+   * so these are handled before the check restricting components to their author.
+   * Edits of delivered campaigns are reviewed with the same buttons, by the ID of their revision.
+   * @param {ButtonInteraction|ModalSubmitInteraction} interaction - The interaction
+   */
+  async function handleApprovalInteraction(interaction) {
+    const guild = interaction.guild;
+    const authorId = interaction.user.id;
+    const { locale } = interaction;
+
+    const [, action, reviewedId] = interaction.customId.split('_');
+    const revision = campaignStore.get(reviewedId) ? null : revisionStore.get(reviewedId);
+    const campaign = campaignStore.get(revision ? revision.campaignId : reviewedId);
+    const reviewed = revision ?? campaign;
+
+    if (!campaign || !reviewed || reviewed.status !== 'pending_approval') {
+      const embed = new EmbedBuilder()
+        .setColor(0xff0000)
+        .setTitle(t(locale, 'approval.alreadyReviewedTitle'))
+        .setDescription(t(locale, 'approval.alreadyReviewed'));
+
+      await interaction.reply({ embeds: [embed], ephemeral: true });
+      return;
+    }
+
+    if (!permissionManager.can(interaction.member, 'approve')) {
+      await replyPermissionDenied(interaction, 'approve');
+      return;
+    }
+
+    if (reviewed.authorId === authorId) {
+      const embed = new EmbedBuilder()
+        .setColor(0xff0000)
+        .setTitle(t(locale, 'approval.ownCampaignTitle'))
+        .setDescription(t(locale, 'approval.ownCampaign'));
+
+      await interaction.reply({ embeds: [embed], ephemeral: true });
+      return;
+    }
+
+    if (action === 'reject' && interaction.isButton()) {
+      const modal = new ModalBuilder()
+        .setCustomId(`approval_reason_${reviewed.id}`)
+        .setTitle(t(locale, 'approval.rejectTitle'))
+        .addComponents(
+          new ActionRowBuilder().addComponents(
+            new TextInputBuilder()
+              .setCustomId('reason')
+              .setLabel(t(locale, 'approval.reasonLabel'))
+              .setStyle(TextInputStyle.Paragraph)
+              .setMaxLength(1000)
+              .setRequired(true)
+          )
+        );
+
+      await interaction.showModal(modal);
+      return;
+    }
+
+    const reviewEmbed = buildApprovalEmbed(campaign, revision);
+    const reviewedAt = new Date().toISOString();
+    // The review message is read by the whole staff, the notifications by the author only
+    const guildLanguage = getGuildLanguage(guild.id);
+
+    if (revision) {
+      await reviewRevision(interaction, action, campaign, revision, reviewEmbed);
+      return;
+    }
+
+    if (action === 'approve') {
+      campaign.status = 'running';
+      campaign.approval = { ...campaign.approval, status: 'approved', reviewerId: authorId, reviewedAt };
+      campaignStore.save(campaign);
+      auditLog.record('campaign.approved', { campaignId: campaign.id, guildId: guild.id, reviewerId: authorId });
+
+      reviewEmbed
+        .setColor(0x00ff00)
+        .setTitle(t(guildLanguage, 'approval.approvedTitle'))
+        .addFields({ name: t(guildLanguage, 'approval.approvedBy'), value: `<@${authorId}>`, inline: true });
+      await interaction.update({ embeds: [reviewEmbed], components: [] });
+
+      await notifyCampaignAuthor(campaign, new EmbedBuilder()
+        .setColor(0x00ff00)
+        .setTitle(t(campaign.locale, 'approval.approvedTitle'))
+        .setDescription(t(campaign.locale, 'approval.approved', { audience: campaign.audienceName, reviewer: interaction.member.displayName }))
+        .setFooter({ text: t(campaign.locale, 'common.campaign', { id: campaign.id }) }));
+
+      logger.info('Campaign approved', { campaignId: campaign.id, reviewerId: interaction.user.id });
+      await executeCampaign(guild, campaign);
+      return;
+    }
+
+    if (action === 'reason' && interaction.isModalSubmit()) {
+      const reason = interaction.fields.getTextInputValue('reason').trim();
+
+      campaign.status = 'rejected';
+      campaign.completedAt = reviewedAt;
+      campaign.approval = { ...campaign.approval, status: 'rejected', reviewerId: authorId, reviewedAt, reason };
+      campaignStore.save(campaign);
+      auditLog.record('campaign.rejected', { campaignId: campaign.id, guildId: guild.id, reviewerId: authorId, reason });
+
+      reviewEmbed
+        .setColor(0xff0000)
+        .setTitle(t(guildLanguage, 'approval.rejectedTitle'))
+        .addFields(
+          { name: t(guildLanguage, 'approval.rejectedBy'), value: `<@${authorId}>`, inline: true },
+          { name: t(guildLanguage, 'approval.reason'), value: reason }
+        );
+      await interaction.update({ embeds: [reviewEmbed], components: [] });
+
+      const rejection = new EmbedBuilder()
+        .setColor(0xff0000)
+        .setTitle(t(campaign.locale, 'approval.rejectedTitle'))
+        .setDescription(t(campaign.locale, 'approval.rejected', { audience: campaign.audienceName, reviewer: interaction.member.displayName }))
+        .addFields({ name: t(campaign.locale, 'approval.reason'), value: reason })
+        .setFooter({ text: t(campaign.locale, 'common.campaign', { id: campaign.id }) });
+
+      await updateCampaignMessage(campaign, { content: '', embeds: [rejection], components: [] });
+      await notifyCampaignAuthor(campaign, rejection);
+      logger.info('Campaign rejected', { campaignId: campaign.id, reviewerId: interaction.user.id });
+      return;
+    }
+
+  }
+
+  return { handleApprovalInteraction };
+}
+
+module.exports = { createApprovalHandlers };
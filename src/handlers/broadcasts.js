@@ -0,0 +1,250 @@
+/**
+ * Handlers of /broadcast: editing and recalling the messages of a delivered broadcast
+ */
+
+const {
+  EmbedBuilder,
+  ActionRowBuilder,
+  ButtonBuilder,
+  ButtonStyle,
+  ModalBuilder,
+  TextInputBuilder,
+  TextInputStyle,
+} = require('discord.js');
+const { checkContent } = require('../contentSafety');
+const { logger } = require('../logger');
+const { t } = require('../i18n');
+const { replyPermissionDenied, checkSafeToSend } = require('./replies');
+
+/**
+ * Create the broadcast handlers
+ * @param {Object} deps - Services and helpers of the bot used by the handlers
+ * @param {AcknowledgementManager} deps.acknowledgementManager - Acknowledgements of broadcasts and their reminders
+ * @param {AuditLog} deps.auditLog - Audit trail of staff actions
+ * @param {CampaignStore} deps.campaignStore - Stored campaigns
+ * @param {GuildConfigManager} deps.guildConfigManager - Settings of each server
+ * @param {PermissionManager} deps.permissionManager - Who may use each feature
+ * @param {Function} deps.createRevision - Stores a new edit or recall
+ * @param {Function} deps.executeRevision - Applies an edit or recall and reports it
+ * @param {Function} deps.getGuildLanguage - Language of a server
+ * @param {Function} deps.getRevisionError - Why a campaign cannot be edited or recalled, if it cannot
+ * @param {Function} deps.requestApproval - Posts a campaign or an edit in the review channel
+ * @param {Function} deps.requiresEditApproval - Whether an edit of a campaign must be approved
+ * @returns {Object} The handlers, by function name
+ */
+function createBroadcastHandlers({
+  acknowledgementManager,
+  auditLog,
+  campaignStore,
+  guildConfigManager,
+  permissionManager,
+  createRevision,
+  executeRevision,
+  getGuildLanguage,
+  getRevisionError,
+  requestApproval,
+  requiresEditApproval,
+}) {
+  /**
+   * Check that the member can edit or recall the messages of a campaign, and tell them otherwise
+   * Like the delivery controls, a broadcast can be changed by its author and by bot administrators.
+   *
+   * @param {Interaction} interaction - The interaction to answer
+   * @param {Object|undefined} campaign - The campaign, undefined if none has the given ID
+   * @param {string} campaignId - The given ID
+   * @returns {Promise<boolean>} True if the campaign can be changed, false once the member was answered
+   */
+  async function checkRevisable(interaction, campaign, campaignId) {
+    const { locale } = interaction;
+    const embed = new EmbedBuilder().setColor(0xff0000);
+
+    if (!campaign || campaign.guildId !== interaction.guild.id) {
+      embed
+        .setTitle(t(locale, 'history.notFoundTitle'))
+        .setDescription(t(locale, 'history.notFound', { id: campaignId }));
+    } else if (campaign.authorId !== interaction.user.id && !permissionManager.can(interaction.member, 'admin')) {
+      embed
+        .setTitle(t(locale, 'errors.permissionDeniedTitle'))
+        .setDescription(t(locale, 'revision.notAllowed'));
+    } else {
+      const error = getRevisionError(campaign);
+      if (!error) return true;
+
+      embed
+        .setTitle(t(locale, 'revision.unavailableTitle'))
+        .setDescription(t(locale, error, { id: campaign.id }));
+    }
+
+    await interaction.reply({ embeds: [embed], ephemeral: true });
+    return false;
+  }
+
+  /**
+   * Handler for the /broadcast command
+   * edit opens a modal prefilled with the message and its language variants,
+   * recall asks for a confirmation before deleting the delivered messages
+   * Requires the send permission
+   * @param {ChatInputCommandInteraction} interaction - The interaction
+   */
+  async function handleBroadcastCommand(interaction) {
+    const { locale } = interaction;
+
+    if (!permissionManager.can(interaction.member, 'send')) {
+      await replyPermissionDenied(interaction, 'send');
+      return;
+    }
+
+    const campaignId = interaction.options.getString('campaign').trim();
+    const campaign = campaignStore.get(campaignId);
+    if (!(await checkRevisable(interaction, campaign, campaignId))) return;
+
+    if (interaction.options.getSubcommand() === 'recall') {
+      const embed = new EmbedBuilder()
+        .setColor(0xffa500)
+        .setTitle(t(locale, 'revision.recallConfirmTitle'))
+        .setDescription(t(locale, 'revision.recallConfirm', { id: campaign.id, count: campaign.recipients.filter((recipient) => recipient.messageId).length }));
+
+      const row = new ActionRowBuilder().addComponents(
+        new ButtonBuilder()
+          .setCustomId(`broadcast_recall_${campaign.id}`)
+          .setLabel(t(locale, 'revision.recallButton'))
+          .setStyle(ButtonStyle.Danger)
+      );
+
+      await interaction.reply({ embeds: [embed], components: [row], ephemeral: true });
+      return;
+    }
+
+    // A modal holds five inputs, so at most four language variants can be edited with the message
+    const variantInputs = Object.entries(campaign.variants ?? {}).slice(0, 4).map(([language, content]) =>
+      new ActionRowBuilder().addComponents(
+        new TextInputBuilder()
+          .setCustomId(`variant_${language}`)
+          .setLabel(t(locale, 'revision.variantLabel', { language }))
+          .setStyle(TextInputStyle.Paragraph)
+          .setMaxLength(4000)
+          .setRequired(true)
+          .setValue(content.slice(0, 4000))
+      )
+    );
+
+    const modal = new ModalBuilder()
+      .setCustomId(`broadcast_edit_modal_${campaign.id}`)
+      .setTitle(t(locale, 'revision.editTitle'))
+      .addComponents(
+        new ActionRowBuilder().addComponents(
+          new TextInputBuilder()
+            .setCustomId('content')
+            .setLabel(t(locale, 'preview.messageLabel'))
+            .setStyle(TextInputStyle.Paragraph)
+            .setMaxLength(4000)
+            .setRequired(true)
+            .setValue(campaign.content.slice(0, 4000))
+        ),
+        ...variantInputs
+      );
+
+    await interaction.showModal(modal);
+  }
+
+  /**
+   * Handler for the /broadcast edit modal and the recall confirmation
+   * The campaign is changed first, so members reached later by a retry or a
+   * reminder get the new message, then every delivered message is edited or
+   * deleted, with its own progress and report
+   * @param {ButtonInteraction|ModalSubmitInteraction} interaction - The interaction
+   */
+  async function handleBroadcastInteraction(interaction) {
+    const guild = interaction.guild;
+    const authorId = interaction.user.id;
+    const { locale } = interaction;
+
+    const recall = interaction.isButton();
+    const campaignId = interaction.customId.slice(recall ? 'broadcast_recall_'.length : 'broadcast_edit_modal_'.length);
+    const campaign = campaignStore.get(campaignId);
+    // The campaign may have been recalled or changed since the command was used
+    if (!(await checkRevisable(interaction, campaign, campaignId))) return;
+
+    const details = {};
+    if (!recall) {
+      details.content = interaction.fields.getTextInputValue('content').trim();
+      details.variants = { ...campaign.variants };
+      Object.keys(details.variants).slice(0, 4).forEach((language) => {
+        details.variants[language] = interaction.fields.getTextInputValue(`variant_${language}`).trim();
+      });
+
+      const safety = checkContent(
+        { [campaign.language ?? getGuildLanguage(guild.id)]: details.content, ...details.variants },
+        guildConfigManager.get(guild.id).safety
+      );
+      if (!(await checkSafeToSend(interaction, safety))) return;
+
+      if (details.content === campaign.content && Object.keys(details.variants).every((language) => details.variants[language] === campaign.variants[language])) {
+        const embed = new EmbedBuilder()
+          .setColor(0xffa500)
+          .setTitle(t(locale, 'revision.unchangedTitle'))
+          .setDescription(t(locale, 'revision.unchanged'));
+
+        await interaction.reply({ embeds: [embed], ephemeral: true });
+        return;
+      }
+    }
+
+    const action = recall ? 'recall' : 'edit';
+    if (recall) {
+      await interaction.update({ components: [] });
+    }
+    const reply = {
+      content: t(locale, `revision.${action}Starting`, { id: campaign.id }),
+      fetchReply: true,
+    };
+    const statusMessage = recall ? await interaction.followUp(reply) : await interaction.reply(reply);
+
+    // The new text only replaces the old one once a reviewer approved it
+    if (!recall && requiresEditApproval(campaign)) {
+      const revision = createRevision(campaign, action, {
+        id: `${campaign.id}-${action}-${Date.now()}`,
+        status: 'pending_approval',
+        authorId,
+        locale,
+        channelId: statusMessage.channelId,
+        messageId: statusMessage.id,
+        ...details,
+      });
+      await requestApproval(campaign, revision);
+      logger.info('Campaign edit waiting for approval', { campaignId: campaign.id, revisionId: revision.id });
+      return;
+    }
+
+    const now = new Date().toISOString();
+    if (recall) {
+      campaign.recalledAt = now;
+      acknowledgementManager.stopReminders(campaign.id);
+    } else {
+      campaign.content = details.content;
+      campaign.variants = details.variants;
+      campaign.editedAt = now;
+    }
+    campaignStore.save(campaign);
+    auditLog.record(recall ? 'campaign.recalled' : 'campaign.edited', { campaignId: campaign.id, guildId: guild.id, userId: authorId });
+
+    const revision = createRevision(campaign, action, {
+      id: `${campaign.id}-${action}-${Date.now()}`,
+      authorId,
+      locale,
+      channelId: statusMessage.channelId,
+      messageId: statusMessage.id,
+      ...details,
+    });
+
+    logger.info(recall ? 'Recalling campaign' : 'Editing campaign', { campaignId: campaign.id, revisionId: revision.id, messages: revision.recipients.length + revision.posts.length });
+    await executeRevision(guild, revision);
+  }
+
+  return {
+    handleBroadcastCommand,
+    handleBroadcastInteraction,
+  };
+}
+
+module.exports = { createBroadcastHandlers };
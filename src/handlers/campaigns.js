@@ -0,0 +1,309 @@
+/**
+ * Handlers of the buttons of running and delivered campaigns: pause, resume, abort and retry
+ */
+
+const { EmbedBuilder } = require('discord.js');
+const { isRetryable } = require('../deliveryReport');
+const { getDelivery, copyDelivery } = require('../deliveryTargets');
+const { checkContent } = require('../contentSafety');
+const { logger } = require('../logger');
+const { t } = require('../i18n');
+const { checkSafeToSend } = require('./replies');
+
+/**
+ * Create the campaign handlers
+ * @param {Object} deps - Services and helpers of the bot used by the handlers
+ * @param {AuditLog} deps.auditLog - Audit trail of staff actions
+ * @param {CampaignStore} deps.campaignStore - Stored campaigns
+ * @param {DeliveryQueue} deps.deliveryQueue - Queue delivering the campaigns
+ * @param {GuildConfigManager} deps.guildConfigManager - Settings of each server
+ * @param {PermissionManager} deps.permissionManager - Who may use each feature
+ * @param {Object} deps.quotaRefusals - Counter of the broadcasts refused by a quota
+ * @param {Map} deps.quotaUsageCache - Cached quota usage of each server, cleared by new campaigns
+ * @param {SubscriptionManager} deps.subscriptionManager - Members who opted out of broadcasts
+ * @param {Function} deps.buildProgressMessage - Builds the progress of a running campaign
+ * @param {Function} deps.buildReportMessage - Builds the delivery report of a campaign
+ * @param {Function} deps.checkBroadcastQuotas - Checks a broadcast against the sending quotas
+ * @param {Function} deps.executeCampaign - Delivers a campaign and reports it
+ * @param {Function} deps.formatQuotaIssues - Describes the exceeded quotas
+ * @param {Function} deps.getGuildLanguage - Language of a server
+ * @param {Function} deps.recordCampaignCompleted - Records the outcome of a finished campaign
+ * @param {Function} deps.updateCampaignMessage - Edits the status message of a campaign
+ * @returns {Object} The handlers, by function name
+ */
+function createCampaignHandlers({
+  auditLog,
+  campaignStore,
+  deliveryQueue,
+  guildConfigManager,
+  permissionManager,
+  quotaRefusals,
+  quotaUsageCache,
+  subscriptionManager,
+  buildProgressMessage,
+  buildReportMessage,
+  checkBroadcastQuotas,
+  executeCampaign,
+  formatQuotaIssues,
+  getGuildLanguage,
+  recordCampaignCompleted,
+  updateCampaignMessage,
+}) {
+  /**
+   * Handler for the pause, resume and abort buttons of a running campaign
+   * Campaigns can be controlled by their author and by bot administrators, even when
+   * they were started by an approval or a schedule, so these are handled before the
+   * check restricting components to their author
+   * @param {ButtonInteraction} interaction - The interaction
+   */
+  async function handleDeliveryButton(interaction) {
+    const guild = interaction.guild;
+    const authorId = interaction.user.id;
+    const { locale } = interaction;
+
+    const [, action, campaignId] = interaction.customId.split('_');
+    const campaign = deliveryQueue.listActive().find((active) => active.id === campaignId) ?? campaignStore.get(campaignId);
+
+    if (campaign?.authorId !== authorId && !permissionManager.can(interaction.member, 'admin')) {
+      const embed = new EmbedBuilder()
+        .setColor(0xff0000)
+        .setTitle(t(locale, 'errors.permissionDeniedTitle'))
+        .setDescription(t(locale, 'progress.notAllowed'));
+
+      await interaction.reply({ embeds: [embed], ephemeral: true });
+      return;
+    }
+
+    if (!campaign || !['running', 'paused'].includes(campaign.status)) {
+      const embed = new EmbedBuilder()
+        .setColor(0xff0000)
+        .setTitle(t(locale, 'progress.finishedTitle'))
+        .setDescription(t(locale, 'progress.finished'));
+
+      await interaction.reply({ embeds: [embed], ephemeral: true });
+      return;
+    }
+
+    if (action === 'pause') {
+      const paused = deliveryQueue.pause(campaign.id);
+      // Waiting for its turn after a restart: saved as paused, it is skipped when its turn comes
+      const waiting = !paused && campaign.status === 'running' && !deliveryQueue.isActive(campaign.id);
+      if (waiting) {
+        campaign.status = 'paused';
+        campaignStore.save(campaign);
+      }
+
+      if (paused || waiting) {
+        auditLog.record('campaign.paused', { campaignId: campaign.id, guildId: guild.id, userId: authorId });
+        logger.info('Campaign paused', { campaignId: campaign.id, userId: authorId });
+      }
+      await interaction.update(buildProgressMessage(campaign));
+      return;
+    }
+
+    if (action === 'resume') {
+      if (deliveryQueue.resume(campaign.id)) {
+        auditLog.record('campaign.resumed', { campaignId: campaign.id, guildId: guild.id, userId: authorId });
+        logger.info('Campaign resumed', { campaignId: campaign.id, userId: authorId });
+        await interaction.update(buildProgressMessage(campaign));
+        return;
+      }
+
+      // Paused before a restart: nothing is delivering the campaign anymore, so start it again.
+      // A second click, or a campaign waiting to be resumed after a restart, is already running
+      if (campaign.status !== 'paused' || deliveryQueue.isActive(campaign.id)) {
+        await interaction.update(buildProgressMessage(campaign));
+        return;
+      }
+
+      // Saved before the first reply, so a click arriving meanwhile sees the campaign running
+      campaign.status = 'running';
+      campaignStore.save(campaign);
+      auditLog.record('campaign.resumed', { campaignId: campaign.id, guildId: guild.id, userId: authorId });
+      logger.info('Campaign resumed', { campaignId: campaign.id, userId: authorId });
+
+      await interaction.deferUpdate();
+      await executeCampaign(guild, campaign);
+      return;
+    }
+
+    if (action === 'abort') {
+      // The running delivery reports the outcome once the DMs being sent are done
+      if (deliveryQueue.abort(campaign.id)) {
+        logger.info('Campaign abort requested', { campaignId: campaign.id, userId: authorId });
+        await interaction.deferUpdate();
+        return;
+      }
+
+      // Paused, or waiting for its turn after a restart: saved before the first reply,
+      // so it is not resumed meanwhile
+      campaign.status = 'aborted';
+      campaign.completedAt = new Date().toISOString();
+      campaignStore.save(campaign);
+      logger.info('Campaign aborted', { campaignId: campaign.id, userId: authorId });
+      recordCampaignCompleted(campaign);
+      await interaction.deferUpdate();
+      await updateCampaignMessage(campaign, buildReportMessage(campaign));
+      return;
+    }
+
+  }
+
+  /**
+   * Handler for the retry button of a delivery report
+   * Sends the message again to the failed members of a campaign, as a new campaign
+   * Like the delivery controls, it can be used by the author and by bot administrators
+   * @param {ButtonInteraction} interaction - The interaction
+   */
+  async function handleRetryFailedButton(interaction) {
+    const guild = interaction.guild;
+    const authorId = interaction.user.id;
+    const { locale } = interaction;
+
+    const campaign = campaignStore.get(interaction.customId.split('_')[2]);
+
+    if (!campaign) {
+      const embed = new EmbedBuilder()
+        .setColor(0xff0000)
+        .setTitle(t(locale, 'history.notFoundTitle'))
+        .setDescription(t(locale, 'report.retryNotFound'));
+
+      await interaction.reply({ embeds: [embed], ephemeral: true });
+      return;
+    }
+
+    if (campaign.authorId !== authorId && !permissionManager.can(interaction.member, 'admin')) {
+      const embed = new EmbedBuilder()
+        .setColor(0xff0000)
+        .setTitle(t(locale, 'errors.permissionDeniedTitle'))
+        .setDescription(t(locale, 'report.retryNotAllowed'));
+
+      await interaction.reply({ embeds: [embed], ephemeral: true });
+      return;
+    }
+
+    if (campaign.recalledAt) {
+      const embed = new EmbedBuilder()
+        .setColor(0xff0000)
+        .setTitle(t(locale, 'revision.unavailableTitle'))
+        .setDescription(t(locale, 'revision.alreadyRecalled', { id: campaign.id }));
+
+      await interaction.reply({ embeds: [embed], ephemeral: true });
+      return;
+    }
+
+    // Members who opted out since the campaign was sent are not messaged again
+    const recipients = campaign.recipients
+      .filter((recipient) => isRetryable(recipient) && !subscriptionManager.isOptedOut(campaign.guildId, recipient.id, campaign.topic))
+      .map((recipient) => ({ id: recipient.id, tag: recipient.tag }));
+
+    if (recipients.length === 0) {
+      const embed = new EmbedBuilder()
+        .setColor(0xff0000)
+        .setTitle(t(locale, 'report.nothingToRetryTitle'))
+        .setDescription(t(locale, 'report.nothingToRetry'));
+
+      await interaction.reply({ embeds: [embed], ephemeral: true });
+      return;
+    }
+
+    // The report channel keeps a copy of the report with its own button, and campaigns
+    // retried before retriedAt existed only have their retry campaign to tell
+    if (campaign.retriedAt || campaignStore.list((entry) => entry.retryOf === campaign.id).length > 0) {
+      const embed = new EmbedBuilder()
+        .setColor(0xff0000)
+        .setTitle(t(locale, 'report.alreadyRetriedTitle'))
+        .setDescription(t(locale, 'report.alreadyRetried', { id: campaign.id }));
+
+      await interaction.reply({ embeds: [embed], ephemeral: true });
+      return;
+    }
+
+    // The rules of the server may have changed since the campaign was sent.
+    // Nothing is awaited until the retry is claimed, unless it is refused
+    const safety = checkContent(
+      { [campaign.language ?? getGuildLanguage(guild.id)]: campaign.content, ...campaign.variants },
+      guildConfigManager.get(guild.id).safety
+    );
+    if (safety.errors.length > 0) {
+      await checkSafeToSend(interaction, safety);
+      return;
+    }
+
+    // Bots are never retried, so every recipient is counted
+    const quotas = checkBroadcastQuotas(guild, {
+      authorId: campaign.authorId,
+      audience: campaign.audience,
+      recipients: getDelivery(campaign).mode === 'channels' ? 0 : recipients.length,
+      retryOf: campaign.id,
+    }, true);
+    // Administrators retry past the quotas, as they could override them when sending
+    const quotaOverridden = quotas.exceeded.length > 0 && permissionManager.can(interaction.member, 'admin');
+    if (quotas.exceeded.length > 0 && !quotaOverridden) {
+      quotaRefusals.inc();
+      logger.info('Retry refused by the sending quotas', { campaignId: campaign.id, guildId: guild.id, exceeded: quotas.exceeded.map(({ key }) => key) });
+
+      const embed = new EmbedBuilder()
+        .setColor(0xff0000)
+        .setTitle(t(locale, 'quotas.exceededTitle'))
+        .setDescription(formatQuotaIssues(guild, quotas.exceeded, locale));
+
+      await interaction.reply({ embeds: [embed], ephemeral: true });
+      return;
+    }
+
+    // Saved before the first reply, so a click arriving meanwhile is refused
+    campaign.retriedAt = new Date().toISOString();
+    campaignStore.save(campaign);
+    await interaction.update({ components: [] });
+
+    const retryMessage = await interaction.followUp({
+      content: t(campaign.locale, 'report.retrying', { id: campaign.id, count: recipients.length }),
+      fetchReply: true,
+    });
+
+    // The members were part of the original audience, so the retry is not submitted for approval again
+    quotaUsageCache.delete(guild.id);
+    const retry = campaignStore.create({
+      id: `${campaign.id}-retry-${Date.now()}`,
+      retryOf: campaign.id,
+      guildId: campaign.guildId,
+      authorId: campaign.authorId,
+      authorName: campaign.authorName,
+      audience: campaign.audience,
+      audienceName: t(campaign.locale, 'campaign.retryAudience', { audience: campaign.audienceName }),
+      content: campaign.content,
+      language: campaign.language,
+      variants: campaign.variants,
+      locale: campaign.locale,
+      topic: campaign.topic,
+      style: campaign.style,
+      attachments: campaign.attachments,
+      delivery: copyDelivery(campaign),
+      acknowledgement: campaign.acknowledgement ?? null,
+      channelId: retryMessage.channelId,
+      messageId: retryMessage.id,
+      recipients,
+    });
+    auditLog.record('campaign.retried', { campaignId: retry.id, retryOf: campaign.id, guildId: guild.id, userId: authorId, recipients: recipients.length });
+    if (quotaOverridden) {
+      auditLog.record('campaign.quota_overridden', {
+        campaignId: retry.id,
+        guildId: guild.id,
+        userId: authorId,
+        exceeded: quotas.exceeded.map(({ key }) => key),
+      });
+      logger.warn('Sending quotas overridden by an administrator', { campaignId: retry.id, guildId: guild.id, authorId });
+    }
+
+    logger.info('Retrying campaign', { campaignId: retry.id, retryOf: campaign.id, recipients: recipients.length });
+    await executeCampaign(guild, retry);
+  }
+
+  return {
+    handleDeliveryButton,
+    handleRetryFailedButton,
+  };
+}
+
+module.exports = { createCampaignHandlers };
@@ -0,0 +1,284 @@
+/**
+ * Handler of /config, the settings of each server
+ */
+
+const { EmbedBuilder } = require('discord.js');
+const { formatColor, parseStyleInput } = require('../messageStyle');
+const { parseList, parseDomainList } = require('../contentSafety');
+const { LANGUAGE_NAMES, getLanguage, t } = require('../i18n');
+const { replyPermissionDenied } = require('./replies');
+
+/**
+ * Create the configuration handlers
+ * @param {Object} deps - Services and helpers of the bot used by the handlers
+ * @param {AuditLog} deps.auditLog - Audit trail of staff actions
+ * @param {GuildConfigManager} deps.guildConfigManager - Settings of each server
+ * @param {PermissionManager} deps.permissionManager - Who may use each feature
+ * @param {Function} deps.formatStyleErrors - Describes the invalid values of a style
+ * @returns {Object} The handlers, by function name
+ */
+function createConfigHandlers({
+  auditLog,
+  guildConfigManager,
+  permissionManager,
+  formatStyleErrors,
+}) {
+  /**
+   * Build an embed describing the settings of a server
+   * @param {Object} config - The effective settings of the server
+   * @param {string} titleKey - Catalog key of the title of the embed
+   * @param {string} locale - Locale of the reader
+   * @returns {EmbedBuilder} The settings embed
+   */
+  function buildConfigEmbed(config, titleKey, locale) {
+    const { staffRoleIds, reportChannelId, relayChannelId, rateLimits, approval, branding, language, languageRoles, safety, quotas } = config;
+    const none = t(locale, 'common.none');
+    const formatLimit = (limit) => (limit > 0 ? limit : t(locale, 'config.noLimit'));
+
+    return new EmbedBuilder()
+      .setColor(0x3498db)
+      .setTitle(t(locale, titleKey))
+      .addFields(
+        { name: t(locale, 'config.staffRoles'), value: staffRoleIds.map((roleId) => `<@&${roleId}>`).join(', ') || t(locale, 'config.noStaffRoles'), inline: false },
+        { name: t(locale, 'config.reportChannel'), value: reportChannelId ? `<#${reportChannelId}>` : none, inline: true },
+        { name: t(locale, 'config.relayChannel'), value: relayChannelId ? `<#${relayChannelId}>` : none, inline: true },
+        { name: t(locale, 'config.pacing'), value: t(locale, 'config.pacingValue', rateLimits), inline: true },
+        {
+          name: t(locale, 'config.approval'),
+          value: approval.threshold > 0 && approval.channelId
+            ? t(locale, 'config.approvalValue', { threshold: approval.threshold, channel: `<#${approval.channelId}>` })
+            : t(locale, 'config.disabled'),
+          inline: true,
+        },
+        { name: t(locale, 'config.language'), value: `${LANGUAGE_NAMES[language]} (${language})`, inline: true },
+        {
+          name: t(locale, 'config.languageRoles'),
+          value: languageRoles.map(({ roleId, language: roleLanguage }) => `<@&${roleId}> → ${roleLanguage}`).join('\n').slice(0, 1024) || none,
+          inline: true,
+        },
+        {
+          name: t(locale, 'config.branding'),
+          value: [
+            t(locale, 'config.brandingTitle', { value: branding.title }),
+            t(locale, 'config.brandingColor', { value: formatColor(branding.color) }),
+            t(locale, 'config.brandingFooter', { value: branding.footer ?? '—' }),
+            t(locale, 'config.brandingThumbnail', { value: branding.thumbnailUrl ?? '—' }),
+            t(locale, 'config.brandingImage', { value: branding.imageUrl ?? '—' }),
+          ].join('\n').slice(0, 1024),
+        },
+        {
+          name: t(locale, 'config.safety'),
+          value: [
+            // Blocked words are only counted, so the settings can be shown without repeating them
+            t(locale, 'config.blockedWords', { count: safety.blockedWords.length }),
+            t(locale, 'config.allowedLinks', { value: safety.allowedLinks.join(', ') || t(locale, 'config.anyLink') }),
+          ].join('\n').slice(0, 1024),
+        },
+        {
+          name: t(locale, 'config.quotas'),
+          value: [
+            t(locale, 'config.quotasAuthor', { hour: formatLimit(quotas.authorHourly), day: formatLimit(quotas.authorDaily) }),
+            t(locale, 'config.quotasServer', { hour: formatLimit(quotas.guildHourly), day: formatLimit(quotas.guildDaily) }),
+            quotas.roleCooldownMinutes > 0
+              ? t(locale, 'config.roleCooldown', { minutes: quotas.roleCooldownMinutes })
+              : t(locale, 'config.noRoleCooldown'),
+          ].join('\n'),
+        }
+      )
+      .setFooter({ text: '🔧 Developed by @felipecaldass' });
+  }
+
+  /**
+   * Handler for the /config command
+   * Shows and changes the settings of the server
+   * Requires the admin permission
+   * @param {ChatInputCommandInteraction} interaction - The interaction
+   */
+  async function handleConfigCommand(interaction) {
+    const guild = interaction.guild;
+    const authorId = interaction.user.id;
+    const { locale } = interaction;
+
+    if (!permissionManager.can(interaction.member, 'admin')) {
+      await replyPermissionDenied(interaction, 'admin');
+      return;
+    }
+
+    const subcommand = interaction.options.getSubcommand();
+    const config = guildConfigManager.get(guild.id);
+
+    /**
+     * Save a change, record it in the audit log and show the new settings
+     * @param {Object|null} changes - Settings to overwrite, or null to reset the given setting
+     * @param {string} descriptionKey - Catalog key of the summary of the change
+     * @param {Object} [variables] - Variables of the summary
+     */
+    const applyChange = async (changes, descriptionKey, variables) => {
+      const updated = changes
+        ? guildConfigManager.set(guild.id, changes)
+        : guildConfigManager.reset(guild.id, interaction.options.getString('setting'));
+      auditLog.record(`config.${subcommand}`, { guildId: guild.id, userId: authorId, changes: changes ?? { reset: interaction.options.getString('setting') } });
+
+      await interaction.reply({
+        embeds: [buildConfigEmbed(updated, 'config.updatedTitle', locale).setDescription(t(locale, descriptionKey, variables))],
+        ephemeral: true,
+      });
+    };
+
+    if (subcommand === 'show') {
+      await interaction.reply({ embeds: [buildConfigEmbed(config, 'config.showTitle', locale)], ephemeral: true });
+      return;
+    }
+
+    if (subcommand === 'staff-add' || subcommand === 'staff-remove') {
+      const role = interaction.options.getRole('role');
+      const staffRoleIds = subcommand === 'staff-add'
+        ? [...new Set([...config.staffRoleIds, role.id])]
+        : config.staffRoleIds.filter((roleId) => roleId !== role.id);
+
+      await applyChange(
+        { staffRoleIds },
+        subcommand === 'staff-add' ? 'config.staffAdded' : 'config.staffRemoved',
+        { role: `<@&${role.id}>` }
+      );
+      return;
+    }
+
+    if (subcommand === 'report-channel') {
+      const channel = interaction.options.getChannel('channel');
+      await applyChange(
+        { reportChannelId: channel?.id ?? null },
+        channel ? 'config.reportChannelSet' : 'config.reportChannelCleared',
+        { channel: `<#${channel?.id}>` }
+      );
+      return;
+    }
+
+    if (subcommand === 'relay-channel') {
+      const channel = interaction.options.getChannel('channel');
+      await applyChange(
+        { relayChannelId: channel?.id ?? null },
+        channel ? 'config.relayChannelSet' : 'config.relayChannelCleared',
+        { channel: `<#${channel?.id}>` }
+      );
+      return;
+    }
+
+    if (subcommand === 'rate-limits') {
+      const rateLimits = {};
+      const concurrency = interaction.options.getInteger('concurrency');
+      const delayMs = interaction.options.getInteger('delay');
+      if (concurrency !== null) rateLimits.concurrency = concurrency;
+      if (delayMs !== null) rateLimits.delayMs = delayMs;
+
+      await applyChange({ rateLimits }, 'config.rateLimitsUpdated');
+      return;
+    }
+
+    if (subcommand === 'approval') {
+      const approval = {};
+      const threshold = interaction.options.getInteger('threshold');
+      const channel = interaction.options.getChannel('channel');
+      if (threshold !== null) approval.threshold = threshold;
+      if (channel) approval.channelId = channel.id;
+
+      await applyChange({ approval }, 'config.approvalUpdated');
+      return;
+    }
+
+    if (subcommand === 'branding') {
+      const input = {
+        title: interaction.options.getString('title'),
+        color: interaction.options.getString('color'),
+        footer: interaction.options.getString('footer'),
+        thumbnailUrl: interaction.options.getString('thumbnail'),
+        imageUrl: interaction.options.getString('image'),
+      };
+      const { style, errors } = parseStyleInput(input, config.branding);
+
+      if (errors.length > 0) {
+        const embed = new EmbedBuilder()
+          .setColor(0xff0000)
+          .setTitle(t(locale, 'config.invalidBrandingTitle'))
+          .setDescription(`${formatStyleErrors(errors, locale)}\n\n${t(locale, 'config.brandingUnchanged')}`);
+
+        await interaction.reply({ embeds: [embed], ephemeral: true });
+        return;
+      }
+
+      await applyChange({ branding: style }, 'config.brandingUpdated');
+      return;
+    }
+
+    if (subcommand === 'safety') {
+      const safety = {};
+      const blockedWords = interaction.options.getString('blocked-words');
+      const allowedLinks = interaction.options.getString('allowed-links');
+      if (blockedWords !== null) safety.blockedWords = blockedWords.trim().toLowerCase() === 'none' ? [] : parseList(blockedWords);
+      if (allowedLinks !== null) safety.allowedLinks = allowedLinks.trim().toLowerCase() === 'none' ? [] : parseDomainList(allowedLinks);
+
+      await applyChange({ safety }, 'config.safetyUpdated');
+      return;
+    }
+
+    if (subcommand === 'quotas') {
+      const quotas = {};
+      const options = {
+        authorHourly: 'author-hour',
+        authorDaily: 'author-day',
+        guildHourly: 'server-hour',
+        guildDaily: 'server-day',
+        roleCooldownMinutes: 'role-cooldown',
+      };
+      for (const [setting, option] of Object.entries(options)) {
+        const value = interaction.options.getInteger(option);
+        if (value !== null) quotas[setting] = value;
+      }
+
+      await applyChange({ quotas }, 'config.quotasUpdated');
+      return;
+    }
+
+    if (subcommand === 'language') {
+      const language = interaction.options.getString('language');
+      await applyChange({ language }, 'config.languageUpdated', { language: LANGUAGE_NAMES[language] });
+      return;
+    }
+
+    if (subcommand === 'language-role') {
+      const role = interaction.options.getRole('role');
+      const language = getLanguage(interaction.options.getString('language')?.trim());
+
+      if (language && !/^[a-z]{2}$/.test(language)) {
+        const embed = new EmbedBuilder()
+          .setColor(0xff0000)
+          .setTitle(t(locale, 'errors.invalidLanguageTitle'))
+          .setDescription(t(locale, 'errors.invalidLanguage', { language }));
+
+        await interaction.reply({ embeds: [embed], ephemeral: true });
+        return;
+      }
+
+      // A role has a single language: omitting the language removes the role
+      const languageRoles = config.languageRoles.filter(({ roleId }) => roleId !== role.id);
+      if (language) languageRoles.push({ roleId: role.id, language });
+
+      await applyChange(
+        { languageRoles },
+        language ? 'config.languageRoleSet' : 'config.languageRoleRemoved',
+        { role: `<@&${role.id}>`, language }
+      );
+      return;
+    }
+
+    if (subcommand === 'reset') {
+      const setting = interaction.options.getString('setting');
+      await applyChange(null, 'config.reset', { setting: t(locale, `config.settings.${setting}`) });
+      return;
+    }
+  }
+
+  return { handleConfigCommand };
+}
+
+module.exports = { createConfigHandlers };
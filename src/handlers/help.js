@@ -0,0 +1,74 @@
+/**
+ * Handler of /help
+ */
+
+const { EmbedBuilder } = require('discord.js');
+const { t } = require('../i18n');
+
+/**
+ * Handler for the /help command
+ * Displays an embed with information about all available commands
+ * @param {ChatInputCommandInteraction} interaction - The interaction
+ */
+async function handleHelpCommand(interaction) {
+  const { locale } = interaction;
+
+  const helpEmbed = new EmbedBuilder()
+    .setColor(0x2ecc71)
+    .setTitle(t(locale, 'help.title'))
+    .setDescription(t(locale, 'help.description'))
+    .addFields(
+
+      {
+        name: '📝 **/message**',
+        value: t(locale, 'help.message'),
+        inline: false
+      },
+      {
+        name: '❌ **/cancel**',
+        value: t(locale, 'help.cancel'),
+        inline: false
+      },
+      {
+        name: '🧩 **/template**',
+        value: t(locale, 'help.template'),
+        inline: false
+      },
+      {
+        name: '⏰ **/schedule**',
+        value: t(locale, 'help.schedule'),
+        inline: false
+      },
+      {
+        name: '🛡️ **/admin permissions**',
+        value: t(locale, 'help.admin'),
+        inline: false
+      },
+      {
+        name: '⚙️ **/config**',
+        value: t(locale, 'help.config'),
+        inline: false
+      },
+      {
+        name: '🗂️ **/history**',
+        value: t(locale, 'help.history'),
+        inline: false
+      },
+      {
+        name: '✏️ **/broadcast**',
+        value: t(locale, 'help.broadcast'),
+        inline: false
+      },
+      {
+        name: '🔔 **/subscriptions**',
+        value: t(locale, 'help.subscriptions'),
+        inline: false
+      }
+    )
+    .setFooter({ text: t(locale, 'help.footer') })
+    .setTimestamp();
+
+  await interaction.reply({ embeds: [helpEmbed], ephemeral: true });
+}
+
+module.exports = { handleHelpCommand };
@@ -0,0 +1,94 @@
+/**
+ * Handlers of /history and of its paging buttons
+ */
+
+const { EmbedBuilder } = require('discord.js');
+const { t } = require('../i18n');
+const { replyPermissionDenied } = require('./replies');
+
+/**
+ * Create the history handlers
+ * @param {Object} deps - Services and helpers of the bot used by the handlers
+ * @param {CampaignStore} deps.campaignStore - Stored campaigns
+ * @param {PermissionManager} deps.permissionManager - Who may use each feature
+ * @param {Function} deps.buildCampaignDetailEmbed - Builds the details of a campaign
+ * @param {Function} deps.buildHistoryPage - Builds a page of the campaign history
+ * @param {Function} deps.buildReportMessage - Builds the delivery report of a campaign
+ * @returns {Object} The handlers, by function name
+ */
+function createHistoryHandlers({
+  campaignStore,
+  permissionManager,
+  buildCampaignDetailEmbed,
+  buildHistoryPage,
+  buildReportMessage,
+}) {
+  /**
+   * Handler for the /history command
+   * Lists past campaigns of the server with paging, or shows the details
+   * of a single campaign when its ID is given
+   * Requires the history permission
+   * @param {ChatInputCommandInteraction} interaction - The interaction
+   */
+  async function handleHistoryCommand(interaction) {
+    const guild = interaction.guild;
+    const authorId = interaction.user.id;
+    const { locale } = interaction;
+
+    if (!permissionManager.can(interaction.member, 'history')) {
+      await replyPermissionDenied(interaction, 'history');
+      return;
+    }
+
+    const campaignId = interaction.options.getString('campaign');
+
+    if (campaignId) {
+      const campaign = campaignStore.get(campaignId);
+
+      if (!campaign || campaign.guildId !== guild.id) {
+        const embed = new EmbedBuilder()
+          .setColor(0xff0000)
+          .setTitle(t(locale, 'history.notFoundTitle'))
+          .setDescription(t(locale, 'history.notFound', { id: campaignId }));
+
+        await interaction.reply({ embeds: [embed], ephemeral: true });
+        return;
+      }
+
+      await interaction.reply({
+        embeds: [buildCampaignDetailEmbed(campaign, locale)],
+        files: buildReportMessage(campaign, locale).files,
+        ephemeral: true,
+      });
+      return;
+    }
+
+    const page = (interaction.options.getInteger('page') ?? 1) - 1;
+    const campaigns = campaignStore.list((campaign) => campaign.guildId === guild.id);
+
+    await interaction.reply({ ...buildHistoryPage(campaigns, page, authorId, locale), ephemeral: true });
+  }
+
+  /**
+   * Handler for the history paging buttons
+   * History browsing does not depend on an active message interaction
+   * @param {ButtonInteraction} interaction - The interaction
+   */
+  async function handleHistoryPage(interaction) {
+    const guild = interaction.guild;
+    const authorId = interaction.user.id;
+    const { locale } = interaction;
+
+    const page = Number(interaction.customId.split('_')[2]);
+    const campaigns = campaignStore.list((campaign) => campaign.guildId === guild.id);
+
+    await interaction.update(buildHistoryPage(campaigns, page, authorId, locale));
+  }
+
+  return {
+    handleHistoryCommand,
+    handleHistoryPage,
+  };
+}
+
+module.exports = { createHistoryHandlers };
@@ -0,0 +1,1025 @@
+/**
+ * Handlers of the /message flow
+ *
+ * /message and /template use start a draft, then the buttons, menus and modals
+ * of its preview change it until it is sent or cancelled. Every component of
+ * the preview receives the draft of its author, see handleComponent in privmsg.js.
+ */
+
+const {
+  EmbedBuilder,
+  ActionRowBuilder,
+  ModalBuilder,
+  TextInputBuilder,
+  TextInputStyle,
+} = require('discord.js');
+const path = require('path');
+const { formatColor, parseStyleInput } = require('../messageStyle');
+const {
+  MAX_ATTACHMENT_SIZE,
+  MAX_USER_LIST_SIZE,
+  downloadAttachments,
+  downloadText,
+  deleteAttachments,
+} = require('../attachments');
+const {
+  AUDIENCE_MODES,
+  createAudience,
+  isAudienceEmpty,
+  parseFilterInput,
+  parseUserIdList,
+} = require('../audience');
+const { createDelivery, getDelivery, getMaxChannels, needsChannels } = require('../deliveryTargets');
+const { logger } = require('../logger');
+const { getLanguage, t } = require('../i18n');
+const { replyPermissionDenied, readTopicOption, checkSafeToSend } = require('./replies');
+
+/**
+ * Create the message handlers
+ * @param {Object} deps - Services and helpers of the bot used by the handlers
+ * @param {AuditLog} deps.auditLog - Audit trail of staff actions
+ * @param {DeliveryQueue} deps.deliveryQueue - Queue delivering the campaigns
+ * @param {GuildConfigManager} deps.guildConfigManager - Settings of each server
+ * @param {InteractionManager} deps.interactionManager - Drafts of the users
+ * @param {PermissionManager} deps.permissionManager - Who may use each feature
+ * @param {Object} deps.quotaRefusals - Counter of the broadcasts refused by a quota
+ * @param {Function} deps.buildBroadcastPayload - Builds the DM sent to a member
+ * @param {Function} deps.buildDryRunEmbed - Builds the dry run report of a draft
+ * @param {Function} deps.buildMessagePreview - Builds the preview of a draft
+ * @param {Function} deps.buildRolePicker - Builds the role picker of a draft
+ * @param {Function} deps.checkDraftContent - Runs the content safety checks on a draft
+ * @param {Function} deps.checkDraftQuotas - Checks a draft against the sending quotas
+ * @param {Function} deps.createCampaign - Stores a new campaign
+ * @param {Function} deps.executeCampaign - Delivers a campaign and reports it
+ * @param {Function} deps.formatQuotaIssues - Describes the exceeded quotas
+ * @param {Function} deps.formatStyleErrors - Describes the invalid values of a style
+ * @param {Function} deps.getGuildLanguage - Language of a server
+ * @param {Function} deps.getTargetableRoleIds - Roles a member may target, null if any
+ * @param {Function} deps.isQuotaOverridden - Whether an administrator overrode the quotas of a draft
+ * @param {Function} deps.isTargetAllowed - Whether the targeting rules of a draft allow a role
+ * @param {Function} deps.requestApproval - Posts a campaign or an edit in the review channel
+ * @param {string} deps.DATA_DIR - Directory of the data of the bot, attachments are downloaded in it
+ * @param {boolean} deps.PRESENCE_INTENT - Whether presences are received, needed by the presence filter
+ * @param {number} deps.ROLE_MIN_MEMBERS - Roles with fewer members are not offered
+ * @returns {Object} The handlers, by function name
+ */
+function createMessageHandlers({
+  auditLog,
+  deliveryQueue,
+  guildConfigManager,
+  interactionManager,
+  permissionManager,
+  quotaRefusals,
+  buildBroadcastPayload,
+  buildDryRunEmbed,
+  buildMessagePreview,
+  buildRolePicker,
+  checkDraftContent,
+  checkDraftQuotas,
+  createCampaign,
+  executeCampaign,
+  formatQuotaIssues,
+  formatStyleErrors,
+  getGuildLanguage,
+  getTargetableRoleIds,
+  isQuotaOverridden,
+  isTargetAllowed,
+  requestApproval,
+  DATA_DIR,
+  PRESENCE_INTENT,
+  ROLE_MIN_MEMBERS,
+}) {
+  /**
+   * Start the interactive flow of sending a message
+   * Used by the /message command and by /template use. Checks that the author
+   * is allowed to send messages, downloads the attached files, then shows the role picker.
+   * When a list of user IDs is uploaded, the listed members are the audience and
+   * the preview is shown right away.
+   *
+   * @param {CommandInteraction} interaction - The command that started the flow
+   * @param {string} content - The message to send
+   * @param {Attachment[]} [attachments] - Files to send with the message
+   * @param {string|null} [topic] - Topic of the message, members can unsubscribe from it
+   * @param {Attachment|null} [userList] - CSV or text file of the user IDs to message
+   * @param {string} [deliveryMode="dm"] - How the message reaches the members, see deliveryTargets.js
+   * @param {{reminderHours: number|null}|null} [acknowledgement] - Asks the members to confirm they read the message, and reminds the others
+   */
+  async function startMessageFlow(interaction, content, attachments = [], topic = null, userList = null, deliveryMode = 'dm', acknowledgement = null) {
+    const guild = interaction.guild;
+    const authorId = interaction.user.id;
+    const { locale } = interaction;
+
+    if (interactionManager.hasState(authorId)) {
+      const embed = new EmbedBuilder()
+        .setColor(0xff0000)
+        .setTitle(t(locale, 'errors.activeInteractionTitle'))
+        .setDescription(t(locale, 'errors.activeInteraction'))
+        .setFooter({ text: t(locale, 'common.deletedSoon') });
+
+      await interaction.reply({
+        embeds: [embed],
+        ephemeral: true,
+      });
+      return;
+    }
+
+    if (!permissionManager.can(interaction.member, 'send')) {
+      await replyPermissionDenied(interaction, 'send');
+      return;
+    }
+
+    const oversizedFile = attachments.find((attachment) => attachment.size > MAX_ATTACHMENT_SIZE);
+    if (oversizedFile) {
+      const embed = new EmbedBuilder()
+        .setColor(0xff0000)
+        .setTitle(t(locale, 'errors.fileTooLargeTitle'))
+        .setDescription(t(locale, 'errors.fileTooLarge', { file: oversizedFile.name, size: MAX_ATTACHMENT_SIZE / 1024 / 1024 }));
+
+      await interaction.reply({ embeds: [embed], ephemeral: true });
+      return;
+    }
+
+    if (userList && userList.size > MAX_USER_LIST_SIZE) {
+      const embed = new EmbedBuilder()
+        .setColor(0xff0000)
+        .setTitle(t(locale, 'errors.fileTooLargeTitle'))
+        .setDescription(t(locale, 'errors.fileTooLarge', { file: userList.name, size: MAX_USER_LIST_SIZE / 1024 / 1024 }));
+
+      await interaction.reply({ embeds: [embed], ephemeral: true });
+      return;
+    }
+
+    // Targeting rules limit the roles a staff member reaches, a list of users would get around them
+    if (userList && getTargetableRoleIds(interaction.member)) {
+      const embed = new EmbedBuilder()
+        .setColor(0xff0000)
+        .setTitle(t(locale, 'errors.userListNotAllowedTitle'))
+        .setDescription(t(locale, 'errors.userListNotAllowed'));
+
+      await interaction.reply({ embeds: [embed], ephemeral: true });
+      return;
+    }
+
+    interactionManager.setState(authorId, {
+      locale,
+      currentMessage: content,
+      // The main message is written in the language of the server, variants are added from the preview
+      language: getGuildLanguage(guild.id),
+      variants: {},
+      topic,
+      previewMessage: null,
+      style: { ...guildConfigManager.get(guild.id).branding },
+      attachments: [],
+      attachmentDir: path.join(DATA_DIR, 'attachments', interaction.id),
+      targetableRoleIds: getTargetableRoleIds(interaction.member),
+      audience: createAudience(),
+      delivery: createDelivery(deliveryMode),
+      acknowledgement,
+      pickerMode: 'anyOf',
+      rolePage: 0,
+      roleSearch: '',
+    });
+
+    await guild.members.fetch();
+    const rolePicker = buildRolePicker(guild, interactionManager.getState(authorId), authorId);
+
+    // Listed members can be messaged without picking any role
+    if (!rolePicker && !userList) {
+      const embed = new EmbedBuilder()
+        .setColor(0xff0000)
+        .setTitle(t(locale, 'errors.noRolesTitle'))
+        .setDescription(t(locale, 'errors.noRoles', { count: ROLE_MIN_MEMBERS }))
+        .setFooter({ text: t(locale, 'common.deletedSoon') });
+
+      await interaction.reply({
+        embeds: [embed],
+        ephemeral: true,
+      });
+      interactionManager.deleteState(authorId);
+      return;
+    }
+
+    await interaction.deferReply();
+    const state = interactionManager.getState(authorId);
+
+    if (attachments.length > 0) {
+      try {
+        state.attachments = await downloadAttachments(attachments, state.attachmentDir);
+      } catch (error) {
+        logger.error('Error downloading attachments', { userId: authorId, error });
+        deleteAttachments(state.attachmentDir);
+        interactionManager.deleteState(authorId);
+        await interaction.editReply({ content: t(locale, 'errors.downloadFailed') });
+        return;
+      }
+    }
+
+    if (userList) {
+      const userIds = await downloadText(userList)
+        .then(parseUserIdList)
+        .catch((error) => {
+          logger.error('Error downloading the user list', { userId: authorId, error });
+          return null;
+        });
+
+      if (!userIds || userIds.length === 0) {
+        deleteAttachments(state.attachmentDir);
+        interactionManager.deleteState(authorId);
+        await interaction.editReply({ content: t(locale, userIds ? 'errors.userListEmpty' : 'errors.downloadFailed', { file: userList.name }) });
+        return;
+      }
+      state.audience.filters.userIds = userIds;
+    }
+
+    state.previewMessage = await interaction.editReply(userList ? buildMessagePreview(guild, state, authorId) : rolePicker);
+    logger.debug('Initial preview sent', { userId: authorId });
+  }
+
+  /**
+   * Handler for the /message command
+   * Initiates the process of sending a message to roles or to an uploaded list of users
+   * Requires the send permission
+   * @param {ChatInputCommandInteraction} interaction - The interaction
+   */
+  async function handleMessageCommand(interaction) {
+    const attachments = ['attachment', 'attachment2', 'attachment3']
+      .map((name) => interaction.options.getAttachment(name))
+      .filter(Boolean);
+
+    const topic = await readTopicOption(interaction);
+    if (topic === false) return;
+
+    // A reminder delay asks for the acknowledgement on its own
+    const reminderHours = interaction.options.getInteger('ack-reminder');
+    const acknowledgement = interaction.options.getBoolean('acknowledgement') || reminderHours
+      ? { reminderHours }
+      : null;
+
+    await startMessageFlow(
+      interaction,
+      interaction.options.getString('content'),
+      attachments,
+      topic,
+      interaction.options.getAttachment('user-list'),
+      interaction.options.getString('delivery') ?? 'dm',
+      acknowledgement
+    );
+  }
+
+  /**
+   * Handler for the /cancel command
+   * Cancels an active interaction and cleans up resources
+   * Requires the send or schedule permission
+   * @param {ChatInputCommandInteraction} interaction - The interaction
+   */
+  async function handleCancelCommand(interaction) {
+    const guild = interaction.guild;
+    const authorId = interaction.user.id;
+    const { locale } = interaction;
+
+    if (!permissionManager.can(interaction.member, 'send') && !permissionManager.can(interaction.member, 'schedule')) {
+      await replyPermissionDenied(interaction, 'send');
+      return;
+    }
+
+    // Stop the deliveries started by the member, which keep running once the preview is confirmed
+    const runningCampaigns = deliveryQueue.listActive()
+      .filter((campaign) => campaign.guildId === guild.id && campaign.authorId === authorId);
+
+    if (runningCampaigns.length > 0) {
+      runningCampaigns.forEach((campaign) => deliveryQueue.abort(campaign.id));
+      logger.info('Campaigns aborted with /cancel', { campaignIds: runningCampaigns.map((campaign) => campaign.id), userId: interaction.user.id });
+
+      const embed = new EmbedBuilder()
+        .setColor(0xff0000)
+        .setTitle(t(locale, 'report.abortedTitle'))
+        .setDescription(t(locale, 'cancel.aborted'));
+
+      await interaction.reply({ embeds: [embed], ephemeral: true });
+      return;
+    }
+
+    if (!interactionManager.hasState(authorId)) {
+      const embed = new EmbedBuilder()
+        .setColor(0xff0000)
+        .setTitle(t(locale, 'cancel.noInteractionTitle'))
+        .setDescription(t(locale, 'cancel.noInteraction'))
+        .setFooter({ text: t(locale, 'common.deletedSoon') });
+
+      await interaction.reply({
+        embeds: [embed],
+        ephemeral: true,
+      });
+      return;
+    }
+
+    const state = interactionManager.getState(authorId);
+
+    if (state.previewMessage) {
+      await state.previewMessage.edit({
+        content: t(locale, 'cancel.previewCancelled'),
+        embeds: [],
+        components: [],
+      });
+
+      setTimeout(() => {
+        state.previewMessage.delete().catch((error) => logger.warn('Error deleting message', { error }));
+      }, 15000);
+    }
+
+    interactionManager.deleteState(authorId);
+    if (state.attachmentDir) deleteAttachments(state.attachmentDir);
+
+    const embed = new EmbedBuilder()
+      .setColor(0xff0000)
+      .setTitle(t(locale, 'cancel.title'))
+      .setDescription(t(locale, 'cancel.description'))
+      .setFooter({ text: t(locale, 'cancel.footer') });
+
+    await interaction.deferReply();
+    const confirmationMessage = await interaction.editReply({
+      embeds: [embed],
+      fetchReply: true,
+    });
+
+    setTimeout(() => {
+      confirmationMessage.delete().catch((error) => logger.warn('Error deleting message', { error }));
+    }, 15000);
+  }
+
+  /**
+   * Handler for the audience buttons of the preview
+   * Opens the role picker to add a role to the union, the intersection
+   * or the exclusions of the audience, or starts the audience over
+   * @param {ButtonInteraction} interaction - The interaction
+   * @param {Object} state - Draft of the user
+   */
+  async function handleAudienceButton(interaction, state) {
+    const guild = interaction.guild;
+    const authorId = interaction.user.id;
+    const { locale } = interaction;
+
+    const [, action, mode] = interaction.customId.split('_');
+
+    if (action === 'reset') {
+      state.audience = createAudience();
+    }
+    state.pickerMode = action === 'add' ? AUDIENCE_MODES[mode] : 'anyOf';
+    state.rolePage = 0;
+    state.roleSearch = '';
+
+    const rolePicker = buildRolePicker(guild, state, authorId);
+    if (!rolePicker) {
+      await interaction.reply({
+        content: t(locale, 'picker.noOtherRoles', { count: ROLE_MIN_MEMBERS }),
+        ephemeral: true,
+      });
+      return;
+    }
+
+    await interaction.deferUpdate();
+    await state.previewMessage.edit(rolePicker);
+  }
+
+  /**
+   * Handler for the role picker navigation
+   * Browses the pages of the role select menu
+   * @param {ButtonInteraction} interaction - The interaction
+   * @param {Object} state - Draft of the user
+   */
+  async function handleRolePage(interaction, state) {
+    const guild = interaction.guild;
+    const authorId = interaction.user.id;
+
+    state.rolePage += interaction.customId.startsWith('role_page_next_') ? 1 : -1;
+
+    await interaction.deferUpdate();
+    await state.previewMessage.edit(buildRolePicker(guild, state, authorId));
+  }
+
+  /**
+   * Handler for the role search button
+   * Opens a modal where the author types part of a role name
+   * @param {ButtonInteraction} interaction - The interaction
+   * @param {Object} state - Draft of the user
+   */
+  async function handleRoleSearchButton(interaction, state) {
+    const guild = interaction.guild;
+    const authorId = interaction.user.id;
+    const { locale } = interaction;
+
+    if (interaction.customId.startsWith('role_search_clear_')) {
+      state.roleSearch = '';
+      state.rolePage = 0;
+
+      await interaction.deferUpdate();
+      await state.previewMessage.edit(buildRolePicker(guild, state, authorId));
+      return;
+    }
+
+    const queryInput = new TextInputBuilder()
+      .setCustomId('query')
+      .setLabel(t(locale, 'picker.searchLabel'))
+      .setStyle(TextInputStyle.Short)
+      .setMaxLength(100)
+      .setRequired(true);
+
+    if (state.roleSearch) {
+      queryInput.setValue(state.roleSearch);
+    }
+
+    const modal = new ModalBuilder()
+      .setCustomId(`role_search_modal_${authorId}`)
+      .setTitle(t(locale, 'picker.searchTitle'))
+      .addComponents(new ActionRowBuilder().addComponents(queryInput));
+
+    await interaction.showModal(modal);
+  }
+
+  /**
+   * Handler for the role search modal
+   * Filters the role picker with the typed text
+   * @param {ButtonInteraction} interaction - The interaction
+   * @param {Object} state - Draft of the user
+   */
+  async function handleRoleSearchModal(interaction, state) {
+    const guild = interaction.guild;
+    const authorId = interaction.user.id;
+
+    state.roleSearch = interaction.fields.getTextInputValue('query').trim();
+    state.rolePage = 0;
+
+    await interaction.deferUpdate();
+    await state.previewMessage.edit(buildRolePicker(guild, state, authorId));
+  }
+
+  /**
+   * Handler for the role select menu
+   * Triggered when a user selects roles to add to the audience
+   * @param {StringSelectMenuInteraction} interaction - The interaction
+   * @param {Object} state - Draft of the user
+   */
+  async function handleRoleSelect(interaction, state) {
+    const guild = interaction.guild;
+    const authorId = interaction.user.id;
+    const { locale } = interaction;
+
+    const roles = interaction.values.map((roleId) => guild.roles.cache.get(roleId));
+
+    if (roles.some((role) => !role || !isTargetAllowed(state, role.id))) {
+      await state.previewMessage.edit({
+        content: t(locale, 'picker.roleNotFound'),
+        embeds: [],
+        components: [],
+      });
+      interactionManager.deleteState(authorId);
+      return;
+    }
+
+    state.audience[state.pickerMode].push(...roles.map((role) => role.id));
+
+    await interaction.deferUpdate();
+    await state.previewMessage.edit(buildMessagePreview(guild, state, authorId));
+    logger.debug('Audience roles selected', { userId: authorId });
+  }
+
+  /**
+   * Handler for the channel select menu of the preview
+   * Sets the channels a broadcast is posted in, or its fallback channel
+   * @param {ChannelSelectMenuInteraction} interaction - The interaction
+   * @param {Object} state - Draft of the user
+   */
+  async function handleChannelSelect(interaction, state) {
+    const guild = interaction.guild;
+    const authorId = interaction.user.id;
+    const { locale } = interaction;
+
+    state.delivery.channelIds = interaction.values.slice(0, getMaxChannels(state.delivery.mode));
+
+    await interaction.deferUpdate();
+    await state.previewMessage.edit(buildMessagePreview(guild, state, authorId, t(locale, 'preview.updatedTitle')));
+  }
+
+  /**
+   * Handler for message confirmation button
+   * Sends the message once to every member of the selected audience
+   * and provides a detailed delivery report
+   * @param {ButtonInteraction} interaction - The interaction
+   * @param {Object} state - Draft of the user
+   */
+  async function handleConfirmSend(interaction, state) {
+    const guild = interaction.guild;
+    const authorId = interaction.user.id;
+    const { locale } = interaction;
+
+    const { currentMessage, audience } = state;
+    const delivery = getDelivery(state);
+
+    // The settings may have changed since the preview was built
+    if (!(await checkSafeToSend(interaction, checkDraftContent(guild, state), state))) return;
+
+    if (needsChannels(delivery)) {
+      const embed = new EmbedBuilder()
+        .setColor(0xff0000)
+        .setTitle(t(locale, 'delivery.noChannelTitle'))
+        .setDescription(t(locale, 'delivery.noChannel'));
+
+      await interaction.reply({ embeds: [embed], ephemeral: true });
+      return;
+    }
+
+    if (isAudienceEmpty(audience)) {
+      await interaction.deferUpdate();
+      await state.previewMessage.edit({
+        content: t(locale, 'preview.noRoleSelected'),
+        embeds: [],
+        components: [],
+      });
+      interactionManager.deleteState(authorId);
+      return;
+    }
+
+    // Other broadcasts may have used the quotas since the preview was built
+    const quotas = checkDraftQuotas(guild, state, authorId, { fresh: true });
+    const quotaOverridden = quotas.exceeded.length > 0 && isQuotaOverridden(state, interaction.member);
+    if (quotas.exceeded.length > 0 && !quotaOverridden) {
+      quotaRefusals.inc();
+      logger.info('Broadcast refused by the sending quotas', { guildId: guild.id, authorId, exceeded: quotas.exceeded.map(({ key }) => key) });
+
+      const embed = new EmbedBuilder()
+        .setColor(0xff0000)
+        .setTitle(t(locale, 'quotas.exceededTitle'))
+        .setDescription(formatQuotaIssues(guild, quotas.exceeded, locale));
+
+      await interaction.reply({ embeds: [embed], ephemeral: true });
+      return;
+    }
+
+    // The draft is claimed before the first reply, so only the first of two quick clicks sends it.
+    // The campaign then owns the preview message, and can be paused or resumed even after a restart
+    if (interactionManager.getState(authorId) !== state) {
+      await interaction.deferUpdate();
+      return;
+    }
+    interactionManager.deleteState(authorId);
+    await interaction.deferUpdate();
+
+    const campaign = createCampaign(guild, audience, {
+      id: interaction.id,
+      authorId,
+      authorName: interaction.member.displayName,
+      content: currentMessage,
+      language: state.language,
+      variants: state.variants,
+      locale: state.locale,
+      topic: state.topic,
+      style: state.style,
+      attachments: state.attachments,
+      delivery,
+      // Drafts saved before acknowledgements existed ask for none
+      acknowledgement: state.acknowledgement ?? null,
+      channelId: state.previewMessage.channelId,
+      messageId: state.previewMessage.id,
+    });
+
+    if (quotaOverridden) {
+      auditLog.record('campaign.quota_overridden', {
+        campaignId: campaign.id,
+        guildId: guild.id,
+        userId: authorId,
+        exceeded: quotas.exceeded.map(({ key }) => key),
+      });
+      logger.warn('Sending quotas overridden by an administrator', { campaignId: campaign.id, guildId: guild.id, authorId });
+    }
+
+    if (campaign.status === 'pending_approval') {
+      await requestApproval(campaign);
+      logger.info('Campaign waiting for approval', { campaignId: campaign.id });
+      return;
+    }
+
+    await executeCampaign(guild, campaign);
+  }
+
+  /**
+   * Handler for the button acknowledging the warnings of the preview
+   * Enables the send button, until the message is changed into one with other warnings
+   * @param {ButtonInteraction} interaction - The interaction
+   * @param {Object} state - Draft of the user
+   */
+  async function handleSafetyAcknowledge(interaction, state) {
+    const guild = interaction.guild;
+    const authorId = interaction.user.id;
+    const { locale } = interaction;
+
+    state.acknowledgedWarnings = JSON.stringify(checkDraftContent(guild, state).warnings);
+
+    await interaction.deferUpdate();
+    await state.previewMessage.edit(buildMessagePreview(guild, state, authorId, t(locale, 'preview.updatedTitle')));
+  }
+
+  /**
+   * Handler for the quota override button
+   * Lets an administrator send a draft that exceeds the sending quotas
+   * @param {ButtonInteraction} interaction - The interaction
+   * @param {Object} state - Draft of the user
+   */
+  async function handleQuotaOverride(interaction, state) {
+    const guild = interaction.guild;
+    const authorId = interaction.user.id;
+    const { locale } = interaction;
+
+    if (!permissionManager.can(interaction.member, 'admin')) {
+      await replyPermissionDenied(interaction, 'admin');
+      return;
+    }
+
+    state.quotaOverride = true;
+
+    await interaction.deferUpdate();
+    await state.previewMessage.edit(buildMessagePreview(guild, state, authorId, t(locale, 'preview.updatedTitle')));
+  }
+
+  /**
+   * Handler for the message editing modal
+   * Replaces the message with the text typed in the modal
+   * @param {ModalSubmitInteraction} interaction - The interaction
+   * @param {Object} state - Draft of the user
+   */
+  async function handleEditMessageModal(interaction, state) {
+    const guild = interaction.guild;
+    const authorId = interaction.user.id;
+    const { locale } = interaction;
+
+    state.currentMessage = interaction.fields.getTextInputValue('content');
+
+    await interaction.deferUpdate();
+    await state.previewMessage.edit(buildMessagePreview(guild, state, authorId, t(locale, 'preview.updatedTitle')));
+  }
+
+  /**
+   * Handler for the style modal
+   * Applies the title, colour, images and footer typed in the modal
+   * @param {ModalSubmitInteraction} interaction - The interaction
+   * @param {Object} state - Draft of the user
+   */
+  async function handleEditStyleModal(interaction, state) {
+    const guild = interaction.guild;
+    const authorId = interaction.user.id;
+    const { locale } = interaction;
+
+    const { style, errors } = parseStyleInput({
+      title: interaction.fields.getTextInputValue('title').trim(),
+      color: interaction.fields.getTextInputValue('color').trim(),
+      imageUrl: interaction.fields.getTextInputValue('imageUrl').trim(),
+      thumbnailUrl: interaction.fields.getTextInputValue('thumbnailUrl').trim(),
+      footer: interaction.fields.getTextInputValue('footer').trim(),
+    }, guildConfigManager.get(guild.id).branding);
+
+    if (errors.length > 0) {
+      const embed = new EmbedBuilder()
+        .setColor(0xff0000)
+        .setTitle(t(locale, 'style.invalidTitle'))
+        .setDescription(`${formatStyleErrors(errors, locale)}\n\n${t(locale, 'style.unchanged')}`);
+
+      await interaction.reply({ embeds: [embed], ephemeral: true });
+      return;
+    }
+
+    state.style = style;
+
+    await interaction.deferUpdate();
+    await state.previewMessage.edit(buildMessagePreview(guild, state, authorId, t(locale, 'preview.updatedTitle')));
+  }
+
+  /**
+   * Handler for the language variants modal
+   * Adds or replaces the variant of a language, or removes it when the message is left empty
+   * @param {ModalSubmitInteraction} interaction - The interaction
+   * @param {Object} state - Draft of the user
+   */
+  async function handleEditLanguageModal(interaction, state) {
+    const guild = interaction.guild;
+    const authorId = interaction.user.id;
+    const { locale } = interaction;
+
+    const language = getLanguage(interaction.fields.getTextInputValue('language').trim());
+    const content = interaction.fields.getTextInputValue('content').trim();
+
+    if (!/^[a-z]{2}$/.test(language) || language === state.language) {
+      const embed = new EmbedBuilder()
+        .setColor(0xff0000)
+        .setTitle(t(locale, 'errors.invalidLanguageTitle'))
+        .setDescription(language === state.language
+          ? t(locale, 'preview.mainLanguageVariant', { language })
+          : t(locale, 'errors.invalidLanguage', { language }));
+
+      await interaction.reply({ embeds: [embed], ephemeral: true });
+      return;
+    }
+
+    state.variants = { ...state.variants };
+    if (content) state.variants[language] = content;
+    else delete state.variants[language];
+
+    await interaction.deferUpdate();
+    await state.previewMessage.edit(buildMessagePreview(guild, state, authorId, t(locale, 'preview.updatedTitle')));
+  }
+
+  /**
+   * Handler for the filters modal
+   * Narrows the audience by join date, account age and presence, empty fields remove a filter
+   * @param {ModalSubmitInteraction} interaction - The interaction
+   * @param {Object} state - Draft of the user
+   */
+  async function handleEditFiltersModal(interaction, state) {
+    const guild = interaction.guild;
+    const authorId = interaction.user.id;
+    const { locale } = interaction;
+
+    const { filters, errors } = parseFilterInput({
+      joinedAfter: interaction.fields.getTextInputValue('joinedAfter').trim(),
+      joinedBefore: interaction.fields.getTextInputValue('joinedBefore').trim(),
+      accountAge: interaction.fields.getTextInputValue('accountAge').trim(),
+      presence: interaction.fields.getTextInputValue('presence').trim(),
+    }, state.audience.filters);
+
+    const messages = errors.map(({ type, value }) => t(locale, `filters.invalid.${type}`, { value }));
+    // Without the presence intent every member looks offline
+    if (filters.presence && !PRESENCE_INTENT) messages.push(t(locale, 'filters.presenceDisabled'));
+
+    if (messages.length > 0) {
+      const embed = new EmbedBuilder()
+        .setColor(0xff0000)
+        .setTitle(t(locale, 'filters.invalidTitle'))
+        .setDescription(`${messages.join('\n')}\n\n${t(locale, 'filters.unchanged')}`);
+
+      await interaction.reply({ embeds: [embed], ephemeral: true });
+      return;
+    }
+
+    state.audience.filters = filters;
+
+    await interaction.deferUpdate();
+    await state.previewMessage.edit(buildMessagePreview(guild, state, authorId, t(locale, 'preview.updatedTitle')));
+  }
+
+  /**
+   * Handler for message editing button
+   * Opens a modal prefilled with the current message, so the draft
+   * never has to be typed in the channel
+   * @param {ButtonInteraction} interaction - The interaction
+   * @param {Object} state - Draft of the user
+   */
+  async function handleEditMessageButton(interaction, state) {
+    const authorId = interaction.user.id;
+    const { locale } = interaction;
+
+    const modal = new ModalBuilder()
+      .setCustomId(`edit_message_modal_${authorId}`)
+      .setTitle(t(locale, 'preview.editMessageTitle'))
+      .addComponents(
+        new ActionRowBuilder().addComponents(
+          new TextInputBuilder()
+            .setCustomId('content')
+            .setLabel(t(locale, 'preview.messageLabel'))
+            .setStyle(TextInputStyle.Paragraph)
+            .setMaxLength(4000)
+            .setRequired(true)
+            .setValue(state.currentMessage.slice(0, 4000))
+        )
+      );
+
+    await interaction.showModal(modal);
+  }
+
+  /**
+   * Handler for the style button
+   * Opens a modal to customise the embed received by the recipients
+   * @param {ButtonInteraction} interaction - The interaction
+   * @param {Object} state - Draft of the user
+   */
+  async function handleEditStyleButton(interaction, state) {
+    const authorId = interaction.user.id;
+    const { locale } = interaction;
+
+    /**
+     * Build a text input of the style modal
+     * @param {string} id - Custom ID of the input
+     * @param {string} label - Label shown above the input
+     * @param {string|null} value - Current value
+     * @param {number} maxLength - Maximum length of the value
+     * @returns {ActionRowBuilder} A row holding the input
+     */
+    const styleInput = (id, label, value, maxLength) => {
+      const input = new TextInputBuilder()
+        .setCustomId(id)
+        .setLabel(label)
+        .setStyle(TextInputStyle.Short)
+        .setMaxLength(maxLength)
+        .setRequired(false);
+      if (value) input.setValue(value);
+      return new ActionRowBuilder().addComponents(input);
+    };
+
+    const modal = new ModalBuilder()
+      .setCustomId(`edit_style_modal_${authorId}`)
+      .setTitle(t(locale, 'style.modalTitle'))
+      .addComponents(
+        styleInput('title', t(locale, 'style.title'), state.style.title, 256),
+        styleInput('color', t(locale, 'style.color'), formatColor(state.style.color), 7),
+        styleInput('imageUrl', t(locale, 'style.imageUrl'), state.style.imageUrl, 1000),
+        styleInput('thumbnailUrl', t(locale, 'style.thumbnailUrl'), state.style.thumbnailUrl, 1000),
+        styleInput('footer', t(locale, 'style.footer'), state.style.footer, 200)
+      );
+
+    await interaction.showModal(modal);
+  }
+
+  /**
+   * Handler for the languages button
+   * Opens a modal where the author writes the message in another language
+   * @param {ButtonInteraction} interaction - The interaction
+   * @param {Object} state - Draft of the user
+   */
+  async function handleEditLanguagesButton(interaction, state) {
+    const authorId = interaction.user.id;
+    const { locale } = interaction;
+
+    const modal = new ModalBuilder()
+      .setCustomId(`edit_language_modal_${authorId}`)
+      .setTitle(t(locale, 'preview.languagesTitle'))
+      .addComponents(
+        new ActionRowBuilder().addComponents(
+          new TextInputBuilder()
+            .setCustomId('language')
+            .setLabel(t(locale, 'preview.languageLabel', { language: state.language }))
+            .setStyle(TextInputStyle.Short)
+            .setMinLength(2)
+            .setMaxLength(5)
+            .setRequired(true)
+        ),
+        new ActionRowBuilder().addComponents(
+          new TextInputBuilder()
+            .setCustomId('content')
+            .setLabel(t(locale, 'preview.variantLabel'))
+            .setStyle(TextInputStyle.Paragraph)
+            .setMaxLength(4000)
+            .setRequired(false)
+        )
+      );
+
+    await interaction.showModal(modal);
+  }
+
+  /**
+   * Handler for the filters button
+   * Opens a modal prefilled with the current filters of the audience
+   * @param {ButtonInteraction} interaction - The interaction
+   * @param {Object} state - Draft of the user
+   */
+  async function handleEditFiltersButton(interaction, state) {
+    const authorId = interaction.user.id;
+    const { locale } = interaction;
+    const filters = state.audience.filters ?? {};
+
+    /**
+     * Build a text input of the filters modal
+     * @param {string} id - Custom ID of the input
+     * @param {string} label - Label shown above the input
+     * @param {string|undefined} value - Current value
+     * @returns {ActionRowBuilder} A row holding the input
+     */
+    const filterInput = (id, label, value) => {
+      const input = new TextInputBuilder()
+        .setCustomId(id)
+        .setLabel(label)
+        .setStyle(TextInputStyle.Short)
+        .setMaxLength(40)
+        .setRequired(false);
+      if (value) input.setValue(value);
+      return new ActionRowBuilder().addComponents(input);
+    };
+
+    const modal = new ModalBuilder()
+      .setCustomId(`edit_filters_modal_${authorId}`)
+      .setTitle(t(locale, 'filters.modalTitle'))
+      .addComponents(
+        filterInput('joinedAfter', t(locale, 'filters.joinedAfter'), filters.joinedAfter),
+        filterInput('joinedBefore', t(locale, 'filters.joinedBefore'), filters.joinedBefore),
+        filterInput('accountAge', t(locale, 'filters.accountAge'), filters.minAccountAgeDays?.toString()),
+        filterInput('presence', t(locale, 'filters.presence'), filters.presence?.join(', '))
+      );
+
+    await interaction.showModal(modal);
+  }
+
+  /**
+   * Handler for the test button
+   * DMs the author the exact message recipients will receive, resolved for the author
+   * @param {ButtonInteraction} interaction - The interaction
+   * @param {Object} state - Draft of the user
+   */
+  async function handleTestSend(interaction, state) {
+    const { locale } = interaction;
+
+    // Warnings are for the members, the author can see the message first
+    if (!(await checkSafeToSend(interaction, checkDraftContent(interaction.guild, state)))) return;
+
+    const payload = buildBroadcastPayload(interaction.member, {
+      content: state.currentMessage,
+      language: state.language,
+      variants: state.variants,
+      audience: state.audience,
+      topic: state.topic,
+      authorName: interaction.member.displayName,
+      style: state.style,
+      attachments: state.attachments,
+      acknowledgement: state.acknowledgement,
+    });
+
+    await interaction.deferReply({ ephemeral: true });
+    try {
+      await interaction.member.send(payload);
+      await interaction.editReply({ content: t(locale, 'preview.testSent') });
+    } catch (error) {
+      logger.warn('Error sending a test message', { userId: interaction.user.id, error });
+      await interaction.editReply({
+        content: t(locale, 'preview.testFailed'),
+      });
+    }
+  }
+
+  /**
+   * Handler for the dry run button
+   * Reports how many members would receive the message without sending anything
+   * @param {ButtonInteraction} interaction - The interaction
+   * @param {Object} state - Draft of the user
+   */
+  async function handleDryRun(interaction, state) {
+    const guild = interaction.guild;
+
+    await interaction.deferReply({ ephemeral: true });
+    await guild.members.fetch();
+    await interaction.editReply({ embeds: [buildDryRunEmbed(guild, state)] });
+  }
+
+  /**
+   * Handler for cancellation button
+   * Cancels the message sending process
+   * @param {ButtonInteraction} interaction - The interaction
+   * @param {Object} state - Draft of the user
+   */
+  async function handleCancelSend(interaction, state) {
+    const authorId = interaction.user.id;
+    const { locale } = interaction;
+
+    await interaction.deferUpdate();
+    interactionManager.deleteState(authorId);
+    if (state.attachmentDir) deleteAttachments(state.attachmentDir);
+    const embed = new EmbedBuilder()
+      .setColor(0xff0000)
+      .setTitle(t(locale, 'cancel.title'))
+      .setDescription(t(locale, 'cancel.description'))
+      .setFooter({ text: t(locale, 'cancel.footer') });
+
+    const confirmationMessage = await state.previewMessage.edit({
+      content: '',
+      embeds: [embed],
+      components: [],
+      fetchReply: true,
+    });
+
+    setTimeout(() => {
+      confirmationMessage.delete().catch((error) => logger.warn('Error deleting message', { error }));
+    }, 15000);
+  }
+
+  return {
+    startMessageFlow,
+    handleMessageCommand,
+    handleCancelCommand,
+    handleAudienceButton,
+    handleRolePage,
+    handleRoleSearchButton,
+    handleRoleSearchModal,
+    handleRoleSelect,
+    handleChannelSelect,
+    handleConfirmSend,
+    handleSafetyAcknowledge,
+    handleQuotaOverride,
+    handleEditMessageModal,
+    handleEditStyleModal,
+    handleEditLanguageModal,
+    handleEditFiltersModal,
+    handleEditMessageButton,
+    handleEditStyleButton,
+    handleEditLanguagesButton,
+    handleEditFiltersButton,
+    handleTestSend,
+    handleDryRun,
+    handleCancelSend,
+  };
+}
+
+module.exports = { createMessageHandlers };
@@ -0,0 +1,131 @@
+/**
+ * Handler of /admin permissions: grants, revocations and targeting rules
+ */
+
+const { EmbedBuilder } = require('discord.js');
+const PermissionManager = require('../PermissionManager');
+const { t } = require('../i18n');
+const { replyPermissionDenied } = require('./replies');
+
+/**
+ * Create the permission handlers
+ * @param {Object} deps - Services and helpers of the bot used by the handlers
+ * @param {AuditLog} deps.auditLog - Audit trail of staff actions
+ * @param {GuildConfigManager} deps.guildConfigManager - Settings of each server
+ * @param {PermissionManager} deps.permissionManager - Who may use each feature
+ * @returns {Object} The handlers, by function name
+ */
+function createPermissionHandlers({
+  auditLog,
+  guildConfigManager,
+  permissionManager,
+}) {
+  /**
+   * Handler for the /admin permissions command
+   * Grants and revokes permissions and manages targeting rules at runtime
+   * Requires the admin permission
+   * @param {ChatInputCommandInteraction} interaction - The interaction
+   */
+  async function handlePermissionsCommand(interaction) {
+    const guild = interaction.guild;
+    const authorId = interaction.user.id;
+    const { locale } = interaction;
+
+    if (!permissionManager.can(interaction.member, 'admin')) {
+      await replyPermissionDenied(interaction, 'admin');
+      return;
+    }
+
+    const subcommand = interaction.options.getSubcommand();
+    const target = interaction.options.get('target');
+    // Mentionable options resolve either to a role or to a user
+    const targetType = target?.role ? 'role' : 'user';
+    const targetMention = target && (targetType === 'role' ? `<@&${target.value}>` : `<@${target.value}>`);
+
+    /**
+     * Reply with the outcome of a change and record it in the audit log
+     * @param {boolean} changed - Whether the settings were modified
+     * @param {string} successMessage - Message shown when they were
+     * @param {string} unchangedMessage - Message shown when they were not
+     * @param {Object} details - Data stored in the audit log
+     */
+    const replyChange = async (changed, successMessage, unchangedMessage, details) => {
+      if (changed) {
+        auditLog.record(`permissions.${subcommand}`, { guildId: guild.id, userId: authorId, ...details });
+      }
+
+      const embed = new EmbedBuilder()
+        .setColor(changed ? 0x00ff00 : 0xffa500)
+        .setTitle(t(locale, changed ? 'permissions.updatedTitle' : 'permissions.unchangedTitle'))
+        .setDescription(changed ? successMessage : unchangedMessage);
+
+      await interaction.reply({ embeds: [embed], ephemeral: true });
+    };
+
+    if (subcommand === 'grant' || subcommand === 'revoke') {
+      const permission = interaction.options.getString('permission');
+      const changed = subcommand === 'grant'
+        ? permissionManager.grant(guild.id, permission, targetType, target.value)
+        : permissionManager.revoke(guild.id, permission, target.value);
+
+      await replyChange(
+        changed,
+        t(locale, `permissions.${subcommand}`, { target: targetMention, permission }),
+        t(locale, `permissions.${subcommand}Unchanged`, { target: targetMention, permission }),
+        { permission, targetType, targetId: target.value }
+      );
+      return;
+    }
+
+    if (subcommand === 'restrict' || subcommand === 'unrestrict') {
+      const role = interaction.options.getRole('role');
+      const changed = subcommand === 'restrict'
+        ? permissionManager.restrict(guild.id, targetType, target.value, role.id)
+        : permissionManager.unrestrict(guild.id, target.value, role.id);
+
+      await replyChange(
+        changed,
+        t(locale, `permissions.${subcommand}`, { target: targetMention, role: `${role}` }),
+        t(locale, `permissions.${subcommand}Unchanged`, { target: targetMention, role: `${role}` }),
+        { targetType, targetId: target.value, roleId: role.id }
+      );
+      return;
+    }
+
+    if (subcommand === 'list') {
+      const { grants, targetRules } = permissionManager.getGuild(guild.id);
+      const mention = (subject) => (subject.type === 'role' ? `<@&${subject.id}>` : `<@${subject.id}>`);
+
+      const embed = new EmbedBuilder()
+        .setColor(0x3498db)
+        .setTitle(t(locale, 'permissions.listTitle'))
+        .setDescription(t(locale, 'permissions.listDescription'))
+        .setFooter({ text: '🔧 Developed by @felipecaldass' });
+
+      PermissionManager.PERMISSIONS.forEach((permission) => {
+        const holders = grants.filter((grant) => grant.permission === permission).map(mention);
+        let value = holders.join(', ');
+        if (holders.length === 0) {
+          const { staffRoleIds } = guildConfigManager.get(guild.id);
+          value = permission !== 'admin' && staffRoleIds.length > 0
+            ? t(locale, 'permissions.staffRoles', { roles: staffRoleIds.map((roleId) => `<@&${roleId}>`).join(', ') })
+            : t(locale, 'permissions.administratorsOnly');
+        }
+        embed.addFields({ name: `**${permission}** — ${t(locale, `permissions.descriptions.${permission}`)}`, value: value.slice(0, 1024) });
+      });
+
+      const rules = targetRules.map((rule) => `${mention(rule)} → <@&${rule.roleId}>`);
+      embed.addFields({
+        name: t(locale, 'permissions.targetingRules'),
+        value: (rules.join('\n') || t(locale, 'permissions.noTargetingRules')).slice(0, 1024),
+      });
+
+      await interaction.reply({ embeds: [embed], ephemeral: true });
+      return;
+    }
+  }
+
+  return { handlePermissionsCommand };
+}
+
+module.exports = { createPermissionHandlers };
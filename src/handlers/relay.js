@@ -0,0 +1,116 @@
+/**
+ * Handler of the staff answers to the DM replies of members
+ */
+
+const {
+  EmbedBuilder,
+  ActionRowBuilder,
+  ModalBuilder,
+  TextInputBuilder,
+  TextInputStyle,
+} = require('discord.js');
+const { logger } = require('../logger');
+const { t } = require('../i18n');
+const { replyPermissionDenied } = require('./replies');
+
+/**
+ * Create the relay handlers
+ * @param {Object} deps - Services and helpers of the bot used by the handlers
+ * @param {AuditLog} deps.auditLog - Audit trail of staff actions
+ * @param {Client} deps.client - The Discord client
+ * @param {GuildConfigManager} deps.guildConfigManager - Settings of each server
+ * @param {LanguageManager} deps.languageManager - Last known locale of every user
+ * @param {PermissionManager} deps.permissionManager - Who may use each feature
+ * @param {Function} deps.getGuildLanguage - Language of a server
+ * @returns {Object} The handlers, by function name
+ */
+function createRelayHandlers({
+  auditLog,
+  client,
+  guildConfigManager,
+  languageManager,
+  permissionManager,
+  getGuildLanguage,
+}) {
+  /**
+   * Handler for the reply button and modal of relayed DMs
+   * The custom IDs end with the ID of the member being answered, not of the staff
+   * member, so these are handled before the check restricting components to their author
+   * @param {ButtonInteraction|ModalSubmitInteraction} interaction - The interaction
+   */
+  async function handleRelayInteraction(interaction) {
+    const guild = interaction.guild;
+    const authorId = interaction.user.id;
+    const { locale } = interaction;
+
+    const [, action, userId] = interaction.customId.split('_');
+
+    if (!permissionManager.can(interaction.member, 'reply')) {
+      await replyPermissionDenied(interaction, 'reply');
+      return;
+    }
+
+    if (action === 'reply' && interaction.isButton()) {
+      const modal = new ModalBuilder()
+        .setCustomId(`relay_answer_${userId}`)
+        .setTitle(t(locale, 'relay.modalTitle'))
+        .addComponents(
+          new ActionRowBuilder().addComponents(
+            new TextInputBuilder()
+              .setCustomId('content')
+              .setLabel(t(locale, 'relay.answerLabel'))
+              .setStyle(TextInputStyle.Paragraph)
+              .setMaxLength(4000)
+              .setRequired(true)
+          )
+        );
+
+      await interaction.showModal(modal);
+      return;
+    }
+
+    if (action === 'answer' && interaction.isModalSubmit()) {
+      const content = interaction.fields.getTextInputValue('content').trim();
+      const { branding, language } = guildConfigManager.get(guild.id);
+      // The member reads the answer in the language of their last interaction with the bot
+      const memberLocale = languageManager.getLocale(userId) ?? language;
+
+      const answer = new EmbedBuilder()
+        .setColor(branding.color)
+        .setTitle(t(memberLocale, 'relay.answerTitle', { server: guild.name }))
+        .setDescription(content)
+        .setFooter({ text: t(memberLocale, 'broadcast.sentBy', { name: interaction.member.displayName }) });
+
+      try {
+        const user = await client.users.fetch(userId);
+        await user.send({ embeds: [answer] });
+      } catch (error) {
+        logger.warn('Error relaying a staff answer', { userId, error });
+        const embed = new EmbedBuilder()
+          .setColor(0xff0000)
+          .setTitle(t(locale, 'relay.notDeliveredTitle'))
+          .setDescription(t(locale, 'relay.notDelivered', { error: error.message }));
+
+        await interaction.reply({ embeds: [embed], ephemeral: true });
+        return;
+      }
+
+      auditLog.record('relay.answered', { guildId: guild.id, userId, staffId: authorId });
+
+      const confirmation = new EmbedBuilder()
+        .setColor(0x00ff00)
+        .setAuthor({ name: t(getGuildLanguage(guild.id), 'relay.replied', { name: interaction.member.displayName }), iconURL: interaction.user.displayAvatarURL() })
+        .setDescription(content)
+        .setTimestamp();
+
+      await interaction.reply({ embeds: [confirmation] });
+      logger.info('Staff answer relayed', { guildId: guild.id, userId, staffId: authorId });
+      return;
+    }
+
+  }
+
+  return { handleRelayInteraction };
+}
+
+module.exports = { createRelayHandlers };
@@ -0,0 +1,102 @@
+/**
+ * Replies and checks shared by the interaction handlers
+ *
+ * Answers given the same way by several commands: missing permissions,
+ * invalid topics and messages blocked by the content safety checks.
+ */
+
+const { EmbedBuilder } = require('discord.js');
+const SubscriptionManager = require('../SubscriptionManager');
+const { t } = require('../i18n');
+
+/**
+ * Reply that the member lacks the permission needed for a command
+ * @param {Interaction} interaction - The interaction to answer
+ * @param {string} permission - The missing permission
+ */
+async function replyPermissionDenied(interaction, permission) {
+  const { locale } = interaction;
+  const embed = new EmbedBuilder()
+    .setColor(0xff0000)
+    .setTitle(t(locale, 'errors.permissionDeniedTitle'))
+    .setDescription(t(locale, 'errors.permissionDenied', { permission }))
+    .setFooter({ text: t(locale, 'common.deletedSoon') });
+
+  await interaction.reply({
+    embeds: [embed],
+    ephemeral: true,
+  });
+}
+
+/**
+ * Read the topic option of a command
+ * Replies with an error when the topic cannot be used.
+ *
+ * @param {CommandInteraction} interaction - The command
+ * @returns {Promise<string|null|false>} The normalized topic, null if omitted, false if invalid
+ */
+async function readTopicOption(interaction) {
+  const input = interaction.options.getString('topic');
+  if (input === null) return null;
+
+  const topic = SubscriptionManager.normalizeTopic(input);
+  if (topic && topic !== SubscriptionManager.ALL_TOPICS) return topic;
+
+  const embed = new EmbedBuilder()
+    .setColor(0xff0000)
+    .setTitle(t(interaction.locale, 'errors.invalidTopicTitle'))
+    .setDescription(t(interaction.locale, 'errors.reservedTopic', { topic: SubscriptionManager.ALL_TOPICS }));
+
+  await interaction.reply({ embeds: [embed], ephemeral: true });
+  return false;
+}
+
+/**
+ * Describe the issues found by the content safety checks
+ * @param {{key: string, params: Object}[]} issues - Errors or warnings returned by checkContent
+ * @param {string} locale - Locale of the author
+ * @returns {string} One line per issue, within Discord's 1024 characters field limit
+ */
+function formatSafetyIssues(issues, locale) {
+  return issues.map(({ key, params }) => `• ${t(locale, `safety.${key}`, params)}`).join('\n').slice(0, 1024);
+}
+
+/**
+ * Check whether the author acknowledged the current warnings of a draft
+ * Editing the message into one with other warnings asks for a new acknowledgement.
+ *
+ * @param {Object} state - The author's interaction state
+ * @param {Object[]} warnings - Warnings returned by checkContent
+ * @returns {boolean} True if the draft has no warning left to acknowledge
+ */
+function areWarningsAcknowledged(state, warnings) {
+  return warnings.length === 0 || state.acknowledgedWarnings === JSON.stringify(warnings);
+}
+
+/**
+ * Check that a message passes the content safety checks, and tell the author otherwise
+ * @param {Interaction} interaction - The interaction to answer
+ * @param {{errors: Object[], warnings: Object[]}} safety - Issues returned by checkContent
+ * @param {Object|null} [state] - Draft whose warnings must be acknowledged, warnings are ignored without one
+ * @returns {Promise<boolean>} True if the message can be sent, false once the author was answered
+ */
+async function checkSafeToSend(interaction, { errors, warnings }, state = null) {
+  const { locale } = interaction;
+  if (errors.length === 0 && (!state || areWarningsAcknowledged(state, warnings))) return true;
+
+  const embed = new EmbedBuilder()
+    .setColor(0xff0000)
+    .setTitle(t(locale, errors.length > 0 ? 'safety.blockedTitle' : 'safety.unacknowledgedTitle'))
+    .setDescription(formatSafetyIssues(errors.length > 0 ? errors : warnings, locale));
+
+  await interaction.reply({ embeds: [embed], ephemeral: true });
+  return false;
+}
+
+module.exports = {
+  replyPermissionDenied,
+  readTopicOption,
+  formatSafetyIssues,
+  areWarningsAcknowledged,
+  checkSafeToSend,
+};
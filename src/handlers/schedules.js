@@ -0,0 +1,316 @@
+/**
+ * Handlers of /schedule and of the confirmation of a scheduled broadcast
+ */
+
+const { EmbedBuilder, ActionRowBuilder, ButtonBuilder, ButtonStyle } = require('discord.js');
+const { createAudience, getAudienceRoleIds, describeAudience } = require('../audience');
+const { isValidTimeZone, getZonedParts, parseZonedDateTime, changeTimeZone } = require('../time');
+const { checkContent } = require('../contentSafety');
+const { logger } = require('../logger');
+const { t } = require('../i18n');
+const { replyPermissionDenied, readTopicOption, checkSafeToSend, formatSafetyIssues } = require('./replies');
+
+/**
+ * Create the schedule handlers
+ * @param {Object} deps - Services and helpers of the bot used by the handlers
+ * @param {AuditLog} deps.auditLog - Audit trail of staff actions
+ * @param {GuildConfigManager} deps.guildConfigManager - Settings of each server
+ * @param {InteractionManager} deps.interactionManager - Drafts of the users
+ * @param {PermissionManager} deps.permissionManager - Who may use each feature
+ * @param {ScheduleManager} deps.scheduleManager - Scheduled broadcasts
+ * @param {Function} deps.buildScheduleEmbed - Builds the summary of a schedule
+ * @param {Function} deps.formatTimestamp - Formats a date as a Discord timestamp
+ * @param {Function} deps.getTargetableRoleIds - Roles a member may target, null if any
+ * @param {string} deps.DEFAULT_TIMEZONE - Timezone of the schedules given none
+ * @returns {Object} The handlers, by function name
+ */
+function createScheduleHandlers({
+  auditLog,
+  guildConfigManager,
+  interactionManager,
+  permissionManager,
+  scheduleManager,
+  buildScheduleEmbed,
+  formatTimestamp,
+  getTargetableRoleIds,
+  DEFAULT_TIMEZONE,
+}) {
+  /**
+   * Handler for the /schedule command
+   * Creates, lists, edits and cancels broadcasts delivered at a later date
+   * Requires the schedule permission
+   * @param {ChatInputCommandInteraction} interaction - The interaction
+   */
+  async function handleScheduleCommand(interaction) {
+    const guild = interaction.guild;
+    const authorId = interaction.user.id;
+    const { locale } = interaction;
+
+    if (!permissionManager.can(interaction.member, 'schedule')) {
+      await replyPermissionDenied(interaction, 'schedule');
+      return;
+    }
+
+    const subcommand = interaction.options.getSubcommand();
+
+    /**
+     * Reply with an error embed only visible to the author
+     * @param {string} titleKey - Catalog key of the title of the embed
+     * @param {string} descriptionKey - Catalog key of the explanation of the problem
+     * @param {Object} [variables] - Variables of the explanation
+     */
+    const replyError = (titleKey, descriptionKey, variables) => interaction.reply({
+      embeds: [new EmbedBuilder().setColor(0xff0000).setTitle(t(locale, titleKey)).setDescription(t(locale, descriptionKey, variables))],
+      ephemeral: true,
+    });
+
+    /**
+     * Check a scheduled message against the safety settings of the server
+     * @param {string} content - The message
+     * @returns {{errors: Object[], warnings: Object[]}} The issues found
+     */
+    const checkScheduledContent = (content) => {
+      const config = guildConfigManager.get(guild.id);
+      return checkContent({ [config.language]: content }, config.safety);
+    };
+
+    if (subcommand === 'create') {
+      if (interactionManager.hasState(authorId)) {
+        await replyError('errors.activeInteractionTitle', 'errors.activeInteraction');
+        return;
+      }
+
+      // The same audience model as /message, with one role per mode
+      const anyOf = [interaction.options.getRole('role'), interaction.options.getRole('also-role')].filter(Boolean);
+      const allOf = [interaction.options.getRole('require-role')].filter(Boolean);
+      const noneOf = [interaction.options.getRole('exclude-role')].filter(Boolean);
+      const timeZone = interaction.options.getString('timezone') ?? DEFAULT_TIMEZONE;
+
+      // Excluding a role narrows the audience, so any role can be excluded
+      const targetableRoleIds = getTargetableRoleIds(interaction.member);
+      const forbiddenRole = targetableRoleIds && [...anyOf, ...allOf].find((role) => !targetableRoleIds.includes(role.id));
+      if (forbiddenRole) {
+        await replyError('schedule.roleNotAllowedTitle', 'schedule.roleNotAllowed', { role: forbiddenRole.name });
+        return;
+      }
+      const audience = {
+        ...createAudience(),
+        anyOf: [...new Set(anyOf.map((role) => role.id))],
+        allOf: allOf.map((role) => role.id),
+        noneOf: noneOf.map((role) => role.id),
+      };
+      const repeat = interaction.options.getString('repeat') ?? 'none';
+
+      const topic = await readTopicOption(interaction);
+      if (topic === false) return;
+
+      if (!isValidTimeZone(timeZone)) {
+        await replyError('schedule.invalidTimezoneTitle', 'schedule.invalidTimezone', { timeZone });
+        return;
+      }
+
+      const runAt = parseZonedDateTime(interaction.options.getString('at'), timeZone);
+      if (!runAt) {
+        await replyError('schedule.invalidDateTitle', 'schedule.invalidDate');
+        return;
+      }
+      if (runAt <= new Date()) {
+        await replyError('schedule.pastDateTitle', 'schedule.pastDate');
+        return;
+      }
+
+      const safety = checkScheduledContent(interaction.options.getString('content'));
+      if (!(await checkSafeToSend(interaction, safety))) return;
+
+      const draft = {
+        guildId: guild.id,
+        channelId: interaction.channelId,
+        authorId,
+        authorName: interaction.member.displayName,
+        audience,
+        audienceName: describeAudience(guild, audience, locale),
+        content: interaction.options.getString('content'),
+        topic,
+        // Notices posted when the broadcast is delivered use the language of its author
+        locale,
+        timeZone,
+        repeat,
+        nextRunAt: runAt.toISOString(),
+      };
+
+      const buttons = new ActionRowBuilder().addComponents(
+        new ButtonBuilder()
+          .setCustomId(`schedule_confirm_${authorId}`)
+          .setLabel(t(locale, 'schedule.confirm'))
+          .setStyle(ButtonStyle.Success),
+        new ButtonBuilder()
+          .setCustomId(`schedule_discard_${authorId}`)
+          .setLabel(t(locale, 'common.cancel'))
+          .setStyle(ButtonStyle.Danger)
+      );
+
+      // Confirming the schedule acknowledges the warnings shown in its preview
+      const embed = buildScheduleEmbed(draft, 'schedule.previewTitle', locale);
+      if (safety.warnings.length > 0) {
+        embed.addFields({ name: t(locale, 'safety.warningsTitle'), value: formatSafetyIssues(safety.warnings, locale) });
+      }
+
+      await interaction.deferReply();
+      const preview = await interaction.editReply({
+        embeds: [embed],
+        components: [buttons],
+      });
+
+      interactionManager.setState(authorId, { locale, scheduleDraft: draft, previewMessage: preview });
+      return;
+    }
+
+    if (subcommand === 'list') {
+      const schedules = scheduleManager.listActive(guild.id);
+      const embed = new EmbedBuilder()
+        .setColor(0x9b59b6)
+        .setTitle(t(locale, 'schedule.listTitle'))
+        .setFooter({ text: '🔧 Developed by @felipecaldass' });
+
+      if (schedules.length === 0) {
+        embed.setDescription(t(locale, 'schedule.empty'));
+      } else {
+        // Discord limit: 25 fields per embed
+        schedules.slice(0, 25).forEach((schedule) => {
+          const preview = schedule.content.length > 100 ? `${schedule.content.slice(0, 100)}…` : schedule.content;
+          embed.addFields({
+            name: `🆔 ${schedule.id} • ${schedule.audienceName}`,
+            value: `${t(locale, 'schedule.entry', {
+            date: formatTimestamp(schedule.nextRunAt),
+            repeat: t(locale, `schedule.repeats.${schedule.repeat}`),
+            author: `<@${schedule.authorId}>`,
+          })}\n${preview}`,
+            inline: false,
+          });
+        });
+      }
+
+      await interaction.reply({ embeds: [embed], ephemeral: true });
+      return;
+    }
+
+    const schedule = scheduleManager.get(interaction.options.getString('id'));
+    if (!schedule || schedule.guildId !== guild.id || schedule.status !== 'active') {
+      await replyError('schedule.notFoundTitle', 'schedule.notFound');
+      return;
+    }
+
+    if (schedule.authorId !== authorId && !permissionManager.can(interaction.member, 'admin')) {
+      await replyError('errors.permissionDeniedTitle', 'schedule.notAllowed');
+      return;
+    }
+
+    if (subcommand === 'cancel') {
+      scheduleManager.cancel(schedule.id);
+      auditLog.record('schedule.cancelled', { scheduleId: schedule.id, guildId: guild.id, userId: authorId });
+
+      await interaction.reply({ embeds: [buildScheduleEmbed(schedule, 'schedule.cancelledTitle', locale)], ephemeral: true });
+      return;
+    }
+
+    if (subcommand === 'edit') {
+      const changes = {};
+      const content = interaction.options.getString('content');
+      const at = interaction.options.getString('at');
+      const timeZone = interaction.options.getString('timezone') ?? schedule.timeZone;
+      const repeat = interaction.options.getString('repeat');
+
+      if (!isValidTimeZone(timeZone)) {
+        await replyError('schedule.invalidTimezoneTitle', 'schedule.invalidTimezone', { timeZone });
+        return;
+      }
+
+      if (at) {
+        const runAt = parseZonedDateTime(at, timeZone);
+        if (!runAt) {
+          await replyError('schedule.invalidDateTitle', 'schedule.invalidDate');
+          return;
+        }
+        if (runAt <= new Date()) {
+          await replyError('schedule.pastDateTitle', 'schedule.pastDate');
+          return;
+        }
+        changes.nextRunAt = runAt.toISOString();
+        changes.dayOfMonth = getZonedParts(runAt, timeZone).day;
+      } else if (timeZone !== schedule.timeZone) {
+        // The next run keeps its wall-clock time, in the new timezone
+        const runAt = changeTimeZone(new Date(schedule.nextRunAt), schedule.timeZone, timeZone);
+        if (runAt <= new Date()) {
+          await replyError('schedule.pastDateTitle', 'schedule.pastDate');
+          return;
+        }
+        changes.nextRunAt = runAt.toISOString();
+      }
+
+      if (content && !(await checkSafeToSend(interaction, checkScheduledContent(content)))) return;
+
+      if (content) changes.content = content;
+      if (repeat) changes.repeat = repeat;
+      changes.timeZone = timeZone;
+
+      scheduleManager.update(schedule.id, changes);
+      auditLog.record('schedule.edited', { scheduleId: schedule.id, guildId: guild.id, userId: authorId, changes: Object.keys(changes) });
+
+      await interaction.reply({ embeds: [buildScheduleEmbed(schedule, 'schedule.updatedTitle', locale)], ephemeral: true });
+      return;
+    }
+  }
+
+  /**
+   * Handler for the schedule confirmation button
+   * Persists the drafted schedule so it survives restarts
+   * @param {ButtonInteraction} interaction - The interaction
+   * @param {Object} state - Draft of the user
+   */
+  async function handleScheduleConfirm(interaction, state) {
+    const authorId = interaction.user.id;
+    const { locale } = interaction;
+
+    const schedule = scheduleManager.create(state.scheduleDraft);
+    interactionManager.deleteState(authorId);
+    auditLog.record('schedule.created', {
+      scheduleId: schedule.id,
+      guildId: schedule.guildId,
+      userId: authorId,
+      roleIds: getAudienceRoleIds(schedule.audience),
+      nextRunAt: schedule.nextRunAt,
+      repeat: schedule.repeat,
+    });
+
+    await interaction.update({
+      embeds: [buildScheduleEmbed(schedule, 'schedule.createdTitle', locale)],
+      components: [],
+    });
+    logger.info('Schedule created', { scheduleId: schedule.id, guildId: schedule.guildId });
+  }
+
+  /**
+   * Handler for the schedule discard button
+   * @param {ButtonInteraction} interaction - The interaction
+   * @param {Object} state - Draft of the user
+   */
+  async function handleScheduleDiscard(interaction, state) {
+    const authorId = interaction.user.id;
+    const { locale } = interaction;
+
+    interactionManager.deleteState(authorId);
+    await interaction.update({
+      content: t(locale, 'schedule.discarded'),
+      embeds: [],
+      components: [],
+    });
+  }
+
+  return {
+    handleScheduleCommand,
+    handleScheduleConfirm,
+    handleScheduleDiscard,
+  };
+}
+
+module.exports = { createScheduleHandlers };
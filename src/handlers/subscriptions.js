@@ -0,0 +1,201 @@
+/**
+ * Handlers of /subscriptions and of the unsubscribe buttons of broadcasts
+ */
+
+const { EmbedBuilder, ActionRowBuilder, ButtonBuilder, ButtonStyle } = require('discord.js');
+const SubscriptionManager = require('../SubscriptionManager');
+const { logger } = require('../logger');
+const { t } = require('../i18n');
+
+/**
+ * Create the subscription handlers
+ * @param {Object} deps - Services and helpers of the bot used by the handlers
+ * @param {AuditLog} deps.auditLog - Audit trail of staff actions
+ * @param {Client} deps.client - The Discord client
+ * @param {SubscriptionManager} deps.subscriptionManager - Members who opted out of broadcasts
+ * @returns {Object} The handlers, by function name
+ */
+function createSubscriptionHandlers({
+  auditLog,
+  client,
+  subscriptionManager,
+}) {
+  /**
+   * Describe a subscription topic for members
+   * @param {Guild} guild - The guild
+   * @param {string} topic - The topic, or "all"
+   * @param {string} locale - Locale of the member
+   * @returns {string} The description, e.g. "broadcasts about events from My Server"
+   */
+  function describeTopic(guild, topic, locale) {
+    return topic === SubscriptionManager.ALL_TOPICS
+      ? t(locale, 'subscriptions.allTopics', { server: guild.name })
+      : t(locale, 'subscriptions.topic', { topic, server: guild.name });
+  }
+
+  /**
+   * Opt a member out of a topic, or subscribe them again
+   * @param {Guild} guild - The guild
+   * @param {string} userId - Discord user ID of the member
+   * @param {string} topic - The topic, or "all"
+   * @param {boolean} subscribed - Whether the member wants to receive the topic
+   * @returns {boolean} False if the member was already in the requested state
+   */
+  function updateSubscription(guild, userId, topic, subscribed) {
+    const changed = subscribed
+      ? subscriptionManager.optIn(guild.id, userId, topic)
+      : subscriptionManager.optOut(guild.id, userId, topic);
+
+    if (changed) {
+      auditLog.record(subscribed ? 'subscription.resubscribed' : 'subscription.unsubscribed', { guildId: guild.id, userId, topic });
+      logger.info(subscribed ? 'Member resubscribed' : 'Member unsubscribed', { guildId: guild.id, userId, topic });
+    }
+    return changed;
+  }
+
+  /**
+   * Build the embed listing the subscriptions of a member
+   * @param {Guild} guild - The guild
+   * @param {string} userId - Discord user ID of the member
+   * @param {string} locale - Locale of the member
+   * @returns {EmbedBuilder} The subscriptions embed
+   */
+  function buildSubscriptionsEmbed(guild, userId, locale) {
+    const optOuts = subscriptionManager.getOptOuts(guild.id, userId);
+    const topics = subscriptionManager.listTopics(guild.id);
+
+    let description;
+    if (optOuts.includes(SubscriptionManager.ALL_TOPICS)) {
+      description = t(locale, 'subscriptions.noneReceived', { server: guild.name });
+    } else if (optOuts.length > 0) {
+      description = t(locale, 'subscriptions.someReceived', { topics: optOuts.map((topic) => `**${topic}**`).join(', ') });
+    } else {
+      description = t(locale, 'subscriptions.allReceived', { server: guild.name });
+    }
+
+    return new EmbedBuilder()
+      .setColor(0x3498db)
+      .setTitle(t(locale, 'subscriptions.title'))
+      .setDescription(description)
+      .addFields({ name: t(locale, 'subscriptions.topics'), value: topics.length > 0 ? topics.join(', ') : t(locale, 'subscriptions.noTopics') })
+      .setFooter({ text: t(locale, 'subscriptions.footer') });
+  }
+
+  /**
+   * Autocomplete handler for subscription topics
+   * @param {AutocompleteInteraction} interaction - The interaction
+   */
+  async function handleSubscriptionsAutocomplete(interaction) {
+    const guild = interaction.guild;
+
+    const query = interaction.options.getFocused().toLowerCase();
+    const choices = [SubscriptionManager.ALL_TOPICS, ...subscriptionManager.listTopics(guild.id)]
+      .filter((topic) => topic.includes(query))
+      .slice(0, 25)
+      .map((topic) => ({ name: topic, value: topic }));
+
+    await interaction.respond(choices);
+  }
+
+  /**
+   * Handler for the /subscriptions command
+   * Lets any member choose which broadcasts they receive, no permission is needed
+   * @param {ChatInputCommandInteraction} interaction - The interaction
+   */
+  async function handleSubscriptionsCommand(interaction) {
+    const guild = interaction.guild;
+    const authorId = interaction.user.id;
+    const { locale } = interaction;
+
+    const subcommand = interaction.options.getSubcommand();
+
+    if (subcommand === 'show') {
+      await interaction.reply({ embeds: [buildSubscriptionsEmbed(guild, authorId, locale)], ephemeral: true });
+      return;
+    }
+
+    const input = interaction.options.getString('topic');
+    const topic = input === null ? SubscriptionManager.ALL_TOPICS : SubscriptionManager.normalizeTopic(input);
+    if (!topic) {
+      const embed = new EmbedBuilder()
+        .setColor(0xff0000)
+        .setTitle(t(locale, 'errors.invalidTopicTitle'))
+        .setDescription(t(locale, 'errors.invalidTopic'));
+
+      await interaction.reply({ embeds: [embed], ephemeral: true });
+      return;
+    }
+
+    const subscribed = subcommand === 'resubscribe';
+    const changed = updateSubscription(guild, authorId, topic, subscribed);
+
+    const embed = new EmbedBuilder()
+      .setColor(subscribed ? 0x00ff00 : 0xe67e22)
+      .setTitle(t(locale, subscribed ? 'subscriptions.subscribedTitle' : 'subscriptions.unsubscribedTitle'))
+      .setDescription(t(
+        locale,
+        `subscriptions.${subscribed ? 'subscribed' : 'unsubscribed'}${changed ? '' : 'Unchanged'}`,
+        { topic: describeTopic(guild, topic, locale) }
+      ));
+
+    await interaction.reply({ embeds: [embed], ephemeral: true });
+  }
+
+  /**
+   * Handler for the unsubscribe buttons of broadcast DMs, and their undo button
+   * These are clicked in DMs, so the guild comes from the custom ID: unsubscribe_<guildId>_<topic>
+   * @param {ButtonInteraction} interaction - The interaction
+   */
+  async function handleSubscriptionButton(interaction) {
+    const authorId = interaction.user.id;
+    const { locale } = interaction;
+
+    const [action, guildId, topic] = interaction.customId.split('_');
+    const subscriptionGuild = client.guilds.cache.get(guildId);
+
+    if (!subscriptionGuild) {
+      const embed = new EmbedBuilder()
+        .setColor(0xff0000)
+        .setTitle(t(locale, 'subscriptions.serverNotFoundTitle'))
+        .setDescription(t(locale, 'subscriptions.serverNotFound'));
+
+      await interaction.reply({ embeds: [embed], ephemeral: true });
+      return;
+    }
+
+    if (action === 'resubscribe') {
+      updateSubscription(subscriptionGuild, authorId, topic, true);
+
+      const embed = new EmbedBuilder()
+        .setColor(0x00ff00)
+        .setTitle(t(locale, 'subscriptions.resubscribedTitle'))
+        .setDescription(t(locale, 'subscriptions.resubscribed', { topic: describeTopic(subscriptionGuild, topic, locale) }));
+
+      await interaction.update({ embeds: [embed], components: [] });
+      return;
+    }
+
+    updateSubscription(subscriptionGuild, authorId, topic, false);
+
+    const embed = new EmbedBuilder()
+      .setColor(0xe67e22)
+      .setTitle(t(locale, 'subscriptions.unsubscribedTitle'))
+      .setDescription(t(locale, 'subscriptions.unsubscribedFromDm', { topic: describeTopic(subscriptionGuild, topic, locale) }));
+    const undo = new ActionRowBuilder().addComponents(
+      new ButtonBuilder()
+        .setCustomId(`resubscribe_${guildId}_${topic}`)
+        .setLabel(t(locale, 'subscriptions.undo'))
+        .setStyle(ButtonStyle.Secondary)
+    );
+
+    await interaction.reply({ embeds: [embed], components: [undo] });
+  }
+
+  return {
+    handleSubscriptionsAutocomplete,
+    handleSubscriptionsCommand,
+    handleSubscriptionButton,
+  };
+}
+
+module.exports = { createSubscriptionHandlers };
@@ -0,0 +1,150 @@
+/**
+ * Handlers of /template: saving, listing, using and deleting message templates
+ */
+
+const { EmbedBuilder } = require('discord.js');
+const TemplateManager = require('../TemplateManager');
+const { PLACEHOLDER_NAMES } = require('../placeholders');
+const { t } = require('../i18n');
+const { readTopicOption, replyPermissionDenied } = require('./replies');
+
+/**
+ * Create the template handlers
+ * @param {Object} deps - Services and helpers of the bot used by the handlers
+ * @param {AuditLog} deps.auditLog - Audit trail of staff actions
+ * @param {PermissionManager} deps.permissionManager - Who may use each feature
+ * @param {TemplateManager} deps.templateManager - Saved message templates
+ * @param {Function} deps.buildUnknownPlaceholdersField - Warns about unknown placeholders
+ * @param {Function} deps.startMessageFlow - Starts a draft, see createMessageHandlers
+ * @returns {Object} The handlers, by function name
+ */
+function createTemplateHandlers({
+  auditLog,
+  permissionManager,
+  templateManager,
+  buildUnknownPlaceholdersField,
+  startMessageFlow,
+}) {
+  /**
+   * Autocomplete handler for template names
+   * @param {AutocompleteInteraction} interaction - The interaction
+   */
+  async function handleTemplateAutocomplete(interaction) {
+    const guild = interaction.guild;
+
+    const query = interaction.options.getFocused().toLowerCase();
+    const choices = templateManager.list(guild.id)
+      .filter((template) => template.name.includes(query))
+      .slice(0, 25)
+      .map((template) => ({ name: template.name, value: template.name }));
+
+    await interaction.respond(choices);
+  }
+
+  /**
+   * Handler for the /template command
+   * Saves, lists and deletes message templates, or starts the message flow from one
+   * Requires the templates permission (the send permission for /template use)
+   * @param {ChatInputCommandInteraction} interaction - The interaction
+   */
+  async function handleTemplateCommand(interaction) {
+    const guild = interaction.guild;
+    const authorId = interaction.user.id;
+    const { locale } = interaction;
+
+    const subcommand = interaction.options.getSubcommand();
+
+    // The message flow checks permissions itself
+    if (subcommand === 'use') {
+      const template = templateManager.get(guild.id, interaction.options.getString('name'));
+
+      if (!template) {
+        const embed = new EmbedBuilder()
+          .setColor(0xff0000)
+          .setTitle(t(locale, 'templates.notFoundTitle'))
+          .setDescription(t(locale, 'templates.notFoundHint'));
+
+        await interaction.reply({ embeds: [embed], ephemeral: true });
+        return;
+      }
+
+      const topic = await readTopicOption(interaction);
+      if (topic === false) return;
+
+      await startMessageFlow(interaction, template.content, [], topic);
+      return;
+    }
+
+    if (!permissionManager.can(interaction.member, 'templates')) {
+      await replyPermissionDenied(interaction, 'templates');
+      return;
+    }
+
+    if (subcommand === 'save') {
+      const content = interaction.options.getString('content');
+      const template = templateManager.save(guild.id, interaction.options.getString('name'), content, authorId);
+      auditLog.record('template.saved', { guildId: guild.id, userId: authorId, template: template.name });
+
+      const embed = new EmbedBuilder()
+        .setColor(0x00ff00)
+        .setTitle(t(locale, 'templates.savedTitle'))
+        .addFields(
+          { name: t(locale, 'templates.name'), value: template.name },
+          { name: t(locale, 'templates.content'), value: template.content.slice(0, 1024) }
+        )
+        .setFooter({ text: '🔧 Developed by @felipecaldass' });
+
+      const unknownPlaceholdersField = buildUnknownPlaceholdersField(content, locale);
+      if (unknownPlaceholdersField) embed.addFields(unknownPlaceholdersField);
+
+      await interaction.reply({ embeds: [embed], ephemeral: true });
+      return;
+    }
+
+    if (subcommand === 'list') {
+      const templates = templateManager.list(guild.id);
+      const embed = new EmbedBuilder()
+        .setColor(0x00ff00)
+        .setTitle(t(locale, 'templates.listTitle'))
+        .setFooter({ text: t(locale, 'templates.placeholders', { placeholders: PLACEHOLDER_NAMES.map((name) => `{${name}}`).join(' ') }) });
+
+      if (templates.length === 0) {
+        embed.setDescription(t(locale, 'templates.empty'));
+      } else {
+        // Discord limit: 25 fields per embed
+        templates.slice(0, 25).forEach((template) => {
+          const preview = template.content.length > 200 ? `${template.content.slice(0, 200)}…` : template.content;
+          embed.addFields({ name: `🏷️ ${template.name}`, value: preview, inline: false });
+        });
+      }
+
+      await interaction.reply({ embeds: [embed], ephemeral: true });
+      return;
+    }
+
+    if (subcommand === 'delete') {
+      const name = interaction.options.getString('name');
+      const deleted = templateManager.delete(guild.id, name);
+      if (deleted) {
+        auditLog.record('template.deleted', { guildId: guild.id, userId: authorId, template: TemplateManager.normalizeName(name) });
+      }
+
+      const embed = new EmbedBuilder()
+        .setColor(deleted ? 0x00ff00 : 0xff0000)
+        .setTitle(t(locale, deleted ? 'templates.deletedTitle' : 'templates.notFoundTitle'))
+        .setDescription(deleted
+          ? t(locale, 'templates.deleted', { name: TemplateManager.normalizeName(name) })
+          : t(locale, 'templates.notFound'));
+
+      await interaction.reply({ embeds: [embed], ephemeral: true });
+      return;
+    }
+  }
+
+  return {
+    handleTemplateAutocomplete,
+    handleTemplateCommand,
+  };
+}
+
+module.exports = { createTemplateHandlers };
@@ -0,0 +1,135 @@
+/**
+ * Localisation helpers
+ *
+ * Every string shown by the bot is looked up in a catalog of src/locales,
+ * one JSON file per language. Discord gives the locale of each interaction
+ * (e.g. "pt-BR" or "es-ES"): strings are shown in its language when a
+ * catalog exists for it, in English otherwise.
+ *
+ * Strings may contain variables such as {count}, replaced with the values
+ * given to t(). Slash commands are described in English in the command
+ * builders, and translated from the "commands" section of the other catalogs.
+ */
+
+const catalogs = {
+  en: require('./locales/en.json'),
+  pt: require('./locales/pt.json'),
+  es: require('./locales/es.json'),
+};
+
+// Language used when a string is missing from the catalog of another language
+const DEFAULT_LANGUAGE = 'en';
+
+// Languages the bot interface is translated to, named in their own language
+const LANGUAGE_NAMES = {
+  en: 'English',
+  pt: 'Português',
+  es: 'Español',
+};
+
+// Discord locales of each language, used to translate slash commands
+const DISCORD_LOCALES = {
+  en: ['en-US', 'en-GB'],
+  pt: ['pt-BR'],
+  es: ['es-ES', 'es-419'],
+};
+
+/**
+ * Get the language of a Discord locale
+ * @param {string|null|undefined} locale - A locale such as "pt-BR", or a language such as "pt"
+ * @returns {string|null} The lowercase language code, e.g. "pt", or null if no locale was given
+ */
+function getLanguage(locale) {
+  return locale ? locale.split('-')[0].toLowerCase() : null;
+}
+
+/**
+ * Find a string in a catalog from its dotted key
+ * @param {Object} catalog - The catalog
+ * @param {string} key - The key, e.g. "preview.title"
+ * @returns {*} The value, or undefined if the key does not exist
+ */
+function lookup(catalog, key) {
+  return key.split('.').reduce((node, part) => node?.[part], catalog);
+}
+
+/**
+ * Translate a string
+ * @param {string|null|undefined} locale - Locale or language to translate to
+ * @param {string} key - Key of the string in the catalogs
+ * @param {Object} [variables] - Values of the {variables} of the string
+ * @returns {string} The translated string, the English one if it is not translated, or the key if it does not exist
+ */
+function t(locale, key, variables = {}) {
+  const catalog = catalogs[getLanguage(locale)] ?? catalogs[DEFAULT_LANGUAGE];
+  const template = lookup(catalog, key) ?? lookup(catalogs[DEFAULT_LANGUAGE], key);
+  if (typeof template !== 'string') return key;
+
+  return template.replace(/\{(\w+)\}/g, (match, name) => (name in variables ? String(variables[name]) : match));
+}
+
+/**
+ * Collect the translations of a catalog key in the format of Discord localizations
+ * @param {string} key - Key of the string in the catalogs
+ * @returns {Object<string, string>|null} Translations indexed by Discord locale, or null if there is none
+ */
+function getLocalizations(key) {
+  const localizations = {};
+
+  for (const [language, locales] of Object.entries(DISCORD_LOCALES)) {
+    if (language === DEFAULT_LANGUAGE) continue;
+
+    const value = lookup(catalogs[language], key);
+    if (typeof value === 'string') {
+      locales.forEach((locale) => { localizations[locale] = value; });
+    }
+  }
+
+  return Object.keys(localizations).length > 0 ? localizations : null;
+}
+
+/**
+ * Add the translated descriptions of a slash command, of its options and of their choices
+ * They are translated from the "commands" section of the catalogs, where each
+ * command, subcommand and option has a "description", its "options" and its "choices".
+ *
+ * @param {Object} data - The command, as returned by SlashCommandBuilder.toJSON()
+ * @returns {Object} The command with description_localizations and name_localizations of choices
+ */
+function localizeCommand(data) {
+  /**
+   * Translate a command or option, then its own options
+   * @param {Object} node - The command or option
+   * @param {string} key - Catalog key of the node, e.g. "commands.config.options.branding"
+   * @returns {Object} The translated node
+   */
+  const localize = (node, key) => {
+    const localized = { ...node };
+
+    const descriptions = getLocalizations(`${key}.description`);
+    if (descriptions) localized.description_localizations = descriptions;
+
+    if (node.options) {
+      localized.options = node.options.map((option) => localize(option, `${key}.options.${option.name}`));
+    }
+    if (node.choices) {
+      localized.choices = node.choices.map((choice) => {
+        const names = getLocalizations(`${key}.choices.${choice.value}`);
+        return names ? { ...choice, name_localizations: names } : choice;
+      });
+    }
+
+    return localized;
+  };
+
+  return localize(data, `commands.${data.name}`);
+}
+
+module.exports = {
+  DEFAULT_LANGUAGE,
+  LANGUAGES: Object.keys(catalogs),
+  LANGUAGE_NAMES,
+  getLanguage,
+  t,
+  localizeCommand,
+};
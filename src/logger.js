@@ -0,0 +1,95 @@
+/**
+ * Structured logger
+ *
+ * Every entry is written as a single JSON line holding its time, level,
+ * message and context fields such as the campaign ID, so the logs of a
+ * supervised bot can be filtered and collected. LOG_FORMAT=text prints the
+ * same entries as readable lines for local development.
+ *
+ * Levels, from the most to the least verbose: debug, info, warn, error.
+ * Entries below LOG_LEVEL (default: info) are dropped.
+ */
+
+const LOG_LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+
+/**
+ * Turn an error into plain data, since JSON.stringify drops its message and stack
+ * @param {Error} error - The error
+ * @returns {Object} Name, message, Discord code, HTTP status and stack of the error
+ */
+function serializeError(error) {
+  return {
+    name: error.name,
+    message: error.message,
+    ...(error.code !== undefined && { code: error.code }),
+    ...(error.status !== undefined && { status: error.status }),
+    stack: error.stack,
+  };
+}
+
+/**
+ * Format an entry as a readable line, e.g. "2026-01-31T12:00:00.000Z INFO Campaign started campaignId=123"
+ * @param {Object} entry - The entry
+ * @returns {string} The line
+ */
+function formatText({ time, level, msg, ...fields }) {
+  const details = Object.entries(fields).map(([key, value]) => {
+    if (value?.stack) return `${key}=${value.stack}`;
+    return `${key}=${typeof value === 'string' ? value : JSON.stringify(value)}`;
+  });
+  return [time, level.toUpperCase(), msg, ...details].join(' ');
+}
+
+/**
+ * Create a logger
+ * @param {Object} [options]
+ * @param {string} [options.level="info"] - Minimum level of the written entries
+ * @param {string} [options.format="json"] - "json" or "text"
+ * @param {Object} [options.fields={}] - Fields added to every entry
+ * @param {Function} [options.write] - Receives the level and the formatted line, writes errors and warnings to stderr by default
+ * @returns {{debug: Function, info: Function, warn: Function, error: Function, child: Function}} The logger
+ */
+function createLogger(options = {}) {
+  const level = LOG_LEVELS[options.level] ? options.level : 'info';
+  const format = options.format === 'text' ? 'text' : 'json';
+  const baseFields = options.fields ?? {};
+  const write = options.write ?? ((entryLevel, line) => {
+    const stream = LOG_LEVELS[entryLevel] >= LOG_LEVELS.warn ? process.stderr : process.stdout;
+    stream.write(`${line}\n`);
+  });
+
+  /**
+   * Write an entry
+   * @param {string} entryLevel - Level of the entry
+   * @param {string} msg - What happened
+   * @param {Object} [fields] - Context of the entry, errors are serialized
+   */
+  const log = (entryLevel, msg, fields = {}) => {
+    if (LOG_LEVELS[entryLevel] < LOG_LEVELS[level]) return;
+
+    const entry = { time: new Date().toISOString(), level: entryLevel, msg, ...baseFields };
+    Object.entries(fields).forEach(([key, value]) => {
+      if (value !== undefined) entry[key] = value instanceof Error ? serializeError(value) : value;
+    });
+
+    write(entryLevel, format === 'text' ? formatText(entry) : JSON.stringify(entry));
+  };
+
+  return {
+    debug: (msg, fields) => log('debug', msg, fields),
+    info: (msg, fields) => log('info', msg, fields),
+    warn: (msg, fields) => log('warn', msg, fields),
+    error: (msg, fields) => log('error', msg, fields),
+    /**
+     * Create a logger adding fields to every entry, e.g. the ID of a campaign
+     * @param {Object} fields - The fields
+     * @returns {Object} The child logger
+     */
+    child: (fields) => createLogger({ ...options, level, format, write, fields: { ...baseFields, ...fields } }),
+  };
+}
+
+// Logger shared by the bot, configured from the environment
+const logger = createLogger({ level: process.env.LOG_LEVEL, format: process.env.LOG_FORMAT });
+
+module.exports = { LOG_LEVELS, serializeError, createLogger, logger };
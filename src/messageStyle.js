@@ -0,0 +1,74 @@
+/**
+ * Message style helpers
+ *
+ * Validates the embed styling typed by authors in the style modal
+ * (title, colour, image, thumbnail and footer of the broadcast).
+ */
+
+// Look of a broadcast when the author does not customise it
+const DEFAULT_STYLE = {
+  title: '📢 Important Message',
+  color: 0x00ff00,
+  imageUrl: null,
+  thumbnailUrl: null,
+  footer: null,
+};
+
+// Accepts "#ff8800" or "ff8800"
+const HEX_COLOR_PATTERN = /^#?([0-9a-f]{6})$/i;
+
+/**
+ * Check whether a string is an http(s) URL
+ * @param {string} value - The string to check
+ * @returns {boolean} True for valid http and https URLs
+ */
+function isHttpUrl(value) {
+  try {
+    const url = new URL(value);
+    return url.protocol === 'http:' || url.protocol === 'https:';
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Format a colour as a hex string
+ * @param {number} color - The colour
+ * @returns {string} The colour as "#rrggbb"
+ */
+function formatColor(color) {
+  return `#${color.toString(16).padStart(6, '0')}`;
+}
+
+/**
+ * Parse the values typed in the style modal
+ * Empty fields fall back to the default style.
+ *
+ * @param {Object} input - Raw title, color, imageUrl, thumbnailUrl and footer strings
+ * @param {Object} [defaults] - Style used for empty fields, e.g. the branding of the server
+ * @returns {{style: Object, errors: {type: string, value: string}[]}} The parsed style and the invalid values,
+ * whose type is "color" or "url"
+ */
+function parseStyleInput(input, defaults = DEFAULT_STYLE) {
+  const style = { ...defaults };
+  const errors = [];
+
+  if (input.title) style.title = input.title;
+  if (input.footer) style.footer = input.footer;
+
+  if (input.color) {
+    const match = HEX_COLOR_PATTERN.exec(input.color);
+    if (match) style.color = parseInt(match[1], 16);
+    else errors.push({ type: 'color', value: input.color });
+  }
+
+  for (const key of ['imageUrl', 'thumbnailUrl']) {
+    if (!input[key]) continue;
+    if (isHttpUrl(input[key])) style[key] = input[key];
+    else errors.push({ type: 'url', value: input[key] });
+  }
+
+  return { style, errors };
+}
+
+module.exports = { DEFAULT_STYLE, formatColor, parseStyleInput };
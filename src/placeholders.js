@@ -0,0 +1,99 @@
+/**
+ * Placeholder helpers
+ *
+ * Broadcast messages may contain placeholders such as {username} that are
+ * replaced with the recipient's own details when each DM is sent. Messages
+ * posted in a channel are read by many members, so only {server} is replaced
+ * there and the placeholders about the recipient are left empty.
+ */
+
+// Matches "{name}" placeholders
+const PLACEHOLDER_PATTERN = /\{(\w+)\}/g;
+
+/**
+ * Resolvers for every supported placeholder
+ * Each one receives the recipient and the audience the message is sent to.
+ */
+const PLACEHOLDERS = {
+  username: (member) => member.user.username,
+  displayName: (member) => member.displayName,
+  server: (member) => member.guild.name,
+  // First audience role held by the recipient, in the order the roles were picked
+  role: (member, audience) => {
+    const roleId = [...audience.anyOf, ...audience.allOf].find((id) => member.roles.cache.has(id));
+    return member.guild.roles.cache.get(roleId)?.name ?? '';
+  },
+  joinDate: (member) => (member.joinedAt ? `<t:${Math.floor(member.joinedAt.getTime() / 1000)}:D>` : ''),
+};
+
+/**
+ * Replace the placeholders of a message with the recipient's details
+ * Unknown placeholders are left untouched.
+ *
+ * @param {string} content - The message content
+ * @param {GuildMember} member - The recipient
+ * @param {Object} audience - The audience the message is sent to
+ * @returns {string} The personalised message
+ */
+function renderMessage(content, member, audience) {
+  return content.replace(PLACEHOLDER_PATTERN, (match, name) => {
+    const resolve = PLACEHOLDERS[name];
+    return resolve ? resolve(member, audience) : match;
+  });
+}
+
+/**
+ * Replace the placeholders of a message posted in a channel
+ * @param {string} content - The message content
+ * @param {Guild} guild - The guild of the channel
+ * @returns {string} The message, with the server name and without member details
+ */
+function renderChannelMessage(content, guild) {
+  return content.replace(PLACEHOLDER_PATTERN, (match, name) => {
+    if (name === 'server') return guild.name;
+    return PLACEHOLDERS[name] ? '' : match;
+  });
+}
+
+/**
+ * Check whether a message contains placeholders
+ * @param {string} content - The message content
+ * @returns {boolean} True if at least one placeholder is used
+ */
+function hasPlaceholders(content) {
+  return [...content.matchAll(PLACEHOLDER_PATTERN)].length > 0;
+}
+
+/**
+ * List the placeholders of a message that are not supported
+ * @param {string} content - The message content
+ * @returns {string[]} The unknown placeholders, e.g. ["{usename}"]
+ */
+function findUnknownPlaceholders(content) {
+  return [...content.matchAll(PLACEHOLDER_PATTERN)]
+    .filter(([, name]) => !PLACEHOLDERS[name])
+    .map(([match]) => match);
+}
+
+/**
+ * List the placeholders of a message that describe the recipient
+ * They cannot be resolved in a channel post, which is read by many members.
+ *
+ * @param {string} content - The message content
+ * @returns {string[]} The placeholders, e.g. ["{username}"], once each
+ */
+function findMemberPlaceholders(content) {
+  const names = [...content.matchAll(PLACEHOLDER_PATTERN)]
+    .map(([, name]) => name)
+    .filter((name) => PLACEHOLDERS[name] && name !== 'server');
+  return [...new Set(names)].map((name) => `{${name}}`);
+}
+
+module.exports = {
+  PLACEHOLDER_NAMES: Object.keys(PLACEHOLDERS),
+  renderMessage,
+  renderChannelMessage,
+  hasPlaceholders,
+  findUnknownPlaceholders,
+  findMemberPlaceholders,
+};
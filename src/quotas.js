@@ -0,0 +1,133 @@
+/**
+ * Sending quota helpers
+ *
+ * Limits how many members can be messaged by DM within an hour and within a
+ * day, by each author and by the whole server, and how soon a role can be
+ * messaged again. Usage is counted from the stored campaigns, so quotas need
+ * no storage of their own and survive restarts. Campaigns are summarized with
+ * summarizeCampaign, so the usage can be kept in memory between two checks.
+ *
+ * A limit of 0 disables the corresponding check.
+ */
+
+const HOUR_MS = 60 * 60 * 1000;
+
+// Recipient quotas: the setting holding the limit, the campaigns it counts and the window it covers
+const QUOTAS = {
+  authorHour: { setting: 'authorHourly', scope: 'author', windowMs: HOUR_MS },
+  authorDay: { setting: 'authorDaily', scope: 'author', windowMs: 24 * HOUR_MS },
+  guildHour: { setting: 'guildHourly', scope: 'guild', windowMs: HOUR_MS },
+  guildDay: { setting: 'guildDaily', scope: 'guild', windowMs: 24 * HOUR_MS },
+};
+
+/**
+ * Count the members a campaign messaged or will message by DM
+ * Posts in channels send no DM, bots are never messaged, and members left
+ * pending by an aborted campaign were not messaged.
+ *
+ * @param {Object} campaign - A stored campaign
+ * @returns {number} The number of DMs counted against the quotas
+ */
+function countQuotaRecipients(campaign) {
+  if (campaign.status === 'rejected' || campaign.delivery?.mode === 'channels') return 0;
+
+  return campaign.recipients.filter((recipient) => recipient.errorCode !== 'BOT'
+    && !(campaign.status === 'aborted' && recipient.status === 'pending')).length;
+}
+
+/**
+ * Keep what the quotas need to know about a campaign
+ * @param {Object} campaign - A stored campaign
+ * @returns {{id: string, retryOf: string|null, authorId: string, status: string, createdAt: string, audience: Object|null, recipients: number}}
+ *   The summary, whose recipients are the DMs counted against the quotas
+ */
+function summarizeCampaign(campaign) {
+  return {
+    id: campaign.id,
+    retryOf: campaign.retryOf ?? null,
+    authorId: campaign.authorId,
+    status: campaign.status,
+    createdAt: campaign.createdAt,
+    // Campaigns stored before audiences existed have none
+    audience: campaign.audience ?? null,
+    recipients: countQuotaRecipients(campaign),
+  };
+}
+
+/**
+ * Check whether any quota is enabled
+ * @param {Object} quotas - The quota settings of the server
+ * @returns {boolean} False if every limit is disabled, and broadcasts need no check
+ */
+function hasQuotas(quotas) {
+  return Object.values(QUOTAS).some(({ setting }) => quotas[setting] > 0) || quotas.roleCooldownMinutes > 0;
+}
+
+/**
+ * Get the roles a broadcast is sent to, leaving out the excluded roles
+ * @param {Object} audience - The audience
+ * @returns {string[]} The role IDs
+ */
+function getTargetedRoleIds(audience) {
+  return [...audience.anyOf, ...audience.allOf];
+}
+
+/**
+ * Check a new broadcast against the quotas of its server
+ * @param {Object[]} campaigns - Summaries of the campaigns of the server, from summarizeCampaign
+ * @param {Object} broadcast - The broadcast about to be sent
+ * @param {string} broadcast.authorId - Discord user ID of its author
+ * @param {Object} broadcast.audience - Its audience
+ * @param {number} broadcast.recipients - Number of members it will message by DM
+ * @param {string|null} [broadcast.retryOf] - ID of the campaign it retries, whose roles are not under cooldown
+ * @param {Object} quotas - The quota settings of the server
+ * @param {number} [now=Date.now()] - Current time, in milliseconds
+ * @returns {{usage: Object[], exceeded: Object[]}} The usage of each enabled quota as
+ *   {quota, used, limit, remaining}, and the exceeded limits as {key, params} entries
+ */
+function checkQuotas(campaigns, { authorId, audience, recipients, retryOf = null }, quotas, now = Date.now()) {
+  const usage = [];
+  const exceeded = [];
+
+  for (const [quota, { setting, scope, windowMs }] of Object.entries(QUOTAS)) {
+    const limit = quotas[setting];
+    if (!limit) continue;
+
+    const used = campaigns
+      .filter((campaign) => (scope === 'guild' || campaign.authorId === authorId)
+        && now - Date.parse(campaign.createdAt) < windowMs)
+      .reduce((total, campaign) => total + campaign.recipients, 0);
+    const remaining = Math.max(0, limit - used);
+
+    usage.push({ quota, used, limit, remaining });
+    if (recipients > remaining) exceeded.push({ key: quota, params: { count: recipients, remaining, limit } });
+  }
+
+  const cooldownMs = quotas.roleCooldownMinutes * 60 * 1000;
+  if (cooldownMs > 0) {
+    for (const roleId of getTargetedRoleIds(audience)) {
+      const lastSentAt = Math.max(0, ...campaigns
+        // Campaigns without audience are skipped.
+        // A retry only messages the members its campaign missed, so that campaign does not count
+        .filter((campaign) => campaign.status !== 'rejected' && campaign.audience
+          && (!retryOf || (campaign.id !== retryOf && campaign.retryOf !== retryOf))
+          && getTargetedRoleIds(campaign.audience).includes(roleId))
+        .map((campaign) => Date.parse(campaign.createdAt)));
+
+      if (now - lastSentAt < cooldownMs) {
+        exceeded.push({ key: 'roleCooldown', params: { roleId, lastSentAt, availableAt: lastSentAt + cooldownMs } });
+      }
+    }
+  }
+
+  return { usage, exceeded };
+}
+
+module.exports = {
+  QUOTAS,
+  countQuotaRecipients,
+  summarizeCampaign,
+  hasQuotas,
+  getTargetedRoleIds,
+  checkQuotas,
+};
@@ -0,0 +1,76 @@
+/**
+ * State stores
+ *
+ * Key-value stores used to persist interaction drafts. They share a small
+ * Redis-compatible interface, so a connected node-redis client can be used
+ * in their place:
+ * - get(key): Promise<string|null>
+ * - set(key, value): Promise
+ * - del(key): Promise
+ * - keys(pattern): Promise<string[]>, where pattern may end with "*"
+ *
+ * Values are strings, callers serialize them as JSON.
+ */
+
+const { readJson, writeJson } = require('./storage');
+
+/**
+ * Check whether a key matches a pattern such as "draft:*"
+ * @param {string} key - The key
+ * @param {string} pattern - Exact key, or prefix followed by "*"
+ * @returns {boolean} True if the key matches
+ */
+function matchesPattern(key, pattern) {
+  return pattern.endsWith('*') ? key.startsWith(pattern.slice(0, -1)) : key === pattern;
+}
+
+/**
+ * Store keeping values in memory, lost on restart
+ */
+class MemoryStateStore {
+  constructor() {
+    this.values = new Map();
+  }
+
+  async get(key) {
+    return this.values.get(key) ?? null;
+  }
+
+  async set(key, value) {
+    this.values.set(key, value);
+  }
+
+  async del(key) {
+    this.values.delete(key);
+  }
+
+  async keys(pattern) {
+    return [...this.values.keys()].filter((key) => matchesPattern(key, pattern));
+  }
+}
+
+/**
+ * Store keeping values in a JSON file, rewritten after every change
+ */
+class FileStateStore extends MemoryStateStore {
+  /**
+   * @param {string} file - Path to the JSON file where values are stored
+   */
+  constructor(file) {
+    super();
+    this.file = file;
+    this.values = new Map(Object.entries(readJson(file, {})));
+  }
+
+  async set(key, value) {
+    await super.set(key, value);
+    writeJson(this.file, Object.fromEntries(this.values));
+  }
+
+  async del(key) {
+    await super.del(key);
+    writeJson(this.file, Object.fromEntries(this.values));
+  }
+}
+
+module.exports = { MemoryStateStore, FileStateStore };
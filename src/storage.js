@@ -0,0 +1,39 @@
+/**
+ * Storage helpers
+ *
+ * Small helpers for persisting bot data as JSON files on disk.
+ * Writes go through a temporary file followed by a rename, so a crash
+ * in the middle of a write never leaves a truncated file behind.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Read and parse a JSON file
+ * @param {string} file - Path to the JSON file
+ * @param {*} fallback - Value returned when the file does not exist
+ * @returns {*} The parsed content or the fallback value
+ */
+function readJson(file, fallback) {
+  try {
+    return JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (error) {
+    if (error.code === 'ENOENT') return fallback;
+    throw error;
+  }
+}
+
+/**
+ * Serialize a value to a JSON file, creating parent directories as needed
+ * @param {string} file - Path to the JSON file
+ * @param {*} data - The value to store
+ */
+function writeJson(file, data) {
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  const tempFile = `${file}.tmp`;
+  fs.writeFileSync(tempFile, JSON.stringify(data, null, 2));
+  fs.renameSync(tempFile, file);
+}
+
+module.exports = { readJson, writeJson };
@@ -0,0 +1,135 @@
+/**
+ * Time helpers
+ *
+ * Conversions between wall-clock times in an IANA timezone (e.g. "America/Sao_Paulo")
+ * and UTC instants, built on the Intl API so no timezone database has to be bundled.
+ */
+
+// Accepted format for dates typed by users: "YYYY-MM-DD HH:mm"
+const DATE_TIME_PATTERN = /^(\d{4})-(\d{2})-(\d{2})[ T](\d{2}):(\d{2})$/;
+
+/**
+ * Check whether a timezone name is supported by the runtime
+ * @param {string} timeZone - IANA timezone name
+ * @returns {boolean} True if the timezone can be used
+ */
+function isValidTimeZone(timeZone) {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Get the wall-clock parts of an instant in a timezone
+ * @param {Date} date - The instant
+ * @param {string} timeZone - IANA timezone name
+ * @returns {{year: number, month: number, day: number, hour: number, minute: number}} The local parts
+ */
+function getZonedParts(date, timeZone) {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    hourCycle: 'h23',
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+  }).formatToParts(date);
+
+  const value = (type) => Number(parts.find((part) => part.type === type).value);
+  return { year: value('year'), month: value('month'), day: value('day'), hour: value('hour'), minute: value('minute') };
+}
+
+/**
+ * Convert wall-clock parts in a timezone to a UTC instant
+ * @param {{year: number, month: number, day: number, hour: number, minute: number}} parts - The local parts
+ * @param {string} timeZone - IANA timezone name
+ * @returns {Date} The matching instant
+ */
+function zonedPartsToDate({ year, month, day, hour, minute }, timeZone) {
+  const asUtc = Date.UTC(year, month - 1, day, hour, minute);
+
+  // Offset of the timezone around that time, corrected once for DST transitions
+  const offsetAt = (timestamp) => {
+    const local = getZonedParts(new Date(timestamp), timeZone);
+    return Date.UTC(local.year, local.month - 1, local.day, local.hour, local.minute) - timestamp;
+  };
+
+  const firstGuess = asUtc - offsetAt(asUtc);
+  return new Date(asUtc - offsetAt(firstGuess));
+}
+
+/**
+ * Parse a "YYYY-MM-DD HH:mm" string typed in a given timezone
+ * @param {string} input - The date typed by the user
+ * @param {string} timeZone - IANA timezone name
+ * @returns {Date|null} The matching instant, or null if the input is invalid
+ */
+function parseZonedDateTime(input, timeZone) {
+  const match = DATE_TIME_PATTERN.exec(input.trim());
+  if (!match) return null;
+
+  const [year, month, day, hour, minute] = match.slice(1).map(Number);
+  // Days past the end of their month (e.g. February 30th) are refused rather than rolled over
+  const daysInMonth = new Date(Date.UTC(year, month, 0)).getUTCDate();
+  if (month < 1 || month > 12 || day < 1 || day > daysInMonth || hour > 23 || minute > 59) return null;
+
+  return zonedPartsToDate({ year, month, day, hour, minute }, timeZone);
+}
+
+/**
+ * Move an instant to the same wall-clock time in another timezone
+ * e.g. 18:00 in Lisbon becomes 18:00 in São Paulo
+ *
+ * @param {Date} date - The instant
+ * @param {string} fromTimeZone - IANA timezone the wall-clock time was set in
+ * @param {string} toTimeZone - IANA timezone of the new instant
+ * @returns {Date} The instant showing the same wall-clock time in the new timezone
+ */
+function changeTimeZone(date, fromTimeZone, toTimeZone) {
+  return zonedPartsToDate(getZonedParts(date, fromTimeZone), toTimeZone);
+}
+
+/**
+ * Compute the next occurrence of a recurring schedule
+ * The wall-clock time is kept in the schedule's timezone, so a weekly reminder
+ * at 18:00 stays at 18:00 across daylight saving changes.
+ *
+ * @param {Date} date - The previous occurrence
+ * @param {string} repeat - Recurrence: "daily", "weekly" or "monthly"
+ * @param {string} timeZone - IANA timezone name
+ * @param {number} [dayOfMonth] - Day monthly occurrences fall on, the day of the previous one by default.
+ * Given, a schedule on the 31st clamped to February 28th is back on the 31st in March
+ * @returns {Date} The next occurrence
+ */
+function addRecurrence(date, repeat, timeZone, dayOfMonth = null) {
+  const parts = getZonedParts(date, timeZone);
+
+  if (repeat === 'daily') {
+    parts.day += 1;
+  } else if (repeat === 'weekly') {
+    parts.day += 7;
+  } else if (repeat === 'monthly') {
+    parts.month += 1;
+    // Clamp to the last day of shorter months (e.g. January 31st -> February 28th)
+    const daysInMonth = new Date(Date.UTC(parts.year, parts.month, 0)).getUTCDate();
+    parts.day = Math.min(dayOfMonth ?? parts.day, daysInMonth);
+  } else {
+    throw new Error(`Unknown recurrence: ${repeat}`);
+  }
+
+  // Normalize overflowing days and months (e.g. January 35th)
+  const normalized = new Date(Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute));
+  return zonedPartsToDate({
+    year: normalized.getUTCFullYear(),
+    month: normalized.getUTCMonth() + 1,
+    day: normalized.getUTCDate(),
+    hour: normalized.getUTCHours(),
+    minute: normalized.getUTCMinutes(),
+  }, timeZone);
+}
+
+module.exports = { isValidTimeZone, getZonedParts, parseZonedDateTime, changeTimeZone, addRecurrence };
@@ -0,0 +1,122 @@
+/**
+ * Tests of the acknowledgements: the "I've read this" button, reminders and the staff view
+ */
+
+const { test, after } = require('node:test');
+const assert = require('node:assert');
+
+const { loadBot } = require('./helpers/bot');
+const { createBroadcastFixtures } = require('./helpers/broadcasts');
+const { createCommandInteraction, createButtonInteraction } = require('./helpers/discord');
+const { t } = require('../src/i18n');
+
+const { bot, cleanup } = loadBot();
+after(cleanup);
+
+const { createServer, draftMessage, confirmSend } = createBroadcastFixtures(bot);
+
+/**
+ * Send a message asking for acknowledgement to the role
+ * @param {Object} server - Server created by createServer
+ * @param {Object} options - Options of /message besides the content
+ * @returns {Promise<Object>} The campaign
+ */
+async function sendAcknowledgedMessage(server, options) {
+  await draftMessage(server, { content: 'Please read the new rules.', ...options });
+  return confirmSend(server);
+}
+
+/**
+ * Click the acknowledgement button of the last DM of a member
+ * @param {Object} member - The member
+ * @returns {Promise<Object>} The button interaction
+ */
+async function acknowledge(member) {
+  const message = member.dmChannel.messages.cache.last();
+  const button = createButtonInteraction({
+    customId: message.payload.components[0].toJSON().components[0].custom_id,
+    message,
+    member,
+  });
+  await bot.handleInteraction(button);
+  return button;
+}
+
+test('the acknowledgement button records who read the broadcast once', async () => {
+  const server = createServer();
+  const [alice] = server.recipients;
+  const campaign = await sendAcknowledgedMessage(server, { acknowledgement: true });
+
+  const dmButton = alice.dms[0].components[0].toJSON().components[0];
+  assert.strictEqual(dmButton.custom_id, `ack_${campaign.id}`);
+  assert.strictEqual(dmButton.disabled, false);
+
+  const click = await acknowledge(alice);
+  const updated = click.responses[0];
+  assert.strictEqual(updated.type, 'update');
+  assert.deepStrictEqual(
+    updated.payload.components[0].toJSON().components[0],
+    { ...dmButton, label: t('en', 'acknowledgement.doneButton'), disabled: true }
+  );
+  assert.ok(bot.acknowledgementManager.getAcknowledgedAt(campaign.id, alice.id));
+
+  const secondClick = await acknowledge(alice);
+  assert.strictEqual(secondClick.responses[0].payload.embeds[0].data.title, t('en', 'acknowledgement.alreadyTitle'));
+});
+
+test('members who did not receive the broadcast cannot acknowledge it', async () => {
+  const server = createServer();
+  const campaign = await sendAcknowledgedMessage(server, { acknowledgement: true });
+
+  const button = createButtonInteraction({ customId: `ack_${campaign.id}`, member: server.author, channel: server.channel });
+  await bot.handleInteraction(button);
+
+  assert.strictEqual(button.responses[0].payload.embeds[0].data.title, t('en', 'acknowledgement.notRecipientTitle'));
+  assert.strictEqual(bot.acknowledgementManager.getAcknowledgedAt(campaign.id, server.author.id), null);
+});
+
+test('members who did not acknowledge are reminded until every member did', async () => {
+  const server = createServer();
+  const [alice, bob] = server.recipients;
+  const before = Date.now();
+  const campaign = await sendAcknowledgedMessage(server, { 'ack-reminder': 24 });
+
+  const { nextReminderAt } = bot.acknowledgementManager.get(campaign.id);
+  assert.ok(Date.parse(nextReminderAt) >= before + 24 * 60 * 60 * 1000);
+
+  await acknowledge(alice);
+  await bot.sendAcknowledgementReminders(campaign.id);
+
+  assert.strictEqual(alice.dms.length, 1);
+  assert.strictEqual(bob.dms.length, 2);
+  assert.strictEqual(bob.dms[1].content, t('en', 'acknowledgement.reminder', { server: server.guild.name }));
+  assert.deepStrictEqual(bob.dms[1].files, []);
+
+  await acknowledge(bob);
+  assert.strictEqual(bot.acknowledgementManager.get(campaign.id).nextReminderAt, null);
+});
+
+test('/history shows the acknowledgement rate of a campaign', async () => {
+  const server = createServer();
+  const [alice] = server.recipients;
+  const campaign = await sendAcknowledgedMessage(server, { acknowledgement: true });
+  await acknowledge(alice);
+
+  const history = createCommandInteraction({
+    commandName: 'history',
+    options: { campaign: campaign.id },
+    member: server.author,
+    channel: server.channel,
+  });
+  await bot.handleInteraction(history);
+
+  const { payload } = history.responses[0];
+  const field = payload.embeds[0].data.fields.find((entry) => entry.name === t('en', 'campaign.acknowledgement'));
+  assert.strictEqual(field.value, t('en', 'campaign.acknowledged', { count: 1, total: 2, rate: 50 }));
+
+  const csv = payload.files.find((file) => file.name.endsWith('.csv')).attachment.toString();
+  const [header, ...rows] = csv.split('\n').map((line) => line.split(','));
+  const acknowledgedAt = Object.fromEntries(rows.map((row) => [row[0], row[header.indexOf('acknowledged_at')]]));
+  assert.strictEqual(acknowledgedAt[alice.id], bot.acknowledgementManager.getAcknowledgedAt(campaign.id, alice.id));
+  assert.strictEqual(acknowledgedAt[server.recipients[1].id], '');
+});
@@ -0,0 +1,160 @@
+/**
+ * Tests of the audiences: roles, filters and uploaded lists of user IDs
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+
+const { createGuild, createRole, createMember } = require('./helpers/discord');
+const {
+  createAudience,
+  isAudienceEmpty,
+  matchesFilters,
+  parseFilterInput,
+  parseUserIdList,
+  resolveAudience,
+  describeAudience,
+} = require('../src/audience');
+
+const NOW = Date.parse('2026-06-01T00:00:00Z');
+
+test('join date filters keep members who joined in the range', () => {
+  const guild = createGuild();
+  const early = createMember(guild, { username: 'early', joinedAt: new Date('2025-12-31T23:00:00Z') });
+  const onTime = createMember(guild, { username: 'onTime', joinedAt: new Date('2026-01-01T00:00:00Z') });
+  const late = createMember(guild, { username: 'late', joinedAt: new Date('2026-03-01T00:00:00Z') });
+  const filters = { joinedAfter: '2026-01-01', joinedBefore: '2026-03-01' };
+
+  assert.strictEqual(matchesFilters(early, filters, NOW), false);
+  assert.strictEqual(matchesFilters(onTime, filters, NOW), true);
+  assert.strictEqual(matchesFilters(late, filters, NOW), false);
+});
+
+test('the account age filter drops recent accounts', () => {
+  const guild = createGuild();
+  const old = createMember(guild, { username: 'old', createdAt: new Date('2026-01-01T00:00:00Z') });
+  const recent = createMember(guild, { username: 'recent', createdAt: new Date('2026-05-25T00:00:00Z') });
+
+  assert.strictEqual(matchesFilters(old, { minAccountAgeDays: 30 }, NOW), true);
+  assert.strictEqual(matchesFilters(recent, { minAccountAgeDays: 30 }, NOW), false);
+});
+
+test('the presence filter treats members with an unknown presence as offline', () => {
+  const guild = createGuild();
+  const online = createMember(guild, { username: 'online', status: 'online' });
+  const unknown = createMember(guild, { username: 'unknown' });
+
+  assert.strictEqual(matchesFilters(online, { presence: ['online', 'idle'] }, NOW), true);
+  assert.strictEqual(matchesFilters(unknown, { presence: ['online', 'idle'] }, NOW), false);
+  assert.strictEqual(matchesFilters(unknown, { presence: ['offline'] }, NOW), true);
+});
+
+test('roles combine with OR, AND and NOT, and members holding several roles are resolved once', () => {
+  const guild = createGuild();
+  const [players, streamers, verified, staff] = ['Players', 'Streamers', 'Verified', 'Staff'].map((name) => createRole(guild, { name }));
+  const both = createMember(guild, { username: 'both', roles: [players, streamers, verified] });
+  const streamer = createMember(guild, { username: 'streamer', roles: [streamers, verified] });
+  createMember(guild, { username: 'unverified', roles: [players] });
+  createMember(guild, { username: 'moderator', roles: [players, verified, staff] });
+  createMember(guild, { username: 'verified', roles: [verified] });
+
+  const audience = { ...createAudience(), anyOf: [players.id, streamers.id], allOf: [verified.id], noneOf: [staff.id] };
+  assert.deepStrictEqual([...resolveAudience(guild, audience).keys()], [both.id, streamer.id]);
+
+  // Without a role to include, excluding roles matches nobody
+  assert.strictEqual(isAudienceEmpty({ ...createAudience(), noneOf: [staff.id] }), true);
+  assert.strictEqual(resolveAudience(guild, { ...createAudience(), noneOf: [staff.id] }).size, 0);
+});
+
+test('a user list is an audience on its own and combines with roles', () => {
+  const guild = createGuild();
+  const role = createRole(guild, { name: 'Players' });
+  const alice = createMember(guild, { username: 'alice', roles: [role] });
+  const bob = createMember(guild, { username: 'bob' });
+  createMember(guild, { username: 'carol', roles: [role] });
+
+  const audience = { ...createAudience(), filters: { userIds: [alice.id, bob.id] } };
+  assert.strictEqual(isAudienceEmpty(audience), false);
+  assert.deepStrictEqual([...resolveAudience(guild, audience).keys()], [alice.id, bob.id]);
+
+  audience.anyOf.push(role.id);
+  assert.deepStrictEqual([...resolveAudience(guild, audience).keys()], [alice.id]);
+});
+
+test('parseFilterInput parses the modal fields and keeps the user list', () => {
+  const { filters, errors } = parseFilterInput({
+    joinedAfter: '2026-01-01',
+    joinedBefore: '',
+    accountAge: '30',
+    presence: 'Online, idle',
+  }, { userIds: ['123456789012345678'], joinedBefore: '2026-02-01' });
+
+  assert.deepStrictEqual(errors, []);
+  assert.deepStrictEqual(filters, {
+    userIds: ['123456789012345678'],
+    joinedAfter: '2026-01-01',
+    minAccountAgeDays: 30,
+    presence: ['online', 'idle'],
+  });
+});
+
+test('parseFilterInput reports every invalid value', () => {
+  const { errors } = parseFilterInput({
+    joinedAfter: '01/01/2026',
+    joinedBefore: '2026-13-45',
+    accountAge: '-3',
+    presence: 'online, away',
+  });
+
+  assert.deepStrictEqual(errors, [
+    { type: 'date', value: '01/01/2026' },
+    { type: 'date', value: '2026-13-45' },
+    { type: 'days', value: '-3' },
+    { type: 'presence', value: 'away' },
+  ]);
+});
+
+test('parseUserIdList finds every ID of a CSV file once', () => {
+  const csv = 'id,name\n123456789012345678,alice\n234567890123456789,bob\n123456789012345678,alice again\n42,not an id\n';
+
+  assert.deepStrictEqual(parseUserIdList(csv), ['123456789012345678', '234567890123456789']);
+  assert.deepStrictEqual(parseUserIdList('no ids here'), []);
+});
+
+test('describeAudience lists the user list, the roles and the filters', () => {
+  const guild = createGuild();
+  const players = createRole(guild, { name: 'Players' });
+  const staff = createRole(guild, { name: 'Staff' });
+
+  const audience = {
+    anyOf: [players.id],
+    allOf: [],
+    noneOf: [staff.id],
+    filters: { userIds: ['123456789012345678', '234567890123456789'], joinedAfter: '2026-01-01', presence: ['online'] },
+  };
+
+  assert.strictEqual(
+    describeAudience(guild, audience, 'en-US'),
+    'listed users (2) AND Players NOT Staff AND joined on or after 2026-01-01 AND online'
+  );
+  assert.strictEqual(describeAudience(guild, createAudience(), 'en-US'), 'nobody');
+});
+
+test('describeAudience is written in the language of the reader', () => {
+  const guild = createGuild();
+  const players = createRole(guild, { name: 'Players' });
+  const streamers = createRole(guild, { name: 'Streamers' });
+
+  const audience = {
+    anyOf: [players.id, streamers.id, 'deleted'],
+    allOf: [],
+    noneOf: [],
+    filters: { userIds: ['123456789012345678'], minAccountAgeDays: 30, presence: ['idle', 'dnd'] },
+  };
+
+  assert.strictEqual(
+    describeAudience(guild, audience, 'pt-BR'),
+    'usuários listados (1) E (Players OU Streamers OU cargo-excluído) E conta com mais de 30 dias E ausente/não perturbe'
+  );
+  assert.strictEqual(describeAudience(guild, createAudience(), 'es-ES'), 'nadie');
+});
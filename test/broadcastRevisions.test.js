@@ -0,0 +1,196 @@
+/**
+ * Tests of /broadcast: editing and recalling the messages of a delivered broadcast
+ */
+
+const { test, after } = require('node:test');
+const assert = require('node:assert');
+
+const { loadBot } = require('./helpers/bot');
+const { createBroadcastFixtures } = require('./helpers/broadcasts');
+const {
+  createChannel,
+  createMember,
+  createCommandInteraction,
+  createButtonInteraction,
+  createModalInteraction,
+} = require('./helpers/discord');
+const { getFailureReason } = require('../src/deliveryReport');
+const { t } = require('../src/i18n');
+
+const { bot, cleanup } = loadBot();
+after(cleanup);
+// Required once the bot configured the log level
+const { logger } = require('../src/logger');
+
+const { createServer, draftMessage, confirmSend } = createBroadcastFixtures(bot);
+
+/**
+ * Create a server with a role of two members and deliver a message to them
+ * @returns {Promise<Object>} The guild, its channel, the admin author, the members of the role and the campaign
+ */
+async function deliverBroadcast() {
+  const server = createServer();
+  await draftMessage(server, { content: 'Event at 8pm, {username}!' });
+  return { ...server, campaign: await confirmSend(server) };
+}
+
+/**
+ * Get the message a member received in DM
+ * @param {Object} member - The member
+ * @returns {Object|undefined} The DM, undefined once it was deleted
+ */
+const findDm = (member) => member.dmChannel.messages.cache.first();
+
+test('delivered messages are recorded and edited with the new content', async () => {
+  const { channel, author, recipients, campaign } = await deliverBroadcast();
+  const [alice, bob] = recipients;
+  const dm = findDm(alice);
+  assert.strictEqual(campaign.recipients.find((recipient) => recipient.id === alice.id).messageId, dm.id);
+
+  const command = createCommandInteraction({
+    commandName: 'broadcast',
+    subcommand: 'edit',
+    options: { campaign: campaign.id },
+    member: author,
+    channel,
+  });
+  await bot.handleInteraction(command);
+  const modal = command.responses[0].payload.toJSON();
+  assert.strictEqual(modal.custom_id, `broadcast_edit_modal_${campaign.id}`);
+  assert.strictEqual(modal.components[0].components[0].value, campaign.content);
+
+  const submit = createModalInteraction({
+    customId: modal.custom_id,
+    fields: { content: 'Event moved to 9pm, {username}!' },
+    member: author,
+    channel,
+  });
+  await bot.handleInteraction(submit);
+
+  assert.strictEqual(dm.payloads.length, 2);
+  assert.match(dm.payload.embeds[0].data.description, /Event moved to 9pm, alice!/);
+  assert.match(findDm(bob).payload.embeds[0].data.description, /Event moved to 9pm, bob!/);
+  assert.strictEqual(bot.campaignStore.get(campaign.id).content, 'Event moved to 9pm, {username}!');
+
+  const report = submit.replyMessage.payload;
+  assert.strictEqual(report.embeds[0].data.title, t('en', 'revision.editReportTitle'));
+  assert.strictEqual(report.files[0].name.startsWith('revision-'), true);
+});
+
+test('recalling deletes the delivered messages and reports the ones already gone', async () => {
+  const { channel, author, recipients, campaign } = await deliverBroadcast();
+  const [alice, bob] = recipients;
+  // The DM of Bob is already gone, e.g. deleted by an interrupted recall
+  await findDm(bob).delete();
+
+  const command = createCommandInteraction({
+    commandName: 'broadcast',
+    subcommand: 'recall',
+    options: { campaign: campaign.id },
+    member: author,
+    channel,
+  });
+  await bot.handleInteraction(command);
+  const button = command.responses[0].payload.components[0].toJSON().components[0];
+  assert.strictEqual(button.custom_id, `broadcast_recall_${campaign.id}`);
+
+  const confirm = createButtonInteraction({ customId: button.custom_id, member: author, channel });
+  await bot.handleInteraction(confirm);
+
+  assert.strictEqual(findDm(alice), undefined);
+  const [revision] = bot.revisionStore.list((entry) => entry.campaignId === campaign.id);
+  assert.strictEqual(revision.status, 'completed');
+  assert.strictEqual(getFailureReason(revision.recipients.find((recipient) => recipient.id === bob.id)), 'message_missing');
+  assert.ok(bot.campaignStore.get(campaign.id).recalledAt);
+
+  const again = createCommandInteraction({
+    commandName: 'broadcast',
+    subcommand: 'recall',
+    options: { campaign: campaign.id },
+    member: author,
+    channel,
+  });
+  await bot.handleInteraction(again);
+  assert.strictEqual(again.responses[0].payload.embeds[0].data.description, t('en', 'revision.alreadyRecalled', { id: campaign.id }));
+});
+
+test('revisions interrupted by a restart resume, and those of a deleted campaign are stopped', async (context) => {
+  const { guild, recipients, campaign } = await deliverBroadcast();
+  const logError = context.mock.method(logger, 'error', () => {});
+  const interrupted = (id, campaignId, minutesAgo) => bot.revisionStore.create({
+    id,
+    campaignId,
+    guildId: guild.id,
+    action: 'recall',
+    locale: 'en',
+    createdAt: new Date(Date.now() - minutesAgo * 60 * 1000).toISOString(),
+    posts: [],
+    recipients: campaign.recipients.map(({ id: userId, messageId, messageChannelId }) => ({ id: userId, messageId, messageChannelId })),
+  });
+  // Resumed newest first, so the broken revision comes before the other one
+  interrupted(`${campaign.id}-orphan`, 'deleted-campaign', 1);
+  interrupted(`${campaign.id}-recall`, campaign.id, 2);
+
+  await bot.resumeUnfinishedRevisions();
+
+  assert.strictEqual(bot.revisionStore.get(`${campaign.id}-orphan`).status, 'aborted');
+  assert.strictEqual(logError.mock.calls[0].arguments[0], 'Cannot resume revision: campaign not found');
+  assert.strictEqual(bot.revisionStore.get(`${campaign.id}-recall`).status, 'completed');
+  recipients.forEach((member) => assert.strictEqual(findDm(member), undefined));
+});
+
+test('only the author and administrators can change a broadcast', async () => {
+  const { guild, channel, campaign } = await deliverBroadcast();
+  const staff = createMember(guild, { username: 'moderator' });
+  bot.permissionManager.grant(guild.id, 'send', 'user', staff.id);
+
+  const command = createCommandInteraction({
+    commandName: 'broadcast',
+    subcommand: 'recall',
+    options: { campaign: campaign.id },
+    member: staff,
+    channel,
+  });
+  await bot.handleInteraction(command);
+
+  assert.strictEqual(command.responses[0].payload.embeds[0].data.description, t('en', 'revision.notAllowed'));
+});
+
+test('edits of broadcasts needing approval change the messages once another staff member approves them', async () => {
+  const { guild, channel, author, recipients, campaign } = await deliverBroadcast();
+  const [alice] = recipients;
+  const reviewChannel = createChannel(guild, { name: 'reviews' });
+  const reviewer = createMember(guild, { username: 'reviewer' });
+  bot.permissionManager.grant(guild.id, 'approve', 'user', reviewer.id);
+  await bot.handleInteraction(createCommandInteraction({
+    commandName: 'config',
+    subcommand: 'approval',
+    options: { threshold: 1, channel: reviewChannel },
+    member: author,
+    channel,
+  }));
+
+  await bot.handleInteraction(createModalInteraction({
+    customId: `broadcast_edit_modal_${campaign.id}`,
+    fields: { content: 'Event moved to 9pm, {username}!' },
+    member: author,
+    channel,
+  }));
+
+  assert.strictEqual(findDm(alice).payloads.length, 1);
+  assert.strictEqual(bot.campaignStore.get(campaign.id).content, 'Event at 8pm, {username}!');
+  const review = reviewChannel.messages.cache.first();
+  assert.strictEqual(review.payload.embeds[0].data.title, t('en', 'approval.editTitle'));
+  const approveId = review.payload.components[0].toJSON().components[0].custom_id;
+
+  const own = createButtonInteraction({ customId: approveId, member: author, channel: reviewChannel });
+  await bot.handleInteraction(own);
+  assert.strictEqual(own.responses[0].payload.embeds[0].data.title, t('en', 'approval.ownCampaignTitle'));
+  assert.strictEqual(findDm(alice).payloads.length, 1);
+
+  await bot.handleInteraction(createButtonInteraction({ customId: approveId, member: reviewer, channel: reviewChannel }));
+
+  assert.match(findDm(alice).payload.embeds[0].data.description, /Event moved to 9pm, alice!/);
+  assert.strictEqual(bot.campaignStore.get(campaign.id).content, 'Event moved to 9pm, {username}!');
+  assert.strictEqual(bot.revisionStore.get(approveId.split('_')[2]).approval.reviewerId, reviewer.id);
+});
@@ -0,0 +1,104 @@
+/**
+ * Tests of the content safety checks: length, blocked words, links and mentions
+ */
+
+const { test, after } = require('node:test');
+const assert = require('node:assert');
+
+const { loadBot } = require('./helpers/bot');
+const { createBroadcastFixtures } = require('./helpers/broadcasts');
+const { createCommandInteraction, createButtonInteraction } = require('./helpers/discord');
+const { MAX_CONTENT_LENGTH, parseDomainList, checkContent } = require('../src/contentSafety');
+const { t } = require('../src/i18n');
+
+const { bot, cleanup } = loadBot();
+after(cleanup);
+
+const { createServer, draftMessage, confirmSend } = createBroadcastFixtures(bot);
+
+const NO_RULES = { blockedWords: [], allowedLinks: [] };
+
+/**
+ * Find a button of the preview
+ * @param {Object} preview - The preview message
+ * @param {string} prefix - Start of the custom ID of the button
+ * @returns {Object|undefined} The button, as JSON
+ */
+const findButton = (preview, prefix) => preview.payload.components
+  .flatMap((row) => row.toJSON().components)
+  .find((component) => component.custom_id?.startsWith(prefix));
+
+test('messages too long for an embed are errors, in every language', () => {
+  const { errors } = checkContent({ en: 'Hello', pt: 'a'.repeat(MAX_CONTENT_LENGTH + 1) }, NO_RULES);
+
+  assert.deepStrictEqual(errors, [{ key: 'tooLong', params: { language: 'pt', length: MAX_CONTENT_LENGTH + 1, max: MAX_CONTENT_LENGTH } }]);
+});
+
+test('blocked words are matched whole and links must point to an allowed domain', () => {
+  const safety = { blockedWords: ['scam'], allowedLinks: parseDomainList('https://www.example.com/, youtube.com') };
+  const { errors } = checkContent({
+    en: 'Not a SCAM: see https://docs.example.com/rules, https://youtu.be/x and https://evil.test/scam. Scammers beware.',
+  }, safety);
+
+  assert.deepStrictEqual(safety.allowedLinks, ['example.com', 'youtube.com']);
+  assert.deepStrictEqual(errors, [
+    { key: 'blockedWord', params: { word: 'scam' } },
+    { key: 'blockedLink', params: { host: 'youtu.be' } },
+    { key: 'blockedLink', params: { host: 'evil.test' } },
+  ]);
+});
+
+test('mass mentions, role mentions and invites are warnings', () => {
+  const { errors, warnings } = checkContent({ en: '@everyone <@&123> join discord.gg/abc, @here!' }, NO_RULES);
+
+  assert.deepStrictEqual(errors, []);
+  assert.deepStrictEqual(warnings.map(({ key }) => key), ['inviteLink', 'massMention', 'massMention', 'roleMention']);
+  assert.deepStrictEqual(warnings[0].params, { link: 'discord.gg/abc' });
+});
+
+test('warnings must be acknowledged before the send is enabled, and mentions notify nobody', async () => {
+  const server = createServer();
+  const preview = await draftMessage(server, { content: '@everyone the event starts now!' });
+
+  assert.strictEqual(findButton(preview, 'confirm_send_').disabled, true);
+  const warnings = preview.payload.embeds[0].data.fields.find((field) => field.name === t('en', 'safety.warningsTitle'));
+  assert.strictEqual(warnings.value, `• ${t('en', 'safety.massMention', { mention: '@everyone' })}`);
+
+  const early = createButtonInteraction({ customId: `confirm_send_${server.author.id}`, member: server.author, channel: server.channel });
+  await bot.handleInteraction(early);
+  assert.strictEqual(early.responses[0].payload.embeds[0].data.title, t('en', 'safety.unacknowledgedTitle'));
+
+  await bot.handleInteraction(createButtonInteraction({
+    customId: findButton(preview, 'safety_ack_').custom_id,
+    member: server.author,
+    channel: server.channel,
+  }));
+  assert.strictEqual(findButton(preview, 'confirm_send_').disabled, false);
+  assert.strictEqual(findButton(preview, 'safety_ack_'), undefined);
+
+  await confirmSend(server);
+  const [alice] = server.recipients;
+  assert.deepStrictEqual(alice.dms[0].allowedMentions, { parse: [] });
+});
+
+test('/config safety blocks words in the next drafts', async () => {
+  const server = createServer();
+  await bot.handleInteraction(createCommandInteraction({
+    commandName: 'config',
+    subcommand: 'safety',
+    options: { 'blocked-words': 'Giveaway, free nitro' },
+    member: server.author,
+    channel: server.channel,
+  }));
+
+  const preview = await draftMessage(server, { content: 'Claim your FREE NITRO now' });
+  const errors = preview.payload.embeds[0].data.fields.find((field) => field.name === t('en', 'safety.errorsTitle'));
+  assert.strictEqual(errors.value, `• ${t('en', 'safety.blockedWord', { word: 'free nitro' })}`);
+  assert.strictEqual(findButton(preview, 'confirm_send_').disabled, true);
+
+  const confirm = createButtonInteraction({ customId: `confirm_send_${server.author.id}`, member: server.author, channel: server.channel });
+  await bot.handleInteraction(confirm);
+  assert.strictEqual(confirm.responses[0].payload.embeds[0].data.title, t('en', 'safety.blockedTitle'));
+  assert.strictEqual(server.recipients[0].dms.length, 0);
+  await bot.handleInteraction(createCommandInteraction({ commandName: 'cancel', member: server.author, channel: server.channel }));
+});
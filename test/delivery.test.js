@@ -0,0 +1,395 @@
+/**
+ * Tests of confirm_send_: delivery of the DMs, failures, rate limits, aborts and relayed replies
+ */
+
+const { test, after } = require('node:test');
+const assert = require('node:assert');
+const { Collection } = require('discord.js');
+
+const { loadBot } = require('./helpers/bot');
+const { createBroadcastFixtures } = require('./helpers/broadcasts');
+const {
+  createDmsClosedError,
+  createRateLimitError,
+  createChannel,
+  createMember,
+  createCommandInteraction,
+  createButtonInteraction,
+} = require('./helpers/discord');
+const { getFailureReason } = require('../src/deliveryReport');
+const { t } = require('../src/i18n');
+
+const { bot, cleanup } = loadBot();
+after(cleanup);
+// Required once the bot configured the log level
+const { logger } = require('../src/logger');
+const RelayManager = require('../src/RelayManager');
+
+const { createServer, draftMessage, confirmSend } = createBroadcastFixtures(bot);
+
+/**
+ * Find the recipient entry of a member in a campaign
+ * @param {Object} campaign - The campaign
+ * @param {Object} member - The member
+ * @returns {Object} The recipient entry
+ */
+const findRecipient = (campaign, member) => campaign.recipients.find((recipient) => recipient.id === member.id);
+
+test('confirm_send_ sends one DM per member and shows the report', async () => {
+  const server = createServer([{ username: 'alice' }, { username: 'bob' }]);
+  const preview = await draftMessage(server);
+  const campaign = await confirmSend(server);
+
+  assert.strictEqual(campaign.status, 'completed');
+  assert.strictEqual(bot.interactionManager.hasState(server.author.id), false);
+  server.recipients.forEach((member) => {
+    assert.strictEqual(member.dms.length, 1);
+    assert.strictEqual(findRecipient(campaign, member).status, 'sent');
+  });
+  assert.match(server.recipients[0].dms[0].embeds[0].data.description, /Hello alice!/);
+  assert.strictEqual(preview.payload.embeds[0].data.title, t('en', 'report.title'));
+});
+
+test('members who closed their DMs, bots and members who left are reported as failed', async () => {
+  const server = createServer([
+    { username: 'alice' },
+    { username: 'closed', dmErrors: [createDmsClosedError()] },
+    { username: 'robot', bot: true },
+    { username: 'gone' },
+  ]);
+  const [alice, closed, robot, gone] = server.recipients;
+  const preview = await draftMessage(server);
+  // Leaves once the recipients are listed, before receiving the DM
+  const { fetch } = server.guild.members;
+  server.guild.members.fetch = async (id) => {
+    if (id === gone.id) throw Object.assign(new Error('Unknown Member'), { code: 10007, status: 404 });
+    return fetch.call(server.guild.members, id);
+  };
+
+  const campaign = await confirmSend(server);
+
+  assert.strictEqual(findRecipient(campaign, alice).status, 'sent');
+  assert.strictEqual(getFailureReason(findRecipient(campaign, closed)), 'dms_closed');
+  assert.strictEqual(getFailureReason(findRecipient(campaign, robot)), 'bot');
+  assert.strictEqual(getFailureReason(findRecipient(campaign, gone)), 'left_server');
+  assert.strictEqual(robot.dms.length, 0);
+
+  // Only the member whose DMs were closed may be reached by a retry
+  const retryButton = preview.payload.components[0].toJSON().components[0];
+  assert.strictEqual(retryButton.custom_id, `retry_failed_${campaign.id}`);
+  assert.strictEqual(retryButton.label, t('en', 'report.retry', { count: 1 }));
+});
+
+test('a delivered DM stays delivered when the reply relay cannot record it', async (context) => {
+  const server = createServer([{ username: 'alice' }, { username: 'bob' }]);
+  context.mock.method(RelayManager.prototype, 'recordDelivery', () => {
+    throw new Error('Disk full');
+  });
+  const logError = context.mock.method(logger, 'error', () => {});
+  await draftMessage(server);
+
+  const campaign = await confirmSend(server);
+
+  server.recipients.forEach((member) => {
+    assert.strictEqual(findRecipient(campaign, member).status, 'sent');
+    assert.strictEqual(member.dms.length, 1);
+  });
+  assert.strictEqual(logError.mock.calls[0].arguments[0], 'Error recording the delivery for the reply relay');
+});
+
+test('quick replies of a member are relayed to a single staff thread', async () => {
+  const server = createServer([{ username: 'alice' }, { username: 'bob' }]);
+  const [alice] = server.recipients;
+  const relayChannel = createChannel(server.guild, { name: 'replies' });
+  await bot.handleInteraction(createCommandInteraction({
+    commandName: 'config',
+    subcommand: 'relay-channel',
+    options: { channel: relayChannel },
+    member: server.author,
+    channel: server.channel,
+  }));
+  await draftMessage(server);
+  await confirmSend(server);
+
+  /**
+   * Build a DM sent by Alice to the bot
+   * @param {string} content - Text of the DM
+   * @returns {Object} The message
+   */
+  const createReply = (content) => ({
+    content,
+    guildId: null,
+    author: { ...alice.user, displayAvatarURL: () => 'https://cdn.discordapp.com/embed/avatars/0.png' },
+    attachments: new Collection(),
+    createdAt: new Date(),
+    react: async () => {},
+  });
+  const [relay] = bot.client.listeners('messageCreate');
+  await Promise.all([relay(createReply('Thanks!')), relay(createReply('See you there'))]);
+
+  assert.strictEqual(relayChannel.threads.created.length, 1);
+  assert.strictEqual(relayChannel.threads.created[0].thread.messages.cache.size, 2);
+});
+
+test('delivery outcomes are counted in the metrics', async () => {
+  /**
+   * Read a sample of the metrics of the bot
+   * @param {string} sample - Metric name and labels, e.g. privmsg_dms_sent_total
+   * @returns {number} The value, 0 if the sample was never recorded
+   */
+  const readMetric = (sample) => {
+    const line = bot.metrics.render().split('\n').find((entry) => entry.startsWith(`${sample} `));
+    return line ? Number(line.split(' ')[1]) : 0;
+  };
+  const before = {
+    sent: readMetric('privmsg_dms_sent_total'),
+    closed: readMetric('privmsg_dms_failed_total{reason="dms_closed"}'),
+    rateLimits: readMetric('privmsg_rate_limit_hits_total'),
+  };
+
+  const server = createServer([
+    { username: 'alice', dmErrors: [createRateLimitError()] },
+    { username: 'closed', dmErrors: [createDmsClosedError()] },
+  ]);
+  await draftMessage(server);
+  await confirmSend(server);
+
+  assert.strictEqual(readMetric('privmsg_dms_sent_total') - before.sent, 1);
+  assert.strictEqual(readMetric('privmsg_dms_failed_total{reason="dms_closed"}') - before.closed, 1);
+  assert.strictEqual(readMetric('privmsg_rate_limit_hits_total') - before.rateLimits, 1);
+  assert.strictEqual(readMetric('privmsg_delivery_queue_depth'), 0);
+});
+
+test('rate limited DMs are sent again once Discord allows it', async () => {
+  const server = createServer([
+    { username: 'alice', dmErrors: [createRateLimitError(), createRateLimitError()] },
+    { username: 'bob' },
+  ]);
+  await draftMessage(server);
+  const campaign = await confirmSend(server);
+
+  const alice = findRecipient(campaign, server.recipients[0]);
+  assert.strictEqual(alice.status, 'sent');
+  assert.strictEqual(alice.attempts, 3);
+  assert.strictEqual(server.recipients[0].dms.length, 1);
+  assert.strictEqual(findRecipient(campaign, server.recipients[1]).status, 'sent');
+});
+
+test('members still rate limited after every retry are reported as failed', async () => {
+  const errors = Array.from({ length: 11 }, () => createRateLimitError(1));
+  const server = createServer([{ username: 'alice', dmErrors: errors }, { username: 'bob' }]);
+  await draftMessage(server);
+  const campaign = await confirmSend(server);
+
+  const alice = findRecipient(campaign, server.recipients[0]);
+  assert.strictEqual(alice.status, 'failed');
+  assert.strictEqual(getFailureReason(alice), 'rate_limited');
+  assert.strictEqual(findRecipient(campaign, server.recipients[1]).status, 'sent');
+});
+
+test('transient errors are retried with backoff', async () => {
+  const serverError = Object.assign(new Error('Internal Server Error'), { status: 500 });
+  const server = createServer([{ username: 'alice', dmErrors: [serverError] }, { username: 'bob' }]);
+  await draftMessage(server);
+  const campaign = await confirmSend(server);
+
+  assert.strictEqual(findRecipient(campaign, server.recipients[0]).status, 'sent');
+  assert.strictEqual(findRecipient(campaign, server.recipients[0]).attempts, 2);
+});
+
+test('/cancel aborts a running delivery', async () => {
+  const server = createServer([{ username: 'alice' }, { username: 'bob' }, { username: 'carol' }]);
+  const [alice] = server.recipients;
+  await draftMessage(server);
+
+  // Hold the first DM until /cancel has been used
+  let releaseFirstDm;
+  const firstDmStarted = new Promise((resolve) => {
+    const send = alice.send;
+    alice.send = async (payload) => {
+      resolve();
+      await new Promise((release) => { releaseFirstDm = release; });
+      return send(payload);
+    };
+  });
+
+  const delivery = confirmSend(server);
+  await firstDmStarted;
+
+  const cancel = createCommandInteraction({ commandName: 'cancel', member: server.author, channel: server.channel });
+  await bot.handleInteraction(cancel);
+  assert.strictEqual(cancel.responses[0].payload.embeds[0].data.title, t('en', 'report.abortedTitle'));
+
+  releaseFirstDm();
+  const campaign = await delivery;
+
+  assert.strictEqual(campaign.status, 'aborted');
+  assert.strictEqual(findRecipient(campaign, alice).status, 'sent');
+  assert.deepStrictEqual(
+    server.recipients.slice(1).map((member) => findRecipient(campaign, member).status),
+    ['pending', 'pending']
+  );
+});
+
+test('two quick clicks on confirm_send_ send the draft once', async () => {
+  const server = createServer([{ username: 'alice' }, { username: 'bob' }]);
+  await draftMessage(server);
+
+  const clicks = [1, 2].map(() => createButtonInteraction({ customId: `confirm_send_${server.author.id}`, member: server.author, channel: server.channel }));
+  await Promise.all(clicks.map((click) => bot.handleInteraction(click)));
+
+  assert.strictEqual(clicks.filter((click) => bot.campaignStore.get(click.id)).length, 1);
+  server.recipients.forEach((member) => assert.strictEqual(member.dms.length, 1));
+});
+
+test('resuming a campaign paused before a restart sends its DMs once, however many clicks', async () => {
+  const server = createServer([{ username: 'alice' }, { username: 'bob' }]);
+  await draftMessage(server);
+  const delivered = await confirmSend(server);
+
+  // The same campaign as stored by a bot restarted while it was paused, and while it was running
+  const restart = (status) => {
+    const campaign = {
+      ...delivered,
+      id: `${delivered.id}-${status}`,
+      status,
+      completedAt: null,
+      recipients: delivered.recipients.map((recipient) => ({ ...recipient, status: 'pending', attempts: 0 })),
+    };
+    bot.campaignStore.save(campaign);
+    return campaign;
+  };
+  const clickResume = (campaign) => createButtonInteraction({ customId: `delivery_resume_${campaign.id}`, member: server.author, channel: server.channel });
+
+  // Waiting to be resumed after the restart: the button only shows the progress
+  const waiting = clickResume(restart('running'));
+  await bot.handleInteraction(waiting);
+  assert.strictEqual(waiting.responses[0].type, 'update');
+  server.recipients.forEach((member) => assert.strictEqual(member.dms.length, 1));
+
+  const paused = restart('paused');
+  const clicks = [clickResume(paused), clickResume(paused)];
+  await Promise.all(clicks.map((click) => bot.handleInteraction(click)));
+
+  assert.strictEqual(bot.campaignStore.get(paused.id).status, 'completed');
+  server.recipients.forEach((member) => assert.strictEqual(member.dms.length, 2));
+});
+
+test('campaigns paused or aborted while waiting to be resumed after a restart are not delivered', async () => {
+  const server = createServer([{ username: 'alice' }, { username: 'bob' }]);
+  const [alice, bob] = server.recipients;
+  await draftMessage(server);
+  const delivered = await confirmSend(server);
+
+  // Stored by a bot restarted while they were running, resumed newest first
+  const restart = (name, minutesAgo) => {
+    const campaign = {
+      ...delivered,
+      id: `${delivered.id}-${name}`,
+      status: 'running',
+      createdAt: new Date(Date.now() - minutesAgo * 60 * 1000).toISOString(),
+      completedAt: null,
+      recipients: delivered.recipients.map((recipient) => ({ ...recipient, status: 'pending', attempts: 0 })),
+    };
+    bot.campaignStore.save(campaign);
+    return campaign;
+  };
+  restart('first', 1);
+  const toPause = restart('paused', 2);
+  const toAbort = restart('aborted', 3);
+  const click = (action, campaign) => createButtonInteraction({ customId: `delivery_${action}_${campaign.id}`, member: server.author, channel: server.channel });
+
+  // The first campaign holds its DM to alice while the others are stopped
+  let started;
+  let release;
+  const dmStarted = new Promise((resolve) => { started = resolve; });
+  const { send } = alice;
+  alice.send = async (payload) => {
+    alice.send = send;
+    started();
+    await new Promise((resolve) => { release = resolve; });
+    return send(payload);
+  };
+
+  const resuming = bot.resumeUnfinishedCampaigns();
+  await dmStarted;
+  await bot.handleInteraction(click('pause', toPause));
+  await bot.handleInteraction(click('abort', toAbort));
+  release();
+  await resuming;
+
+  assert.strictEqual(bot.campaignStore.get(toPause.id).status, 'paused');
+  assert.strictEqual(bot.campaignStore.get(toAbort.id).status, 'aborted');
+  assert.strictEqual(alice.dms.length, 2);
+  assert.strictEqual(bob.dms.length, 2);
+});
+
+test('pausing a campaign no delivery is running is not recorded', async (context) => {
+  const server = createServer([{ username: 'alice' }, { username: 'bob' }]);
+  await draftMessage(server);
+  const delivered = await confirmSend(server);
+  bot.campaignStore.save({ ...delivered, status: 'paused', completedAt: null });
+
+  const auditLog = context.mock.method(require('../src/AuditLog').prototype, 'record');
+  const pause = createButtonInteraction({ customId: `delivery_pause_${delivered.id}`, member: server.author, channel: server.channel });
+  await bot.handleInteraction(pause);
+
+  assert.strictEqual(pause.responses[0].type, 'update');
+  assert.strictEqual(auditLog.mock.calls.filter((call) => call.arguments[0] === 'campaign.paused').length, 0);
+});
+
+test('failed members are retried once, whichever copy of the report is clicked', async () => {
+  const server = createServer([{ username: 'alice' }, { username: 'closed', dmErrors: [createDmsClosedError()] }]);
+  const [alice, closed] = server.recipients;
+  const preview = await draftMessage(server);
+  const campaign = await confirmSend(server);
+
+  // The original report and its copy in the report channel, clicked at the same time
+  const clickRetry = (message) => createButtonInteraction({ customId: `retry_failed_${campaign.id}`, message, member: server.author, channel: server.channel });
+  const clicks = [clickRetry(preview), clickRetry(null)];
+  await Promise.all(clicks.map((click) => bot.handleInteraction(click)));
+
+  assert.strictEqual(alice.dms.length, 1);
+  assert.strictEqual(closed.dms.length, 1);
+  assert.deepStrictEqual(clicks.map((click) => click.responses[0].type), ['update', 'reply']);
+  assert.strictEqual(clicks[1].responses[0].payload.embeds[0].data.title, t('en', 'report.alreadyRetriedTitle'));
+  assert.deepStrictEqual(preview.payload.components, []);
+  assert.ok(bot.campaignStore.get(campaign.id).retriedAt);
+});
+
+test('retries go through the content safety checks and the sending quotas', async () => {
+  const server = createServer([{ username: 'alice' }, { username: 'closed', dmErrors: [createDmsClosedError(), createDmsClosedError()] }]);
+  const [, closed] = server.recipients;
+  const staff = createMember(server.guild, { username: 'moderator' });
+  bot.permissionManager.grant(server.guild.id, 'send', 'user', staff.id);
+  await draftMessage({ ...server, author: staff });
+  const campaign = await confirmSend({ ...server, author: staff });
+  const clickRetry = (member) => createButtonInteraction({ customId: `retry_failed_${campaign.id}`, member, channel: server.channel });
+  const configure = (subcommand, options) => bot.handleInteraction(createCommandInteraction({
+    commandName: 'config',
+    subcommand,
+    options,
+    member: server.author,
+    channel: server.channel,
+  }));
+
+  await configure('safety', { 'blocked-words': 'hello' });
+  const blocked = clickRetry(staff);
+  await bot.handleInteraction(blocked);
+  assert.strictEqual(blocked.responses[0].payload.embeds[0].data.title, t('en', 'safety.blockedTitle'));
+  await configure('safety', { 'blocked-words': 'none' });
+
+  // The cooldown of the role does not apply to the retry of the broadcast sent to it
+  await configure('quotas', { 'author-hour': 2, 'role-cooldown': 60 });
+  const refused = clickRetry(staff);
+  await bot.handleInteraction(refused);
+  assert.strictEqual(
+    refused.responses[0].payload.embeds[0].data.description,
+    `• ${t('en', 'quotas.exceeded.authorHour', { count: 1, remaining: 0, limit: 2 })}`
+  );
+  assert.strictEqual(closed.dms.length, 0);
+
+  await bot.handleInteraction(clickRetry(server.author));
+  assert.strictEqual(bot.campaignStore.list((entry) => entry.retryOf === campaign.id).length, 1);
+  await configure('quotas', { 'author-hour': 0, 'role-cooldown': 0 });
+});
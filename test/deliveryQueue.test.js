@@ -0,0 +1,163 @@
+/**
+ * Tests of the DeliveryQueue: pausing, resuming and aborting campaigns, and recording their progress
+ */
+
+const { test, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const DeliveryQueue = require('../src/DeliveryQueue');
+const CampaignStore = require('../src/CampaignStore');
+const { logger } = require('../src/logger');
+
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'privmsg-queue-test-'));
+after(() => fs.rmSync(dataDir, { recursive: true, force: true }));
+
+/**
+ * Create a store keeping campaigns in memory and counting its writes
+ * @returns {{save: Function, recordOutcome: Function, saves: number, outcomes: number}} The store
+ */
+function createMemoryStore() {
+  return {
+    saves: 0,
+    outcomes: 0,
+    save() {
+      this.saves++;
+    },
+    recordOutcome() {
+      this.outcomes++;
+    },
+  };
+}
+
+/**
+ * Create a campaign with pending recipients
+ * @param {number} count - Number of recipients
+ * @returns {Object} The campaign
+ */
+function createCampaign(count) {
+  return {
+    id: `campaign-${count}`,
+    status: 'running',
+    recipients: Array.from({ length: count }, (_, index) => ({ id: `user${index}`, status: 'pending', attempts: 0 })),
+  };
+}
+
+/**
+ * Create a send function whose DMs can be held until released
+ * @returns {{send: Function, sent: string[], hold: Function}} The send function, the recipients messaged and a function holding the next DM
+ */
+function createSender() {
+  const sender = {
+    sent: [],
+    held: null,
+    // Returns a promise resolved once the next DM is being sent, and a function releasing it
+    hold() {
+      let started;
+      const startedPromise = new Promise((resolve) => { started = resolve; });
+      sender.held = { started };
+      return startedPromise.then(() => () => sender.held.release());
+    },
+    async send(recipient) {
+      if (sender.held) {
+        const { started } = sender.held;
+        await new Promise((release) => {
+          sender.held.release = release;
+          started();
+        });
+        sender.held = null;
+      }
+      sender.sent.push(recipient.id);
+    },
+  };
+  return sender;
+}
+
+test('a paused campaign waits for resume and messages every recipient once', async () => {
+  const queue = new DeliveryQueue({ store: createMemoryStore(), concurrency: 1, delayMs: 0 });
+  const campaign = createCampaign(3);
+  const sender = createSender();
+  const firstDm = sender.hold();
+
+  const delivery = queue.run(campaign, sender.send);
+  const release = await firstDm;
+  assert.strictEqual(queue.pause(campaign.id), true);
+  assert.strictEqual(queue.pause(campaign.id), false);
+  release();
+
+  // The DM being sent finishes, then the campaign waits
+  await new Promise((resolve) => setImmediate(resolve));
+  assert.deepStrictEqual(sender.sent, ['user0']);
+  assert.strictEqual(campaign.status, 'paused');
+  assert.strictEqual(queue.isActive(campaign.id), true);
+
+  assert.strictEqual(queue.resume(campaign.id), true);
+  // A second click on resume has nothing to resume
+  assert.strictEqual(queue.resume(campaign.id), false);
+  await delivery;
+
+  assert.deepStrictEqual(sender.sent, ['user0', 'user1', 'user2']);
+  assert.strictEqual(campaign.status, 'completed');
+  assert.strictEqual(queue.isActive(campaign.id), false);
+  assert.strictEqual(queue.resume(campaign.id), false);
+});
+
+test('an aborted campaign leaves the remaining recipients pending, even while paused', async () => {
+  const queue = new DeliveryQueue({ store: createMemoryStore(), concurrency: 1, delayMs: 0 });
+  const campaign = createCampaign(3);
+  const sender = createSender();
+  const firstDm = sender.hold();
+
+  const delivery = queue.run(campaign, sender.send);
+  const release = await firstDm;
+  queue.pause(campaign.id);
+  assert.strictEqual(queue.abort(campaign.id), true);
+  release();
+  await delivery;
+
+  assert.strictEqual(campaign.status, 'aborted');
+  assert.deepStrictEqual(campaign.recipients.map((recipient) => recipient.status), ['sent', 'pending', 'pending']);
+  assert.strictEqual(queue.abort(campaign.id), false);
+});
+
+test('every outcome is recorded, and the whole campaign saved in batches and once it finishes', async () => {
+  const store = createMemoryStore();
+  const queue = new DeliveryQueue({ store, concurrency: 1, delayMs: 0, saveEvery: 25, saveIntervalMs: 60000 });
+
+  await queue.run(createCampaign(60), async () => {});
+
+  // After the 25th and the 50th recipients, and the final save
+  assert.strictEqual(store.saves, 3);
+  assert.strictEqual(store.outcomes, 58);
+});
+
+test('a campaign read back during delivery knows every recipient already messaged', async () => {
+  const store = new CampaignStore(path.join(dataDir, 'progress'));
+  const queue = new DeliveryQueue({ store, concurrency: 1, delayMs: 0, saveEvery: 25, saveIntervalMs: 60000 });
+  const campaign = store.create({ id: 'crashed', guildId: 'guild', recipients: createCampaign(10).recipients });
+  let stored;
+
+  await queue.run(campaign, async (recipient) => {
+    // What a bot restarted while this DM is sent would resume
+    if (recipient.id === 'user5') stored = store.get(campaign.id);
+  });
+
+  assert.deepStrictEqual(stored.recipients.map((recipient) => recipient.status), [
+    ...Array(5).fill('sent'),
+    ...Array(5).fill('pending'),
+  ]);
+  assert.strictEqual(fs.existsSync(store.getProgressFile(campaign.id)), false);
+  assert.strictEqual(store.get(campaign.id).status, 'completed');
+});
+
+test('unreadable campaign files are logged and skipped', (context) => {
+  const logError = context.mock.method(logger, 'error', () => {});
+  const store = new CampaignStore(dataDir);
+  store.create({ id: 'valid', guildId: 'guild', recipients: [] });
+  fs.writeFileSync(path.join(dataDir, 'corrupted.json'), '{"id": "corrupted", ');
+
+  assert.deepStrictEqual(store.list().map((campaign) => campaign.id), ['valid']);
+  assert.strictEqual(logError.mock.calls[0].arguments[1].file, 'corrupted.json');
+});
@@ -0,0 +1,123 @@
+/**
+ * Tests of the delivery targets: posts in channels and mentions of members with closed DMs
+ */
+
+const { test, after } = require('node:test');
+const assert = require('node:assert');
+const { ChannelType } = require('discord.js');
+
+const { loadBot } = require('./helpers/bot');
+const { createBroadcastFixtures } = require('./helpers/broadcasts');
+const {
+  createDmsClosedError,
+  createChannel,
+  createCommandInteraction,
+  createButtonInteraction,
+  createChannelSelectInteraction,
+} = require('./helpers/discord');
+const { getFailureReason } = require('../src/deliveryReport');
+const { t } = require('../src/i18n');
+
+const { bot, cleanup } = loadBot();
+after(cleanup);
+
+const { createServer, draftMessage, confirmSend } = createBroadcastFixtures(bot);
+
+// Message of the drafts, with a placeholder filled in per member and one per server
+const CONTENT = 'Hello {username} from {server}!';
+
+/**
+ * Pick the target channels of the draft of the author
+ * @param {Object} server - Server created by createServer
+ * @param {Object[]} channels - The channels
+ */
+async function selectChannels({ author, channel }, channels) {
+  await bot.handleInteraction(createChannelSelectInteraction({
+    customId: `select_channels_${author.id}`,
+    values: channels.map((target) => target.id),
+    member: author,
+    channel,
+  }));
+}
+
+/**
+ * Find the recipient entry of a member in a campaign
+ * @param {Object} campaign - The campaign
+ * @param {Object} member - The member
+ * @returns {Object} The recipient entry
+ */
+const findRecipient = (campaign, member) => campaign.recipients.find((recipient) => recipient.id === member.id);
+
+test('the preview asks for channels and the send is refused until they are picked', async () => {
+  const server = createServer([{ username: 'alice' }, { username: 'bob' }]);
+  const preview = await draftMessage(server, { content: CONTENT, delivery: 'channels' });
+
+  const rows = preview.payload.components.map((row) => row.toJSON());
+  const menu = rows.at(-1).components[0];
+  assert.strictEqual(menu.custom_id, `select_channels_${server.author.id}`);
+  assert.strictEqual(menu.max_values, 5);
+
+  const button = createButtonInteraction({ customId: `confirm_send_${server.author.id}`, member: server.author, channel: server.channel });
+  await bot.handleInteraction(button);
+  assert.strictEqual(button.responses[0].payload.embeds[0].data.title, t('en', 'delivery.noChannelTitle'));
+  assert.strictEqual(bot.campaignStore.get(button.id), undefined);
+  assert.strictEqual(bot.interactionManager.hasState(server.author.id), true);
+  await bot.handleInteraction(createCommandInteraction({ commandName: 'cancel', member: server.author, channel: server.channel }));
+});
+
+test('channel delivery posts once per channel and reaches members through the first channel they see', async () => {
+  const server = createServer([{ username: 'alice' }, { username: 'bob' }, { username: 'carol' }]);
+  const [alice, bob, carol] = server.recipients;
+  const news = createChannel(server.guild, { name: 'news', type: ChannelType.GuildAnnouncement, hiddenFrom: [bob, carol] });
+  const lounge = createChannel(server.guild, { name: 'lounge', hiddenFrom: [carol] });
+  const preview = await draftMessage(server, { content: CONTENT, delivery: 'channels' });
+  await selectChannels(server, [news, lounge]);
+
+  const campaign = await confirmSend(server);
+
+  assert.strictEqual(news.messages.cache.size, 1);
+  assert.strictEqual(lounge.messages.cache.size, 1);
+  // Posts are read by everyone, so only the server placeholder is filled in
+  assert.strictEqual(news.messages.cache.first().payload.embeds[0].data.description, `Hello  from ${server.guild.name}!`);
+  assert.strictEqual(alice.dms.length, 0);
+
+  assert.strictEqual(findRecipient(campaign, alice).via, news.id);
+  assert.strictEqual(findRecipient(campaign, bob).via, lounge.id);
+  assert.strictEqual(getFailureReason(findRecipient(campaign, carol)), 'no_channel_access');
+  assert.deepStrictEqual(campaign.delivery.posts, {
+    [news.id]: news.messages.cache.firstKey(),
+    [lounge.id]: lounge.messages.cache.firstKey(),
+  });
+
+  const reachedVia = preview.payload.embeds[0].data.fields.find((field) => field.name === t('en', 'report.reachedVia'));
+  assert.match(reachedVia.value, new RegExp(`<#${news.id}>.*1[\\s\\S]*<#${lounge.id}>.*1`));
+});
+
+test('members with closed DMs are mentioned in a private thread of the fallback channel', async () => {
+  const server = createServer([
+    { username: 'alice' },
+    { username: 'closed', dmErrors: [createDmsClosedError()] },
+    { username: 'hidden', dmErrors: [createDmsClosedError()] },
+  ]);
+  const [alice, closed, hidden] = server.recipients;
+  const fallback = createChannel(server.guild, { name: 'fallback', hiddenFrom: [hidden] });
+  await draftMessage(server, { content: CONTENT, delivery: 'dm_fallback' });
+  await selectChannels(server, [fallback]);
+
+  const campaign = await confirmSend(server);
+
+  assert.strictEqual(fallback.threads.created.length, 1);
+  const { thread, options } = fallback.threads.created[0];
+  assert.strictEqual(options.type, ChannelType.PrivateThread);
+  assert.strictEqual(campaign.delivery.fallbackThreadId, thread.id);
+
+  assert.strictEqual(findRecipient(campaign, alice).via, 'dm');
+  assert.strictEqual(findRecipient(campaign, closed).via, thread.id);
+  assert.strictEqual(getFailureReason(findRecipient(campaign, hidden)), 'no_channel_access');
+
+  const mention = thread.messages.cache.first().payload;
+  assert.strictEqual(thread.messages.cache.size, 1);
+  assert.strictEqual(mention.content, `<@${closed.id}>`);
+  assert.deepStrictEqual(mention.allowedMentions, { users: [closed.id] });
+  assert.match(mention.embeds[0].data.description, /Hello closed/);
+});
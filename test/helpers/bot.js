@@ -0,0 +1,66 @@
+/**
+ * Load the bot for the tests
+ *
+ * The bot is configured through environment variables read when privmsg.js
+ * is required, so they are set first: data is written to a temporary
+ * directory, drafts are kept in memory, DMs are sent without pauses and only
+ * errors are logged.
+ * Requiring privmsg.js does not log in, and the "ready" event is never
+ * emitted, so no schedule or expiry timer is started.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+/**
+ * Require the bot with a test configuration
+ * @param {Object} [env] - Environment variables overriding the test defaults
+ * @returns {{bot: Object, dataDir: string, cleanup: Function}} The exports of privmsg.js, its data directory and a function clearing both
+ */
+function loadBot(env = {}) {
+  const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'privmsg-test-'));
+
+  // Set before dotenv runs, so a local .env file cannot change the tests
+  Object.assign(process.env, {
+    TOKEN2: 'test-token',
+    DATA_DIR: dataDir,
+    STATE_STORE: 'memory',
+    CARGO_SUPORTE_ID: '',
+    DEFAULT_LANGUAGE: 'en',
+    APPROVAL_THRESHOLD: '0',
+    ROLE_MIN_MEMBERS: '2',
+    DM_CONCURRENCY: '1',
+    DM_DELAY_MS: '0',
+    DM_BACKOFF_MS: '0',
+    DM_MAX_RETRIES: '2',
+    // Keeps the test output readable, errors are still logged
+    LOG_LEVEL: 'error',
+    ...env,
+  });
+
+  // Previews and confirmations are deleted after 15 seconds, these timers are cleared once the tests are done
+  const timers = new Set();
+  const { setTimeout: realSetTimeout } = global;
+  global.setTimeout = (callback, delay, ...args) => {
+    const timer = realSetTimeout(() => {
+      timers.delete(timer);
+      callback(...args);
+    }, delay);
+    timers.add(timer);
+    return timer;
+  };
+
+  const bot = require('../../privmsg');
+
+  return {
+    bot,
+    dataDir,
+    cleanup: () => {
+      timers.forEach((timer) => clearTimeout(timer));
+      fs.rmSync(dataDir, { recursive: true, force: true });
+    },
+  };
+}
+
+module.exports = { loadBot };
@@ -0,0 +1,86 @@
+/**
+ * Broadcast fixtures shared by the tests
+ *
+ * Most tests need a server with a role to message, a draft of /message to
+ * that role and its confirmation. The fixtures are bound to the bot loaded by
+ * the test file, so they drive it through its interaction handler like Discord would.
+ */
+
+const {
+  createGuild,
+  createChannel,
+  createRole,
+  createMember,
+  attachGuild,
+  createCommandInteraction,
+  createButtonInteraction,
+  createSelectInteraction,
+} = require('./discord');
+
+/**
+ * Create the broadcast fixtures of a bot
+ * @param {Object} bot - The exports of privmsg.js, see loadBot
+ * @returns {{createServer: Function, draftMessage: Function, confirmSend: Function}} The fixtures
+ */
+function createBroadcastFixtures(bot) {
+  /**
+   * Create a server whose role members are described by the test
+   * @param {Object[]} [members] - Options of createMember for each member of the role, Alice and Bob by default
+   * @returns {Object} The guild, its channel, the role "Players", the admin author and the members of the role
+   */
+  function createServer(members = [{ username: 'alice' }, { username: 'bob' }]) {
+    const guild = createGuild();
+    const channel = createChannel(guild);
+    const role = createRole(guild, { name: 'Players' });
+    const author = createMember(guild, { username: 'admin', admin: true });
+    const recipients = members.map((options) => createMember(guild, { ...options, roles: [role] }));
+    attachGuild(bot.client, guild);
+
+    return { guild, channel, role, author, recipients };
+  }
+
+  /**
+   * Draft a message to the role with /message and the role picker
+   * @param {Object} server - Server created by createServer
+   * @param {Object} [options] - Options of /message, the content defaults to "Hello {username}!"
+   * @returns {Promise<Object>} The preview message
+   */
+  async function draftMessage({ author, channel, role }, options = {}) {
+    const command = createCommandInteraction({
+      commandName: 'message',
+      options: { content: 'Hello {username}!', ...options },
+      member: author,
+      channel,
+    });
+    await bot.handleInteraction(command);
+
+    await bot.handleInteraction(createSelectInteraction({
+      customId: `select_role_${author.id}`,
+      values: [role.id],
+      member: author,
+      channel,
+    }));
+
+    return command.replyMessage;
+  }
+
+  /**
+   * Confirm the draft of the author
+   * @param {Object} server - Server created by createServer
+   * @returns {Promise<Object|undefined>} The campaign created from the draft, undefined if the send was refused
+   */
+  async function confirmSend({ author, channel }) {
+    const button = createButtonInteraction({
+      customId: `confirm_send_${author.id}`,
+      member: author,
+      channel,
+    });
+    await bot.handleInteraction(button);
+
+    return bot.campaignStore.get(button.id);
+  }
+
+  return { createServer, draftMessage, confirmSend };
+}
+
+module.exports = { createBroadcastFixtures };
@@ -0,0 +1,421 @@
+/**
+ * Fake Discord layer for the tests
+ *
+ * Builds guilds, roles, members, channels, messages and interactions with
+ * just the properties and methods the bot uses, so handlers can be driven
+ * without a bot token or a gateway connection. Every answer of the bot is
+ * recorded, and members record the DMs they receive.
+ */
+
+const { ChannelType, Collection } = require('discord.js');
+
+// 18 digits like real snowflakes, so uploaded lists of IDs can be parsed
+let nextId = 100000000000000000n;
+
+/**
+ * Generate a unique snowflake-like ID
+ * @returns {string} The ID
+ */
+const createId = () => String(nextId++);
+
+/**
+ * Build the error thrown by Discord when a member disabled DMs or blocked the bot
+ * @returns {Error} The error
+ */
+function createDmsClosedError() {
+  return Object.assign(new Error('Cannot send messages to this user'), { code: 50007, status: 403 });
+}
+
+/**
+ * Build the error thrown by discord.js when a request is rate limited
+ * @param {number} [retryAfter=5] - Delay before the next attempt, in milliseconds
+ * @returns {Error} The error
+ */
+function createRateLimitError(retryAfter = 5) {
+  return Object.assign(new Error('You are being rate limited.'), { name: 'RateLimitError', retryAfter });
+}
+
+/**
+ * Create a message whose content and edits are recorded
+ * @param {Object} channel - The channel of the message
+ * @param {Object} payload - The content of the message
+ * @returns {Object} The message
+ */
+function createMessage(channel, payload) {
+  const message = {
+    id: createId(),
+    channelId: channel.id,
+    channel,
+    deleted: false,
+    // Every content the message had, the current one last
+    payloads: [payload],
+    get payload() {
+      return this.payloads[this.payloads.length - 1];
+    },
+    get components() {
+      return this.payload.components ?? [];
+    },
+    async edit(newPayload) {
+      this.payloads.push(newPayload);
+      return this;
+    },
+    async delete() {
+      this.deleted = true;
+      channel.messages.cache.delete(this.id);
+    },
+  };
+
+  channel.messages.cache.set(message.id, message);
+  return message;
+}
+
+/**
+ * Create the message manager of a channel
+ * @returns {Object} The manager, with the messages of the channel in `cache`
+ */
+function createMessageManager() {
+  return {
+    cache: new Collection(),
+    async fetch(id) {
+      const message = this.cache.get(id);
+      if (!message) throw Object.assign(new Error('Unknown Message'), { code: 10008, status: 404 });
+      return message;
+    },
+  };
+}
+
+/**
+ * Create a text channel
+ * Members in `hiddenFrom` cannot see the channel, and threads created in it
+ * are channels of the guild themselves.
+ *
+ * @param {Object} guild - The guild of the channel
+ * @param {Object} [options]
+ * @param {string} [options.name="general"] - Channel name
+ * @param {number} [options.type=ChannelType.GuildText] - Channel type
+ * @param {Object[]} [options.hiddenFrom=[]] - Members who cannot view the channel
+ * @returns {Object} The channel
+ */
+function createChannel(guild, { name = 'general', type = ChannelType.GuildText, hiddenFrom = [] } = {}) {
+  const hiddenIds = new Set(hiddenFrom.map((member) => member.id));
+  const channel = {
+    id: createId(),
+    name,
+    type,
+    guild,
+    messages: createMessageManager(),
+    // Threads created in the channel, with the options they were created with
+    threads: {
+      created: [],
+      async create(options) {
+        const thread = createChannel(guild, { name: options.name, type: options.type ?? ChannelType.PublicThread });
+        thread.parent = channel;
+        this.created.push({ thread, options });
+        return thread;
+      },
+    },
+    permissionsFor: (member) => ({ has: () => !hiddenIds.has(member.id) }),
+    async send(payload) {
+      return createMessage(channel, payload);
+    },
+  };
+
+  guild.channels.cache.set(channel.id, channel);
+  return channel;
+}
+
+/**
+ * Create a guild with an empty role and member list
+ * @param {Object} [options]
+ * @param {string} [options.name="Test Server"] - Guild name
+ * @returns {Object} The guild
+ */
+function createGuild({ name = 'Test Server' } = {}) {
+  const guild = {
+    id: createId(),
+    name,
+    roles: { cache: new Collection() },
+    channels: { cache: new Collection() },
+    members: {
+      cache: new Collection(),
+      /**
+       * Fetch one member, or every member when no ID is given
+       * @param {string} [id] - Discord user ID
+       */
+      async fetch(id) {
+        if (id === undefined) return this.cache;
+
+        const member = this.cache.get(id);
+        if (!member) throw Object.assign(new Error('Unknown Member'), { code: 10007, status: 404 });
+        return member;
+      },
+    },
+  };
+
+  return guild;
+}
+
+/**
+ * Create a role in a guild
+ * @param {Object} guild - The guild
+ * @param {Object} options
+ * @param {string} options.name - Role name
+ * @param {number} [options.position=1] - Position of the role in the server's role list
+ * @returns {Object} The role
+ */
+function createRole(guild, { name, position = 1 }) {
+  const role = {
+    id: createId(),
+    name,
+    position,
+    managed: false,
+    guild,
+    get members() {
+      return guild.members.cache.filter((member) => member.roles.cache.has(role.id));
+    },
+  };
+
+  guild.roles.cache.set(role.id, role);
+  return role;
+}
+
+/**
+ * Create a member of a guild
+ * DMs sent to the member are recorded in `dms`, and as messages of `dmChannel`.
+ * Sending a DM throws the next error of `dmErrors` first, so failures and rate
+ * limits can be simulated.
+ *
+ * @param {Object} guild - The guild
+ * @param {Object} options
+ * @param {string} options.username - Username of the member
+ * @param {Object[]} [options.roles=[]] - Roles of the member
+ * @param {boolean} [options.admin=false] - Whether the member has the Administrator permission
+ * @param {boolean} [options.bot=false] - Whether the member is a bot account
+ * @param {Date} [options.joinedAt] - When the member joined the server
+ * @param {Date} [options.createdAt] - When the account of the member was created
+ * @param {string|null} [options.status=null] - Presence status, null when unknown
+ * @param {Error[]} [options.dmErrors=[]] - Errors thrown by the next DMs, in order
+ * @returns {Object} The member
+ */
+function createMember(guild, {
+  username,
+  roles = [],
+  admin = false,
+  bot = false,
+  joinedAt = new Date('2024-01-01T00:00:00Z'),
+  createdAt = new Date('2020-01-01T00:00:00Z'),
+  status = null,
+  dmErrors = [],
+}) {
+  const id = createId();
+  const dmChannel = { id: createId(), type: ChannelType.DM, messages: createMessageManager() };
+  const member = {
+    id,
+    guild,
+    user: { id, username, tag: username, bot, createdAt },
+    displayName: username,
+    joinedAt,
+    presence: status ? { status } : null,
+    roles: { cache: new Collection(roles.map((role) => [role.id, role])) },
+    permissions: { has: () => admin },
+    dms: [],
+    dmChannel,
+    dmErrors: [...dmErrors],
+    async send(payload) {
+      if (member.dmErrors.length > 0) throw member.dmErrors.shift();
+      member.dms.push(payload);
+      return createMessage(dmChannel, payload);
+    },
+  };
+
+  guild.members.cache.set(id, member);
+  return member;
+}
+
+/**
+ * Let the client of the bot find the channels of a guild and the DM channels of its members
+ * The client is never logged in, so channel lookups are answered from the fake guild.
+ *
+ * @param {Client} client - The client of the bot
+ * @param {Object} guild - The guild
+ */
+function attachGuild(client, guild) {
+  client.guilds.cache.set(guild.id, guild);
+  client.channels.fetch = async (id) => {
+    const channel = client.guilds.cache
+      .map((attachedGuild) => attachedGuild.channels?.cache.get(id)
+        ?? attachedGuild.members?.cache.find((member) => member.dmChannel.id === id)?.dmChannel)
+      .find(Boolean);
+    if (!channel) throw Object.assign(new Error('Unknown Channel'), { code: 10003, status: 404 });
+    return channel;
+  };
+}
+
+/**
+ * Create an interaction of a member in a channel
+ * Answers of the bot are recorded in `responses`, as {type, payload} entries.
+ *
+ * @param {string} kind - "command", "button", "select", "channelSelect" or "modal"
+ * @param {Object} options
+ * @param {Object} options.member - The member interacting
+ * @param {Object} [options.channel] - The channel of the interaction, the DM channel of the member when omitted
+ * @param {string} [options.locale="en-US"] - Locale of the member's Discord client
+ * @returns {Object} The interaction
+ */
+function createInteraction(kind, { member, channel = member.dmChannel, locale = 'en-US' }) {
+  // Interactions in DMs have no guild nor member
+  const inGuild = channel !== member.dmChannel;
+  const interaction = {
+    id: createId(),
+    guild: inGuild ? member.guild : null,
+    guildId: inGuild ? member.guild.id : null,
+    member: inGuild ? member : null,
+    user: member.user,
+    channel,
+    channelId: channel.id,
+    locale,
+    deferred: false,
+    replied: false,
+    responses: [],
+    // Message created by reply() or editReply()
+    replyMessage: null,
+    isAutocomplete: () => false,
+    isCommand: () => kind === 'command',
+    isChatInputCommand: () => kind === 'command',
+    isButton: () => kind === 'button',
+    isStringSelectMenu: () => kind === 'select',
+    isChannelSelectMenu: () => kind === 'channelSelect',
+    isModalSubmit: () => kind === 'modal',
+  };
+
+  const record = (type, payload) => interaction.responses.push({ type, payload });
+
+  Object.assign(interaction, {
+    async reply(payload) {
+      interaction.replied = true;
+      record('reply', payload);
+      interaction.replyMessage = createMessage(channel, payload);
+      return interaction.replyMessage;
+    },
+    async deferReply(payload = {}) {
+      interaction.deferred = true;
+      record('deferReply', payload);
+    },
+    async editReply(payload) {
+      record('editReply', payload);
+      if (!interaction.replyMessage) interaction.replyMessage = createMessage(channel, payload);
+      else await interaction.replyMessage.edit(payload);
+      return interaction.replyMessage;
+    },
+    async followUp(payload) {
+      record('followUp', payload);
+      return createMessage(channel, payload);
+    },
+    async update(payload) {
+      interaction.replied = true;
+      record('update', payload);
+      if (interaction.message) await interaction.message.edit(payload);
+    },
+    async deferUpdate() {
+      interaction.deferred = true;
+      record('deferUpdate', null);
+    },
+    async showModal(modal) {
+      interaction.replied = true;
+      record('showModal', modal);
+    },
+  });
+
+  return interaction;
+}
+
+/**
+ * Create a slash command interaction
+ * @param {Object} options - Options of createInteraction
+ * @param {string} options.commandName - Name of the command
+ * @param {string|null} [options.subcommand=null] - Name of the subcommand
+ * @param {Object} [options.options={}] - Values of the command options, indexed by name
+ * @returns {Object} The interaction
+ */
+function createCommandInteraction({ commandName, subcommand = null, options = {}, ...rest }) {
+  const interaction = createInteraction('command', rest);
+  const getOption = (name) => options[name] ?? null;
+
+  return Object.assign(interaction, {
+    commandName,
+    options: {
+      getString: getOption,
+      getInteger: getOption,
+      getBoolean: getOption,
+      getRole: getOption,
+      getChannel: getOption,
+      getAttachment: getOption,
+      getSubcommand: () => subcommand,
+      getSubcommandGroup: () => null,
+    },
+  });
+}
+
+/**
+ * Create a button click on a message
+ * @param {Object} options - Options of createInteraction
+ * @param {string} options.customId - Custom ID of the button
+ * @param {Object} [options.message] - Message the button belongs to
+ * @returns {Object} The interaction
+ */
+function createButtonInteraction({ customId, message = null, ...rest }) {
+  return Object.assign(createInteraction('button', rest), { customId, message });
+}
+
+/**
+ * Create a select menu choice on a message
+ * @param {Object} options - Options of createInteraction
+ * @param {string} options.customId - Custom ID of the select menu
+ * @param {string[]} options.values - Selected values
+ * @param {Object} [options.message] - Message the select menu belongs to
+ * @returns {Object} The interaction
+ */
+function createSelectInteraction({ customId, values, message = null, ...rest }) {
+  return Object.assign(createInteraction('select', rest), { customId, values, message });
+}
+
+/**
+ * Create a channel select menu choice on a message
+ * @param {Object} options - Options of createInteraction
+ * @param {string} options.customId - Custom ID of the select menu
+ * @param {string[]} options.values - IDs of the selected channels
+ * @param {Object} [options.message] - Message the select menu belongs to
+ * @returns {Object} The interaction
+ */
+function createChannelSelectInteraction({ customId, values, message = null, ...rest }) {
+  return Object.assign(createInteraction('channelSelect', rest), { customId, values, message });
+}
+
+/**
+ * Create a modal submission
+ * @param {Object} options - Options of createInteraction
+ * @param {string} options.customId - Custom ID of the modal
+ * @param {Object<string, string>} options.fields - Values typed in the text inputs, indexed by custom ID
+ * @returns {Object} The interaction
+ */
+function createModalInteraction({ customId, fields, ...rest }) {
+  return Object.assign(createInteraction('modal', rest), {
+    customId,
+    fields: { getTextInputValue: (name) => fields[name] ?? '' },
+  });
+}
+
+module.exports = {
+  createDmsClosedError,
+  createRateLimitError,
+  createGuild,
+  createChannel,
+  createRole,
+  createMember,
+  attachGuild,
+  createCommandInteraction,
+  createButtonInteraction,
+  createSelectInteraction,
+  createChannelSelectInteraction,
+  createModalInteraction,
+};
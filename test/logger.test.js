@@ -0,0 +1,69 @@
+/**
+ * Tests of the structured logger
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+
+const { createLogger } = require('../src/logger');
+
+/**
+ * Create a logger whose lines are recorded
+ * @param {Object} [options] - Options of createLogger
+ * @returns {{logger: Object, lines: string[]}} The logger and the lines it wrote
+ */
+function createRecordingLogger(options = {}) {
+  const lines = [];
+  const logger = createLogger({ ...options, write: (level, line) => lines.push(line) });
+  return { logger, lines };
+}
+
+test('entries are written as JSON lines with their level and fields', () => {
+  const { logger, lines } = createRecordingLogger();
+  logger.info('Campaign created', { campaignId: 'c1', recipients: 3 });
+
+  const entry = JSON.parse(lines[0]);
+  assert.strictEqual(entry.level, 'info');
+  assert.strictEqual(entry.msg, 'Campaign created');
+  assert.strictEqual(entry.campaignId, 'c1');
+  assert.strictEqual(entry.recipients, 3);
+  assert.ok(!Number.isNaN(Date.parse(entry.time)));
+});
+
+test('entries below the configured level are dropped', () => {
+  const { logger, lines } = createRecordingLogger({ level: 'warn' });
+  logger.debug('Preview sent');
+  logger.info('Campaign created');
+  logger.warn('Rate limited');
+  logger.error('Gateway disconnected');
+
+  assert.deepStrictEqual(lines.map((line) => JSON.parse(line).level), ['warn', 'error']);
+});
+
+test('errors are serialized with their Discord code', () => {
+  const { logger, lines } = createRecordingLogger();
+  const error = Object.assign(new Error('Cannot send messages to this user'), { code: 50007, status: 403 });
+  logger.warn('DM not delivered', { error });
+
+  const entry = JSON.parse(lines[0]);
+  assert.strictEqual(entry.error.message, 'Cannot send messages to this user');
+  assert.strictEqual(entry.error.code, 50007);
+  assert.strictEqual(entry.error.status, 403);
+  assert.match(entry.error.stack, /Cannot send messages/);
+});
+
+test('child loggers add their fields to every entry', () => {
+  const { logger, lines } = createRecordingLogger();
+  logger.child({ campaignId: 'c1' }).info('Campaign completed', { sent: 2 });
+
+  const entry = JSON.parse(lines[0]);
+  assert.strictEqual(entry.campaignId, 'c1');
+  assert.strictEqual(entry.sent, 2);
+});
+
+test('the text format prints readable lines', () => {
+  const { logger, lines } = createRecordingLogger({ format: 'text' });
+  logger.info('Campaign created', { campaignId: 'c1', recipients: 3 });
+
+  assert.match(lines[0], /^\S+ INFO Campaign created campaignId=c1 recipients=3$/);
+});
@@ -0,0 +1,342 @@
+/**
+ * Tests of the /message flow: role picker, filters, user lists, message editing and cancellation
+ */
+
+const { test, after } = require('node:test');
+const assert = require('node:assert');
+
+const { loadBot } = require('./helpers/bot');
+const { createBroadcastFixtures } = require('./helpers/broadcasts');
+const {
+  createMember,
+  createCommandInteraction,
+  createButtonInteraction,
+  createSelectInteraction,
+  createModalInteraction,
+} = require('./helpers/discord');
+const { t } = require('../src/i18n');
+
+const { bot, cleanup } = loadBot();
+after(cleanup);
+
+const fixtures = createBroadcastFixtures(bot);
+
+/**
+ * Create a server with a role of three members, Alice, Bob and Carol
+ * @returns {Object} The server of the broadcast fixtures, with Alice as a member without permissions
+ */
+function createServer() {
+  const server = fixtures.createServer([{ username: 'alice' }, { username: 'bob' }, { username: 'carol' }]);
+  return { ...server, member: server.recipients[0] };
+}
+
+/**
+ * List the custom IDs of the components of a message payload
+ * @param {Object} payload - The message payload
+ * @returns {string[]} The custom IDs
+ */
+const getCustomIds = (payload) => payload.components
+  .flatMap((row) => row.toJSON().components)
+  .map((component) => component.custom_id);
+
+/**
+ * Run /message and return the preview it posted
+ * @param {Object} server - Server created by createServer
+ * @param {string} [content] - The message
+ * @returns {Promise<Object>} The /message interaction
+ */
+async function runMessageCommand({ author, channel }, content = 'Hello {username}!') {
+  const interaction = createCommandInteraction({
+    commandName: 'message',
+    options: { content },
+    member: author,
+    channel,
+  });
+  await bot.handleInteraction(interaction);
+  return interaction;
+}
+
+/**
+ * Pick the audience of the draft of the author
+ * @param {Object} server - Server created by createServer
+ * @returns {Promise<Object>} The select menu interaction
+ */
+async function selectRole({ author, channel, role }) {
+  const interaction = createSelectInteraction({
+    customId: `select_role_${author.id}`,
+    values: [role.id],
+    member: author,
+    channel,
+  });
+  await bot.handleInteraction(interaction);
+  return interaction;
+}
+
+test('/message shows the role picker and starts a draft', async () => {
+  const server = createServer();
+  const interaction = await runMessageCommand(server);
+
+  const state = bot.interactionManager.getState(server.author.id);
+  assert.ok(state);
+  assert.strictEqual(state.currentMessage, 'Hello {username}!');
+  assert.strictEqual(state.previewMessage, interaction.replyMessage);
+  assert.ok(getCustomIds(interaction.replyMessage.payload).includes(`select_role_${server.author.id}`));
+});
+
+test('/message is refused to members without the send permission', async () => {
+  const server = createServer();
+  const interaction = createCommandInteraction({
+    commandName: 'message',
+    options: { content: 'Hi' },
+    member: server.member,
+    channel: server.channel,
+  });
+  await bot.handleInteraction(interaction);
+
+  assert.strictEqual(bot.interactionManager.hasState(server.member.id), false);
+  assert.strictEqual(interaction.responses.length, 1);
+  assert.strictEqual(interaction.responses[0].payload.ephemeral, true);
+});
+
+test('/message is refused while the author has a draft', async () => {
+  const server = createServer();
+  await runMessageCommand(server);
+  const second = await runMessageCommand(server, 'Another message');
+
+  assert.strictEqual(second.responses[0].payload.embeds[0].data.title, t('en', 'errors.activeInteractionTitle'));
+  assert.strictEqual(bot.interactionManager.getState(server.author.id).currentMessage, 'Hello {username}!');
+});
+
+test('select_role_ adds the role to the audience and shows the preview', async () => {
+  const server = createServer();
+  const command = await runMessageCommand(server);
+  await selectRole(server);
+
+  const state = bot.interactionManager.getState(server.author.id);
+  assert.deepStrictEqual(state.audience.anyOf, [server.role.id]);
+
+  const preview = command.replyMessage.payload;
+  assert.ok(getCustomIds(preview).includes(`confirm_send_${server.author.id}`));
+  assert.match(preview.embeds[0].data.description, /3/);
+  // The sample DM is rendered for a real recipient
+  assert.match(preview.embeds[1].data.description, /Hello alice!/);
+});
+
+test('the filters modal narrows the audience and updates the preview', async () => {
+  const server = createServer();
+  const command = await runMessageCommand(server);
+  await selectRole(server);
+  // Only alice joined after the other members of the role
+  server.member.joinedAt = new Date('2026-02-01T00:00:00Z');
+
+  const button = createButtonInteraction({
+    customId: `edit_filters_${server.author.id}`,
+    member: server.author,
+    channel: server.channel,
+  });
+  await bot.handleInteraction(button);
+  assert.strictEqual(button.responses[0].payload.toJSON().custom_id, `edit_filters_modal_${server.author.id}`);
+
+  const submit = createModalInteraction({
+    customId: `edit_filters_modal_${server.author.id}`,
+    fields: { joinedAfter: '2026-01-01', accountAge: '30' },
+    member: server.author,
+    channel: server.channel,
+  });
+  await bot.handleInteraction(submit);
+
+  const state = bot.interactionManager.getState(server.author.id);
+  assert.deepStrictEqual(state.audience.filters, { joinedAfter: '2026-01-01', minAccountAgeDays: 30 });
+  const description = command.replyMessage.payload.embeds[0].data.description;
+  assert.match(description, /joined on or after 2026-01-01/);
+  assert.ok(description.includes(t('en', 'preview.recipients', { count: 1 })));
+});
+
+test('invalid filters are reported and leave the audience unchanged', async () => {
+  const server = createServer();
+  await runMessageCommand(server);
+  await selectRole(server);
+
+  const submit = createModalInteraction({
+    customId: `edit_filters_modal_${server.author.id}`,
+    fields: { joinedAfter: 'yesterday', presence: 'online' },
+    member: server.author,
+    channel: server.channel,
+  });
+  await bot.handleInteraction(submit);
+
+  const reply = submit.responses[0].payload;
+  assert.strictEqual(reply.ephemeral, true);
+  assert.strictEqual(reply.embeds[0].data.title, t('en', 'filters.invalidTitle'));
+  assert.match(reply.embeds[0].data.description, /yesterday/);
+  // The bot is not started with PRESENCE_INTENT=true
+  assert.ok(reply.embeds[0].data.description.includes(t('en', 'filters.presenceDisabled')));
+  assert.deepStrictEqual(bot.interactionManager.getState(server.author.id).audience.filters, {});
+});
+
+test('/message with a user list skips the role picker and messages the listed members', async (context) => {
+  const server = createServer();
+  const [, bob] = server.recipients;
+  const csv = `id\n${server.member.id}\n${bob.id}\n123456789012345678\n`;
+  context.mock.method(global, 'fetch', async () => ({ ok: true, status: 200, text: async () => csv }));
+
+  const command = createCommandInteraction({
+    commandName: 'message',
+    options: { content: 'Hello {username}!', 'user-list': { name: 'users.csv', size: csv.length, url: 'https://cdn.test/users.csv' } },
+    member: server.author,
+    channel: server.channel,
+  });
+  await bot.handleInteraction(command);
+
+  const state = bot.interactionManager.getState(server.author.id);
+  assert.deepStrictEqual(state.audience.filters.userIds, [server.member.id, bob.id, '123456789012345678']);
+
+  const preview = command.replyMessage.payload;
+  assert.ok(getCustomIds(preview).includes(`confirm_send_${server.author.id}`));
+  assert.match(preview.embeds[0].data.description, /listed users \(3\)/);
+  assert.ok(preview.embeds[0].data.description.includes(t('en', 'preview.notMembers', { count: 1 })));
+});
+
+test('/message with a user list holding no ID is refused', async (context) => {
+  const server = createServer();
+  context.mock.method(global, 'fetch', async () => ({ ok: true, status: 200, text: async () => 'name\nalice\n' }));
+
+  const command = createCommandInteraction({
+    commandName: 'message',
+    options: { content: 'Hi', 'user-list': { name: 'users.csv', size: 12, url: 'https://cdn.test/users.csv' } },
+    member: server.author,
+    channel: server.channel,
+  });
+  await bot.handleInteraction(command);
+
+  assert.strictEqual(bot.interactionManager.hasState(server.author.id), false);
+  assert.strictEqual(command.replyMessage.payload.content, t('en', 'errors.userListEmpty', { file: 'users.csv' }));
+});
+
+test('staff limited by targeting rules cannot message a user list', async (context) => {
+  const server = createServer();
+  const moderator = createMember(server.guild, { username: 'moderator' });
+  bot.permissionManager.grant(server.guild.id, 'send', 'user', moderator.id);
+  bot.permissionManager.restrict(server.guild.id, 'user', moderator.id, server.role.id);
+  const fetch = context.mock.method(global, 'fetch', async () => ({ ok: true, status: 200, text: async () => server.member.id }));
+
+  const command = createCommandInteraction({
+    commandName: 'message',
+    options: { content: 'Hi', 'user-list': { name: 'users.csv', size: 20, url: 'https://cdn.test/users.csv' } },
+    member: moderator,
+    channel: server.channel,
+  });
+  await bot.handleInteraction(command);
+
+  assert.strictEqual(command.responses[0].payload.embeds[0].data.title, t('en', 'errors.userListNotAllowedTitle'));
+  assert.strictEqual(bot.interactionManager.hasState(moderator.id), false);
+  assert.strictEqual(fetch.mock.callCount(), 0);
+});
+
+test('edit_message_ opens a modal prefilled with the message and the modal replaces it', async () => {
+  const server = createServer();
+  const command = await runMessageCommand(server);
+  await selectRole(server);
+
+  const button = createButtonInteraction({
+    customId: `edit_message_${server.author.id}`,
+    member: server.author,
+    channel: server.channel,
+  });
+  await bot.handleInteraction(button);
+
+  const modal = button.responses[0];
+  assert.strictEqual(modal.type, 'showModal');
+  const modalData = modal.payload.toJSON();
+  assert.strictEqual(modalData.custom_id, `edit_message_modal_${server.author.id}`);
+  assert.strictEqual(modalData.components[0].components[0].value, 'Hello {username}!');
+
+  const submit = createModalInteraction({
+    customId: `edit_message_modal_${server.author.id}`,
+    fields: { content: 'Goodbye {username}.' },
+    member: server.author,
+    channel: server.channel,
+  });
+  await bot.handleInteraction(submit);
+
+  assert.strictEqual(bot.interactionManager.getState(server.author.id).currentMessage, 'Goodbye {username}.');
+  assert.strictEqual(command.replyMessage.payload.embeds[0].data.title, t('en', 'preview.updatedTitle'));
+  assert.match(command.replyMessage.payload.embeds[1].data.description, /Goodbye alice\./);
+});
+
+test('cancel_send_ discards the draft and replaces the preview', async () => {
+  const server = createServer();
+  const command = await runMessageCommand(server);
+  await selectRole(server);
+
+  const button = createButtonInteraction({
+    customId: `cancel_send_${server.author.id}`,
+    member: server.author,
+    channel: server.channel,
+  });
+  await bot.handleInteraction(button);
+
+  assert.strictEqual(bot.interactionManager.hasState(server.author.id), false);
+  assert.strictEqual(command.replyMessage.payload.embeds[0].data.title, t('en', 'cancel.title'));
+  assert.deepStrictEqual(command.replyMessage.payload.components, []);
+});
+
+test('/cancel discards the draft of the author', async () => {
+  const server = createServer();
+  const command = await runMessageCommand(server);
+
+  const cancel = createCommandInteraction({ commandName: 'cancel', member: server.author, channel: server.channel });
+  await bot.handleInteraction(cancel);
+
+  assert.strictEqual(bot.interactionManager.hasState(server.author.id), false);
+  assert.strictEqual(command.replyMessage.payload.content, t('en', 'cancel.previewCancelled'));
+  assert.strictEqual(cancel.replyMessage.payload.embeds[0].data.title, t('en', 'cancel.title'));
+});
+
+test('/cancel without a draft tells the author there is nothing to cancel', async () => {
+  const server = createServer();
+  const cancel = createCommandInteraction({ commandName: 'cancel', member: server.author, channel: server.channel });
+  await bot.handleInteraction(cancel);
+
+  assert.strictEqual(cancel.responses[0].payload.embeds[0].data.title, t('en', 'cancel.noInteractionTitle'));
+});
+
+test('components of a draft are ignored when used by another member', async () => {
+  const server = createServer();
+  await runMessageCommand(server);
+
+  const button = createButtonInteraction({
+    customId: `cancel_send_${server.author.id}`,
+    member: server.member,
+    channel: server.channel,
+  });
+  await bot.handleInteraction(button);
+
+  assert.deepStrictEqual(button.responses, []);
+  assert.ok(bot.interactionManager.hasState(server.author.id));
+});
+
+test('components of an expired draft are answered with an error', async () => {
+  const server = createServer();
+  const button = createButtonInteraction({
+    customId: `confirm_send_${server.author.id}`,
+    member: server.author,
+    channel: server.channel,
+  });
+  await bot.handleInteraction(button);
+
+  assert.strictEqual(button.responses[0].payload.embeds[0].data.title, t('en', 'errors.interactionNotFoundTitle'));
+  assert.strictEqual(button.responses[0].payload.ephemeral, true);
+});
+
+test('errors thrown by a handler are answered with an error message', async () => {
+  const server = createServer();
+  server.guild.members.fetch = async () => {
+    throw new Error('Missing Access');
+  };
+
+  const interaction = await runMessageCommand(server);
+
+  assert.strictEqual(interaction.responses[0].payload.embeds[0].data.title, t('en', 'errors.processingTitle'));
+  assert.strictEqual(interaction.responses[0].payload.ephemeral, true);
+});
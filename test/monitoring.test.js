@@ -0,0 +1,66 @@
+/**
+ * Tests of the metrics and of the monitoring endpoint
+ */
+
+const { test, after } = require('node:test');
+const assert = require('node:assert');
+
+const MetricsRegistry = require('../src/MetricsRegistry');
+const MonitoringServer = require('../src/MonitoringServer');
+
+test('counters and gauges are rendered in the Prometheus format', () => {
+  const metrics = new MetricsRegistry();
+  const failed = metrics.counter('privmsg_dms_failed_total', 'DMs that could not be delivered');
+  failed.inc({ reason: 'dms_closed' });
+  failed.inc({ reason: 'dms_closed' });
+  failed.inc({ reason: 'left_server' });
+  metrics.gauge('privmsg_active_drafts', 'Messages being prepared', () => 4);
+
+  assert.strictEqual(failed.get({ reason: 'dms_closed' }), 2);
+  assert.strictEqual(metrics.render(), [
+    '# HELP privmsg_dms_failed_total DMs that could not be delivered',
+    '# TYPE privmsg_dms_failed_total counter',
+    'privmsg_dms_failed_total{reason="dms_closed"} 2',
+    'privmsg_dms_failed_total{reason="left_server"} 1',
+    '# HELP privmsg_active_drafts Messages being prepared',
+    '# TYPE privmsg_active_drafts gauge',
+    'privmsg_active_drafts 4',
+    '',
+  ].join('\n'));
+});
+
+test('a metric cannot be registered twice', () => {
+  const metrics = new MetricsRegistry();
+  metrics.counter('privmsg_dms_sent_total', 'DMs delivered');
+
+  assert.throws(() => metrics.counter('privmsg_dms_sent_total', 'DMs delivered'), /already registered/);
+});
+
+test('the monitoring endpoint serves the metrics and the probes', async () => {
+  const metrics = new MetricsRegistry();
+  metrics.gauge('privmsg_gateway_connected', 'Whether the bot is connected', () => 1);
+  let ready = false;
+  const server = new MonitoringServer({ metrics, getReadiness: () => ({ ready, gateway: ready ? 'connected' : 'disconnected' }), port: 0 });
+  const port = await server.start();
+  after(() => server.stop());
+  const get = (path) => fetch(`http://127.0.0.1:${port}${path}`);
+
+  const metricsResponse = await get('/metrics');
+  assert.strictEqual(metricsResponse.status, 200);
+  assert.match(await metricsResponse.text(), /^privmsg_gateway_connected 1$/m);
+
+  const health = await get('/healthz');
+  assert.strictEqual(health.status, 200);
+  assert.strictEqual((await health.json()).status, 'ok');
+
+  const notReady = await get('/readyz');
+  assert.strictEqual(notReady.status, 503);
+  assert.deepStrictEqual(await notReady.json(), { status: 'not_ready', ready: false, gateway: 'disconnected' });
+
+  ready = true;
+  const readyResponse = await get('/readyz');
+  assert.strictEqual(readyResponse.status, 200);
+  assert.strictEqual((await readyResponse.json()).gateway, 'connected');
+
+  assert.strictEqual((await get('/unknown')).status, 404);
+});
@@ -0,0 +1,167 @@
+/**
+ * Tests of the sending quotas: recipients per hour and per day, role cooldowns and overrides
+ */
+
+const { test, after } = require('node:test');
+const assert = require('node:assert');
+
+const { loadBot } = require('./helpers/bot');
+const {
+  createGuild,
+  createChannel,
+  createRole,
+  createMember,
+  attachGuild,
+  createCommandInteraction,
+  createButtonInteraction,
+  createSelectInteraction,
+} = require('./helpers/discord');
+const { summarizeCampaign, hasQuotas, checkQuotas } = require('../src/quotas');
+const { t } = require('../src/i18n');
+
+const { bot, cleanup } = loadBot();
+after(cleanup);
+
+const NOW = Date.parse('2026-01-01T12:00:00.000Z');
+const NO_QUOTAS = { authorHourly: 0, authorDaily: 0, guildHourly: 0, guildDaily: 0, roleCooldownMinutes: 0 };
+
+/**
+ * Build the summary of a stored campaign
+ * @param {Object} fields - Fields of the campaign
+ * @param {number} fields.minutesAgo - How long ago it was created
+ * @param {number} fields.recipients - Number of members it messaged
+ * @returns {Object} The summary of the campaign
+ */
+function createStoredCampaign({ minutesAgo, recipients, authorId = 'author', roleId = 'role', ...fields }) {
+  return summarizeCampaign({
+    id: `campaign-${minutesAgo}`,
+    authorId,
+    status: 'completed',
+    createdAt: new Date(NOW - minutesAgo * 60 * 1000).toISOString(),
+    audience: { anyOf: [roleId], allOf: [], noneOf: [] },
+    recipients: Array.from({ length: recipients }, (_, index) => ({ id: `member${index}`, status: 'sent' })),
+    ...fields,
+  });
+}
+
+test('recipients are counted per author and per server within each window', () => {
+  const campaigns = [
+    createStoredCampaign({ minutesAgo: 10, recipients: 30 }),
+    createStoredCampaign({ minutesAgo: 120, recipients: 50 }),
+    createStoredCampaign({ minutesAgo: 30, recipients: 40, authorId: 'other' }),
+    createStoredCampaign({ minutesAgo: 60 * 25, recipients: 500 }),
+    createStoredCampaign({ minutesAgo: 5, recipients: 100, status: 'rejected' }),
+  ];
+  const quotas = { ...NO_QUOTAS, authorHourly: 50, authorDaily: 200, guildHourly: 60 };
+
+  const { usage, exceeded } = checkQuotas(campaigns, { authorId: 'author', audience: { anyOf: ['other-role'], allOf: [] }, recipients: 25 }, quotas, NOW);
+
+  assert.deepStrictEqual(usage, [
+    { quota: 'authorHour', used: 30, limit: 50, remaining: 20 },
+    { quota: 'authorDay', used: 80, limit: 200, remaining: 120 },
+    { quota: 'guildHour', used: 70, limit: 60, remaining: 0 },
+  ]);
+  assert.deepStrictEqual(exceeded, [
+    { key: 'authorHour', params: { count: 25, remaining: 20, limit: 50 } },
+    { key: 'guildHour', params: { count: 25, remaining: 0, limit: 60 } },
+  ]);
+});
+
+test('bots, channel posts and members an aborted campaign did not reach are not counted', () => {
+  const summary = summarizeCampaign({
+    id: 'c1',
+    authorId: 'author',
+    status: 'aborted',
+    createdAt: new Date(NOW).toISOString(),
+    recipients: [
+      { id: 'sent', status: 'sent' },
+      { id: 'bot', status: 'failed', errorCode: 'BOT' },
+      { id: 'pending', status: 'pending' },
+    ],
+  });
+  assert.strictEqual(summary.recipients, 1);
+  assert.strictEqual(summary.audience, null);
+  assert.strictEqual(summarizeCampaign({ ...summary, recipients: [{ id: 'a', status: 'sent' }], delivery: { mode: 'channels' } }).recipients, 0);
+
+  assert.strictEqual(hasQuotas(NO_QUOTAS), false);
+  assert.strictEqual(hasQuotas({ ...NO_QUOTAS, roleCooldownMinutes: 10 }), true);
+});
+
+test('a role cannot be messaged again before its cooldown ends', () => {
+  const campaigns = [createStoredCampaign({ minutesAgo: 20, recipients: 2 })];
+  const quotas = { ...NO_QUOTAS, roleCooldownMinutes: 60 };
+  const lastSentAt = NOW - 20 * 60 * 1000;
+
+  const again = checkQuotas(campaigns, { authorId: 'other', audience: { anyOf: [], allOf: ['role'] }, recipients: 2 }, quotas, NOW);
+  assert.deepStrictEqual(again.exceeded, [
+    { key: 'roleCooldown', params: { roleId: 'role', lastSentAt, availableAt: lastSentAt + 60 * 60 * 1000 } },
+  ]);
+
+  const later = checkQuotas(campaigns, { authorId: 'other', audience: { anyOf: ['role'], allOf: [] }, recipients: 2 }, quotas, NOW + 40 * 60 * 1000);
+  assert.deepStrictEqual(later, { usage: [], exceeded: [] });
+});
+
+test('broadcasts over the quotas are refused unless an administrator overrides them', async () => {
+  const guild = createGuild();
+  const channel = createChannel(guild);
+  const role = createRole(guild, { name: 'Players' });
+  const admin = createMember(guild, { username: 'admin', admin: true });
+  const staff = createMember(guild, { username: 'moderator' });
+  const recipients = ['alice', 'bob'].map((username) => createMember(guild, { username, roles: [role] }));
+  attachGuild(bot.client, guild);
+  bot.permissionManager.grant(guild.id, 'send', 'user', staff.id);
+
+  await bot.handleInteraction(createCommandInteraction({
+    commandName: 'config',
+    subcommand: 'quotas',
+    options: { 'author-hour': 1 },
+    member: admin,
+    channel,
+  }));
+
+  /**
+   * Draft a message to the role and return its preview
+   * @param {Object} author - The author of the draft
+   * @returns {Promise<Object>} The preview message
+   */
+  const draftMessage = async (author) => {
+    const command = createCommandInteraction({ commandName: 'message', options: { content: 'Event at 8pm!' }, member: author, channel });
+    await bot.handleInteraction(command);
+    await bot.handleInteraction(createSelectInteraction({ customId: `select_role_${author.id}`, values: [role.id], member: author, channel }));
+    return command.replyMessage;
+  };
+  const findButton = (preview, prefix) => preview.payload.components
+    .flatMap((row) => row.toJSON().components)
+    .find((component) => component.custom_id?.startsWith(prefix));
+  const findField = (preview, key) => preview.payload.embeds[0].data.fields.find((field) => field.name === t('en', key));
+
+  const staffPreview = await draftMessage(staff);
+  assert.strictEqual(findField(staffPreview, 'quotas.usageTitle').value, t('en', 'quotas.usage.authorHour', { remaining: 1, limit: 1 }));
+  assert.strictEqual(
+    findField(staffPreview, 'quotas.exceededTitle').value,
+    `• ${t('en', 'quotas.exceeded.authorHour', { count: 2, remaining: 1, limit: 1 })}`
+  );
+  assert.strictEqual(findButton(staffPreview, 'confirm_send_').disabled, true);
+  assert.strictEqual(findButton(staffPreview, 'quota_override_'), undefined);
+  assert.strictEqual(findField(staffPreview, 'quotas.adminOnlyTitle').value, t('en', 'quotas.adminOnly'));
+
+  const refused = createButtonInteraction({ customId: `confirm_send_${staff.id}`, member: staff, channel });
+  await bot.handleInteraction(refused);
+  assert.strictEqual(refused.responses[0].payload.embeds[0].data.title, t('en', 'quotas.exceededTitle'));
+  assert.strictEqual(recipients[0].dms.length, 0);
+
+  const forged = createButtonInteraction({ customId: `quota_override_${staff.id}`, member: staff, channel });
+  await bot.handleInteraction(forged);
+  assert.strictEqual(forged.responses[0].payload.embeds[0].data.title, t('en', 'errors.permissionDeniedTitle'));
+  await bot.handleInteraction(createCommandInteraction({ commandName: 'cancel', member: staff, channel }));
+
+  const adminPreview = await draftMessage(admin);
+  assert.strictEqual(findButton(adminPreview, 'confirm_send_').disabled, true);
+  await bot.handleInteraction(createButtonInteraction({ customId: findButton(adminPreview, 'quota_override_').custom_id, member: admin, channel }));
+  assert.ok(findField(adminPreview, 'quotas.overriddenTitle'));
+  assert.strictEqual(findField(adminPreview, 'quotas.adminOnlyTitle'), undefined);
+  assert.strictEqual(findButton(adminPreview, 'confirm_send_').disabled, false);
+
+  await bot.handleInteraction(createButtonInteraction({ customId: `confirm_send_${admin.id}`, member: admin, channel }));
+  assert.strictEqual(recipients[0].dms.length, 1);
+});
@@ -0,0 +1,220 @@
+/**
+ * Tests of the scheduled broadcasts: next run dates, audiences and quotas
+ */
+
+const { test, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { loadBot } = require('./helpers/bot');
+const {
+  createGuild,
+  createChannel,
+  createRole,
+  createMember,
+  attachGuild,
+  createCommandInteraction,
+  createButtonInteraction,
+} = require('./helpers/discord');
+const ScheduleManager = require('../src/ScheduleManager');
+const { parseZonedDateTime, addRecurrence } = require('../src/time');
+const { t } = require('../src/i18n');
+
+const { bot, dataDir, cleanup } = loadBot();
+after(cleanup);
+
+test('dates are typed in the timezone of the schedule', () => {
+  assert.strictEqual(parseZonedDateTime('2026-07-01 18:00', 'America/Sao_Paulo').toISOString(), '2026-07-01T21:00:00.000Z');
+  assert.strictEqual(parseZonedDateTime('2026-02-30 18:00', 'UTC'), null);
+  assert.strictEqual(parseZonedDateTime('tomorrow', 'UTC'), null);
+});
+
+test('recurrences keep the wall-clock time across daylight saving changes', () => {
+  // Paris moves from UTC+1 to UTC+2 on March 29th 2026
+  const beforeChange = parseZonedDateTime('2026-03-28 18:00', 'Europe/Paris');
+  assert.strictEqual(addRecurrence(beforeChange, 'daily', 'Europe/Paris').toISOString(), '2026-03-29T16:00:00.000Z');
+  assert.strictEqual(addRecurrence(beforeChange, 'weekly', 'Europe/Paris').toISOString(), '2026-04-04T16:00:00.000Z');
+});
+
+test('monthly recurrences are clamped to the last day of shorter months, and go back to their day', () => {
+  const endOfJanuary = parseZonedDateTime('2026-01-31 09:00', 'UTC');
+  assert.strictEqual(addRecurrence(endOfJanuary, 'monthly', 'UTC').toISOString(), '2026-02-28T09:00:00.000Z');
+
+  const manager = new ScheduleManager(path.join(fs.mkdtempSync(path.join(dataDir, 'schedules-')), 'schedules.json'));
+  const monthly = manager.create({ guildId: 'guild', repeat: 'monthly', timeZone: 'UTC', nextRunAt: endOfJanuary.toISOString() });
+  const runs = [1, 2, 3].map(() => {
+    manager.markRun(monthly, new Date(monthly.nextRunAt));
+    return monthly.nextRunAt;
+  });
+
+  assert.deepStrictEqual(runs, ['2026-02-28T09:00:00.000Z', '2026-03-31T09:00:00.000Z', '2026-04-30T09:00:00.000Z']);
+});
+
+test('a schedule fired late skips the occurrences missed while the bot was offline', () => {
+  const manager = new ScheduleManager(path.join(fs.mkdtempSync(path.join(dataDir, 'schedules-')), 'schedules.json'));
+  const daily = manager.create({ guildId: 'guild', repeat: 'daily', timeZone: 'UTC', nextRunAt: '2026-01-01T09:00:00.000Z' });
+  const once = manager.create({ guildId: 'guild', timeZone: 'UTC', nextRunAt: '2026-01-01T09:00:00.000Z' });
+  const now = new Date('2026-01-04T12:00:00.000Z');
+
+  manager.markRun(daily, now);
+  manager.markRun(once, now);
+
+  assert.strictEqual(daily.nextRunAt, '2026-01-05T09:00:00.000Z');
+  assert.strictEqual(daily.status, 'active');
+  assert.strictEqual(once.status, 'completed');
+  assert.deepStrictEqual(manager.listActive('guild').map((schedule) => schedule.id), [daily.id]);
+});
+
+test('/schedule create combines roles like the audiences of /message', async () => {
+  const guild = createGuild();
+  const channel = createChannel(guild);
+  const [players, streamers, verified, staff] = ['Players', 'Streamers', 'Verified', 'Staff'].map((name) => createRole(guild, { name }));
+  const author = createMember(guild, { username: 'admin', admin: true });
+  attachGuild(bot.client, guild);
+
+  await bot.handleInteraction(createCommandInteraction({
+    commandName: 'schedule',
+    subcommand: 'create',
+    options: {
+      role: players,
+      'also-role': streamers,
+      'require-role': verified,
+      'exclude-role': staff,
+      content: 'Tournament tonight!',
+      at: '2099-01-01 18:00',
+    },
+    member: author,
+    channel,
+  }));
+  await bot.handleInteraction(createButtonInteraction({ customId: `schedule_confirm_${author.id}`, member: author, channel }));
+
+  const [schedule] = bot.scheduleManager.listActive(guild.id);
+  assert.deepStrictEqual(schedule.audience, { anyOf: [players.id, streamers.id], allOf: [verified.id], noneOf: [staff.id], filters: {} });
+  assert.strictEqual(schedule.audienceName, '(Players OR Streamers) AND Verified NOT Staff');
+});
+
+test('a scheduled broadcast over the quotas is skipped and its author is told', async () => {
+  const guild = createGuild();
+  const channel = createChannel(guild);
+  const role = createRole(guild, { name: 'Players' });
+  const author = createMember(guild, { username: 'admin', admin: true });
+  const recipients = ['alice', 'bob'].map((username) => createMember(guild, { username, roles: [role] }));
+  attachGuild(bot.client, guild);
+
+  await bot.handleInteraction(createCommandInteraction({
+    commandName: 'schedule',
+    subcommand: 'create',
+    options: { role, content: 'Tournament tonight!', at: '2099-01-01 18:00', repeat: 'daily' },
+    member: author,
+    channel,
+  }));
+  await bot.handleInteraction(createButtonInteraction({ customId: `schedule_confirm_${author.id}`, member: author, channel }));
+  const [schedule] = bot.scheduleManager.listActive(guild.id);
+
+  const setAuthorHour = (limit) => bot.handleInteraction(createCommandInteraction({
+    commandName: 'config',
+    subcommand: 'quotas',
+    options: { 'author-hour': limit },
+    member: author,
+    channel,
+  }));
+  await setAuthorHour(1);
+  await bot.runScheduledBroadcast(schedule);
+
+  const [notice] = channel.messages.cache.filter((message) => message.payload.content?.includes(schedule.id)).values();
+  assert.ok(notice.payload.content.startsWith(`🚦 <@${author.id}>`));
+  assert.ok(notice.payload.content.includes(t('en', 'quotas.exceeded.authorHour', { count: 2, remaining: 1, limit: 1 })));
+  assert.deepStrictEqual(notice.payload.allowedMentions, { users: [author.id] });
+  assert.deepStrictEqual(bot.scheduleManager.get(schedule.id).campaignIds, []);
+  assert.strictEqual(recipients[0].dms.length, 0);
+
+  await setAuthorHour(0);
+  await bot.runScheduledBroadcast(bot.scheduleManager.get(schedule.id));
+  assert.strictEqual(bot.scheduleManager.get(schedule.id).campaignIds.length, 1);
+  assert.strictEqual(recipients[0].dms.length, 1);
+
+  // Posted in a channel, the broadcast sends no DM and is not limited by the DM quotas
+  await setAuthorHour(1);
+  bot.scheduleManager.update(schedule.id, { delivery: { mode: 'channels', channelIds: [channel.id], posts: {}, fallbackThreadId: null } });
+  await bot.runScheduledBroadcast(bot.scheduleManager.get(schedule.id));
+  assert.strictEqual(bot.scheduleManager.get(schedule.id).campaignIds.length, 2);
+  assert.strictEqual(recipients[0].dms.length, 1);
+});
+
+test('/schedule edit keeps the wall-clock time in a new timezone, and only the author or an administrator can use it', async () => {
+  const guild = createGuild();
+  const channel = createChannel(guild);
+  const role = createRole(guild, { name: 'Players' });
+  const author = createMember(guild, { username: 'moderator' });
+  const colleague = createMember(guild, { username: 'colleague' });
+  const admin = createMember(guild, { username: 'admin', admin: true });
+  ['alice', 'bob'].forEach((username) => createMember(guild, { username, roles: [role] }));
+  attachGuild(bot.client, guild);
+  [author, colleague].forEach((member) => bot.permissionManager.grant(guild.id, 'schedule', 'user', member.id));
+
+  await bot.handleInteraction(createCommandInteraction({
+    commandName: 'schedule',
+    subcommand: 'create',
+    options: { role, content: 'Tournament tonight!', at: '2099-01-01 18:00', timezone: 'Europe/Lisbon' },
+    member: author,
+    channel,
+  }));
+  await bot.handleInteraction(createButtonInteraction({ customId: `schedule_confirm_${author.id}`, member: author, channel }));
+  const [schedule] = bot.scheduleManager.listActive(guild.id);
+  assert.strictEqual(schedule.nextRunAt, '2099-01-01T18:00:00.000Z');
+
+  const edit = (member, options) => {
+    const command = createCommandInteraction({ commandName: 'schedule', subcommand: 'edit', options: { id: schedule.id, ...options }, member, channel });
+    return bot.handleInteraction(command).then(() => command);
+  };
+
+  const refused = await edit(colleague, { timezone: 'UTC' });
+  assert.strictEqual(refused.responses[0].payload.embeds[0].data.description, t('en', 'schedule.notAllowed'));
+  const cancel = createCommandInteraction({ commandName: 'schedule', subcommand: 'cancel', options: { id: schedule.id }, member: colleague, channel });
+  await bot.handleInteraction(cancel);
+  assert.strictEqual(cancel.responses[0].payload.embeds[0].data.description, t('en', 'schedule.notAllowed'));
+  assert.strictEqual(bot.scheduleManager.get(schedule.id).status, 'active');
+
+  await edit(author, { timezone: 'America/Sao_Paulo' });
+  assert.strictEqual(bot.scheduleManager.get(schedule.id).nextRunAt, '2099-01-01T21:00:00.000Z');
+
+  await edit(admin, { timezone: 'Europe/Lisbon' });
+  assert.strictEqual(bot.scheduleManager.get(schedule.id).nextRunAt, '2099-01-01T18:00:00.000Z');
+  assert.strictEqual(bot.scheduleManager.get(schedule.id).timeZone, 'Europe/Lisbon');
+});
+
+test('a scheduled broadcast breaking safety rules added after it was created is skipped', async () => {
+  const guild = createGuild();
+  const channel = createChannel(guild);
+  const role = createRole(guild, { name: 'Players' });
+  const author = createMember(guild, { username: 'admin', admin: true });
+  const recipients = ['alice', 'bob'].map((username) => createMember(guild, { username, roles: [role] }));
+  attachGuild(bot.client, guild);
+
+  await bot.handleInteraction(createCommandInteraction({
+    commandName: 'schedule',
+    subcommand: 'create',
+    options: { role, content: 'Free nitro for everyone!', at: '2099-01-01 18:00', repeat: 'weekly' },
+    member: author,
+    channel,
+  }));
+  await bot.handleInteraction(createButtonInteraction({ customId: `schedule_confirm_${author.id}`, member: author, channel }));
+  const [schedule] = bot.scheduleManager.listActive(guild.id);
+
+  await bot.handleInteraction(createCommandInteraction({
+    commandName: 'config',
+    subcommand: 'safety',
+    options: { 'blocked-words': 'free nitro' },
+    member: author,
+    channel,
+  }));
+  await bot.runScheduledBroadcast(schedule);
+
+  const [notice] = channel.messages.cache.filter((message) => message.payload.content?.includes(schedule.id)).values();
+  assert.ok(notice.payload.content.startsWith(`🛑 <@${author.id}>`));
+  assert.ok(notice.payload.content.includes(t('en', 'safety.blockedWord', { word: 'free nitro' })));
+  assert.deepStrictEqual(bot.scheduleManager.get(schedule.id).campaignIds, []);
+  assert.strictEqual(recipients[0].dms.length, 0);
+});
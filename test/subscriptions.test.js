@@ -0,0 +1,103 @@
+/**
+ * Tests of the subscription handlers
+ *
+ * The handlers are created with their own services, without loading the rest of the bot.
+ */
+
+const { test, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { Collection } = require('discord.js');
+const {
+  createGuild,
+  createChannel,
+  createMember,
+  createCommandInteraction,
+  createButtonInteraction,
+} = require('./helpers/discord');
+
+// Only errors are logged, set before the logger is required by the handlers
+process.env.LOG_LEVEL = 'error';
+const SubscriptionManager = require('../src/SubscriptionManager');
+const { createSubscriptionHandlers } = require('../src/handlers/subscriptions');
+const { t } = require('../src/i18n');
+
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'privmsg-test-'));
+after(() => fs.rmSync(dataDir, { recursive: true, force: true }));
+
+/**
+ * Create the handlers with a subscription file of their own and a recorded audit trail
+ * @param {Object[]} guilds - Guilds the client is in
+ * @returns {{handlers: Object, subscriptionManager: SubscriptionManager, audits: Object[]}} The handlers and their services
+ */
+function createHandlers(guilds) {
+  const subscriptionManager = new SubscriptionManager(path.join(fs.mkdtempSync(path.join(dataDir, 'guilds-')), 'subscriptions.json'));
+  const audits = [];
+  const handlers = createSubscriptionHandlers({
+    auditLog: { record: (action, details) => audits.push({ action, ...details }) },
+    client: { guilds: { cache: new Collection(guilds.map((guild) => [guild.id, guild])) } },
+    subscriptionManager,
+  });
+
+  return { handlers, subscriptionManager, audits };
+}
+
+test('the unsubscribe button of a DM opts the member out of its topic, and its undo button subscribes them again', async () => {
+  const guild = createGuild();
+  const member = createMember(guild, { username: 'alice' });
+  const { handlers, subscriptionManager, audits } = createHandlers([guild]);
+
+  const unsubscribe = createButtonInteraction({ customId: `unsubscribe_${guild.id}_events`, member });
+  await handlers.handleSubscriptionButton(unsubscribe);
+
+  assert.deepStrictEqual(subscriptionManager.getOptOuts(guild.id, member.id), ['events']);
+  assert.deepStrictEqual(audits, [{ action: 'subscription.unsubscribed', guildId: guild.id, userId: member.id, topic: 'events' }]);
+  const [undo] = unsubscribe.responses[0].payload.components[0].components;
+  assert.strictEqual(undo.data.custom_id, `resubscribe_${guild.id}_events`);
+
+  await handlers.handleSubscriptionButton(createButtonInteraction({ customId: undo.data.custom_id, member }));
+
+  assert.deepStrictEqual(subscriptionManager.getOptOuts(guild.id, member.id), []);
+  assert.strictEqual(audits[1].action, 'subscription.resubscribed');
+});
+
+test('unsubscribe buttons of a server the bot left change nothing', async () => {
+  const guild = createGuild();
+  const member = createMember(guild, { username: 'alice' });
+  const { handlers, subscriptionManager, audits } = createHandlers([]);
+
+  const unsubscribe = createButtonInteraction({ customId: `unsubscribe_${guild.id}_all`, member, locale: 'pt-BR' });
+  await handlers.handleSubscriptionButton(unsubscribe);
+
+  assert.deepStrictEqual(subscriptionManager.getOptOuts(guild.id, member.id), []);
+  assert.deepStrictEqual(audits, []);
+  assert.strictEqual(unsubscribe.responses[0].payload.embeds[0].data.description, t('pt-BR', 'subscriptions.serverNotFound'));
+});
+
+test('/subscriptions normalizes the topic and tells members who already opted out', async () => {
+  const guild = createGuild({ name: 'My Server' });
+  const channel = createChannel(guild);
+  const member = createMember(guild, { username: 'alice' });
+  const { handlers, subscriptionManager, audits } = createHandlers([guild]);
+
+  const unsubscribe = () => createCommandInteraction({
+    commandName: 'subscriptions',
+    subcommand: 'unsubscribe',
+    options: { topic: ' Game Nights ' },
+    member,
+    channel,
+  });
+  const first = unsubscribe();
+  await handlers.handleSubscriptionsCommand(first);
+  const second = unsubscribe();
+  await handlers.handleSubscriptionsCommand(second);
+
+  assert.deepStrictEqual(subscriptionManager.getOptOuts(guild.id, member.id), ['game-nights']);
+  assert.strictEqual(audits.length, 1);
+  const topic = t('en', 'subscriptions.topic', { topic: 'game-nights', server: 'My Server' });
+  assert.strictEqual(first.responses[0].payload.embeds[0].data.description, t('en', 'subscriptions.unsubscribed', { topic }));
+  assert.strictEqual(second.responses[0].payload.embeds[0].data.description, t('en', 'subscriptions.unsubscribedUnchanged', { topic }));
+});